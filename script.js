@@ -32,6 +32,60 @@ const CurrencyConverter = (() => {
         CNY: '¥'
     };
 
+    // Psychological display rounding, chosen by admins per currency; stored USD prices are never rounded
+    const ROUNDING_RULES = {
+        none: { label: 'Exact' },
+        whole: { label: 'Whole units', fractionDigits: 0, apply: (value) => Math.round(value) },
+        // Up to the next price ending in .99: 12.34 -> 12.99, 13.00 -> 13.99; a .99 price stays as it is
+        charm99: { label: 'Ends in .99', requiresCents: true, apply: (value) => (value > 0 ? Math.floor(Math.round(value * 100) / 100) + 0.99 : value) },
+        nearest10: { label: 'Nearest 10', fractionDigits: 0, apply: (value) => Math.round(value / 10) * 10 || value },
+        nearest100: { label: 'Nearest 100', fractionDigits: 0, apply: (value) => Math.round(value / 100) * 100 || value }
+    };
+
+    // CLDR has no sign for these, so Intl falls back to the ISO code; shoppers expect the local one
+    const localSymbols = { LKR: 'Rs.' };
+
+    const fractionDigitsCache = {};
+    const formatters = {};
+
+    // ISO 4217 minor units as reported by Intl: 2 for USD/EUR/LKR, 0 for JPY
+    const minorUnits = (code) => {
+        if (!(code in fractionDigitsCache)) {
+            try {
+                fractionDigitsCache[code] = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+            } catch (e) {
+                fractionDigitsCache[code] = 2;
+            }
+        }
+        return fractionDigitsCache[code];
+    };
+
+    const roundingApplies = (rule, code) => Boolean(rule?.apply) && !(rule.requiresCents && minorUnits(code) < 2);
+
+    const getFormatter = (locale, code, fractionDigits) => {
+        const key = `${locale}|${code}|${fractionDigits}`;
+        if (!formatters[key]) {
+            const digits = fractionDigits === undefined ? {} : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits };
+            // The locale's own currency gets the bare sign ("$" for AUD in en-AU); other dollars stay
+            // distinguishable (US$, A$, CA$, SGD) instead of all collapsing to "$"
+            formatters[key] = new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay: 'symbol', ...digits });
+        }
+        return formatters[key];
+    };
+
+    const format = (amount, code, { locale = 'en-US', rounding = 'none' } = {}) => {
+        const rule = ROUNDING_RULES[rounding];
+        const applies = roundingApplies(rule, code);
+        const value = applies ? rule.apply(amount) : amount;
+        try {
+            return getFormatter(locale, code, applies ? rule.fractionDigits : undefined).formatToParts(value)
+                .map(part => (part.type === 'currency' && part.value === code && localSymbols[code]) || part.value)
+                .join('');
+        } catch (e) {
+            return `${currencySymbols[code] || code} ${value.toLocaleString()}`;
+        }
+    };
+
     const toUSD = (amount, fromCurrency) => {
         if (!amount || isNaN(amount)) return 0;
         const rate = exchangeRates[fromCurrency] || 1;
@@ -41,7 +95,8 @@ const CurrencyConverter = (() => {
     const fromUSD = (usdAmount, toCurrency) => {
         if (!usdAmount || isNaN(usdAmount)) return 0;
         const rate = exchangeRates[toCurrency] || 1;
-        return Math.round(parseFloat(usdAmount) * rate);
+        const factor = Math.pow(10, minorUnits(toCurrency));
+        return Math.round(parseFloat(usdAmount) * rate * factor) / factor;
     };
 
     const fetchRates = async () => {
@@ -92,25 +147,31 @@ const CurrencyConverter = (() => {
         fetchRates,
         getRates: () => exchangeRates,
         getSymbol: (code) => currencySymbols[code] || code,
+        getCurrencies: () => Object.keys(currencySymbols),
+        ROUNDING_RULES,
+        minorUnits,
+        roundingApplies,
+        format,
+        formatFromUSD: (usdAmount, code, options) => format(fromUSD(usdAmount, code), code, options),
         init
     };
 })();
 
 const CountryDetector = (() => {
     const countryCurrencyMap = {
-        'LK': { currency: 'LKR', name: 'Sri Lanka' },
-        'IN': { currency: 'INR', name: 'India' },
-        'US': { currency: 'USD', name: 'United States' },
-        'GB': { currency: 'GBP', name: 'United Kingdom' },
-        'AU': { currency: 'AUD', name: 'Australia' },
-        'CA': { currency: 'CAD', name: 'Canada' },
-        'SG': { currency: 'SGD', name: 'Singapore' },
-        'JP': { currency: 'JPY', name: 'Japan' },
-        'CN': { currency: 'CNY', name: 'China' },
-        'DE': { currency: 'EUR', name: 'Germany' },
-        'FR': { currency: 'EUR', name: 'France' },
-        'IT': { currency: 'EUR', name: 'Italy' },
-        'ES': { currency: 'EUR', name: 'Spain' }
+        'LK': { currency: 'LKR', name: 'Sri Lanka', locale: 'en-LK' },
+        'IN': { currency: 'INR', name: 'India', locale: 'en-IN' },
+        'US': { currency: 'USD', name: 'United States', locale: 'en-US' },
+        'GB': { currency: 'GBP', name: 'United Kingdom', locale: 'en-GB' },
+        'AU': { currency: 'AUD', name: 'Australia', locale: 'en-AU' },
+        'CA': { currency: 'CAD', name: 'Canada', locale: 'en-CA' },
+        'SG': { currency: 'SGD', name: 'Singapore', locale: 'en-SG' },
+        'JP': { currency: 'JPY', name: 'Japan', locale: 'ja-JP' },
+        'CN': { currency: 'CNY', name: 'China', locale: 'zh-CN' },
+        'DE': { currency: 'EUR', name: 'Germany', locale: 'de-DE' },
+        'FR': { currency: 'EUR', name: 'France', locale: 'fr-FR' },
+        'IT': { currency: 'EUR', name: 'Italy', locale: 'it-IT' },
+        'ES': { currency: 'EUR', name: 'Spain', locale: 'es-ES' }
     };
 
     let detectedCountry = null;
@@ -148,7 +209,9 @@ const CountryDetector = (() => {
     const detect = async () => {
         const saved = localStorage.getItem('nextordersl_user_country');
         if (saved) {
-            userOverride = JSON.parse(saved);
+            const parsed = JSON.parse(saved);
+            // Overrides saved before locales were tracked pick theirs up from the map
+            userOverride = { ...parsed, locale: parsed.locale || countryCurrencyMap[parsed.code]?.locale || 'en-US' };
             return userOverride;
         }
 
@@ -158,7 +221,7 @@ const CountryDetector = (() => {
         }
 
         detectedCountry = country;
-        const info = countryCurrencyMap[country] || { currency: 'USD', name: 'United States' };
+        const info = countryCurrencyMap[country] || { currency: 'USD', name: 'United States', locale: 'en-US' };
         
         return {
             code: country,
@@ -182,7 +245,7 @@ const CountryDetector = (() => {
     const getCurrent = () => {
         return userOverride || {
             code: detectedCountry || 'US',
-            ...(countryCurrencyMap[detectedCountry || 'US'] || { currency: 'USD', name: 'United States' })
+            ...(countryCurrencyMap[detectedCountry || 'US'] || { currency: 'USD', name: 'United States', locale: 'en-US' })
         };
     };
 
@@ -272,19 +335,619 @@ const SafeData = {
     }
 };
 
-// ==================== UTILITY FUNCTIONS ====================
+// ==================== AUTHENTICATION ====================
+
+const PasswordHasher = (() => {
+    const ITERATIONS = 150000;
+    const encoder = new TextEncoder();
+
+    const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    const fromHex = (hex) => new Uint8Array(hex.match(/.{2}/g).map(b => parseInt(b, 16)));
+
+    const derive = async (password, salt, iterations) => {
+        const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+        return toHex(bits);
+    };
+
+    const constantTimeEqual = (a, b) => {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        return diff === 0;
+    };
+
+    // Stored as pbkdf2$<iterations>$<salt hex>$<hash hex>
+    const hash = async (password) => {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        return `pbkdf2$${ITERATIONS}$${toHex(salt)}$${await derive(password, salt, ITERATIONS)}`;
+    };
+
+    const verify = async (password, stored) => {
+        if (!stored) return false;
+        if (stored.startsWith('pbkdf2$')) {
+            const [, iterations, salt, expected] = stored.split('$');
+            return constantTimeEqual(await derive(password, fromHex(salt), parseInt(iterations)), expected);
+        }
+        // Legacy `isHashed` accounts still carry a simpleHash digest until their next login
+        return constantTimeEqual(simpleHash(password), stored);
+    };
+
+    return {
+        hash,
+        verify,
+        needsRehash: (stored) => !stored || !stored.startsWith(`pbkdf2$${ITERATIONS}$`)
+    };
+})();
+
+const AuthService = (() => {
+    const TOKEN_KEY = 'nextordersl_session';
+    const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+    const LEGACY_KEYS = ['nextordersl_isLoggedIn', 'nextordersl_isAdmin', 'nextordersl_isAffiliate', 'nextordersl_currentUser', 'nextordersl_session_secret'];
+
+    // With window.NEXTORDERSL_CONFIG = { auth: { type: 'remote', baseUrl: '/api' } } the server issues and checks
+    // tokens (POST /auth/login, GET /auth/session, POST /auth/logout) and enforces roles on every storage write.
+    // Shared REST storage always uses it: roles are only ever granted by that server.
+    // Local mode keeps everything, accounts included, in this browser's storage, so its session only remembers
+    // who logged in; the role is looked up again from the account records and nothing is signed.
+    const config = window.NEXTORDERSL_CONFIG?.auth || {};
+    const storageConfig = window.NEXTORDERSL_CONFIG?.storage || {};
+    const isRemote = config.type === 'remote' || storageConfig.type === 'rest';
+    const baseUrl = (config.baseUrl || storageConfig.baseUrl || '/api').replace(/\/$/, '');
+
+    const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+    const request = async (path, options = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...getAuthHeaders(), ...(options.headers || {}) }
+        });
+        if (response.status === 401) return null;
+        if (!response.ok) throw new Error(`Authentication server error (${response.status})`);
+        return response.json();
+    };
+
+    const getAuthHeaders = () => {
+        const token = getToken();
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    };
+
+    // Local mode only; a remote server hands out sessions through login()
+    const createSession = async (user, role) => {
+        if (isRemote) throw new Error('Sessions are issued by the authentication server. Please log in.');
+        localStorage.setItem(TOKEN_KEY, JSON.stringify({ email: user.email, exp: Date.now() + SESSION_TTL }));
+        return { user: { id: user.id ?? null, name: user.name, email: user.email, role }, role };
+    };
+
+    const login = async (email, password) => {
+        const result = await request('/auth/login', { method: 'POST', body: JSON.stringify({ email, password }) });
+        if (!result) return null;
+        localStorage.setItem(TOKEN_KEY, result.token);
+        return { user: result.user, role: result.user.role };
+    };
+
+    const restoreSession = async () => {
+        LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+        const token = getToken();
+        if (!token) return null;
+
+        if (isRemote) {
+            const result = await request('/auth/session').catch(() => null);
+            if (!result) localStorage.removeItem(TOKEN_KEY);
+            return result ? { user: result.user, role: result.user.role } : null;
+        }
+
+        try {
+            const { email, exp } = JSON.parse(token);
+            if (email && exp > Date.now()) return { user: { email }, role: null };
+        } catch (e) {
+            // Tokens from older versions are not JSON; they just end the session
+        }
+        localStorage.removeItem(TOKEN_KEY);
+        return null;
+    };
+
+    const logout = async () => {
+        if (isRemote) await request('/auth/logout', { method: 'POST' }).catch(() => null);
+        localStorage.removeItem(TOKEN_KEY);
+    };
+
+    // Remote mode: POST /auth/codes makes and mails a one-time code, POST /auth/codes/verify answers
+    // { status: 'valid' | 'invalid' | 'locked' } and counts failed attempts on the server
+    const requestCode = (purpose, email) => request('/auth/codes', { method: 'POST', body: JSON.stringify({ purpose, email }) });
+
+    const verifyCode = async (purpose, email, code) => {
+        const result = await request('/auth/codes/verify', { method: 'POST', body: JSON.stringify({ purpose, email, code }) });
+        return result?.status || 'invalid';
+    };
+
+    // Visitors have no session, so they can't write users or affiliates; the server checks the emailed code
+    // and creates or updates the account itself.
+    // POST /auth/register { role: 'shopper' | 'affiliate', name, email, phone, password, code }
+    //   -> { status: 'created' | 'invalid' | 'locked' | 'taken' }
+    const register = async (account) => {
+        const result = await request('/auth/register', { method: 'POST', body: JSON.stringify(account) });
+        return result?.status || 'invalid';
+    };
+
+    // POST /auth/password/reset { email, code, password } -> { status: 'valid' | 'invalid' | 'locked' }
+    const resetPassword = async (email, code, password) => {
+        const result = await request('/auth/password/reset', { method: 'POST', body: JSON.stringify({ email, code, password }) });
+        return result?.status || 'invalid';
+    };
+
+    return {
+        isRemote: () => isRemote,
+        hasSession: () => Boolean(getToken()),
+        createSession,
+        login,
+        restoreSession,
+        logout,
+        requestCode,
+        verifyCode,
+        register,
+        resetPassword,
+        getAuthHeaders
+    };
+})();
+
+// ==================== MAIL ====================
+
+const MailTransports = {
+    // Bodies carry one-time codes, so they are only printed with mail: { debug: true } on a development setup.
+    // Without that nobody can read the message, so the transport reports that it doesn't deliver.
+    console: ({ showBody = false } = {}) => ({
+        name: 'console',
+        delivers: showBody,
+        send: async (message) => {
+            console.info(`[mail] To: ${message.to}\nSubject: ${message.subject}` + (showBody ? `\n\n${message.text}` : ' (body hidden)'));
+        }
+    }),
+
+    // Keeps the last messages in browser storage so they can be inspected while testing
+    outbox: (key = 'nextordersl_outbox', limit = 50) => ({
+        name: 'outbox',
+        send: async (message) => {
+            const outbox = SafeData.storage.get(key, []);
+            SafeData.storage.set(key, [{ ...message, sentAt: new Date().toISOString() }, ...outbox].slice(0, limit));
+        }
+    }),
+
+    // POSTs { to, subject, text } to a mail relay on the server
+    http: (endpoint) => ({
+        name: 'http',
+        send: async (message) => {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...AuthService.getAuthHeaders() },
+                body: JSON.stringify(message)
+            });
+            if (!response.ok) throw new Error(`Mail relay rejected the message (${response.status})`);
+        }
+    })
+};
+
+const Mailer = (() => {
+    const config = window.NEXTORDERSL_CONFIG?.mail || {};
+    let transport = config.transport === 'http' ? MailTransports.http(config.endpoint || '/api/mail')
+        : config.transport === 'outbox' ? MailTransports.outbox()
+        : MailTransports.console({ showBody: config.debug === true });
+
+    // A static deploy without mail settings has no way to reach people; say so instead of pretending to send
+    const canDeliver = () => transport.delivers !== false;
+
+    const templates = {
+        verification: ({ code, minutes }) => ({
+            subject: 'Verify your email address',
+            text: `Your Next Order SL verification code is ${code}.\n\nIt expires in ${minutes} minutes. If you did not request it, you can ignore this email.`
+        }),
+        passwordReset: ({ code, minutes }) => ({
+            subject: 'Reset your password',
+            text: `Use this code to reset your Next Order SL password: ${code}\n\nIt expires in ${minutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`
+        }),
+        bookingReviewed: ({ name, position, startDate, endDate, approved, reason }) => ({
+            subject: approved ? 'Your ad booking is approved' : 'Your ad booking was not approved',
+            text: approved
+                ? `Hi ${name},\n\nYour ${position} booking for ${startDate} to ${endDate} is approved and will run on those dates. You can follow impressions and clicks in the advertiser portal.`
+                : `Hi ${name},\n\nYour ${position} booking for ${startDate} to ${endDate} was not approved.\n\nReason: ${reason}\n\nYou can submit a new booking from the advertiser portal.`
+        }),
+        productReviewed: ({ name, title, approved, reason }) => ({
+            subject: approved ? 'Your product is live' : 'Your product was not approved',
+            text: approved
+                ? `Hi ${name},\n\n"${title}" was approved and is now listed on Next Order SL.`
+                : `Hi ${name},\n\n"${title}" was not approved.\n\nReason: ${reason}\n\nYou can edit it and submit it again from the Products tab of your affiliate dashboard.`
+        }),
+        priceDrop: ({ title, price, target, link }) => ({
+            subject: `Price drop: ${title}`,
+            text: `Good news! ${title} is now ${price}, below your target of ${target}.\n\nView the deal: ${link}\n\nYou are receiving this because you are watching this product.`
+        })
+    };
+
+    return {
+        send: async (to, template, data) => {
+            if (!canDeliver()) throw new Error('No mail transport is configured');
+            return transport.send({ to, ...templates[template](data) });
+        },
+        canDeliver,
+        getTransport: () => transport,
+        setTransport: (next) => { transport = next; }
+    };
+})();
+
+// Single-use codes are stored only as salted PBKDF2 digests and stop working after MAX_ATTEMPTS wrong guesses.
+// With remote auth the server issues and checks them instead, so no digest ever reaches browser storage.
+const OneTimeTokens = {
+    TTL_MINUTES: { 'verify-email': 15, 'password-reset': 30 },
+    MAX_ATTEMPTS: 5,
+
+    generate: () => String(100000 + (crypto.getRandomValues(new Uint32Array(1))[0] % 900000)),
+
+    digest: (code) => PasswordHasher.hash(String(code)),
+
+    matches: (code, digest) => digest.startsWith('pbkdf2$') && PasswordHasher.verify(String(code), digest)
+};
+
+// ==================== PERMISSIONS ====================
+
+const AccessControl = (() => {
+    const ROLES = {
+        admin: { label: 'Administrator', permissions: ['*'] },
+        editor: {
+            label: 'Content Editor',
+            permissions: ['cms.access', 'dashboard.view', 'products.manage', 'categories.manage', 'banners.manage', 'posts.manage', 'promotions.manage']
+        },
+        'affiliate-manager': {
+            label: 'Affiliate Manager',
+            permissions: ['cms.access', 'dashboard.view', 'products.manage', 'affiliates.manage', 'orders.view']
+        },
+        affiliate: { label: 'Affiliate', permissions: ['products.manage_own', 'payouts.request'] },
+        advertiser: { label: 'Advertiser', permissions: ['campaigns.manage_own'] },
+        shopper: { label: 'Shopper', permissions: [] }
+    };
+
+    // Accounts created before roles existed were stored as 'user'
+    const normalizeRole = (role) => (ROLES[role] ? role : 'shopper');
+
+    const can = (role, permission) => {
+        const granted = ROLES[normalizeRole(role)].permissions;
+        if (granted.includes('*') || granted.includes(permission)) return true;
+        // "manage" always implies "view"
+        return permission.endsWith('.view') && granted.includes(permission.replace(/\.view$/, '.manage'));
+    };
+
+    return {
+        can,
+        normalizeRole,
+        getLabel: (role) => ROLES[normalizeRole(role)].label,
+        // Roles an admin can hand to a registered user account
+        getAssignableRoles: () => ['shopper', 'advertiser', 'editor', 'affiliate-manager']
+    };
+})();
+
+// ==================== PERSISTENCE ====================
+
+// Shared backends receive changes as patches rather than whole collections, so two browsers that edit
+// different rows, or bump the same counter, do not overwrite each other. Lists of records are keyed by id
+// (or ID_FIELDS), objects by property name. Counter fields travel as increments; everything else replaces
+// the whole row. A server applies a patch exactly like StatePatches.apply.
+const StatePatches = (() => {
+    const ID_FIELDS = { search_misses: 'query' };
+    const COUNTERS = {
+        products: ['clicks'],
+        affiliates: ['clicks'],
+        search_misses: ['count'],
+        banner_stats: ['impressions', 'clicks'],
+        ad_stats: ['impressions', 'clicks']
+    };
+
+    const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    // Map of row key -> row, or null when the value cannot be keyed and has to be replaced whole
+    const index = (key, value) => {
+        if (Array.isArray(value)) {
+            const idField = ID_FIELDS[key] || 'id';
+            if (!value.every(row => isRecord(row) && row[idField] !== undefined && row[idField] !== null)) return null;
+            return new Map(value.map(row => [String(row[idField]), row]));
+        }
+        return isRecord(value) ? new Map(Object.entries(value)) : null;
+    };
+
+    const withoutCounters = (row, counters) => {
+        if (!isRecord(row)) return row;
+        const rest = { ...row };
+        counters.forEach(field => delete rest[field]);
+        return rest;
+    };
+
+    // Returns { type, upsert, increment, remove, prepend } or null when the change needs a full replace
+    const diff = (key, previous, next) => {
+        const before = index(key, previous);
+        const after = index(key, next);
+        if (!before || !after || Array.isArray(previous) !== Array.isArray(next)) return null;
+
+        const counters = COUNTERS[key] || [];
+        const patch = { type: Array.isArray(next) ? 'list' : 'map', upsert: {}, increment: {}, remove: [], prepend: [] };
+        const firstKept = Array.isArray(next) ? [...after.keys()].findIndex(id => before.has(id)) : -1;
+
+        [...after].forEach(([id, row], position) => {
+            const old = before.get(id);
+            if (!before.has(id) || JSON.stringify(withoutCounters(old, counters)) !== JSON.stringify(withoutCounters(row, counters))) {
+                patch.upsert[id] = withoutCounters(row, counters);
+                if (!before.has(id) && position < firstKept) patch.prepend.push(id);
+            }
+            counters.forEach(field => {
+                const delta = (isRecord(row) ? row[field] || 0 : 0) - (isRecord(old) ? old[field] || 0 : 0);
+                if (delta !== 0) patch.increment[id] = { ...patch.increment[id], [field]: delta };
+            });
+        });
+        before.forEach((row, id) => { if (!after.has(id)) patch.remove.push(id); });
+        return patch;
+    };
+
+    const isEmpty = (patch) => !Object.keys(patch.upsert).length && !Object.keys(patch.increment).length && !patch.remove.length;
+
+    const apply = (key, current, patch) => {
+        const counters = COUNTERS[key] || [];
+        const rows = index(key, current ?? (patch.type === 'list' ? [] : {})) || new Map();
+        const existing = [...rows.keys()];
+        const added = Object.keys(patch.upsert).filter(id => !rows.has(id));
+        const order = [...added.filter(id => patch.prepend.includes(id)), ...existing, ...added.filter(id => !patch.prepend.includes(id))];
+
+        patch.remove.forEach(id => rows.delete(id));
+        Object.entries(patch.upsert).forEach(([id, row]) => {
+            const kept = {};
+            counters.forEach(field => { if (isRecord(rows.get(id)) && rows.get(id)[field] !== undefined) kept[field] = rows.get(id)[field]; });
+            rows.set(id, isRecord(row) ? { ...row, ...kept } : row);
+        });
+        Object.entries(patch.increment).forEach(([id, fields]) => {
+            if (!rows.has(id)) return;
+            const row = { ...rows.get(id) };
+            Object.entries(fields).forEach(([field, delta]) => { row[field] = (row[field] || 0) + delta; });
+            rows.set(id, row);
+        });
+
+        const ids = order.filter(id => rows.has(id));
+        return patch.type === 'list' ? ids.map(id => rows.get(id)) : Object.fromEntries(ids.map(id => [id, rows.get(id)]));
+    };
+
+    return { diff, apply, isEmpty };
+})();
+
+// Every adapter exposes the same async interface:
+//   load(key) -> value or null, save(key, value, previous), remove(key)
+// Values are plain JSON. Adapters reject on failure so callers can surface the error;
+// `previous` is the last value loaded or saved, for adapters that send only the change.
+const StorageAdapters = {
+    local: (prefix = 'nextordersl_') => ({
+        name: 'local',
+        load: async (key) => {
+            const item = localStorage.getItem(prefix + key);
+            return item ? JSON.parse(item) : null;
+        },
+        save: async (key, value) => {
+            try {
+                localStorage.setItem(prefix + key, JSON.stringify(value));
+            } catch (e) {
+                throw new Error(`Browser storage is full, could not save "${key}"`);
+            }
+        },
+        remove: async (key) => {
+            localStorage.removeItem(prefix + key);
+        }
+    }),
+
+    indexedDB: (dbName = 'nextordersl', storeName = 'state') => {
+        let dbPromise = null;
+
+        const openDB = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
 
-const DOMPurify = {
-    sanitize: (dirty) => {
-        if (!dirty) return '';
-        return dirty
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/on\w+="[^"]*"/g, '')
-            .replace(/on\w+='[^']*'/g, '')
-            .replace(/javascript:/gi, '');
+        const run = async (mode, operation) => {
+            const db = await openDB();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = operation(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        };
+
+        return {
+            name: 'indexedDB',
+            load: async (key) => {
+                const value = await run('readonly', store => store.get(key));
+                return value === undefined ? null : value;
+            },
+            save: (key, value) => run('readwrite', store => store.put(value, key)),
+            remove: (key) => run('readwrite', store => store.delete(key))
+        };
+    },
+
+    // Expects GET/PUT/PATCH/DELETE on `${baseUrl}/state/:key` with JSON bodies; GET answers 404 for unknown keys.
+    // Changes to keyed collections go out as a StatePatches PATCH, anything else as a full PUT.
+    // POST adds one row to a write-only log such as clicks, which the sender may not be allowed to read.
+    rest: (baseUrl, { fetchImpl = (...args) => fetch(...args), getHeaders = () => ({}) } = {}) => {
+        const request = async (key, options = {}) => {
+            const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/state/${encodeURIComponent(key)}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...getHeaders(), ...(options.headers || {}) }
+            });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                const error = new Error(`Server rejected "${key}" (${response.status})`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.status === 204 ? null : response.json();
+        };
+
+        return {
+            name: 'rest',
+            shared: true,
+            load: (key) => request(key),
+            save: async (key, value, previous) => {
+                const patch = previous === undefined ? null : StatePatches.diff(key, previous, value);
+                if (!patch) return request(key, { method: 'PUT', body: JSON.stringify(value) });
+                if (!StatePatches.isEmpty(patch)) return request(key, { method: 'PATCH', body: JSON.stringify(patch) });
+            },
+            remove: (key) => request(key, { method: 'DELETE' }),
+            append: (key, row) => request(key, { method: 'POST', body: JSON.stringify(row) })
+        };
     }
 };
 
+const Persistence = (() => {
+    // Deployments pick a backend with window.NEXTORDERSL_CONFIG = { storage: { type: 'rest', baseUrl: '/api' } }
+    const createAdapter = (config = {}) => {
+        switch (config.type) {
+            case 'indexedDB': return StorageAdapters.indexedDB(config.dbName);
+            case 'rest': return StorageAdapters.rest(config.baseUrl || '/api', { getHeaders: AuthService.getAuthHeaders, ...config });
+            default: return StorageAdapters.local(config.prefix);
+        }
+    };
+
+    let adapter = createAdapter(window.NEXTORDERSL_CONFIG?.storage);
+
+    // On a shared backend these are only requested with a signed-in session, and the server answers with
+    // the rows that session may see. Without access the key comes back as DENIED.
+    const PRIVATE_KEYS = ['users', 'admin', 'affiliates', 'auth_tokens', 'price_watches', 'commission_ledger', 'payouts',
+        'affiliate_audit', 'orders', 'advertisers', 'microjobs', 'clicks'];
+    // Logs every visitor adds to: on a shared backend rows only go out through append(), never as a save
+    const APPEND_ONLY_KEYS = ['clicks'];
+    const DENIED = Symbol('denied');
+
+    const isShared = () => Boolean(adapter.shared);
+
+    const loadAll = async (keys) => {
+        const signedIn = AuthService.hasSession();
+        const values = await Promise.all(keys.map(key => {
+            if (isShared() && PRIVATE_KEYS.includes(key) && !signedIn) return DENIED;
+            return adapter.load(key).catch(error => {
+                if (error.status === 401 || error.status === 403) return DENIED;
+                throw error;
+            });
+        }));
+        return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+    };
+
+    return {
+        PRIVATE_KEYS,
+        DENIED,
+        isShared,
+        load: (key) => adapter.load(key),
+        save: async (key, value, previous) => {
+            if (isShared() && APPEND_ONLY_KEYS.includes(key)) return;
+            return adapter.save(key, value, previous);
+        },
+        // Locally the log is saved with the rest of the state, so only a shared backend is sent the row
+        append: async (key, row) => {
+            if (isShared()) return adapter.append(key, row);
+        },
+        remove: (key) => adapter.remove(key),
+        loadAll,
+        getAdapter: () => adapter,
+        setAdapter: (next) => { adapter = next; },
+        createAdapter
+    };
+})();
+
+// ==================== UTILITY FUNCTIONS ====================
+
+// Allowlist HTML sanitizer for admin-authored content. Markup is parsed into an inert document,
+// so nothing loads or runs while it is cleaned; anything not explicitly allowed is dropped.
+const HtmlSanitizer = (() => {
+    const ALLOWED_TAGS = new Set([
+        'a', 'b', 'strong', 'i', 'em', 'u', 's', 'small', 'sub', 'sup', 'br', 'hr', 'p', 'div', 'span',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre', 'img',
+        'figure', 'figcaption', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ]);
+    // Removed together with their contents; other unknown tags are unwrapped and keep their text
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'svg', 'math',
+        'template', 'noscript', 'noembed', 'noframes', 'xmp', 'textarea', 'select', 'option', 'form',
+        'input', 'button', 'link', 'meta', 'base', 'title', 'head'
+    ]);
+    const GLOBAL_ATTRS = new Set(['title', 'class']);
+    const TAG_ATTRS = {
+        a: new Set(['href', 'target']),
+        img: new Set(['src', 'alt', 'width', 'height']),
+        td: new Set(['colspan', 'rowspan']),
+        th: new Set(['colspan', 'rowspan'])
+    };
+    const URL_ATTRS = new Set(['href', 'src']);
+    const SAFE_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+    const SAFE_IMAGE_DATA = /^data:image\/(?:png|gif|jpe?g|webp);base64,[a-z0-9+/=\s]+$/i;
+
+    const isSafeUrl = (value, attr) => {
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const url = value.replace(/[\u0000-\u0020\u007f-\u00a0]/g, '');
+        if (attr === 'src' && SAFE_IMAGE_DATA.test(url)) return true;
+        const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || SAFE_SCHEMES.has(scheme[1].toLowerCase());
+    };
+
+    const cleanAttributes = (el, tag) => {
+        Array.from(el.attributes).forEach(({ name, value }) => {
+            const allowed = GLOBAL_ATTRS.has(name) || TAG_ATTRS[tag]?.has(name);
+            if (!allowed || (URL_ATTRS.has(name) && !isSafeUrl(value, name))) el.removeAttribute(name);
+        });
+        if (tag === 'a') {
+            if (el.hasAttribute('target')) el.setAttribute('target', '_blank');
+            el.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+    };
+
+    const cleanNode = (node) => {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 3) return;
+            if (child.nodeType !== 1) {
+                child.remove();
+                return;
+            }
+            const tag = child.nodeName.toLowerCase();
+            if (DROPPED_TAGS.has(tag)) {
+                child.remove();
+                return;
+            }
+            cleanNode(child);
+            if (ALLOWED_TAGS.has(tag)) {
+                cleanAttributes(child, tag);
+            } else {
+                child.replaceWith(...Array.from(child.childNodes));
+            }
+        });
+    };
+
+    const parse = (html) => new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html').body;
+
+    return {
+        sanitize: (dirty) => {
+            if (!dirty) return '';
+            const body = parse(String(dirty));
+            cleanNode(body);
+            return body.innerHTML;
+        },
+
+        // Plain-text version for previews and list rows
+        toText: (html) => {
+            if (!html) return '';
+            const body = parse(HtmlSanitizer.sanitize(html));
+            body.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, blockquote, pre').forEach(el => el.after(' '));
+            return body.textContent.replace(/\s+/g, ' ').trim();
+        }
+    };
+})();
+
 const simpleHash = (str) => {
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
@@ -308,73 +971,1118 @@ const detectMarketplace = (url) => {
     return { name: 'Other', class: 'badge-other', category: 'General' };
 };
 
-// ==================== ICON COMPONENTS ====================
+// ==================== AD ROTATION ====================
 
-const Icons = {
-    Search: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" /></svg>,
-    Home: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" /></svg>,
-    Message: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" /></svg>,
-    Cart: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" /></svg>,
-    Work: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>,
-    User: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>,
-    Sparkles: () => <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M5 2a1 1 0 011 1v1h1a1 1 0 010 2H6v1a1 1 0 01-2 0V6H3a1 1 0 010-2h1V3a1 1 0 011-1zm0 8a1 1 0 011 1v1h1a1 1 0 110 2H6v1a1 1 0 11-2 0v-1H3a1 1 0 110-2h1v-1a1 1 0 011-1zM12 2a1 1 0 01.967.744L14.146 7.2 17.5 9.134a1 1 0 010 1.732l-3.354 1.935-1.18 4.455a1 1 0 01-1.933 0L9.854 12.8 6.5 10.866a1 1 0 010-1.732l3.354-1.935 1.18-4.455A1 1 0 0112 2z" clipRule="evenodd" /></svg>,
-    ChevronRight: () => <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" /></svg>,
-    Clock: () => <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>,
-    ArrowLeft: () => <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" /></svg>,
-    Trash: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>,
-    Link: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" /></svg>,
-    Plus: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" /></svg>,
-    Logout: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" /></svg>,
-    Image: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" /></svg>,
-    Document: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" /></svg>,
-    Edit: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" /></svg>,
-    Settings: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg>,
-    Menu: () => <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" /></svg>,
-    Dashboard: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" /></svg>,
-    Users: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" /></svg>,
-    Tag: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" /></svg>,
-    Package: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" /></svg>,
-    Upload: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" /></svg>,
-    Lock: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" /></svg>,
-    Mail: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>,
-    Palette: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" /></svg>,
-    Play: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>,
-    Megaphone: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z" /></svg>,
-    Key: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" /></svg>,
-    Check: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" /></svg>,
-    Affiliate: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" /></svg>,
-    Chart: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" /></svg>,
-    Phone: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" /></svg>,
-    Loader: () => <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>,
-    Share: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" /></svg>,
-    WhatsApp: () => <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>,
-    Facebook: () => <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/></svg>,
-    Twitter: () => <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M23.953 4.57a10 10 0 01-2.825.775 4.958 4.958 0 002.163-2.723c-.951.555-2.005.959-3.127 1.184a4.92 4.92 0 00-8.384 4.482C7.69 8.095 4.067 6.13 1.64 3.162a4.822 4.822 0 00-.666 2.475c0 1.71.87 3.213 2.188 4.096a4.904 4.904 0 01-2.228-.616v.06a4.923 4.923 0 003.946 4.827 4.996 4.996 0 01-2.212.085 4.936 4.936 0 004.604 3.417 9.867 9.867 0 01-6.102 2.105c-.39 0-.779-.023-1.17-.067a13.995 13.995 0 007.557 2.209c9.053 0 13.998-7.496 13.998-13.985 0-.21 0-.42-.015-.63A9.935 9.935 0 0024 4.59z"/></svg>,
-    Copy: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" /></svg>,
-    Globe: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+// dailyRateUSD is the default self-service price; admins can override it per position
+const AD_POSITIONS = [
+    { id: 'header', label: 'Header (all listing pages)', dailyRateUSD: 15 },
+    { id: 'home_top', label: 'Home Top', dailyRateUSD: 25 },
+    { id: 'category_top', label: 'Category Page Top', dailyRateUSD: 12 },
+    { id: 'sidebar', label: 'Sidebar (product page)', dailyRateUSD: 8 },
+    { id: 'product_detail', label: 'Product Page, below price', dailyRateUSD: 10 }
+];
+
+// Per-visitor view counts ({ adId: { date, count } }) stay in this browser for frequency capping
+const AdRotation = {
+    STORAGE_KEY: 'nextordersl_ad_views',
+
+    loadViews: () => {
+        try {
+            return JSON.parse(localStorage.getItem(AdRotation.STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    recordView: (adId, today = new Date().toISOString().split('T')[0]) => {
+        const views = AdRotation.loadViews();
+        const entry = views[adId]?.date === today ? views[adId] : { date: today, count: 0 };
+        views[adId] = { date: today, count: entry.count + 1 };
+        localStorage.setItem(AdRotation.STORAGE_KEY, JSON.stringify(views));
+    },
+
+    // frequencyCap is the most times one visitor sees an ad per day; 0 means no cap
+    isCapped: (ad, views, today = new Date().toISOString().split('T')[0]) => Boolean(ad.frequencyCap) &&
+        views[ad.id]?.date === today && views[ad.id].count >= ad.frequencyCap,
+
+    // Booked ads carry a date window; house ads without dates always run
+    isScheduled: (ad, today = new Date().toISOString().split('T')[0]) => (!ad.startDate || ad.startDate <= today) && (!ad.endDate || ad.endDate >= today),
+
+    eligible: (ads, position, views) => ads.filter(ad => ad.active && ad.code && ad.position === position &&
+        AdRotation.isScheduled(ad) && !AdRotation.isCapped(ad, views)),
+
+    // Weighted random choice; weight defaults to 1
+    pick: (ads, random = Math.random) => {
+        const total = ads.reduce((sum, ad) => sum + Math.max(ad.weight || 1, 0), 0);
+        if (total <= 0) return null;
+        let roll = random() * total;
+        return ads.find(ad => (roll -= Math.max(ad.weight || 1, 0)) < 0) || ads[ads.length - 1];
+    }
 };
 
-// ==================== MODAL COMPONENTS ====================
+// Third-party ad code runs in a sandboxed iframe with an opaque origin, so it can't reach the
+// store's DOM, cookies or localStorage. The CSP limits scripts to known ad networks.
+// Ad clicks open the landing page in a new tab; allow-popups-to-escape-sandbox keeps that tab from
+// inheriting these flags (an opaque origin without cookies or forms would break the advertiser's site).
+// The frame itself gets no allow-same-origin or allow-top-navigation, so it can't touch the store.
+const AdSandbox = {
+    SANDBOX: 'allow-scripts allow-popups allow-popups-to-escape-sandbox',
+    MESSAGE_TYPE: 'nextordersl-ad-size',
+    CLICK_TYPE: 'nextordersl-ad-click',
+    MAX_HEIGHT: 600,
+    SCRIPT_HOSTS: [
+        'https://pagead2.googlesyndication.com',
+        'https://tpc.googlesyndication.com',
+        'https://*.googlesyndication.com',
+        'https://*.doubleclick.net',
+        'https://www.googletagservices.com',
+        'https://*.adtrafficquality.google'
+    ],
+
+    policy: () => [
+        "default-src 'none'",
+        `script-src 'unsafe-inline' ${AdSandbox.SCRIPT_HOSTS.join(' ')}`,
+        "style-src 'unsafe-inline' https:",
+        'img-src https: data:',
+        'font-src https: data:',
+        'frame-src https:',
+        'connect-src https:'
+    ].join('; '),
+
+    // Reports the content height and link clicks to the parent; the frame itself can't be observed from outside
+    bridgeScript: () => `<script>(function(){var last=0;function send(){var h=document.documentElement.scrollHeight;if(h!==last){last=h;parent.postMessage({type:'${AdSandbox.MESSAGE_TYPE}',height:h},'*');}}window.addEventListener('load',send);if(window.ResizeObserver){new ResizeObserver(send).observe(document.documentElement);}send();document.addEventListener('click',function(e){if(e.target.closest&&e.target.closest('a')){parent.postMessage({type:'${AdSandbox.CLICK_TYPE}'},'*');}},true);})();<\/script>`,
+
+    document: (code) => `<!DOCTYPE html><html><head><meta charset="utf-8">` +
+        `<meta http-equiv="Content-Security-Policy" content="${AdSandbox.policy()}">` +
+        `<base target="_blank"><style>html,body{margin:0;padding:0;overflow:hidden;}body{display:flex;justify-content:center;}</style>` +
+        `</head><body>${code}${AdSandbox.bridgeScript()}</body></html>`
+};
 
-const CustomModal = ({ isOpen, onClose, title, message, type = 'success', actions }) => {
-    if (!isOpen) return null;
-    
-    useEffect(() => {
-        const timer = setTimeout(() => {
-            if (!actions) onClose();
-        }, 3000);
-        return () => clearTimeout(timer);
-    }, [actions, onClose]);
+// Self-service ad bookings. Quotes cover every day of the inclusive date range.
+const AdBookings = {
+    MAX_CREATIVE_BYTES: 300 * 1024,
+    BADGES: {
+        pending: 'bg-yellow-100 text-yellow-700',
+        scheduled: 'bg-blue-100 text-blue-700',
+        running: 'bg-green-100 text-green-700',
+        ended: 'bg-gray-100 text-gray-500',
+        rejected: 'bg-red-100 text-red-700',
+        cancelled: 'bg-gray-100 text-gray-500'
+    },
 
-    const iconMap = {
-        success: '✓',
-        error: '✕',
-        info: 'ℹ',
-        warning: '!'
-    };
+    escape: (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])),
 
-    return (
-        <div className="modal-overlay" onClick={onClose}>
+    days: (startDate, endDate) => Math.round((new Date(endDate) - new Date(startDate)) / 86400000) + 1,
+
+    dailyRate: (position, rates = {}) => rates[position] ?? AD_POSITIONS.find(p => p.id === position)?.dailyRateUSD ?? 0,
+
+    quoteUSD: (position, startDate, endDate, rates) => {
+        if (!startDate || !endDate || endDate < startDate) return 0;
+        return Math.round(AdBookings.days(startDate, endDate) * AdBookings.dailyRate(position, rates) * 100) / 100;
+    },
+
+    // Approved bookings show as scheduled, running or ended depending on today's date
+    phase: (booking, today = new Date().toISOString().split('T')[0]) => {
+        if (booking.status !== 'approved') return booking.status;
+        if (today < booking.startDate) return 'scheduled';
+        return today > booking.endDate ? 'ended' : 'running';
+    },
+
+    creativeCode: ({ image, linkUrl, alt }) => `<a href="${AdBookings.escape(linkUrl)}" target="_blank" rel="noopener">` +
+        `<img src="${AdBookings.escape(image)}" alt="${AdBookings.escape(alt)}" style="display:block;max-width:100%;height:auto;"></a>`,
+
+    toAdvertisement: (booking, id) => ({
+        id,
+        name: `${booking.company || booking.advertiserName} (booking #${booking.id})`,
+        code: AdBookings.creativeCode(booking.creative),
+        position: booking.position,
+        weight: 1,
+        frequencyCap: 0,
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+        bookingId: booking.id,
+        active: true
+    })
+};
+
+// Storefront sort orders; 'recommended' keeps the catalog order
+const PRODUCT_SORTS = [
+    { id: 'recommended', label: 'Recommended', compare: null },
+    { id: 'newest', label: 'Newest', compare: (a, b) => b.id - a.id },
+    { id: 'price_asc', label: 'Price: Low to High', compare: (a, b) => a.priceUSD - b.priceUSD },
+    { id: 'price_desc', label: 'Price: High to Low', compare: (a, b) => b.priceUSD - a.priceUSD },
+    { id: 'discount', label: 'Biggest Discount', compare: (a, b) => (b.discount || 0) - (a.discount || 0) },
+    { id: 'sold', label: 'Best Selling', compare: (a, b) => (b.sold || 0) - (a.sold || 0) },
+    { id: 'rating', label: 'Top Rated', compare: (a, b) => (parseFloat(b.rating) || 0) - (parseFloat(a.rating) || 0) }
+];
+
+const PLATFORM_FILTERS = [
+    { id: 'daraz', name: 'Daraz', color: 'bg-orange-500', text: 'text-white' },
+    { id: 'ebay', name: 'eBay', color: 'bg-red-500', text: 'text-white' },
+    { id: 'aliexpress', name: 'AliExpress', color: 'bg-orange-400', text: 'text-white' },
+    { id: 'amazon', name: 'Amazon', color: 'bg-yellow-500', text: 'text-gray-900' },
+    { id: 'alibaba', name: 'Alibaba', color: 'bg-orange-600', text: 'text-white' }
+];
+
+// Price bounds are in the shopper's display currency; discount and rating are minimums
+const DEFAULT_PRODUCT_FILTERS = { minPrice: '', maxPrice: '', minDiscount: 0, minRating: 0, category: '' };
+const DISCOUNT_STEPS = [10, 25, 50, 70];
+const RATING_STEPS = [3, 4, 4.5];
+
+// ==================== PRODUCT SCRAPER ====================
+
+// Parsers are pure functions over an HTML string so they can be run against saved pages
+const ProductScraper = (() => {
+    const decodeEntities = (str) => String(str)
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+        .replace(/&amp;/g, '&');
+
+    const cleanText = (str) => str ? decodeEntities(str.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim() : '';
+
+    const getAttr = (tag, name) => {
+        const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+        return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+    };
+
+    // "Rs. 1,299.00", "US $12.50", "1.299,00 €", "2.5K+" -> number
+    const parseNumber = (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        const str = String(value).replace(/\s/g, '');
+        const match = str.match(/\d[\d.,]*/);
+        if (!match) return null;
+        let num = match[0].replace(/[.,]$/, '');
+        const lastComma = num.lastIndexOf(',');
+        const lastDot = num.lastIndexOf('.');
+        if (lastComma > -1 && lastDot > -1) {
+            num = lastComma > lastDot ? num.replace(/\./g, '').replace(',', '.') : num.replace(/,/g, '');
+        } else if (lastComma > -1) {
+            num = /,\d{3}$/.test(num) || (num.match(/,/g) || []).length > 1 ? num.replace(/,/g, '') : num.replace(',', '.');
+        } else if ((num.match(/\./g) || []).length > 1) {
+            num = num.replace(/\./g, '');
+        }
+        const parsed = parseFloat(num);
+        if (isNaN(parsed)) return null;
+        const suffix = str.slice(str.indexOf(match[0]) + match[0].length).charAt(0).toUpperCase();
+        return suffix === 'K' ? parsed * 1000 : suffix === 'M' ? parsed * 1000000 : parsed;
+    };
+
+    const currencyFromText = (str) => {
+        if (!str) return null;
+        const code = String(str).match(/\b(USD|LKR|INR|EUR|GBP|AUD|CAD|SGD|JPY|CNY)\b/i);
+        if (code) return code[1].toUpperCase();
+        if (/US\s?\$|^\s*\$/.test(str)) return 'USD';
+        if (/Rs\.?|රු/.test(str)) return 'LKR';
+        if (/₹/.test(str)) return 'INR';
+        if (/€/.test(str)) return 'EUR';
+        if (/£/.test(str)) return 'GBP';
+        if (/¥|￥/.test(str)) return 'CNY';
+        return null;
+    };
+
+    // <meta property|name="x" content="y"> -> { x: [y, ...] }
+    const extractMeta = (html) => {
+        const meta = {};
+        (html.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+            const key = (getAttr(tag, 'property') || getAttr(tag, 'name') || getAttr(tag, 'itemprop') || '').toLowerCase();
+            const content = getAttr(tag, 'content');
+            if (!key || content === null) return;
+            (meta[key] = meta[key] || []).push(content);
+        });
+        return meta;
+    };
+
+    const extractJsonLd = (html) => {
+        const blocks = [];
+        const pattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+        while ((match = pattern.exec(html))) {
+            try {
+                const data = JSON.parse(match[1].trim());
+                const queue = Array.isArray(data) ? data : [data];
+                queue.forEach(item => {
+                    if (!item || typeof item !== 'object') return;
+                    blocks.push(item);
+                    if (Array.isArray(item['@graph'])) blocks.push(...item['@graph']);
+                });
+            } catch (e) {
+                // Malformed blocks are common on marketplace pages; skip them
+            }
+        }
+        return blocks;
+    };
+
+    // schema.org availability URLs, og "instock"/"oos" values or page copy -> 'in_stock' | 'out_of_stock'
+    const normalizeAvailability = (value) => {
+        if (!value) return null;
+        const str = String(value).toLowerCase().replace(/[^a-z]/g, '');
+        if (/outofstock|oos|soldout|discontinued|unavailable/.test(str)) return 'out_of_stock';
+        if (/instock|limitedavailability|preorder|available/.test(str)) return 'in_stock';
+        return null;
+    };
+
+    const isType = (item, type) => [].concat(item?.['@type'] || []).some(t => String(t).toLowerCase() === type);
+
+    // First itemprop value inside the page: content/src/href attribute, else the element text
+    const extractItemprop = (html, prop) => {
+        const pattern = new RegExp(`<(\\w+)\\b[^>]*\\sitemprop\\s*=\\s*["']${prop}["'][^>]*>`, 'i');
+        const match = html.match(pattern);
+        if (!match) return null;
+        const tag = match[0];
+        const attr = getAttr(tag, 'content') ?? getAttr(tag, 'src') ?? getAttr(tag, 'href');
+        if (attr !== null) return attr;
+        const rest = html.slice(match.index + tag.length);
+        const close = rest.search(new RegExp(`</${match[1]}>`, 'i'));
+        return close > -1 ? cleanText(rest.slice(0, close)) : null;
+    };
+
+    const toImageList = (value) => [].concat(value || [])
+        .map(img => typeof img === 'string' ? img : img?.url || img?.contentUrl)
+        .filter(img => img && /^https?:\/\//.test(img));
+
+    const fromJsonLd = (html) => {
+        const product = extractJsonLd(html).find(item => isType(item, 'product'));
+        if (!product) return {};
+        const offers = [].concat(product.offers || [])[0] || {};
+        const priceSpec = [].concat(offers.priceSpecification || [])[0] || {};
+        return {
+            title: product.name,
+            description: product.description,
+            images: toImageList(product.image),
+            price: parseNumber(offers.price ?? offers.lowPrice ?? priceSpec.price),
+            currency: offers.priceCurrency || priceSpec.priceCurrency,
+            rating: parseNumber(product.aggregateRating?.ratingValue),
+            sold: null,
+            availability: normalizeAvailability(offers.availability)
+        };
+    };
+
+    const fromMicrodata = (html) => ({
+        title: extractItemprop(html, 'name'),
+        description: extractItemprop(html, 'description'),
+        images: toImageList(extractItemprop(html, 'image')),
+        price: parseNumber(extractItemprop(html, 'price') ?? extractItemprop(html, 'lowPrice')),
+        currency: extractItemprop(html, 'priceCurrency'),
+        rating: parseNumber(extractItemprop(html, 'ratingValue')),
+        availability: normalizeAvailability(extractItemprop(html, 'availability'))
+    });
+
+    const fromOpenGraph = (html) => {
+        const meta = extractMeta(html);
+        const first = (...keys) => keys.map(k => meta[k]?.[0]).find(v => v) || null;
+        const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        return {
+            title: first('og:title', 'twitter:title') || (titleTag ? cleanText(titleTag[1]) : null),
+            description: first('og:description', 'description', 'twitter:description'),
+            images: toImageList([...(meta['og:image'] || []), ...(meta['og:image:secure_url'] || []), ...(meta['twitter:image'] || [])]),
+            price: parseNumber(first('product:price:amount', 'og:price:amount', 'product:sale_price:amount')),
+            originalPrice: parseNumber(first('product:original_price:amount')),
+            currency: first('product:price:currency', 'og:price:currency', 'product:sale_price:currency'),
+            availability: normalizeAvailability(first('product:availability', 'og:availability'))
+        };
+    };
+
+    const soldFromText = (html) => {
+        const match = cleanText(html).match(/(\d[\d.,]*\s*[KkMm]?\+?)\s*(?:sold|orders|bought)/i);
+        return match ? parseNumber(match[1]) : null;
+    };
+
+    // "key": 12.5, "key": "12.5" or "key": { "currency": "USD", "value": 12.5 }
+    const jsonNumber = (html, key) => {
+        const match = html.match(new RegExp(`"${key}"\\s*:\\s*(?:\\{[^}]*?"value"\\s*:\\s*)?"?([\\d.,]+)`));
+        return match ? parseNumber(match[1]) : null;
+    };
+
+    const marketplaceParsers = {
+        AliExpress: (html) => ({
+            price: jsonNumber(html, 'minActivityAmount') ?? jsonNumber(html, 'minAmount'),
+            originalPrice: jsonNumber(html, 'maxAmount') ?? parseNumber(cleanText(html.match(/class="[^"]*price--original[^"]*"[^>]*>([\s\S]*?)<\/span>/i)?.[1])),
+            currency: html.match(/"currencyCode"\s*:\s*"([A-Z]{3})"/)?.[1],
+            rating: jsonNumber(html, 'averageStar') ?? jsonNumber(html, 'averageStarRate'),
+            sold: jsonNumber(html, 'tradeCount') ?? soldFromText(html)
+        }),
+        Daraz: (html) => ({
+            price: parseNumber(html.match(/"salePrice"\s*:\s*\{[^}]*"value"\s*:\s*([\d.]+)/)?.[1]),
+            originalPrice: parseNumber(html.match(/"originalPrice"\s*:\s*\{[^}]*"value"\s*:\s*([\d.]+)/)?.[1]),
+            currency: html.match(/"currency"\s*:\s*"([A-Z]{3})"/)?.[1],
+            rating: jsonNumber(html, 'average'),
+            sold: soldFromText(html)
+        }),
+        eBay: (html) => ({
+            originalPrice: parseNumber(cleanText(html.match(/class="[^"]*(?:ux-textspans--STRIKETHROUGH|x-additional-info__textual-display)[^"]*"[^>]*>([\s\S]*?)<\/span>/i)?.[1])),
+            sold: soldFromText(html)
+        }),
+        Amazon: (html) => {
+            const priceText = cleanText(html.match(/class="[^"]*priceToPay[^"]*"[\s\S]*?class="a-offscreen"[^>]*>([\s\S]*?)<\/span>/i)?.[1]);
+            const dynamicImages = html.match(/data-a-dynamic-image\s*=\s*"([^"]+)"/i)?.[1];
+            let images = [];
+            try { images = dynamicImages ? Object.keys(JSON.parse(decodeEntities(dynamicImages))) : []; } catch (e) { images = []; }
+            return {
+                title: cleanText(html.match(/id="productTitle"[^>]*>([\s\S]*?)<\/span>/i)?.[1]) || null,
+                images: toImageList([getAttr(html.match(/<img[^>]*data-old-hires[^>]*>/i)?.[0] || '', 'data-old-hires'), ...images]),
+                price: parseNumber(priceText),
+                originalPrice: parseNumber(cleanText(html.match(/class="a-price a-text-price"[\s\S]*?class="a-offscreen"[^>]*>([\s\S]*?)<\/span>/i)?.[1])),
+                currency: currencyFromText(priceText),
+                rating: parseNumber(html.match(/([\d.]+) out of 5 stars/i)?.[1]),
+                sold: soldFromText(html),
+                availability: normalizeAvailability(cleanText(html.match(/id="availability"[^>]*>([\s\S]*?)<\/div>/i)?.[1]))
+            };
+        },
+        Alibaba: (html) => ({
+            price: jsonNumber(html, 'formatPrice') ?? jsonNumber(html, 'price'),
+            rating: jsonNumber(html, 'averageStar'),
+            sold: soldFromText(html)
+        })
+    };
+
+    // Used only when the page itself doesn't state a currency
+    const defaultCurrencies = { Daraz: 'LKR' };
+
+    const firstDefined = (...values) => values.find(v => v !== null && v !== undefined && v !== '' && !(Array.isArray(v) && v.length === 0));
+
+    const parse = (html, url = '') => {
+        const marketplace = detectMarketplace(url);
+        const site = (marketplaceParsers[marketplace.name] || (() => ({})))(html);
+        const sources = [site, fromJsonLd(html), fromMicrodata(html), fromOpenGraph(html)];
+        const field = (key) => firstDefined(...sources.map(s => s[key])) ?? null;
+
+        const price = field('price');
+        const originalPrice = field('originalPrice');
+        const currency = String(field('currency') || currencyFromText(cleanText(html).slice(0, 5000)) || defaultCurrencies[marketplace.name] || 'USD').toUpperCase();
+
+        return {
+            title: field('title') ? cleanText(field('title')) : null,
+            description: field('description') ? cleanText(field('description')) : null,
+            images: [...new Set(sources.flatMap(s => s.images || []))].slice(0, 5),
+            price,
+            originalPrice: originalPrice && price && originalPrice > price ? originalPrice : null,
+            currency,
+            rating: field('rating'),
+            sold: field('sold') !== null ? Math.round(field('sold')) : null,
+            availability: field('availability') ||
+                (/currently unavailable|out of stock|sold out|no longer available/i.test(cleanText(html).slice(0, 20000)) ? 'out_of_stock' : null),
+            marketplace: marketplace.name
+        };
+    };
+
+    // Marketplaces don't allow cross-origin reads, so pages go through a proxy when one is configured:
+    // NEXTORDERSL_CONFIG.scraper = { proxyUrl: 'https://example.com/fetch?url={url}' }
+    const fetchHtml = async (url) => {
+        const proxyUrl = window.NEXTORDERSL_CONFIG?.scraper?.proxyUrl;
+        const target = proxyUrl
+            ? (proxyUrl.includes('{url}') ? proxyUrl.replace('{url}', encodeURIComponent(url)) : proxyUrl + encodeURIComponent(url))
+            : url;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 15000);
+        try {
+            const response = await fetch(target, { signal: controller.signal });
+            if (!response.ok) {
+                const error = new Error(`Product page returned ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return await response.text();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    };
+
+    const scrape = async (url) => parse(await fetchHtml(url), url);
+
+    return {
+        parse,
+        scrape,
+        fetchHtml,
+        hasProxy: () => Boolean(window.NEXTORDERSL_CONFIG?.scraper?.proxyUrl),
+        parseNumber,
+        extractMeta,
+        extractJsonLd,
+        parsers: marketplaceParsers
+    };
+})();
+
+// ==================== PRICE MONITOR ====================
+
+// Turns a scrape result (or failure) into a patch for a stored product plus a list of reportable changes
+const PriceMonitor = {
+    MAX_FAILURES: 3,
+    HISTORY_LIMIT: 90,
+    BATCH_SIZE: 5,
+
+    isDue: (product, intervalHours, now = Date.now()) => Boolean(product.affiliateLink) &&
+        (!product.lastCheckedAt || now - new Date(product.lastCheckedAt).getTime() >= intervalHours * 60 * 60 * 1000),
+
+    // Products saved before tracking started get their stored price as the first point
+    historyOf: (product) => product.priceHistory?.length ? product.priceHistory
+        : product.priceUSD ? [{ date: product.addedDate || new Date().toISOString(), priceUSD: product.priceUSD, originalPriceUSD: product.originalPriceUSD }] : [],
+
+    recordPrice: (history = [], priceUSD, originalPriceUSD, date = new Date().toISOString()) => {
+        const last = history[history.length - 1];
+        if (last && last.priceUSD === priceUSD && last.originalPriceUSD === originalPriceUSD) return history;
+        return [...history, { date, priceUSD, originalPriceUSD }].slice(-PriceMonitor.HISTORY_LIMIT);
+    },
+
+    applyResult: (product, scraped, now = new Date().toISOString()) => {
+        if (scraped.price === null && scraped.availability !== 'out_of_stock') {
+            return PriceMonitor.applyFailure(product, new Error('No price found on the product page'), now);
+        }
+
+        const changes = [];
+        const updates = { lastCheckedAt: now, refreshFailures: 0, lastRefreshError: null };
+
+        if (scraped.price !== null) {
+            const priceUSD = CurrencyConverter.toUSD(scraped.price, scraped.currency);
+            const originalPriceUSD = scraped.originalPrice !== null
+                ? CurrencyConverter.toUSD(scraped.originalPrice, scraped.currency)
+                : Math.max(priceUSD, product.originalPriceUSD || 0);
+            if (Math.abs(priceUSD - (product.priceUSD || 0)) >= 0.01) {
+                changes.push({ type: 'price', from: product.priceUSD, to: priceUSD });
+            }
+            Object.assign(updates, {
+                priceUSD,
+                originalPriceUSD,
+                discount: originalPriceUSD > 0 ? Math.max(0, Math.round(((originalPriceUSD - priceUSD) / originalPriceUSD) * 100)) : 0,
+                priceHistory: PriceMonitor.recordPrice(PriceMonitor.historyOf(product), priceUSD, originalPriceUSD, now)
+            });
+        }
+        if (scraped.sold !== null && scraped.sold !== product.sold) updates.sold = scraped.sold;
+
+        updates.stockStatus = scraped.availability === 'out_of_stock' ? 'out_of_stock' : 'in_stock';
+        if (updates.stockStatus !== (product.stockStatus || 'in_stock')) {
+            changes.push({ type: 'stock', from: product.stockStatus || 'in_stock', to: updates.stockStatus });
+        }
+        if (product.autoHidden) {
+            Object.assign(updates, { hidden: false, autoHidden: false });
+            changes.push({ type: 'restored' });
+        }
+        return { updates, changes };
+    },
+
+    applyFailure: (product, error, now = new Date().toISOString()) => {
+        const changes = [];
+        const failures = (product.refreshFailures || 0) + 1;
+        const updates = { lastCheckedAt: now, refreshFailures: failures, lastRefreshError: error.message };
+
+        if ((error.status === 404 || error.status === 410) && product.stockStatus !== 'dead') {
+            updates.stockStatus = 'dead';
+            changes.push({ type: 'stock', from: product.stockStatus || 'in_stock', to: 'dead' });
+        }
+        if (failures >= PriceMonitor.MAX_FAILURES && !product.hidden) {
+            Object.assign(updates, { hidden: true, autoHidden: true });
+            changes.push({ type: 'hidden', reason: error.message });
+        }
+        return { updates, changes };
+    },
+
+    // Watches on the given products that should be emailed now, and the watch patches to store.
+    // A watch fires once per drop below target and re-arms when the price climbs back above it.
+    checkWatches: (watches, products, now = new Date().toISOString()) => {
+        const alerts = [];
+        const updates = {};
+        watches.forEach(watch => {
+            const product = products.find(p => p.id === watch.productId);
+            if (!product || !Moderation.isListed(product)) return;
+            if (!watch.notifiedAt && product.priceUSD <= watch.targetUSD) {
+                updates[watch.id] = { notifiedAt: now, notifiedPriceUSD: product.priceUSD };
+                alerts.push({ watch, product });
+            } else if (watch.notifiedAt && product.priceUSD > watch.targetUSD) {
+                updates[watch.id] = { notifiedAt: null, notifiedPriceUSD: null };
+            }
+        });
+        return { alerts, updates };
+    }
+};
+
+// ==================== FLASH SALES ====================
+
+// Campaigns: { id, title, subtitle, startsAt, endsAt, active, items: [{ productId, salePriceUSD }] }
+// Status is derived from the clock, so a campaign ends on time without anything rewriting it.
+const FlashSales = {
+    statusOf: (campaign, now = Date.now()) => {
+        if (!campaign.active) return 'disabled';
+        if (now < new Date(campaign.startsAt).getTime()) return 'scheduled';
+        if (now >= new Date(campaign.endsAt).getTime()) return 'ended';
+        return 'live';
+    },
+
+    // The live campaign ending soonest, if any
+    current: (campaigns, now = Date.now()) => campaigns
+        .filter(c => FlashSales.statusOf(c, now) === 'live')
+        .sort((a, b) => new Date(a.endsAt) - new Date(b.endsAt))[0] || null,
+
+    hasPending: (campaigns, now = Date.now()) => campaigns.some(c => ['live', 'scheduled'].includes(FlashSales.statusOf(c, now))),
+
+    // Sale price for a product in a campaign; items without one keep the regular price
+    salePriceOf: (campaign, product) => {
+        const item = campaign?.items.find(i => i.productId === product.id);
+        if (!item) return null;
+        return item.salePriceUSD && item.salePriceUSD < product.priceUSD ? item.salePriceUSD : product.priceUSD;
+    },
+
+    timeLeft: (endsAt, now = Date.now()) => {
+        const total = Math.max(0, Math.floor((new Date(endsAt).getTime() - now) / 1000));
+        return {
+            days: Math.floor(total / 86400),
+            hours: Math.floor((total % 86400) / 3600),
+            minutes: Math.floor((total % 3600) / 60),
+            seconds: total % 60
+        };
+    },
+
+    formatTimeLeft: (endsAt, now = Date.now()) => {
+        const { days, hours, minutes, seconds } = FlashSales.timeLeft(endsAt, now);
+        const clock = [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+        return days > 0 ? `${days}d ${clock}` : clock;
+    }
+};
+
+// ==================== MODERATION ====================
+
+// Affiliate products move draft -> pending -> approved | rejected; products without a status predate moderation
+const Moderation = {
+    LABELS: { draft: 'Draft', pending: 'Pending Review', approved: 'Approved', rejected: 'Rejected' },
+    BADGES: {
+        draft: 'bg-gray-100 text-gray-600',
+        pending: 'bg-yellow-100 text-yellow-700',
+        approved: 'bg-green-100 text-green-700',
+        rejected: 'bg-red-100 text-red-700'
+    },
+    DEFAULT_MARKETPLACES: ['AliExpress', 'Daraz', 'eBay', 'Amazon', 'Alibaba'],
+    MAX_DISCOUNT: 90,
+
+    statusOf: (product) => product.moderation || 'approved',
+
+    // What shoppers may see: approved and neither paused nor auto-hidden
+    isListed: (product) => !product.hidden && Moderation.statusOf(product) === 'approved',
+
+    // Affiliate links differ by tracking parameters, so duplicates are compared on host and path only
+    normalizeLink: (url) => (url || '').trim().toLowerCase()
+        .replace(/^https?:\/\/(www\.|m\.)?/, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, ''),
+
+    checks: (product, products, allowedMarketplaces = Moderation.DEFAULT_MARKETPLACES) => {
+        const issues = [];
+        const images = (product.images || []).filter(img => img && !img.startsWith('https://via.placeholder.com'));
+        if (images.length === 0) issues.push('No product images');
+        if ((product.discount || 0) > Moderation.MAX_DISCOUNT) {
+            issues.push(`Discount of ${product.discount}% is above ${Moderation.MAX_DISCOUNT}%`);
+        }
+        const link = Moderation.normalizeLink(product.affiliateLink);
+        const duplicate = link && products.find(p => p.id !== product.id && Moderation.normalizeLink(p.affiliateLink) === link);
+        if (duplicate) issues.push(`Same link as "${duplicate.title}"`);
+        if (!allowedMarketplaces.includes(product.marketplace)) {
+            issues.push(`${product.marketplace || 'Unknown'} is not an allowed marketplace`);
+        }
+        return issues;
+    }
+};
+
+// ==================== COMMISSIONS ====================
+
+// Rules: { id, scope: 'default' | 'marketplace' | 'category' | 'affiliate', target, type: 'percent' | 'flat', rate, active }
+// Ledger entries: { id, affiliateId, productId, saleUSD, commissionUSD, rule, status, payoutId, createdAt, recordedBy, reviewedBy }
+// Entries move pending -> approved -> paid; a pending entry can also be rejected, and unpaid entries are
+// rejected with voidReason when their affiliate is removed. All amounts are USD.
+// The ledger and payouts can be edited from a browser, so a shared backend checks every change to them
+// with authorize() before applying it, and the app only pays out entries that verify().
+const Commissions = {
+    STATUSES: ['pending', 'approved', 'paid', 'rejected'],
+    DEFAULT_MIN_PAYOUT_USD: 10,
+    // The most specific matching rule wins
+    PRECEDENCE: ['affiliate', 'category', 'marketplace', 'default'],
+
+    round: (amount) => Math.round(amount * 100) / 100,
+
+    // categories lists the product's category and its parents, deepest first
+    ruleFor: (rules, { affiliateId, categories = [], marketplace }) => {
+        const active = rules.filter(r => r.active);
+        for (const scope of Commissions.PRECEDENCE) {
+            const candidates = active.filter(r => r.scope === scope);
+            const match = scope === 'affiliate' ? candidates.find(r => String(r.target) === String(affiliateId))
+                : scope === 'category' ? categories.map(name => candidates.find(r => r.target === name)).find(Boolean)
+                : scope === 'marketplace' ? candidates.find(r => r.target === marketplace)
+                : candidates[0];
+            if (match) return match;
+        }
+        return null;
+    },
+
+    amountFor: (rule, saleUSD) => {
+        if (!rule) return 0;
+        return Commissions.round(rule.type === 'flat' ? rule.rate : saleUSD * rule.rate / 100);
+    },
+
+    // A pending entry for a reported sale. The sale is rounded to cents first, so the commission follows from
+    // the stored sale amount and the entry passes verify()
+    newEntry: (rule, { affiliateId, productId = null, orderRef = '', saleUSD, recordedBy }, now = new Date()) => {
+        const sale = Commissions.round(saleUSD);
+        return {
+            id: now.getTime(),
+            affiliateId,
+            productId,
+            orderRef,
+            saleUSD: sale,
+            commissionUSD: Commissions.amountFor(rule, sale),
+            // Snapshot of the rule, so later rate changes don't rewrite history
+            rule: { id: rule.id, scope: rule.scope, target: rule.target, type: rule.type, rate: rule.rate },
+            status: 'pending',
+            payoutId: null,
+            createdAt: now.toISOString(),
+            recordedBy
+        };
+    },
+
+    // The amount has to follow from the entry's own rule snapshot, and anything past pending names its reviewer
+    verify: (entry) => Boolean(entry?.rule) && Commissions.STATUSES.includes(entry.status) && entry.saleUSD > 0 &&
+        entry.commissionUSD === Commissions.amountFor(entry.rule, entry.saleUSD) &&
+        (entry.status === 'pending' || Boolean(entry.reviewedBy)),
+
+    // null when the payout can be paid, otherwise the reason it can't
+    checkPayout: (payout, ledger) => {
+        const entries = payout.entryIds.map(id => ledger.find(e => e.id === id));
+        if (!entries.length || entries.some(e => !e)) return 'Some commissions in this payout no longer exist.';
+        if (entries.some(e => e.affiliateId !== payout.affiliateId || e.payoutId !== payout.id)) {
+            return 'Some commissions in this payout belong to another affiliate or payout.';
+        }
+        if (entries.some(e => !['approved', 'paid'].includes(e.status) || !Commissions.verify(e))) {
+            return "Some commissions in this payout were never approved or don't match their commission rule.";
+        }
+        const total = Commissions.round(entries.reduce((sum, e) => sum + e.commissionUSD, 0));
+        return total === payout.amountUSD ? null : `The payout asks for ${payout.amountUSD} USD but its commissions add up to ${total} USD.`;
+    },
+
+    // Checks a StatePatches patch to commission_ledger or payouts before it is sent to a shared backend.
+    // actor is the signed-in account ({ role, email, affiliateId }); ledger is commission_ledger after the change.
+    // Returns null when the patch may be sent, otherwise the reason it can't. Affiliate managers record and
+    // review entries and mark payouts paid; an affiliate can only put its own approved entries into a new
+    // payout request. A backend serving several accounts has to enforce the same rules itself.
+    authorize: (key, patch, current, actor, ledger) => {
+        const rows = new Map((current || []).map(row => [String(row.id), row]));
+        const changes = Object.entries(patch.upsert).map(([id, row]) => ({ before: rows.get(id), after: row }));
+        if (patch.remove.length || Object.keys(patch.increment).length) return 'Commission records cannot be deleted.';
+
+        if (AccessControl.can(actor.role, 'affiliates.manage')) {
+            if (key === 'commission_ledger') {
+                const bad = changes.find(({ before, after }) => (after.status !== 'rejected' && !Commissions.verify(after)) ||
+                    (!before && (after.status !== 'pending' || after.recordedBy !== actor.email)) ||
+                    (before && before.status !== after.status && after.status !== 'paid' && after.reviewedBy !== actor.email) ||
+                    (before && after.status === 'paid' && before.status !== 'paid' && !after.payoutId));
+                return bad ? `Commission ${bad.after.id} does not match its rule or review.` : null;
+            }
+            const bad = changes.find(({ before, after }) => !before || after.status !== 'paid' || after.paidBy !== actor.email ||
+                after.amountUSD !== before.amountUSD || Commissions.checkPayout(after, ledger));
+            return bad ? `Payout ${bad.after.id} cannot be marked paid.` : null;
+        }
+
+        if (AccessControl.can(actor.role, 'payouts.request')) {
+            if (key === 'commission_ledger') {
+                const bad = changes.find(({ before, after }) => !before || before.affiliateId !== actor.affiliateId ||
+                    before.status !== 'approved' || before.payoutId || !after.payoutId ||
+                    JSON.stringify({ ...before, payoutId: after.payoutId }) !== JSON.stringify(after));
+                return bad ? 'Affiliates can only request payouts for their own approved commissions.' : null;
+            }
+            const bad = changes.find(({ before, after }) => before || after.affiliateId !== actor.affiliateId ||
+                after.status !== 'requested' || Commissions.checkPayout(after, ledger));
+            return bad ? 'Payout requests have to match approved commissions.' : null;
+        }
+
+        return 'Only affiliate managers can change commissions.';
+    },
+
+    // What removing an affiliate would leave unsettled: payout requests not yet paid, pending entries and
+    // approved money outside a payout request
+    outstanding: (ledger, payouts, affiliateId) => {
+        const entries = ledger.filter(e => e.affiliateId === affiliateId);
+        const pending = entries.filter(e => e.status === 'pending');
+        const owed = entries.filter(e => e.status === 'approved' && !e.payoutId);
+        const total = (list) => Commissions.round(list.reduce((sum, e) => sum + e.commissionUSD, 0));
+        return {
+            openPayouts: payouts.filter(p => p.affiliateId === affiliateId && p.status !== 'paid'),
+            pending,
+            owed,
+            pendingUSD: total(pending),
+            owedUSD: total(owed)
+        };
+    },
+
+    // Balances for one affiliate; "available" is approved money not yet in a payout request.
+    // Entries that fail verify() are left out.
+    summarize: (ledger, affiliateId) => ledger
+        .filter(e => e.affiliateId === affiliateId && e.status !== 'rejected' && Commissions.verify(e))
+        .reduce((sum, e) => {
+            sum[e.status] = Commissions.round(sum[e.status] + e.commissionUSD);
+            if (e.status === 'approved' && !e.payoutId) sum.available = Commissions.round(sum.available + e.commissionUSD);
+            sum.total = Commissions.round(sum.total + e.commissionUSD);
+            sum.conversions += 1;
+            return sum;
+        }, { pending: 0, approved: 0, paid: 0, available: 0, total: 0, conversions: 0 })
+};
+
+// ==================== REFERRALS ====================
+
+// A visit through an affiliate tracking link (?ref=<affiliateId>) is remembered in a first-party
+// cookie for the attribution window. The last tracking link followed wins.
+const Referrals = {
+    COOKIE: 'nextordersl_ref',
+    DEFAULT_WINDOW_DAYS: 30,
+
+    read: () => {
+        const entry = document.cookie.split('; ').find(c => c.startsWith(`${Referrals.COOKIE}=`));
+        if (!entry) return null;
+        try {
+            return JSON.parse(decodeURIComponent(entry.slice(Referrals.COOKIE.length + 1)));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    current: (now = Date.now()) => {
+        const referral = Referrals.read();
+        return referral && referral.expiresAt > now ? referral : null;
+    },
+
+    // selfId is the signed-in affiliate, whose own tracking link doesn't replace the visitor's referral
+    capture: (search, windowDays, now = Date.now(), selfId = null) => {
+        const params = new URLSearchParams(search);
+        const affiliateId = parseInt(params.get('ref'));
+        if (!affiliateId || affiliateId === selfId) return Referrals.current(now);
+        const maxAge = Math.max(0, Math.round(windowDays * 86400));
+        const referral = { affiliateId, channel: params.get('ch') || 'direct', landedAt: new Date(now).toISOString(), expiresAt: now + maxAge * 1000 };
+        document.cookie = `${Referrals.COOKIE}=${encodeURIComponent(JSON.stringify(referral))}; max-age=${maxAge}; path=/; SameSite=Lax`;
+        return referral;
+    },
+
+    // Affiliates earn no referral credit on their own products or on clicks they make while signed in
+    creditable: (referral, { productAffiliateId = null, selfId = null } = {}) => Boolean(referral) &&
+        referral.affiliateId !== productAffiliateId && referral.affiliateId !== selfId,
+
+    // ref and ch go in the query string in front of the hash route, where the app reads them on load
+    buildUrl: (baseUrl, path, affiliateId, channel) => {
+        const query = new URLSearchParams();
+        if (affiliateId) query.set('ref', affiliateId);
+        if (channel) query.set('ch', channel);
+        const search = query.toString();
+        return `${baseUrl}${search ? `?${search}` : ''}${Router.toHash(path)}`;
+    }
+};
+
+// ==================== CATEGORIES ====================
+
+// Subcategories point at their parent through parentId; the tree must stay free of cycles
+const Categories = {
+    // Ids of a category and everything nested under it
+    descendantIds: (categories, id) => {
+        const ids = new Set([id]);
+        const collect = (parentId) => categories.forEach(c => {
+            if (c.parentId === parentId && !ids.has(c.id)) {
+                ids.add(c.id);
+                collect(c.id);
+            }
+        });
+        collect(id);
+        return ids;
+    },
+
+    // A category can't sit under itself or one of its own subcategories; id is null for a new category
+    canNestUnder: (categories, id, parentId) => parentId === null ||
+        (categories.some(c => c.id === parentId) && (id === null || !Categories.descendantIds(categories, id).has(parentId)))
+};
+
+// ==================== SEARCH ====================
+
+// Client-side inverted index. Documents are { id, title, desc, category, parents, marketplace }
+// where parents holds the names of the category's parent categories;
+// the index is rebuilt when the catalog changes and queried without rescanning products.
+const SearchIndex = (() => {
+    const FIELD_WEIGHTS = { title: 3, category: 2, marketplace: 2, parents: 1, desc: 1 };
+    const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'with', 'in', 'on', 'to', 'by']);
+
+    const tokenize = (text) => String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(t => t && !STOP_WORDS.has(t));
+
+    // Damerau-Levenshtein distance, giving up once it exceeds max
+    const editDistance = (a, b, max) => {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, row[j]);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    };
+
+    // Longer words tolerate more typos; very short words must match exactly
+    const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+    const build = (docs) => {
+        const postings = new Map();
+        docs.forEach(doc => {
+            Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+                tokenize(doc[field]).forEach(term => {
+                    if (!postings.has(term)) postings.set(term, new Map());
+                    const entry = postings.get(term);
+                    entry.set(doc.id, (entry.get(doc.id) || 0) + weight);
+                });
+            });
+        });
+        return { postings, terms: [...postings.keys()].sort(), docs: new Map(docs.map(d => [d.id, d])) };
+    };
+
+    // Index terms a query token can stand for, with how closely each matches
+    const expand = (index, token, allowPrefix) => {
+        const matches = new Map();
+        if (index.postings.has(token)) matches.set(token, 1);
+        index.terms.forEach(term => {
+            if (matches.has(term)) return;
+            if (allowPrefix && token.length >= 2 && term.startsWith(token)) {
+                matches.set(term, 0.8);
+                return;
+            }
+            const max = allowedTypos(token);
+            if (max === 0) return;
+            const distance = editDistance(token, term, max);
+            if (distance <= max) matches.set(term, 0.7 - 0.15 * (distance - 1));
+        });
+        return matches;
+    };
+
+    // Every query word has to match; scores favour rarer words, exact hits and title matches
+    const search = (index, query) => {
+        const tokens = tokenize(query);
+        if (tokens.length === 0) return [];
+        const total = index.docs.size || 1;
+        let scores = null;
+
+        tokens.forEach((token, i) => {
+            const tokenScores = new Map();
+            expand(index, token, i === tokens.length - 1).forEach((closeness, term) => {
+                const entry = index.postings.get(term);
+                const idf = Math.log(1 + total / entry.size);
+                entry.forEach((weight, id) => {
+                    tokenScores.set(id, Math.max(tokenScores.get(id) || 0, weight * closeness * idf));
+                });
+            });
+            scores = scores === null
+                ? tokenScores
+                : new Map([...scores].filter(([id]) => tokenScores.has(id)).map(([id, score]) => [id, score + tokenScores.get(id)]));
+        });
+
+        const phrase = tokens.join(' ');
+        return [...scores]
+            .map(([id, score]) => ({ id, score: score + (tokenize(index.docs.get(id).title).join(' ').includes(phrase) ? 2 : 0) }))
+            .sort((a, b) => b.score - a.score);
+    };
+
+    // Autocomplete: matching categories first, then the best product titles
+    const suggest = (index, query, limit = 6) => {
+        const tokens = tokenize(query);
+        if (tokens.length === 0) return [];
+        const last = tokens[tokens.length - 1];
+        const categories = new Set();
+        index.docs.forEach(doc => {
+            if (doc.category && tokenize(doc.category).some(t => t.startsWith(last))) categories.add(doc.category);
+        });
+        return [
+            ...[...categories].slice(0, 2).map(name => ({ type: 'category', label: name })),
+            ...search(index, query).map(r => ({ type: 'product', label: index.docs.get(r.id).title, id: r.id }))
+        ].slice(0, limit);
+    };
+
+    return { tokenize, editDistance, build, search, suggest };
+})();
+
+// ==================== ROUTER ====================
+
+// Hash routes (#/product/12) so deep links work without server rewrites
+const Router = (() => {
+    const compile = (pattern) => new RegExp('^' + pattern.replace(/\/:(\w+)(\?)?/g, (_, key, optional) => optional ? '(?:/([^/]+))?' : '/([^/]+)') + '/?$');
+
+    const routes = [
+        ['product', '/product/:id'],
+        ['category', '/category/:name'],
+        ['search', '/search'],
+        ['cms', '/cms/:section?'],
+        ['affiliate', '/affiliate/:tab?'],
+        ['list', '/list/:id'],
+        ['tab', '/:tab?']
+    ].map(([name, pattern]) => ({
+        name,
+        pattern,
+        keys: [...pattern.matchAll(/:(\w+)/g)].map(m => m[1]),
+        regex: compile(pattern)
+    }));
+
+    // Links shared before the router existed
+    const legacy = [
+        [/^product-(\d+)$/, '/product/$1'],
+        [/^list-(\d+)$/, '/list/$1']
+    ];
+
+    const build = (name, params = {}, query = {}) => {
+        const route = routes.find(r => r.name === name);
+        const path = route.pattern
+            .replace(/\/:(\w+)\??/g, (_, key) => params[key] !== undefined && params[key] !== null && params[key] !== '' ? `/${encodeURIComponent(params[key])}` : '') || '/';
+        const search = new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== '')).toString();
+        return search ? `${path}?${search}` : path;
+    };
+
+    const parse = (hash = '') => {
+        let raw = hash.replace(/^#/, '');
+        const legacyMatch = legacy.find(([regex]) => regex.test(raw));
+        if (legacyMatch) raw = raw.replace(legacyMatch[0], legacyMatch[1]);
+
+        const [pathPart, queryPart = ''] = raw.split('?');
+        const path = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+        const query = Object.fromEntries(new URLSearchParams(queryPart));
+
+        for (const route of routes) {
+            const match = path.match(route.regex);
+            if (!match) continue;
+            try {
+                const params = Object.fromEntries(route.keys.map((key, i) => [key, match[i + 1] !== undefined ? decodeURIComponent(match[i + 1]) : undefined]));
+                return { name: route.name, params, query, path: build(route.name, params, query) };
+            } catch (e) {
+                // Malformed escapes (#/category/%E0) open the home page like any other unknown link
+                break;
+            }
+        }
+        return { name: 'tab', params: {}, query: {}, path: '/' };
+    };
+
+    const toHash = (path) => `#${path}`;
+
+    // History handling works on any object with the window.history interface, so it runs without a browser.
+    // A guard entry sits below the app's first entry; reaching it with Back asks before leaving.
+    const installGuard = (history, href) => {
+        if (history.state) return;
+        history.replaceState({ guard: true }, '', href);
+        history.pushState({ depth: 1 }, '', href);
+    };
+
+    // Mirrors a state change into history. Typing a search or re-sorting a page replaces the entry
+    // instead of stacking one per change. Returns 'push', 'replace' or null when nothing changed.
+    const sync = (history, hash, nextPath) => {
+        const current = parse(hash);
+        if (current.path === nextPath) return null;
+        const next = parse(nextPath);
+        const depth = history.state?.depth || 1;
+        if (current.path.split('?')[0] === next.path.split('?')[0] || (current.name === 'search' && next.path === '/')) {
+            history.replaceState({ depth }, '', toHash(nextPath));
+            return 'replace';
+        }
+        history.pushState({ depth: depth + 1 }, '', toHash(nextPath));
+        return 'push';
+    };
+
+    // What a popstate means: 'exit' after the visitor confirmed leaving, 'confirm' on the guard entry, else 'route'
+    const popAction = (state, exitConfirmed) => exitConfirmed ? 'exit' : state?.guard ? 'confirm' : 'route';
+
+    // Staying after the exit prompt puts an app entry back on top of the guard
+    const stay = (history, href) => history.pushState({ depth: 1 }, '', href);
+
+    return {
+        parse,
+        build,
+        toHash,
+        installGuard,
+        sync,
+        popAction,
+        stay
+    };
+})();
+
+// ==================== ICON COMPONENTS ====================
+
+const Icons = {
+    Search: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" /></svg>,
+    Home: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" /></svg>,
+    Message: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" /></svg>,
+    Cart: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" /></svg>,
+    Heart: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" /></svg>,
+    Work: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>,
+    User: ({ active }) => <svg className={`w-6 h-6 ${active ? 'text-indigo-600' : 'text-gray-400'}`} fill={active ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>,
+    Sparkles: () => <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M5 2a1 1 0 011 1v1h1a1 1 0 010 2H6v1a1 1 0 01-2 0V6H3a1 1 0 010-2h1V3a1 1 0 011-1zm0 8a1 1 0 011 1v1h1a1 1 0 110 2H6v1a1 1 0 11-2 0v-1H3a1 1 0 110-2h1v-1a1 1 0 011-1zM12 2a1 1 0 01.967.744L14.146 7.2 17.5 9.134a1 1 0 010 1.732l-3.354 1.935-1.18 4.455a1 1 0 01-1.933 0L9.854 12.8 6.5 10.866a1 1 0 010-1.732l3.354-1.935 1.18-4.455A1 1 0 0112 2z" clipRule="evenodd" /></svg>,
+    ChevronRight: () => <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" /></svg>,
+    Clock: () => <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>,
+    ArrowLeft: () => <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" /></svg>,
+    Trash: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>,
+    Link: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" /></svg>,
+    Plus: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" /></svg>,
+    Logout: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" /></svg>,
+    Image: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" /></svg>,
+    Document: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" /></svg>,
+    Edit: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" /></svg>,
+    Settings: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg>,
+    Menu: () => <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" /></svg>,
+    Dashboard: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" /></svg>,
+    Users: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" /></svg>,
+    Filter: () => <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" /></svg>,
+    Tag: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" /></svg>,
+    Package: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" /></svg>,
+    Upload: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" /></svg>,
+    Lock: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" /></svg>,
+    Mail: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>,
+    Palette: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" /></svg>,
+    Play: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>,
+    Megaphone: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z" /></svg>,
+    Key: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" /></svg>,
+    Check: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" /></svg>,
+    Affiliate: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" /></svg>,
+    Chart: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" /></svg>,
+    Phone: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" /></svg>,
+    Loader: () => <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>,
+    Share: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" /></svg>,
+    WhatsApp: () => <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/></svg>,
+    Facebook: () => <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/></svg>,
+    Twitter: () => <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M23.953 4.57a10 10 0 01-2.825.775 4.958 4.958 0 002.163-2.723c-.951.555-2.005.959-3.127 1.184a4.92 4.92 0 00-8.384 4.482C7.69 8.095 4.067 6.13 1.64 3.162a4.822 4.822 0 00-.666 2.475c0 1.71.87 3.213 2.188 4.096a4.904 4.904 0 01-2.228-.616v.06a4.923 4.923 0 003.946 4.827 4.996 4.996 0 01-2.212.085 4.936 4.936 0 004.604 3.417 9.867 9.867 0 01-6.102 2.105c-.39 0-.779-.023-1.17-.067a13.995 13.995 0 007.557 2.209c9.053 0 13.998-7.496 13.998-13.985 0-.21 0-.42-.015-.63A9.935 9.935 0 0024 4.59z"/></svg>,
+    Copy: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" /></svg>,
+    Globe: () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+};
+
+// ==================== MODAL COMPONENTS ====================
+
+const CustomModal = ({ isOpen, onClose, title, message, type = 'success', actions }) => {
+    if (!isOpen) return null;
+    
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (!actions) onClose();
+        }, 3000);
+        return () => clearTimeout(timer);
+    }, [actions, onClose]);
+
+    const iconMap = {
+        success: '✓',
+        error: '✕',
+        info: 'ℹ',
+        warning: '!'
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
             <div className="modal-content" onClick={e => e.stopPropagation()}>
                 <div className={`modal-icon modal-${type}`}>
                     {iconMap[type]}
@@ -453,6 +2161,46 @@ const AffiliateLoginModal = ({ isOpen, onClose, onLoginClick }) => {
     );
 };
 
+// Asks for the affiliate account's own password before opening its dashboard
+const AffiliateSwitchModal = ({ affiliate, onSubmit, onCancel }) => {
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(await onSubmit(password) || '');
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onCancel}>
+            <form className="modal-content" onClick={e => e.stopPropagation()} onSubmit={handleSubmit}>
+                <div className="modal-icon modal-info">
+                    <Icons.Lock />
+                </div>
+                <h3 className="text-xl font-bold text-gray-900 mb-2">Affiliate Dashboard</h3>
+                <p className="text-gray-600 mb-4">Enter the password of your affiliate account ({affiliate.email}) to continue.</p>
+                <input
+                    type="password"
+                    value={password}
+                    onChange={e => setPassword(e.target.value)}
+                    placeholder="Affiliate password"
+                    autoFocus
+                    className="w-full px-4 py-3 border rounded-xl mb-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+                <div className="flex gap-3 justify-center mt-4">
+                    <button type="submit" className="px-6 py-2 bg-indigo-600 text-white rounded-full font-bold hover:bg-indigo-700">
+                        Continue
+                    </button>
+                    <button type="button" onClick={onCancel} className="px-6 py-2 bg-gray-200 text-gray-700 rounded-full font-bold">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
 const CountrySelector = ({ currentCountry, onChange, availableCountries }) => {
     const [isOpen, setIsOpen] = useState(false);
 
@@ -499,217 +2247,356 @@ const CountrySelector = ({ currentCountry, onChange, availableCountries }) => {
     );
 };
 
+const PriceHistoryChart = ({ history, formatPrice }) => {
+    const points = (history || []).filter(h => h.priceUSD > 0);
+    if (points.length < 2) {
+        return (
+            <p className="text-sm text-gray-500">
+                {points.length === 1 ? `Tracking since ${new Date(points[0].date).toLocaleDateString()}. The chart appears after the first price change.` : 'No price history yet.'}
+            </p>
+        );
+    }
+
+    const width = 320;
+    const height = 120;
+    const padding = 8;
+    const prices = points.map(p => p.priceUSD);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const start = new Date(points[0].date).getTime();
+    const span = Math.max(1, new Date(points[points.length - 1].date).getTime() - start);
+    const x = (date) => padding + ((new Date(date).getTime() - start) / span) * (width - padding * 2);
+    const y = (price) => max === min ? height / 2 : padding + (1 - (price - min) / (max - min)) * (height - padding * 2);
+
+    // Step line: a price holds until the next change
+    const path = points.map((p, i) => i === 0
+        ? `M ${x(p.date)} ${y(p.priceUSD)}`
+        : `H ${x(p.date)} V ${y(p.priceUSD)}`).join(' ');
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32">
+                <path d={`${path} V ${height} H ${padding} Z`} className="fill-indigo-50" />
+                <path d={path} fill="none" className="stroke-indigo-600" strokeWidth="2" />
+                {points.map((p, i) => <circle key={i} cx={x(p.date)} cy={y(p.priceUSD)} r="3" className="fill-indigo-600" />)}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{new Date(points[0].date).toLocaleDateString()}</span>
+                <span>Low {formatPrice(min)} · High {formatPrice(max)}</span>
+                <span>{new Date(points[points.length - 1].date).toLocaleDateString()}</span>
+            </div>
+        </div>
+    );
+};
+
+// Swipeable banner slider; reports each slide the first time it is shown
+const BannerCarousel = ({ banners, onImpression, onSelect, interval = 5000 }) => {
+    const [index, setIndex] = useState(0);
+    const [paused, setPaused] = useState(false);
+    const touchStartRef = useRef(null);
+    const count = banners.length;
+    const current = Math.min(index, Math.max(count - 1, 0));
+
+    useEffect(() => {
+        if (count > 0) onImpression(banners[current]);
+    }, [banners, current, count]);
+
+    useEffect(() => {
+        if (paused || count < 2) return;
+        const timer = setTimeout(() => setIndex((current + 1) % count), interval);
+        return () => clearTimeout(timer);
+    }, [current, count, paused, interval]);
+
+    if (count === 0) return null;
+
+    const go = (next) => setIndex((next + count) % count);
+
+    const handleTouchStart = (e) => {
+        touchStartRef.current = e.touches[0].clientX;
+        setPaused(true);
+    };
+
+    const handleTouchEnd = (e) => {
+        const deltaX = e.changedTouches[0].clientX - (touchStartRef.current ?? e.changedTouches[0].clientX);
+        if (Math.abs(deltaX) > 40) go(current + (deltaX < 0 ? 1 : -1));
+        touchStartRef.current = null;
+        setPaused(false);
+    };
+
+    return (
+        <div 
+            className="relative w-full h-full"
+            onTouchStart={handleTouchStart}
+            onTouchEnd={handleTouchEnd}
+            onMouseEnter={() => setPaused(true)}
+            onMouseLeave={() => setPaused(false)}
+        >
+            <div className="flex h-full transition-transform duration-500 ease-out" style={{ transform: `translateX(-${current * 100}%)` }}>
+                {banners.map(slide => (
+                    <div 
+                        key={slide.id} 
+                        onClick={() => onSelect(slide)} 
+                        className={`min-w-full h-full relative ${slide.linkType && slide.linkType !== 'none' ? 'cursor-pointer' : ''}`}
+                    >
+                        <img src={slide.image} className="w-full h-full object-cover" alt={slide.title} onError={(e) => {e.target.src='https://via.placeholder.com/800x400?text=Banner'}} />
+                        <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent flex flex-col justify-end p-6 text-white">
+                            <h2 className="text-2xl font-bold mb-1">{slide.title}</h2>
+                            <p className="text-sm opacity-90">{slide.subtitle}</p>
+                        </div>
+                    </div>
+                ))}
+            </div>
+            {count > 1 && (
+                <div className="absolute bottom-3 right-4 flex gap-1.5">
+                    {banners.map((slide, idx) => (
+                        <button 
+                            key={slide.id} 
+                            onClick={() => go(idx)} 
+                            aria-label={`Show banner ${idx + 1}`}
+                            className={`h-2 rounded-full transition-all ${idx === current ? 'w-5 bg-white' : 'w-2 bg-white/50'}`}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Renders one ad for a named position, chosen by weight among the ads that haven't hit their cap
+const AdSlot = ({ position, ads, onImpression, onAdClick, className = '' }) => {
+    const frameRef = useRef(null);
+    const [height, setHeight] = useState(100);
+    const candidates = ads.filter(ad => ad.active && ad.code && ad.position === position);
+    const candidateKey = candidates.map(ad => `${ad.id}:${ad.weight || 1}:${ad.frequencyCap || 0}`).join(',');
+    const adId = useMemo(() => AdRotation.pick(AdRotation.eligible(candidates, position, AdRotation.loadViews()))?.id, [candidateKey, position]);
+    const ad = candidates.find(a => a.id === adId);
+    // The message listener is attached once and reads the current ad and click handler from here
+    const latestRef = useRef({});
+    latestRef.current = { ad, onAdClick };
+
+    useEffect(() => {
+        if (!ad) return;
+        AdRotation.recordView(ad.id);
+        onImpression(ad);
+    }, [adId]);
+
+    useEffect(() => {
+        const handleMessage = (event) => {
+            if (!frameRef.current || event.source !== frameRef.current.contentWindow) return;
+            if (event.data?.type === AdSandbox.CLICK_TYPE) {
+                const { ad: shown, onAdClick: handleClick } = latestRef.current;
+                if (shown && handleClick) handleClick(shown);
+                return;
+            }
+            if (event.data?.type !== AdSandbox.MESSAGE_TYPE) return;
+            const next = Number(event.data.height);
+            if (Number.isFinite(next) && next > 0) setHeight(Math.min(Math.ceil(next), AdSandbox.MAX_HEIGHT));
+        };
+        window.addEventListener('message', handleMessage);
+        return () => window.removeEventListener('message', handleMessage);
+    }, []);
+
+    if (!ad) return null;
+
+    return (
+        <div className={className}>
+            <div className="ad-slot">
+                <iframe
+                    ref={frameRef}
+                    key={ad.id}
+                    title={`Advertisement: ${ad.name}`}
+                    sandbox={AdSandbox.SANDBOX}
+                    srcDoc={AdSandbox.document(ad.code)}
+                    referrerPolicy="no-referrer-when-downgrade"
+                    scrolling="no"
+                    className="ad-frame"
+                    style={{ height }}
+                />
+                <span className="ad-label">Ad</span>
+            </div>
+        </div>
+    );
+};
+
 // ==================== MAIN APP COMPONENT ====================
 
 const App = () => {
     // Site Settings State
-    const [siteSettings, setSiteSettings] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_settings');
-        return saved ? JSON.parse(saved) : {
-            siteName: 'Next Order SL',
-            primaryColor: 'indigo',
-            secondaryColor: 'rose',
-            currency: 'USD',
-            flashSaleEnabled: true,
-            flashSaleTitle: 'Flash Sale',
-            flashSaleSubtitle: 'Up to 70% Off',
-            freeShippingThreshold: 2000,
-            animationsEnabled: true,
-            animationType: 'fade',
-            themeMode: 'light'
-        };
+    const [siteSettings, setSiteSettings] = useState({
+        siteName: 'Next Order SL',
+        primaryColor: 'indigo',
+        secondaryColor: 'rose',
+        currency: 'USD',
+        flashSaleEnabled: true,
+        freeShippingThreshold: 2000,
+        animationsEnabled: true,
+        animationType: 'fade',
+        themeMode: 'light',
+        priceRefreshHours: 12
     });
 
     // Admin Credentials
-    const [adminCredentials, setAdminCredentials] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_admin');
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            if (parsed.password && !parsed.isHashed) {
-                return {
-                    ...parsed,
-                    password: simpleHash(parsed.password),
-                    isHashed: true
-                };
-            }
-            return parsed;
-        }
-        return {
-            email: 'admin@nextordersl.com',
-            password: simpleHash('admin123'),
-            isHashed: true
-        };
+    const [adminCredentials, setAdminCredentials] = useState({
+        email: 'admin@nextordersl.com',
+        password: simpleHash('admin123'),
+        isHashed: true
     });
 
-    // Login Session
-    const [isLoggedIn, setIsLoggedIn] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_isLoggedIn');
-        return saved ? JSON.parse(saved) : false;
-    });
-    const [isAdmin, setIsAdmin] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_isAdmin');
-        return saved ? JSON.parse(saved) : false;
-    });
-    const [isAffiliate, setIsAffiliate] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_isAffiliate');
-        return saved ? JSON.parse(saved) : false;
-    });
-    const [currentUser, setCurrentUser] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_currentUser');
-        return saved ? JSON.parse(saved) : null;
-    });
+    // Login Session - restored from the session token (role looked up again locally), never from plain storage flags
+    const [isLoggedIn, setIsLoggedIn] = useState(false);
+    const [isAffiliate, setIsAffiliate] = useState(false);
+    const [currentUser, setCurrentUser] = useState(null);
+    const [sessionChecked, setSessionChecked] = useState(false);
 
     // COUNTRY & CURRENCY STATE
-    const [userCountry, setUserCountry] = useState({ code: 'US', currency: 'USD', name: 'United States' });
+    const [userCountry, setUserCountry] = useState({ code: 'US', currency: 'USD', name: 'United States', locale: 'en-US' });
     const [isCountryLoading, setIsCountryLoading] = useState(true);
     const [inputCurrency, setInputCurrency] = useState('USD');
 
     // Products State - NOW STORED IN USD
-    const [products, setProducts] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_products');
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            // Migrate old products to USD if needed
-            return parsed.map(p => ({
-                ...p,
-                priceUSD: p.priceUSD || CurrencyConverter.toUSD(p.price, p.originalCurrency || 'LKR'),
-                originalPriceUSD: p.originalPriceUSD || CurrencyConverter.toUSD(p.originalPrice, p.originalCurrency || 'LKR')
-            }));
-        }
-        return [
-            { id: 1, title: "Wireless Bluetooth Headphones", priceUSD: 30.45, originalPriceUSD: 42.30, discount: 28, images: ["https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=400"], rating: "4.5", sold: 1234, desc: "Premium noise cancelling headphones with 20hr battery", affiliateLink: "https://www.aliexpress.com/item/1", category: "AliExpress", platform: "aliexpress", originalCurrency: 'LKR' },
-            { id: 2, title: "Smart Fitness Watch Pro", priceUSD: 44.03, originalPriceUSD: 62.90, discount: 30, images: ["https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=400"], rating: "4.8", sold: 856, desc: "Track heart rate, steps, sleep and notifications", affiliateLink: "https://www.daraz.lk/product/2", category: "Daraz", platform: "daraz", originalCurrency: 'LKR' },
-            { id: 3, title: "Korean Skincare Set 5pcs", priceUSD: 15.59, originalPriceUSD: 21.96, discount: 29, images: ["https://images.unsplash.com/photo-1571781926291-c477ebfd024b?w=400"], rating: "4.6", sold: 2341, desc: "Complete glass skin routine", affiliateLink: "https://www.amazon.com/product/3", category: "Amazon", platform: "amazon", originalCurrency: 'LKR' }
-        ];
-    });
+    const [products, setProducts] = useState([
+        { id: 1, title: "Wireless Bluetooth Headphones", priceUSD: 30.45, originalPriceUSD: 42.30, discount: 28, images: ["https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=400"], rating: "4.5", sold: 1234, desc: "Premium noise cancelling headphones with 20hr battery", affiliateLink: "https://www.aliexpress.com/item/1", category: "AliExpress", platform: "aliexpress", originalCurrency: 'LKR' },
+        { id: 2, title: "Smart Fitness Watch Pro", priceUSD: 44.03, originalPriceUSD: 62.90, discount: 30, images: ["https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=400"], rating: "4.8", sold: 856, desc: "Track heart rate, steps, sleep and notifications", affiliateLink: "https://www.daraz.lk/product/2", category: "Daraz", platform: "daraz", originalCurrency: 'LKR' },
+        { id: 3, title: "Korean Skincare Set 5pcs", priceUSD: 15.59, originalPriceUSD: 21.96, discount: 29, images: ["https://images.unsplash.com/photo-1571781926291-c477ebfd024b?w=400"], rating: "4.6", sold: 2341, desc: "Complete glass skin routine", affiliateLink: "https://www.amazon.com/product/3", category: "Amazon", platform: "amazon", originalCurrency: 'LKR' }
+    ]);
+
+    const [categories, setCategories] = useState([
+        { id: 1, name: 'Beauty', icon: '✨', active: true },
+        { id: 2, name: 'Electronics', icon: '📱', active: true },
+        { id: 3, name: 'Fashion', icon: '👕', active: true },
+        { id: 4, name: 'Home', icon: '🏠', active: true },
+        { id: 5, name: 'Sports', icon: '⚽', active: true },
+        { id: 6, name: 'Toys', icon: '🎮', active: true },
+        { id: 7, name: 'AliExpress', icon: '🛒', active: true },
+        { id: 8, name: 'Daraz', icon: '📦', active: true },
+        { id: 9, name: 'eBay', icon: '🏷️', active: true },
+        { id: 10, name: 'Amazon', icon: '📮', active: true },
+        { id: 11, name: 'Alibaba', icon: '🏭', active: true }
+    ]);
+
+    const [banners, setBanners] = useState([
+        { id: 1, image: 'https://images.unsplash.com/photo-1607082348824-0a96f2a4b9da?w=800', title: 'Payday Weekend Sale', subtitle: 'Up to 70% Off', active: true },
+        { id: 2, image: 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?w=800', title: 'Summer Collection', subtitle: 'New Arrivals', active: true }
+    ]);
+
+    const [posts, setPosts] = useState([
+        { id: 1, title: 'New Collection Arrival', content: 'Check out our latest products this season!', date: '2024-01-20', active: true },
+        { id: 2, title: 'Weekend Sale Announcement', content: 'Up to 50% off on selected items this weekend only.', date: '2024-01-19', active: true }
+    ]);
+
+    const [orders, setOrders] = useState([
+        { id: 'ORD001', customer: 'John Doe', email: 'john@example.com', totalUSD: 42.30, status: 'Pending', date: '2024-01-20', items: 2 },
+        { id: 'ORD002', customer: 'Jane Smith', email: 'jane@example.com', totalUSD: 30.45, status: 'Completed', date: '2024-01-19', items: 1 }
+    ]);
+
+    const [microJobsLeads, setMicroJobsLeads] = useState([]);
+
+    const [advertisements, setAdvertisements] = useState([
+        { id: 1, name: 'Google AdSense Header', code: '', position: 'header', active: true },
+        { id: 2, name: 'Google AdSense Sidebar', code: '', position: 'sidebar', active: false },
+        { id: 3, name: 'Banner Ad - Home Top', code: '', position: 'home_top', active: false }
+    ]);
+
+    const [advertiserContacts, setAdvertiserContacts] = useState([]);
+    
+    const [affiliateUsers, setAffiliateUsers] = useState([]);
+    
+    const [affiliateProductIds, setAffiliateProductIds] = useState({});
 
-    const [categories, setCategories] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_categories');
-        return saved ? JSON.parse(saved) : [
-            { id: 1, name: 'Beauty', icon: '✨', active: true },
-            { id: 2, name: 'Electronics', icon: '📱', active: true },
-            { id: 3, name: 'Fashion', icon: '👕', active: true },
-            { id: 4, name: 'Home', icon: '🏠', active: true },
-            { id: 5, name: 'Sports', icon: '⚽', active: true },
-            { id: 6, name: 'Toys', icon: '🎮', active: true },
-            { id: 7, name: 'AliExpress', icon: '🛒', active: true },
-            { id: 8, name: 'Daraz', icon: '📦', active: true },
-            { id: 9, name: 'eBay', icon: '🏷️', active: true },
-            { id: 10, name: 'Amazon', icon: '📮', active: true },
-            { id: 11, name: 'Alibaba', icon: '🏭', active: true }
-        ];
-    });
+    // Outbound "Buy Now" click log
+    const [clickLog, setClickLog] = useState([]);
 
-    const [banners, setBanners] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_banners');
-        return saved ? JSON.parse(saved) : [
-            { id: 1, image: 'https://images.unsplash.com/photo-1607082348824-0a96f2a4b9da?w=800', title: 'Payday Weekend Sale', subtitle: 'Up to 70% Off', active: true },
-            { id: 2, image: 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?w=800', title: 'Summer Collection', subtitle: 'New Arrivals', active: true }
-        ];
-    });
+    // Affiliate commission rules, earning events and payout requests
+    const [commissionRules, setCommissionRules] = useState([
+        { id: 1, scope: 'default', target: '', type: 'percent', rate: 5, active: true }
+    ]);
+    const [commissionLedger, setCommissionLedger] = useState([]);
+    const [payouts, setPayouts] = useState([]);
 
-    const [posts, setPosts] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_posts');
-        return saved ? JSON.parse(saved) : [
-            { id: 1, title: 'New Collection Arrival', content: 'Check out our latest products this season!', date: '2024-01-20', active: true },
-            { id: 2, title: 'Weekend Sale Announcement', content: 'Up to 50% off on selected items this weekend only.', date: '2024-01-19', active: true }
-        ];
-    });
+    // Suspensions, reactivations and removals of affiliate accounts
+    const [affiliateAuditLog, setAffiliateAuditLog] = useState([]);
+    const [affiliateAction, setAffiliateAction] = useState(null);
 
-    const [orders, setOrders] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_orders');
-        return saved ? JSON.parse(saved) : [
-            { id: 'ORD001', customer: 'John Doe', email: 'john@example.com', totalUSD: 42.30, status: 'Pending', date: '2024-01-20', items: 2 },
-            { id: 'ORD002', customer: 'Jane Smith', email: 'jane@example.com', totalUSD: 30.45, status: 'Completed', date: '2024-01-19', items: 1 }
-        ];
-    });
+    // Pending email verification / password reset codes (hashed)
+    const [authTokens, setAuthTokens] = useState([]);
 
-    const [microJobsLeads, setMicroJobsLeads] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_microjobs');
-        return saved ? JSON.parse(saved) : [];
-    });
+    // Reports from price/availability refresh runs (admin-session and manual)
+    const [priceRefreshLog, setPriceRefreshLog] = useState([]);
+    const [refreshingPrices, setRefreshingPrices] = useState(false);
 
-    const [advertisements, setAdvertisements] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_ads');
-        return saved ? JSON.parse(saved) : [
-            { id: 1, name: 'Google AdSense Header', code: '', position: 'header', active: true },
-            { id: 2, name: 'Google AdSense Sidebar', code: '', position: 'sidebar', active: false },
-            { id: 3, name: 'Banner Ad - Home Top', code: '', position: 'home_top', active: false }
-        ];
-    });
+    // Saved item lists owned by accounts
+    const [savedLists, setSavedLists] = useState([]);
 
-    const [advertiserContacts, setAdvertiserContacts] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_advertisers');
-        return saved ? JSON.parse(saved) : [];
-    });
-    
-    const [affiliateUsers, setAffiliateUsers] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_affiliates');
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            return parsed.map(u => ({
-                ...u,
-                password: u.isHashed ? u.password : simpleHash(u.password),
-                isHashed: true
-            }));
-        }
-        return [];
-    });
-    
-    const [affiliateProductIds, setAffiliateProductIds] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_affiliate_product_ids');
-        return saved ? JSON.parse(saved) : {};
-    });
+    // Shopper price-drop watches
+    const [priceWatches, setPriceWatches] = useState([]);
+    const [searchMisses, setSearchMisses] = useState([]);
+    const [flashSales, setFlashSales] = useState([]);
+    const [bannerStats, setBannerStats] = useState({});
+    const [adStats, setAdStats] = useState({});
+    const [adBookings, setAdBookings] = useState([]);
+    const [watchTarget, setWatchTarget] = useState('');
 
     // UI States
     const [activeTab, setActiveTab] = useState('home');
-    const [cart, setCart] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_cart');
-        return saved ? JSON.parse(saved) : [];
+    // Guest saved lists stay in this browser until login; the old anonymous cart becomes the first list
+    const [guestLists, setGuestLists] = useState(() => {
+        const saved = localStorage.getItem('nextordersl_saved');
+        if (saved) return JSON.parse(saved);
+        const legacyCart = JSON.parse(localStorage.getItem('nextordersl_cart') || '[]');
+        localStorage.removeItem('nextordersl_cart');
+        return legacyCart.length > 0 ? [{
+            id: Date.now(),
+            name: 'My Saved Items',
+            productIds: [...new Set(legacyCart.map(item => item.id))],
+            createdAt: new Date().toISOString().split('T')[0]
+        }] : [];
     });
+    const [activeListId, setActiveListId] = useState(null);
+    const [sharedListId, setSharedListId] = useState(null);
+    const [showSavePicker, setShowSavePicker] = useState(false);
+    const [newListName, setNewListName] = useState('');
+    const [renamingList, setRenamingList] = useState(null);
     const [searchQuery, setSearchQuery] = useState('');
+    const [debouncedQuery, setDebouncedQuery] = useState('');
+    const [showSuggestions, setShowSuggestions] = useState(false);
+    const [highlightedSuggestion, setHighlightedSuggestion] = useState(-1);
     const [selectedProduct, setSelectedProduct] = useState(null);
     const [showCMS, setShowCMS] = useState(false);
     const [cmsSidebarOpen, setCmsSidebarOpen] = useState(false);
     const [cmsActiveTab, setCmsActiveTab] = useState('dashboard');
     const [authMode, setAuthMode] = useState('login');
     const [loginForm, setLoginForm] = useState({ email: '', password: '' });
-    const [registerForm, setRegisterForm] = useState({ name: '', email: '', password: '', confirmPassword: '' });
+    const [registerForm, setRegisterForm] = useState({ name: '', email: '', password: '', confirmPassword: '', code: '' });
+    const [resetForm, setResetForm] = useState({ email: '', code: '', password: '', confirmPassword: '' });
     const [authError, setAuthError] = useState('');
-    const [registeredUsers, setRegisteredUsers] = useState(() => {
-        const saved = localStorage.getItem('nextordersl_users');
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            return parsed.map(u => ({
-                ...u,
-                password: u.isHashed ? u.password : simpleHash(u.password),
-                isHashed: true
-            }));
-        }
-        return [];
-    });
+    const [registeredUsers, setRegisteredUsers] = useState([]);
 
     const [modal, setModal] = useState({ isOpen: false, title: '', message: '', type: 'success' });
     const [showAffiliateReg, setShowAffiliateReg] = useState(false);
     const [affiliateRegStep, setAffiliateRegStep] = useState(1);
     const [affiliateRegForm, setAffiliateRegForm] = useState({ name: '', email: '', phone: '' });
-    const [verificationCode, setVerificationCode] = useState('');
     const [enteredCode, setEnteredCode] = useState('');
+    const [affiliatePasswordForm, setAffiliatePasswordForm] = useState({ password: '', confirmPassword: '' });
+    const [changePasswordForm, setChangePasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
     const [affiliateRegError, setAffiliateRegError] = useState('');
     const [affiliateActiveTab, setAffiliateActiveTab] = useState('home');
     const [autoFillLoading, setAutoFillLoading] = useState(false);
     const [showShareModal, setShowShareModal] = useState(false);
     const [shareProduct, setShareProduct] = useState(null);
     const [editingProduct, setEditingProduct] = useState(null);
+    const [selectedProductIds, setSelectedProductIds] = useState([]);
+    const [rejectingProduct, setRejectingProduct] = useState(null);
     const [productForm, setProductForm] = useState({
         title: '', price: '', originalPrice: '', description: '', images: [], affiliateLink: '', category: '', rating: '4.5'
     });
     const [imageUrlInput, setImageUrlInput] = useState('');
     const [autoFillLink, setAutoFillLink] = useState('');
     const [bulkImportData, setBulkImportData] = useState('');
-    const [categoryForm, setCategoryForm] = useState({ name: '', icon: '' });
-    const [bannerForm, setBannerForm] = useState({ image: '', title: '', subtitle: '' });
+    const [categoryForm, setCategoryForm] = useState({ name: '', icon: '', parentId: '', banner: '' });
+    const [bannerForm, setBannerForm] = useState({ image: '', title: '', subtitle: '', linkType: 'none', linkValue: '', startDate: '', endDate: '', countries: [] });
     const [postForm, setPostForm] = useState({ title: '', content: '' });
+    const [flashSaleForm, setFlashSaleForm] = useState({ title: '', subtitle: '', startsAt: '', endsAt: '', items: [] });
+    const [editingFlashSale, setEditingFlashSale] = useState(null);
     const [editingCategory, setEditingCategory] = useState(null);
     const [editingBanner, setEditingBanner] = useState(null);
     const [editingPost, setEditingPost] = useState(null);
@@ -727,6 +2614,12 @@ const App = () => {
         message: ''
     });
     const [advertiserMessage, setAdvertiserMessage] = useState('');
+    const [advertiserSignupForm, setAdvertiserSignupForm] = useState({ name: '', company: '', email: '', password: '', confirmPassword: '' });
+    const [bookingForm, setBookingForm] = useState({ position: 'home_top', startDate: '', endDate: '', image: '', linkUrl: '', alt: '' });
+    const [rejectingBooking, setRejectingBooking] = useState(null);
+    const [commissionRuleForm, setCommissionRuleForm] = useState({ scope: 'marketplace', target: '', type: 'percent', rate: '' });
+    const [conversionForm, setConversionForm] = useState({ affiliateId: '', productId: '', saleUSD: '', orderRef: '' });
+    const [trackingLinkForm, setTrackingLinkForm] = useState({ category: '', productId: '' });
 
     const [displayedProducts, setDisplayedProducts] = useState([]);
     const [hasMore, setHasMore] = useState(true);
@@ -735,18 +2628,26 @@ const App = () => {
     const loadingRef = useRef(null);
 
     const [selectedPlatform, setSelectedPlatform] = useState(null);
+    const [selectedCategory, setSelectedCategory] = useState(null);
+    const [sortBy, setSortBy] = useState('recommended');
+    const [filters, setFilters] = useState(DEFAULT_PRODUCT_FILTERS);
+    const [showFilters, setShowFilters] = useState(false);
     const [showExitConfirmation, setShowExitConfirmation] = useState(false);
-    const [navStack, setNavStack] = useState([{ type: 'home' }]);
-    const [initialHashChecked, setInitialHashChecked] = useState(false);
+    const [initialRouteApplied, setInitialRouteApplied] = useState(false);
     const [showAffiliateLoginModal, setShowAffiliateLoginModal] = useState(false);
-    const [flashSaleTimeLeft, setFlashSaleTimeLeft] = useState({ hours: 4, minutes: 23, seconds: 15 });
+    const [switchingAffiliate, setSwitchingAffiliate] = useState(null);
+    const [clockNow, setClockNow] = useState(Date.now());
     const [currentImageIndex, setCurrentImageIndex] = useState(0);
 
-    const productsRef = useRef(products);
-    const isAdminRef = useRef(isAdmin);
-    const isAffiliateRef = useRef(isAffiliate);
+    const applyRouteRef = useRef(() => {});
+    const loggedMissesRef = useRef(new Set());
+    const seenBannersRef = useRef(new Set());
     const allowExitRef = useRef(false);
     const exitConfirmationShownRef = useRef(false);
+    const lastPersistedRef = useRef({});
+    const restrictedKeysRef = useRef(new Set());
+    const [storageReady, setStorageReady] = useState(false);
+    const referralChannelRef = useRef(new URLSearchParams(window.location.search).get('ch') || 'direct');
 
     // Initialize country detection
     useEffect(() => {
@@ -759,193 +2660,391 @@ const App = () => {
         initCountry();
     }, []);
 
-    // Update refs
-    useEffect(() => { productsRef.current = products; }, [products]);
-    useEffect(() => { isAdminRef.current = isAdmin; }, [isAdmin]);
-    useEffect(() => { isAffiliateRef.current = isAffiliate; }, [isAffiliate]);
-
-    // Save to localStorage
-    useEffect(() => { localStorage.setItem('nextordersl_products', JSON.stringify(products)); }, [products]);
-    useEffect(() => { localStorage.setItem('nextordersl_categories', JSON.stringify(categories)); }, [categories]);
-    useEffect(() => { localStorage.setItem('nextordersl_banners', JSON.stringify(banners)); }, [banners]);
-    useEffect(() => { localStorage.setItem('nextordersl_posts', JSON.stringify(posts)); }, [posts]);
-    useEffect(() => { localStorage.setItem('nextordersl_orders', JSON.stringify(orders)); }, [orders]);
-    useEffect(() => { localStorage.setItem('nextordersl_users', JSON.stringify(registeredUsers)); }, [registeredUsers]);
-    useEffect(() => { localStorage.setItem('nextordersl_cart', JSON.stringify(cart)); }, [cart]);
-    useEffect(() => { localStorage.setItem('nextordersl_affiliate_product_ids', JSON.stringify(affiliateProductIds)); }, [affiliateProductIds]);
-    useEffect(() => { localStorage.setItem('nextordersl_affiliates', JSON.stringify(affiliateUsers)); }, [affiliateUsers]);
-    useEffect(() => { localStorage.setItem('nextordersl_settings', JSON.stringify(siteSettings)); }, [siteSettings]);
-    useEffect(() => { localStorage.setItem('nextordersl_admin', JSON.stringify(adminCredentials)); }, [adminCredentials]);
-    useEffect(() => { localStorage.setItem('nextordersl_ads', JSON.stringify(advertisements)); }, [advertisements]);
-    useEffect(() => { localStorage.setItem('nextordersl_advertisers', JSON.stringify(advertiserContacts)); }, [advertiserContacts]);
-    useEffect(() => { localStorage.setItem('nextordersl_microjobs', JSON.stringify(microJobsLeads)); }, [microJobsLeads]);
-    useEffect(() => { localStorage.setItem('nextordersl_isLoggedIn', JSON.stringify(isLoggedIn)); }, [isLoggedIn]);
-    useEffect(() => { localStorage.setItem('nextordersl_isAdmin', JSON.stringify(isAdmin)); }, [isAdmin]);
-    useEffect(() => { localStorage.setItem('nextordersl_isAffiliate', JSON.stringify(isAffiliate)); }, [isAffiliate]);
-    useEffect(() => { localStorage.setItem('nextordersl_currentUser', JSON.stringify(currentUser)); }, [currentUser]);
-
-    // Check URL hash
-    useEffect(() => {
-        if (!initialHashChecked) {
-            const hash = window.location.hash;
-            if (hash.startsWith('#product-')) {
-                const productId = parseInt(hash.replace('#product-', ''));
-                const product = products.find(p => p.id === productId);
-                if (product) {
-                    setSelectedProduct(product);
-                    setActiveTab('home');
-                }
+    // Shared site data goes through the configured storage backend.
+    // Each entry: [current value, setter, optional migration applied on load]
+    const persistedState = {
+        products: [products, setProducts, (saved) => saved.map(p => ({
+            ...p,
+            priceUSD: p.priceUSD || CurrencyConverter.toUSD(p.price, p.originalCurrency || 'LKR'),
+            originalPriceUSD: p.originalPriceUSD || CurrencyConverter.toUSD(p.originalPrice, p.originalCurrency || 'LKR')
+        }))],
+        categories: [categories, setCategories],
+        banners: [banners, setBanners],
+        posts: [posts, setPosts],
+        orders: [orders, setOrders],
+        users: [registeredUsers, setRegisteredUsers, (saved) => saved.map(u => ({
+            ...u,
+            password: u.isHashed ? u.password : simpleHash(u.password),
+            isHashed: true
+        }))],
+        affiliate_product_ids: [affiliateProductIds, setAffiliateProductIds],
+        affiliates: [affiliateUsers, setAffiliateUsers, (saved) => saved.map(u => ({
+            ...u,
+            password: u.isHashed ? u.password : simpleHash(u.password),
+            isHashed: true
+        }))],
+        settings: [siteSettings, setSiteSettings],
+        admin: [adminCredentials, setAdminCredentials, (saved) => (saved.password && !saved.isHashed)
+            ? { ...saved, password: simpleHash(saved.password), isHashed: true }
+            : saved],
+        ads: [advertisements, setAdvertisements],
+        advertisers: [advertiserContacts, setAdvertiserContacts],
+        microjobs: [microJobsLeads, setMicroJobsLeads],
+        clicks: [clickLog, setClickLog],
+        auth_tokens: [authTokens, setAuthTokens],
+        price_refresh_log: [priceRefreshLog, setPriceRefreshLog],
+        price_watches: [priceWatches, setPriceWatches],
+        saved_lists: [savedLists, setSavedLists],
+        search_misses: [searchMisses, setSearchMisses],
+        flash_sales: [flashSales, setFlashSales],
+        banner_stats: [bannerStats, setBannerStats],
+        ad_stats: [adStats, setAdStats],
+        ad_bookings: [adBookings, setAdBookings],
+        commission_rules: [commissionRules, setCommissionRules],
+        commission_ledger: [commissionLedger, setCommissionLedger],
+        payouts: [payouts, setPayouts],
+        affiliate_audit: [affiliateAuditLog, setAffiliateAuditLog]
+    };
+
+    // A key only becomes saveable once it has loaded; denied keys keep their defaults and only send patches
+    const applyLoadedState = (saved) => {
+        Object.entries(saved).forEach(([key, value]) => {
+            const [current, setter, migrate] = persistedState[key];
+            if (value === Persistence.DENIED) {
+                restrictedKeysRef.current.add(key);
+                lastPersistedRef.current[key] = current;
+                return;
             }
-            setInitialHashChecked(true);
-        }
-    }, [products, initialHashChecked]);
+            restrictedKeysRef.current.delete(key);
+            if (value !== null && value !== undefined) {
+                const migrated = migrate ? migrate(value) : value;
+                lastPersistedRef.current[key] = migrated;
+                setter(migrated);
+            } else {
+                lastPersistedRef.current[key] = current;
+            }
+        });
+    };
 
     useEffect(() => {
-        if (selectedProduct) {
-            window.history.pushState(null, null, `#product-${selectedProduct.id}`);
-        } else {
-            if (window.location.hash.startsWith('#product-')) {
-                window.history.pushState(null, null, '#');
-            }
-        }
-    }, [selectedProduct]);
+        Persistence.loadAll(Object.keys(persistedState)).then(applyLoadedState).catch(error => {
+            showModal('Storage Error', `Could not load saved data: ${error.message}. Changes will not be saved until the page is reloaded.`, 'error');
+        }).finally(() => setStorageReady(true));
+    }, []);
 
-    // History Stack Navigation
+    // Private collections follow the session on a shared backend
     useEffect(() => {
-        const handlePopState = (e) => {
-            if (allowExitRef.current) {
-                allowExitRef.current = false;
+        if (!storageReady || !Persistence.isShared()) return;
+        Persistence.loadAll(Persistence.PRIVATE_KEYS).then(applyLoadedState).catch(error => {
+            showModal('Storage Error', `Could not load account data: ${error.message}`, 'error');
+        });
+    }, [isLoggedIn]);
+
+    // Commission changes go to a shared backend as patches that pass Commissions.authorize; anything else is undone
+    const checkCommissionSave = (key, previous, value) => {
+        if (key !== 'commission_ledger' && key !== 'payouts') return null;
+        const patch = StatePatches.diff(key, previous, value);
+        if (!patch) return can('affiliates.manage') ? null : 'Only affiliate managers can replace commission records.';
+        const actor = { role: currentUser?.role, email: currentUser?.email, affiliateId: currentUser?.id };
+        return Commissions.authorize(key, patch, previous, actor, commissionLedger);
+    };
+
+    // Only write keys whose value changed since the last save, and never a key that failed to load
+    useEffect(() => {
+        if (!storageReady) return;
+        Object.entries(persistedState).forEach(([key, [value]]) => {
+            if (!(key in lastPersistedRef.current)) return;
+            const previous = lastPersistedRef.current[key];
+            if (previous === value) return;
+            if (restrictedKeysRef.current.has(key) && !StatePatches.diff(key, previous, value)) return;
+            const refused = Persistence.isShared() && checkCommissionSave(key, previous, value);
+            if (refused) {
+                persistedState[key][1](previous);
+                showModal('Save Failed', refused, 'error');
                 return;
             }
+            lastPersistedRef.current[key] = value;
+            Persistence.save(key, value, previous).catch(error => {
+                if (lastPersistedRef.current[key] === value) lastPersistedRef.current[key] = previous;
+                showModal('Save Failed', error.message, 'error');
+            });
+        });
+    });
 
-            if (exitConfirmationShownRef.current) {
-                exitConfirmationShownRef.current = false;
-                setShowExitConfirmation(false);
-                window.history.pushState(null, '', window.location.href);
-                return;
+    // Per-visitor state stays in this browser
+    useEffect(() => { localStorage.setItem('nextordersl_saved', JSON.stringify(guestLists)); }, [guestLists]);
+
+    // Remember the affiliate behind a tracking link once settings, and with them the attribution window, are loaded
+    const referralWindowDays = siteSettings.referralWindowDays ?? Referrals.DEFAULT_WINDOW_DAYS;
+    useEffect(() => {
+        if (storageReady) Referrals.capture(window.location.search, referralWindowDays, Date.now(), isAffiliate ? currentUser?.id : null);
+    }, [storageReady]);
+
+    useEffect(() => {
+        if (!storageReady) return;
+        AuthService.restoreSession()
+            .then(session => {
+                if (!session) return;
+                if (session.role) return applySession(session);
+                const account = findLocalAccount(session.user.email);
+                if (account) applySession({ role: account.role }, account.record);
+                else AuthService.logout();
+            })
+            .finally(() => setSessionChecked(true));
+    }, [storageReady]);
+
+    // Routing: UI state is the source of truth and is mirrored into the hash;
+    // back/forward and opened links are applied to state through applyRoute
+    const APP_TABS = ['home', 'messages', 'saved', 'jobs', 'account', 'advertise'];
+
+    // Sort and facets travel in the query string of listing pages (home, search, category)
+    const listingQuery = {
+        sort: sortBy !== 'recommended' ? sortBy : null,
+        market: selectedPlatform,
+        cat: filters.category,
+        min: filters.minPrice,
+        max: filters.maxPrice,
+        cur: filters.minPrice || filters.maxPrice ? userCountry.currency : null,
+        discount: filters.minDiscount || null,
+        rating: filters.minRating || null
+    };
+
+    const applyListingQuery = (query) => {
+        // Links shared from another country carry prices in that country's currency
+        const price = (value) => {
+            const amount = parseFloat(value);
+            if (!(amount > 0)) return '';
+            if (!query.cur || query.cur === userCountry.currency) return String(amount);
+            return String(CurrencyConverter.fromUSD(CurrencyConverter.toUSD(amount, query.cur), userCountry.currency));
+        };
+        const next = {
+            minPrice: price(query.min),
+            maxPrice: price(query.max),
+            minDiscount: DISCOUNT_STEPS.includes(parseInt(query.discount)) ? parseInt(query.discount) : 0,
+            minRating: RATING_STEPS.includes(parseFloat(query.rating)) ? parseFloat(query.rating) : 0,
+            category: query.cat && categories.some(c => c.name === query.cat) ? query.cat : ''
+        };
+        // Keep the same object when nothing changed so the grid doesn't reload and lose its scroll position
+        setFilters(prev => (JSON.stringify(prev) === JSON.stringify(next) ? prev : next));
+        setSelectedPlatform(PLATFORM_FILTERS.some(p => p.id === query.market) ? query.market : null);
+        setSortBy(PRODUCT_SORTS.some(s => s.id === query.sort) ? query.sort : 'recommended');
+    };
+
+    const currentPath = isAffiliate ? Router.build('affiliate', { tab: affiliateActiveTab })
+        : selectedProduct ? Router.build('product', { id: selectedProduct.id })
+        : showCMS && activeTab === 'account' ? Router.build('cms', { section: cmsActiveTab })
+        : activeTab === 'saved' && sharedListId ? Router.build('list', { id: sharedListId })
+        : activeTab === 'home' && searchQuery ? Router.build('search', {}, { q: searchQuery, ...listingQuery })
+        : activeTab === 'home' && selectedCategory ? Router.build('category', { name: selectedCategory }, { ...listingQuery, cat: null })
+        : activeTab === 'home' ? Router.build('tab', {}, listingQuery)
+        : Router.build('tab', { tab: activeTab });
+
+    const denyRoute = (message) => {
+        window.history.replaceState(window.history.state, '', Router.toHash(Router.build('tab', { tab: 'account' })));
+        setActiveTab('account');
+        showModal(isLoggedIn ? 'Access Denied' : 'Login Required', message, 'error');
+    };
+
+    applyRouteRef.current = (route) => {
+        let canonical = route.path;
+        setSelectedProduct(null);
+        setShowCMS(false);
+        setSharedListId(null);
+        setSearchQuery('');
+        setSelectedCategory(null);
+        applyListingQuery({});
+
+        switch (route.name) {
+            case 'product': {
+                const product = products.find(p => p.id === parseInt(route.params.id) && Moderation.isListed(p));
+                setActiveTab('home');
+                if (product) setSelectedProduct(product);
+                else canonical = '/';
+                break;
             }
+            case 'category':
+                setActiveTab('home');
+                setSelectedCategory(route.params.name);
+                applyListingQuery({ ...route.query, cat: null });
+                break;
+            case 'search':
+                setActiveTab('home');
+                setSearchQuery(route.query.q || '');
+                applyListingQuery(route.query);
+                break;
+            case 'cms':
+                if (!can('cms.access')) return denyRoute('Please login with an account that can open the admin panel.');
+                setActiveTab('account');
+                setShowCMS(true);
+                setCmsActiveTab(route.params.section || 'dashboard');
+                break;
+            case 'affiliate':
+                if (!isAffiliate) return denyRoute('Please login with your affiliate account to open the dashboard.');
+                setAffiliateActiveTab(route.params.tab || 'home');
+                break;
+            case 'list':
+                setActiveTab('saved');
+                setSharedListId(parseInt(route.params.id));
+                break;
+            default:
+                setActiveTab(APP_TABS.includes(route.params.tab) ? route.params.tab : 'home');
+                if (!route.params.tab) applyListingQuery(route.query);
+                if (!APP_TABS.includes(route.params.tab)) canonical = '/';
+        }
 
-            setNavStack(currentStack => {
-                if (currentStack.length <= 1) {
-                    exitConfirmationShownRef.current = true;
-                    setShowExitConfirmation(true);
-                    window.history.pushState(null, '', window.location.href);
-                    return currentStack;
-                }
+        // Rewrite legacy (#product-12) and unknown links to their canonical form
+        const hash = window.location.hash;
+        if (Router.parse(hash).path !== canonical || (hash.length > 1 && !hash.startsWith('#/'))) {
+            window.history.replaceState(window.history.state, '', Router.toHash(canonical));
+        }
+    };
 
-                const newStack = currentStack.slice(0, -1);
-                const prevState = newStack[newStack.length - 1];
-
-                if (prevState.type === 'home') {
-                    setActiveTab('home');
-                    setSelectedProduct(null);
-                    setShowCMS(false);
-                    if (isAffiliateRef.current) setAffiliateActiveTab('home');
-                } else if (prevState.type === 'tab') {
-                    setActiveTab(prevState.value);
-                    setSelectedProduct(null);
-                    setShowCMS(false);
-                } else if (prevState.type === 'product') {
-                    const product = productsRef.current.find(p => p.id === prevState.id);
-                    if (product) {
-                        setSelectedProduct(product);
-                    } else {
-                        setSelectedProduct(null);
-                        setActiveTab('home');
-                    }
-                } else if (prevState.type === 'cms') {
-                    if (isAdminRef.current) {
-                        setShowCMS(true);
-                    }
-                } else if (prevState.type === 'affiliate-tab') {
-                    if (isAffiliateRef.current) {
-                        setAffiliateActiveTab(prevState.tab);
-                    }
-                }
+    // Apply the opened URL once data and session are ready
+    useEffect(() => {
+        if (!storageReady || !sessionChecked || initialRouteApplied) return;
+        applyRouteRef.current(Router.parse(window.location.hash));
+        setInitialRouteApplied(true);
+    }, [storageReady, sessionChecked, initialRouteApplied]);
 
-                return newStack;
-            });
+    // Mirror state changes into the URL
+    useEffect(() => {
+        if (initialRouteApplied) Router.sync(window.history, window.location.hash, currentPath);
+    }, [currentPath, initialRouteApplied]);
+
+    useEffect(() => {
+        setWatchTarget('');
+        setShowSavePicker(false);
+    }, [selectedProduct]);
+
+    // Back onto the guard entry below the app asks before leaving
+    useEffect(() => {
+        const handlePopState = (e) => {
+            const action = Router.popAction(e.state, allowExitRef.current);
+            allowExitRef.current = false;
+            if (action === 'exit') return;
+
+            exitConfirmationShownRef.current = action === 'confirm';
+            setShowExitConfirmation(action === 'confirm');
+            if (action === 'route') applyRouteRef.current(Router.parse(window.location.hash));
         };
 
         window.addEventListener('popstate', handlePopState);
-        
-        if (!window.history.state) {
-            window.history.replaceState({ type: 'home' }, '', window.location.href);
-        }
-        
+        Router.installGuard(window.history, window.location.href);
         return () => window.removeEventListener('popstate', handlePopState);
     }, []);
 
-    const pushNavState = useCallback((navState) => {
-        setNavStack(prev => [...prev, navState]);
-        window.history.pushState(navState, '', window.location.href);
-    }, []);
+    // In-app back buttons: step back through history, or fall back when the page was opened directly
+    const goBack = (fallback) => {
+        if ((window.history.state?.depth || 1) > 1) {
+            window.history.back();
+        } else {
+            fallback();
+        }
+    };
+
+    const clearFilters = () => {
+        setFilters(DEFAULT_PRODUCT_FILTERS);
+        setSelectedPlatform(null);
+    };
+
+    const openCategory = (name) => {
+        setSelectedCategory(name);
+        setSortBy('recommended');
+        setSearchQuery('');
+    };
+
+    const applySuggestion = (suggestion) => {
+        setShowSuggestions(false);
+        setHighlightedSuggestion(-1);
+        if (suggestion.type === 'category') {
+            openCategory(suggestion.label);
+            return;
+        }
+        const product = products.find(p => p.id === suggestion.id);
+        if (product) setSelectedProduct(product);
+    };
+
+    const handleSearchKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setHighlightedSuggestion(idx => Math.max(-1, Math.min(searchSuggestions.length - 1, idx + step)));
+        } else if (e.key === 'Enter') {
+            if (searchSuggestions[highlightedSuggestion]) applySuggestion(searchSuggestions[highlightedSuggestion]);
+            else setShowSuggestions(false);
+        } else if (e.key === 'Escape') {
+            setShowSuggestions(false);
+        }
+    };
 
     const navigateTo = useCallback((target) => {
         if (typeof target === 'string') {
             setActiveTab(target);
             setSelectedProduct(null);
-            pushNavState({ type: 'tab', value: target });
+            setSharedListId(null);
         }
-    }, [pushNavState]);
+    }, []);
 
     // Affiliate State Restoration
     useEffect(() => {
+        if (!storageReady || !sessionChecked) return;
         if (isAffiliate && currentUser) {
             const validAffiliate = affiliateUsers.find(u => u.email === currentUser.email && u.status === 'active');
             if (!validAffiliate) {
+                setIsLoggedIn(false);
                 setIsAffiliate(false);
                 setCurrentUser(null);
-                localStorage.removeItem('nextordersl_isAffiliate');
-                localStorage.removeItem('nextordersl_currentUser');
+                AuthService.logout();
             } else {
-                setCurrentUser({...validAffiliate, role: 'affiliate'});
+                applySession({ role: 'affiliate' }, validAffiliate);
             }
         }
-    }, []);
+    }, [storageReady, sessionChecked]);
 
-    // Flash Sale Countdown
-    useEffect(() => {
-        if (!siteSettings.flashSaleEnabled) return;
-        
-        const timer = setInterval(() => {
-            setFlashSaleTimeLeft(prev => {
-                let { hours, minutes, seconds } = prev;
-                seconds--;
-                if (seconds < 0) {
-                    seconds = 59;
-                    minutes--;
-                    if (minutes < 0) {
-                        minutes = 59;
-                        hours--;
-                        if (hours < 0) {
-                            hours = 4;
-                            minutes = 23;
-                            seconds = 15;
-                        }
-                    }
-                }
-                return { hours, minutes, seconds };
-            });
-        }, 1000);
+    // Flash sale clock: ticks only while a campaign is live or scheduled, so sales start and end on time
+    const hasPendingFlashSale = siteSettings.flashSaleEnabled && FlashSales.hasPending(flashSales, clockNow);
+    const liveFlashSale = siteSettings.flashSaleEnabled ? FlashSales.current(flashSales, clockNow) : null;
 
+    useEffect(() => {
+        if (!hasPendingFlashSale) return;
+        const timer = setInterval(() => setClockNow(Date.now()), 1000);
         return () => clearInterval(timer);
-    }, [siteSettings.flashSaleEnabled]);
+    }, [hasPendingFlashSale]);
+
+    const getSalePriceUSD = (product) => (liveFlashSale ? FlashSales.salePriceOf(liveFlashSale, product) : null);
+
+    const getDiscount = (product, priceUSD = product.priceUSD) => (product.originalPriceUSD > priceUSD
+        ? Math.round((1 - priceUSD / product.originalPriceUSD) * 100)
+        : product.discount || 0);
+
+    const flashSaleProducts = liveFlashSale
+        ? liveFlashSale.items
+            .map(item => products.find(p => p.id === item.productId && Moderation.isListed(p)))
+            .filter(Boolean)
+            .map(product => ({ product, salePriceUSD: getSalePriceUSD(product) }))
+        : [];
 
     // CURRENCY DISPLAY HELPERS
+    const priceRounding = siteSettings.priceRounding;
+
     const formatPrice = useCallback((usdAmount) => {
-        if (isCountryLoading || !usdAmount) return '...';
-        const converted = CurrencyConverter.fromUSD(usdAmount, userCountry.currency);
-        const symbol = CurrencyConverter.getSymbol(userCountry.currency);
-        return `${symbol} ${converted.toLocaleString()}`;
+        if (isCountryLoading || usdAmount === null || usdAmount === undefined || isNaN(usdAmount)) return '...';
+        return CurrencyConverter.formatFromUSD(usdAmount, userCountry.currency, {
+            locale: userCountry.locale,
+            rounding: priceRounding?.[userCountry.currency]
+        });
+    }, [userCountry, isCountryLoading, priceRounding]);
+
+    // Ledger, payout, quote and target amounts are shown exactly; admin rounding is for catalogue prices only
+    const formatMoney = useCallback((usdAmount) => {
+        if (isCountryLoading || usdAmount === null || usdAmount === undefined || isNaN(usdAmount)) return '...';
+        return CurrencyConverter.formatFromUSD(usdAmount, userCountry.currency, { locale: userCountry.locale });
     }, [userCountry, isCountryLoading]);
 
     const formatPriceWithCode = useCallback((usdAmount) => {
-        if (isCountryLoading || !usdAmount) return '...';
-        const converted = CurrencyConverter.fromUSD(usdAmount, userCountry.currency);
-        const symbol = CurrencyConverter.getSymbol(userCountry.currency);
-        return `${symbol} ${converted.toLocaleString()} ${userCountry.currency}`;
-    }, [userCountry, isCountryLoading]);
+        if (isCountryLoading || usdAmount === null || usdAmount === undefined || isNaN(usdAmount)) return '...';
+        return `${formatPrice(usdAmount)} ${userCountry.currency}`;
+    }, [formatPrice, userCountry.currency, isCountryLoading]);
 
     const convertToUSD = useCallback((amount, currency) => {
         return CurrencyConverter.toUSD(amount, currency);
@@ -954,22 +3053,126 @@ const App = () => {
     const handleCountryChange = useCallback((countryCode) => {
         const result = CountryDetector.setManualCountry(countryCode);
         if (result) {
+            // An active price filter keeps the same value in the new currency
+            const convert = (amount) => (amount ? String(CurrencyConverter.fromUSD(CurrencyConverter.toUSD(amount, userCountry.currency), result.currency)) : '');
+            setFilters(prev => (prev.minPrice || prev.maxPrice ? { ...prev, minPrice: convert(prev.minPrice), maxPrice: convert(prev.maxPrice) } : prev));
             setUserCountry(result);
         }
-    }, []);
+    }, [userCountry.currency]);
+
+    // Category tree: subcategories point at their parent through parentId
+    const getCategory = (name) => categories.find(c => c.name === name);
+
+    const getSubcategories = (id) => categories.filter(c => c.parentId === id && c.active);
+
+    const getCategoryPath = (category) => {
+        const path = [];
+        const seen = new Set();
+        for (let c = category; c && !seen.has(c.id); c = categories.find(p => p.id === c.parentId)) {
+            seen.add(c.id);
+            path.unshift(c);
+        }
+        return path;
+    };
+
+    const getCategoryLabel = (category) => getCategoryPath(category).map(c => c.name).join(' › ');
+
+    const getCategoryDescendantIds = (id) => Categories.descendantIds(categories, id);
+
+    // Parents first, each followed by its subcategories
+    const categoryTree = useMemo(() => {
+        const rows = [];
+        const ids = new Set(categories.map(c => c.id));
+        const visit = (parentId, depth) => categories
+            .filter(c => (parentId === null ? !c.parentId || !ids.has(c.parentId) : c.parentId === parentId))
+            .forEach(c => {
+                if (rows.some(r => r.category.id === c.id)) return;
+                rows.push({ category: c, depth });
+                visit(c.id, depth + 1);
+            });
+        visit(null, 0);
+        return rows;
+    }, [categories]);
+
+    // Names of a category and its subcategories, for matching product.category
+    const getCategoryScope = (name) => {
+        const category = categories.find(c => c.name === name);
+        if (!category) return new Set([name]);
+        const ids = getCategoryDescendantIds(category.id);
+        return new Set(categories.filter(c => ids.has(c.id)).map(c => c.name));
+    };
+
+    const selectedCategoryNames = useMemo(() => (selectedCategory ? getCategoryScope(selectedCategory) : null), [categories, selectedCategory]);
+
+    const filterCategoryNames = useMemo(() => (filters.category ? getCategoryScope(filters.category) : null), [categories, filters.category]);
+
+    const activeFilterCount = [filters.minPrice || filters.maxPrice, filters.minDiscount, filters.minRating, filters.category, selectedPlatform].filter(Boolean).length;
+
+    // Search runs once typing pauses rather than on every keystroke
+    useEffect(() => {
+        const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 200);
+        return () => clearTimeout(timer);
+    }, [searchQuery]);
+
+    const searchIndex = useMemo(() => SearchIndex.build(products.filter(Moderation.isListed).map(p => {
+        const category = categories.find(c => c.name === p.category);
+        return {
+            id: p.id,
+            title: p.title,
+            desc: p.desc,
+            category: p.category,
+            parents: category ? getCategoryPath(category).slice(0, -1).map(c => c.name).join(' ') : '',
+            marketplace: p.marketplace || p.platform
+        };
+    })), [products, categories]);
+
+    // Relevance score per matching product id, or null when not searching
+    const searchScores = useMemo(() => (debouncedQuery
+        ? new Map(SearchIndex.search(searchIndex, debouncedQuery).map(r => [r.id, r.score]))
+        : null), [searchIndex, debouncedQuery]);
+
+    const searchSuggestions = useMemo(() => (showSuggestions && searchQuery.trim()
+        ? SearchIndex.suggest(searchIndex, searchQuery)
+        : []), [searchIndex, searchQuery, showSuggestions]);
 
     // Filter products
     const filteredProducts = useMemo(() => {
-        return products.filter(p => {
-            const matchesSearch = p.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                p.desc.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                (p.marketplace && p.marketplace.toLowerCase().includes(searchQuery.toLowerCase()));
+        const minPriceUSD = CurrencyConverter.toUSD(filters.minPrice, userCountry.currency);
+        const maxPriceUSD = CurrencyConverter.toUSD(filters.maxPrice, userCountry.currency);
+        const filtered = products.filter(p => {
+            if (!Moderation.isListed(p)) return false;
+            const matchesSearch = searchScores ? searchScores.has(p.id) : true;
             
             const matchesPlatform = selectedPlatform ? (p.platform === selectedPlatform || p.marketplace?.toLowerCase() === selectedPlatform.toLowerCase()) : true;
+            const matchesCategory = (selectedCategoryNames ? selectedCategoryNames.has(p.category) : true) &&
+                (filterCategoryNames ? filterCategoryNames.has(p.category) : true);
+            const matchesPrice = (!minPriceUSD || p.priceUSD >= minPriceUSD) && (!maxPriceUSD || p.priceUSD <= maxPriceUSD);
+            const matchesDiscount = (p.discount || 0) >= filters.minDiscount;
+            const matchesRating = (parseFloat(p.rating) || 0) >= filters.minRating;
             
-            return matchesSearch && matchesPlatform;
+            return matchesSearch && matchesPlatform && matchesCategory && matchesPrice && matchesDiscount && matchesRating;
         });
-    }, [products, searchQuery, selectedPlatform]);
+        const sort = PRODUCT_SORTS.find(s => s.id === sortBy);
+        if (sort?.compare) return [...filtered].sort(sort.compare);
+        return searchScores ? [...filtered].sort((a, b) => searchScores.get(b.id) - searchScores.get(a.id)) : filtered;
+    }, [products, searchScores, selectedPlatform, selectedCategoryNames, filterCategoryNames, filters, userCountry.currency, sortBy]);
+
+    // Log searches that found nothing so admins can see what's missing from the catalog;
+    // waits for the shopper to stop typing so partial words aren't recorded
+    useEffect(() => {
+        const query = debouncedQuery.toLowerCase();
+        if (query.length < 3 || !searchScores || searchScores.size > 0 || loggedMissesRef.current.has(query)) return;
+        const timer = setTimeout(() => {
+            loggedMissesRef.current.add(query);
+            const now = new Date().toISOString();
+            setSearchMisses(prev => {
+                const existing = prev.find(m => m.query === query);
+                if (existing) return prev.map(m => m === existing ? { ...m, count: m.count + 1, lastSearchedAt: now } : m);
+                return [{ query, count: 1, firstSearchedAt: now, lastSearchedAt: now }, ...prev].slice(0, 200);
+            });
+        }, 1500);
+        return () => clearTimeout(timer);
+    }, [debouncedQuery, searchScores]);
 
     // Infinite Scroll
     const loadMoreProducts = useCallback(() => {
@@ -990,7 +3193,7 @@ const App = () => {
         setDisplayedProducts([]);
         setPage(0);
         setHasMore(true);
-    }, [searchQuery, selectedPlatform]);
+    }, [debouncedQuery, selectedPlatform, selectedCategory, filters, userCountry.currency, sortBy]);
 
     useEffect(() => {
         if (page === 0 && hasMore) {
@@ -1025,6 +3228,14 @@ const App = () => {
         setModal({ ...modal, isOpen: false });
     };
 
+    const can = (permission) => isLoggedIn && AccessControl.can(currentUser?.role, permission);
+
+    const requirePermission = (permission) => {
+        if (can(permission)) return true;
+        showModal('Access Denied', 'You do not have permission to do that.', 'error');
+        return false;
+    };
+
     const getAnimationClass = () => {
         if (!siteSettings.animationsEnabled) return '';
         switch(siteSettings.animationType) {
@@ -1036,95 +3247,339 @@ const App = () => {
         }
     };
 
-    // Auth Handlers
-    const validateEmail = (email) => {
-        const re = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-        return re.test(String(email).toLowerCase());
+    // Auth Handlers
+    const validateEmail = (email) => {
+        const re = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+        return re.test(String(email).toLowerCase());
+    };
+
+    // Session record keeps the profile only, never the password hash
+    const applySession = (session, record) => {
+        const profile = { ...(record || session.user) };
+        delete profile.password;
+        setIsLoggedIn(true);
+        setIsAffiliate(session.role === 'affiliate');
+        setCurrentUser({ ...profile, role: session.role });
+    };
+
+    const requireLogin = () => {
+        handleLogout();
+        setActiveTab('account');
+        setAuthMode('login');
+    };
+
+    // A remote server grants roles only through its own login, so there the user signs in again
+    const startSession = async (record, role) => {
+        if (AuthService.isRemote()) {
+            requireLogin();
+            return false;
+        }
+        applySession(await AuthService.createSession(record, role), record);
+        return true;
+    };
+
+    // Local sessions only name the account; its role comes from the records every time
+    const findLocalAccount = (email) => {
+        if (email === adminCredentials.email) return { record: { name: 'Administrator', email }, role: 'admin' };
+        const affiliate = affiliateUsers.find(u => u.email === email && u.status === 'active');
+        if (affiliate) return { record: affiliate, role: 'affiliate' };
+        const user = registeredUsers.find(u => u.email === email && u.active !== false);
+        return user ? { record: user, role: AccessControl.normalizeRole(user.role) } : null;
+    };
+
+    // Shoppers, advertisers, affiliates and the admin share one email namespace. A removed affiliate's
+    // email stays taken, so nobody can sign up with it and pick up that affiliate's history.
+    const isEmailTaken = (email) => {
+        const normalized = email.toLowerCase();
+        return normalized === adminCredentials.email.toLowerCase() ||
+            registeredUsers.some(u => u.email.toLowerCase() === normalized) ||
+            affiliateUsers.some(u => u.email.toLowerCase() === normalized) ||
+            affiliateAuditLog.some(a => a.action === 'removed' && a.affiliateEmail?.toLowerCase() === normalized);
+    };
+
+    // Re-hash legacy simpleHash digests with PBKDF2 once we know the plain password
+    const upgradePasswordHash = async (password, stored, update) => {
+        if (PasswordHasher.needsRehash(stored)) {
+            update(await PasswordHasher.hash(password));
+        }
+    };
+
+    const authenticateLocally = async (email, password) => {
+        if (email === adminCredentials.email && await PasswordHasher.verify(password, adminCredentials.password)) {
+            await upgradePasswordHash(password, adminCredentials.password, hash => setAdminCredentials(prev => ({ ...prev, password: hash, isHashed: true })));
+            return { record: { name: 'Administrator', email: adminCredentials.email }, role: 'admin' };
+        }
+
+        const affiliate = affiliateUsers.find(u => u.email === email);
+        if (affiliate?.status === 'active' && await PasswordHasher.verify(password, affiliate.password)) {
+            await upgradePasswordHash(password, affiliate.password, hash => setAffiliateUsers(prev => prev.map(u => u.id === affiliate.id ? { ...u, password: hash, isHashed: true } : u)));
+            return { record: affiliate, role: 'affiliate' };
+        }
+
+        const user = registeredUsers.find(u => u.email === email);
+        if (user && await PasswordHasher.verify(password, user.password)) {
+            if (user.active === false) return { disabled: true };
+            await upgradePasswordHash(password, user.password, hash => setRegisteredUsers(prev => prev.map(u => u.id === user.id ? { ...u, password: hash, isHashed: true } : u)));
+            return { record: user, role: AccessControl.normalizeRole(user.role) };
+        }
+
+        // Only reveal a suspension once the password proves who is asking
+        if (affiliate && await PasswordHasher.verify(password, affiliate.password)) return { suspended: true };
+
+        return null;
+    };
+
+    const handleLogin = async (e) => {
+        e.preventDefault();
+        setAuthError('');
+
+        try {
+            let session = null;
+            let record = null;
+            if (AuthService.isRemote()) {
+                session = await AuthService.login(loginForm.email, loginForm.password);
+            } else {
+                const result = await authenticateLocally(loginForm.email, loginForm.password);
+                if (result?.disabled) {
+                    setAuthError('This account has been disabled');
+                    showModal('Account Disabled', 'This account has been disabled. Please contact support.', 'error');
+                    return;
+                }
+                if (result?.suspended) {
+                    setAuthError('This affiliate account is suspended');
+                    showModal('Account Suspended', 'Your affiliate account is suspended. Please contact support.', 'error');
+                    return;
+                }
+                if (result) {
+                    record = result.record;
+                    session = await AuthService.createSession(record, result.role);
+                }
+            }
+
+            if (!session) {
+                setAuthError('Invalid email or password');
+                showModal('Login Failed', 'Invalid email or password. Please try again.', 'error');
+                return;
+            }
+
+            applySession(session, record);
+            setLoginForm({ email: '', password: '' });
+            if (session.role === 'admin') {
+                showModal('Welcome Back!', 'You have successfully logged in as Administrator.', 'success');
+            } else {
+                showModal('Welcome Back!', `Welcome back, ${(record || session.user).name}!`, 'success');
+            }
+        } catch (error) {
+            setAuthError(error.message);
+            showModal('Login Failed', error.message, 'error');
+        }
+    };
+
+    const handleRegister = async (e) => {
+        e.preventDefault();
+        setAuthError('');
+        
+        if (!registerForm.name || !registerForm.email || !registerForm.password) {
+            setAuthError('Please fill all fields');
+            return;
+        }
+        if (!validateEmail(registerForm.email)) {
+            setAuthError('Please enter a valid email address');
+            return;
+        }
+        if (registerForm.password !== registerForm.confirmPassword) {
+            setAuthError('Passwords do not match');
+            return;
+        }
+        if (registerForm.password.length < 6) {
+            setAuthError('Password must be at least 6 characters');
+            return;
+        }
+        if (isEmailTaken(registerForm.email)) {
+            setAuthError('Email already registered');
+            return;
+        }
+        
+        if (!await sendCode('verify-email', registerForm.email, 'verification')) return;
+        setRegisterForm({ ...registerForm, code: '' });
+        setAuthMode('verify');
+        showModal('Verification Code Sent', `A 6-digit verification code has been sent to ${registerForm.email}`, 'info');
+    };
+
+    const finishRegistration = () => {
+        setAuthMode('login');
+        setRegisterForm({ name: '', email: '', password: '', confirmPassword: '', code: '' });
+        showModal('Registration Successful!', 'Your email is verified and your account has been created. Please login to continue.', 'success');
+    };
+
+    // The account is only created once the shopper proves the email address is theirs
+    const handleRegisterVerify = async (e) => {
+        e.preventDefault();
+        setAuthError('');
+        if (AuthService.isRemote()) {
+            try {
+                const { name, email, password, code } = registerForm;
+                const status = await AuthService.register({ role: 'shopper', name, email, password, code });
+                if (status === 'created') finishRegistration();
+                else setAuthError(status === 'taken' ? 'Email already registered' : CODE_ERRORS[status] || CODE_ERRORS.invalid);
+            } catch (error) {
+                setAuthError(error.message);
+            }
+            return;
+        }
+
+        const result = await consumeToken('verify-email', registerForm.email, registerForm.code);
+        if (result !== 'valid') {
+            setAuthError(CODE_ERRORS[result]);
+            return;
+        }
+        if (isEmailTaken(registerForm.email)) {
+            setAuthError('Email already registered');
+            return;
+        }
+
+        const newUser = {
+            id: Date.now(),
+            name: registerForm.name,
+            email: registerForm.email,
+            password: await PasswordHasher.hash(registerForm.password),
+            role: 'shopper',
+            emailVerified: true,
+            joined: new Date().toISOString().split('T')[0],
+            isHashed: true
+        };
+        
+        setRegisteredUsers([...registeredUsers, newUser]);
+        finishRegistration();
+    };
+
+    // One-time codes
+    const CODE_ERRORS = {
+        invalid: 'Invalid or expired code',
+        locked: 'Too many wrong attempts. Please request a new code.'
+    };
+
+    const issueToken = async (purpose, email) => {
+        const code = OneTimeTokens.generate();
+        const now = Date.now();
+        const record = {
+            id: now,
+            purpose,
+            email: email.toLowerCase(),
+            hash: await OneTimeTokens.digest(code),
+            attempts: 0,
+            expiresAt: now + OneTimeTokens.TTL_MINUTES[purpose] * 60 * 1000
+        };
+        setAuthTokens(prev => [
+            ...prev.filter(t => t.expiresAt > now && !(t.purpose === purpose && t.email === record.email)),
+            record
+        ]);
+        return code;
+    };
+
+    // Resolves to 'valid', 'invalid' or 'locked'; every wrong guess counts against the code
+    const consumeToken = async (purpose, email, code) => {
+        if (AuthService.isRemote()) return AuthService.verifyCode(purpose, email, code);
+        const token = authTokens.find(t => t.purpose === purpose && t.email === email.toLowerCase() && t.expiresAt > Date.now());
+        if (!token) return 'invalid';
+        if ((token.attempts || 0) >= OneTimeTokens.MAX_ATTEMPTS) return 'locked';
+        if (!await OneTimeTokens.matches(code, token.hash)) {
+            setAuthTokens(prev => prev.map(t => t.id === token.id ? { ...t, attempts: (t.attempts || 0) + 1 } : t));
+            return (token.attempts || 0) + 1 >= OneTimeTokens.MAX_ATTEMPTS ? 'locked' : 'invalid';
+        }
+        setAuthTokens(prev => prev.filter(t => t.id !== token.id));
+        return 'valid';
+    };
+
+    // Verification and reset codes need a server or a mail transport that actually delivers
+    const canSendCodes = AuthService.isRemote() || Mailer.canDeliver();
+    const NO_MAIL_MESSAGE = 'Email delivery is not set up on this site, so verification and reset codes cannot be sent. Please contact support.';
+    useEffect(() => {
+        if (!canSendCodes) console.error('[mail] No mail transport is configured (window.NEXTORDERSL_CONFIG.mail). Sign-up, affiliate registration and password reset are disabled.');
+    }, []);
+
+    const sendCode = async (purpose, email, template) => {
+        if (!canSendCodes) {
+            showModal('Email Not Available', NO_MAIL_MESSAGE, 'error');
+            return false;
+        }
+        try {
+            if (AuthService.isRemote()) {
+                await AuthService.requestCode(purpose, email);
+            } else {
+                const code = await issueToken(purpose, email);
+                await Mailer.send(email, template, { code, minutes: OneTimeTokens.TTL_MINUTES[purpose] });
+            }
+            return true;
+        } catch (error) {
+            console.error('Mail delivery failed:', error);
+            showModal('Email Not Sent', 'We could not send the email right now. Please try again in a few minutes.', 'error');
+            return false;
+        }
+    };
+
+    // Password reset. With remote auth the server knows the accounts: it only mails a code to addresses it
+    // has and sets the new password itself.
+    const findAccountByEmail = (email) => {
+        const normalized = email.toLowerCase();
+        const user = registeredUsers.find(u => u.email.toLowerCase() === normalized);
+        if (user) return { record: user, update: (changes) => setRegisteredUsers(prev => prev.map(u => u.id === user.id ? { ...u, ...changes } : u)) };
+        const affiliate = affiliateUsers.find(u => u.email.toLowerCase() === normalized);
+        if (affiliate) return { record: affiliate, update: (changes) => setAffiliateUsers(prev => prev.map(u => u.id === affiliate.id ? { ...u, ...changes } : u)) };
+        return null;
     };
 
-    const handleLogin = (e) => {
+    const handleForgotPassword = async (e) => {
         e.preventDefault();
         setAuthError('');
-        
-        const hashedInputPassword = simpleHash(loginForm.password);
-        
-        if (loginForm.email === adminCredentials.email && hashedInputPassword === adminCredentials.password) {
-            setIsLoggedIn(true);
-            setIsAdmin(true);
-            setIsAffiliate(false);
-            setCurrentUser({ name: 'Administrator', email: adminCredentials.email, role: 'admin' });
-            setLoginForm({ email: '', password: '' });
-            showModal('Welcome Back!', 'You have successfully logged in as Administrator.', 'success');
-        } else {
-            const affiliate = affiliateUsers.find(u => u.email === loginForm.email && u.password === hashedInputPassword);
-            if (affiliate && affiliate.status === 'active') {
-                setIsLoggedIn(true);
-                setIsAdmin(false);
-                setIsAffiliate(true);
-                setCurrentUser({ ...affiliate, role: 'affiliate' });
-                setLoginForm({ email: '', password: '' });
-                showModal('Welcome Back!', `Welcome back, ${affiliate.name}!`, 'success');
-                return;
-            }
-            
-            const user = registeredUsers.find(u => u.email === loginForm.email && u.password === hashedInputPassword);
-            if (user) {
-                setIsLoggedIn(true);
-                setIsAdmin(false);
-                setIsAffiliate(false);
-                setCurrentUser(user);
-                setLoginForm({ email: '', password: '' });
-                showModal('Welcome Back!', `Welcome back, ${user.name}!`, 'success');
-            } else {
-                setAuthError('Invalid email or password');
-                showModal('Login Failed', 'Invalid email or password. Please try again.', 'error');
-            }
+        if (!validateEmail(resetForm.email)) {
+            setAuthError('Please enter a valid email address');
+            return;
         }
+        if ((AuthService.isRemote() || findAccountByEmail(resetForm.email)) && !await sendCode('password-reset', resetForm.email, 'passwordReset')) return;
+
+        setAuthMode('reset');
+        showModal('Check Your Email', `If an account exists for ${resetForm.email}, a reset code has been sent to it.`, 'info');
     };
 
-    const handleRegister = (e) => {
+    const handleResetPassword = async (e) => {
         e.preventDefault();
         setAuthError('');
-        
-        if (!registerForm.name || !registerForm.email || !registerForm.password) {
-            setAuthError('Please fill all fields');
-            return;
-        }
-        if (!validateEmail(registerForm.email)) {
-            setAuthError('Please enter a valid email address');
+        if (resetForm.password.length < 6) {
+            setAuthError('Password must be at least 6 characters');
             return;
         }
-        if (registerForm.password !== registerForm.confirmPassword) {
+        if (resetForm.password !== resetForm.confirmPassword) {
             setAuthError('Passwords do not match');
             return;
         }
-        if (registerForm.password.length < 6) {
-            setAuthError('Password must be at least 6 characters');
-            return;
-        }
-        if (registeredUsers.find(u => u.email === registerForm.email) || registerForm.email === adminCredentials.email) {
-            setAuthError('Email already registered');
+        try {
+            if (AuthService.isRemote()) {
+                const result = await AuthService.resetPassword(resetForm.email, resetForm.code, resetForm.password);
+                if (result !== 'valid') {
+                    setAuthError(CODE_ERRORS[result] || CODE_ERRORS.invalid);
+                    return;
+                }
+            } else {
+                const account = findAccountByEmail(resetForm.email);
+                const result = account ? await consumeToken('password-reset', resetForm.email, resetForm.code) : 'invalid';
+                if (result !== 'valid') {
+                    setAuthError(CODE_ERRORS[result]);
+                    return;
+                }
+                account.update({ password: await PasswordHasher.hash(resetForm.password), isHashed: true });
+            }
+        } catch (error) {
+            setAuthError(error.message);
             return;
         }
-        
-        const newUser = {
-            id: Date.now(),
-            name: registerForm.name,
-            email: registerForm.email,
-            password: simpleHash(registerForm.password),
-            role: 'user',
-            joined: new Date().toISOString().split('T')[0],
-            isHashed: true
-        };
-        
-        setRegisteredUsers([...registeredUsers, newUser]);
+        setResetForm({ email: '', code: '', password: '', confirmPassword: '' });
         setAuthMode('login');
-        setRegisterForm({ name: '', email: '', password: '', confirmPassword: '' });
-        showModal('Registration Successful!', 'Your account has been created. Please login to continue.', 'success');
+        showModal('Password Reset', 'Your password has been changed. Please login with your new password.', 'success');
     };
 
     // Affiliate Registration
-    const handleAffiliateRegSubmit = (e) => {
+    const handleAffiliateRegSubmit = async (e) => {
         e.preventDefault();
         setAffiliateRegError('');
         
@@ -1138,39 +3593,80 @@ const App = () => {
             return;
         }
 
-        if (affiliateUsers.find(u => u.email === affiliateRegForm.email) || 
-            registeredUsers.find(u => u.email === affiliateRegForm.email) ||
-            affiliateRegForm.email === adminCredentials.email) {
+        if (isEmailTaken(affiliateRegForm.email)) {
             setAffiliateRegError('Email already registered');
             return;
         }
 
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
-        setVerificationCode(code);
-        
-        console.log(`Verification email sent to ${affiliateRegForm.email} with code: ${code}`);
-        
+        if (!await sendCode('verify-email', affiliateRegForm.email, 'verification')) return;
+
+        setEnteredCode('');
         setAffiliateRegStep(2);
         
-        showModal('Verification Code Sent', `A 6-digit verification code has been sent to ${affiliateRegForm.email}\n\nYour code: ${code}`, 'info');
+        showModal('Verification Code Sent', `A 6-digit verification code has been sent to ${affiliateRegForm.email}`, 'info');
     };
 
-    const handleVerificationSubmit = (e) => {
+    const handleVerificationSubmit = async (e) => {
         e.preventDefault();
-        if (enteredCode === verificationCode) {
+        setAffiliateRegError('');
+        // The server checks the code together with the new account in the last step
+        if (AuthService.isRemote()) {
+            if (enteredCode.length === 6) setAffiliateRegStep(3);
+            else setAffiliateRegError(CODE_ERRORS.invalid);
+            return;
+        }
+        const result = await consumeToken('verify-email', affiliateRegForm.email, enteredCode);
+        if (result === 'valid') {
             setAffiliateRegStep(3);
         } else {
-            setAffiliateRegError('Invalid verification code');
-            showModal('Invalid Code', 'The verification code you entered is incorrect. Please try again.', 'error');
+            setAffiliateRegError(CODE_ERRORS[result]);
+            showModal('Invalid Code', result === 'locked' ? CODE_ERRORS.locked : 'The verification code you entered is incorrect. Please try again.', 'error');
         }
     };
 
-    const completeAffiliateRegistration = () => {
-        const tempPassword = Math.random().toString(36).slice(-8);
+    const closeAffiliateRegistration = () => {
+        setShowAffiliateReg(false);
+        setAffiliateRegStep(1);
+        setAffiliateRegForm({ name: '', email: '', phone: '' });
+        setAffiliatePasswordForm({ password: '', confirmPassword: '' });
+        setEnteredCode('');
+    };
+
+    const completeAffiliateRegistration = async (e) => {
+        e.preventDefault();
+        setAffiliateRegError('');
+        if (affiliatePasswordForm.password.length < 6) {
+            setAffiliateRegError('Password must be at least 6 characters');
+            return;
+        }
+        if (affiliatePasswordForm.password !== affiliatePasswordForm.confirmPassword) {
+            setAffiliateRegError('Passwords do not match');
+            return;
+        }
+
+        if (AuthService.isRemote()) {
+            let status;
+            try {
+                status = await AuthService.register({ role: 'affiliate', ...affiliateRegForm, password: affiliatePasswordForm.password, code: enteredCode });
+            } catch (error) {
+                setAffiliateRegError(error.message);
+                return;
+            }
+            if (status !== 'created') {
+                setAffiliateRegError(status === 'taken' ? 'Email already registered' : CODE_ERRORS[status] || CODE_ERRORS.invalid);
+                setAffiliateRegStep(status === 'taken' ? 1 : 2);
+                return;
+            }
+            closeAffiliateRegistration();
+            showModal('Welcome Aboard!', 'Registration successful! Please login with your email and password.', 'success');
+            return;
+        }
+
         const newAffiliate = {
             id: Date.now(),
             ...affiliateRegForm,
-            password: simpleHash(tempPassword),
+            password: await PasswordHasher.hash(affiliatePasswordForm.password),
+            emailVerified: true,
             role: 'affiliate',
             joined: new Date().toISOString().split('T')[0],
             status: 'active',
@@ -1181,22 +3677,39 @@ const App = () => {
         };
         
         setAffiliateUsers([...affiliateUsers, newAffiliate]);
-        setCurrentUser(newAffiliate);
-        setIsLoggedIn(true);
-        setIsAffiliate(true);
-        setShowAffiliateReg(false);
-        setAffiliateRegStep(1);
-        setAffiliateRegForm({ name: '', email: '', phone: '' });
-        setEnteredCode('');
+        await startSession(newAffiliate, 'affiliate');
+        closeAffiliateRegistration();
         
-        showModal('Welcome Aboard!', `Registration successful! Your temporary password is: ${tempPassword}\n\nPlease change it after login.`, 'success');
+        showModal('Welcome Aboard!', 'Registration successful! You can now login with your email and password.', 'success');
+    };
+
+    const handleAffiliatePasswordChange = async (e) => {
+        e.preventDefault();
+        const affiliate = affiliateUsers.find(u => u.id === currentUser?.id);
+        if (!affiliate || !await PasswordHasher.verify(changePasswordForm.currentPassword, affiliate.password)) {
+            showModal('Error', 'Current password is incorrect', 'error');
+            return;
+        }
+        if (changePasswordForm.newPassword.length < 6) {
+            showModal('Error', 'Password must be at least 6 characters', 'error');
+            return;
+        }
+        if (changePasswordForm.newPassword !== changePasswordForm.confirmPassword) {
+            showModal('Error', 'New passwords do not match', 'error');
+            return;
+        }
+
+        const password = await PasswordHasher.hash(changePasswordForm.newPassword);
+        setAffiliateUsers(prev => prev.map(u => u.id === affiliate.id ? { ...u, password, isHashed: true } : u));
+        setChangePasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+        showModal('Password Changed', 'Your password has been updated.', 'success');
     };
 
-    const handleAdminProfileUpdate = (e) => {
+    const handleAdminProfileUpdate = async (e) => {
         e.preventDefault();
         setProfileUpdateMessage('');
 
-        if (simpleHash(adminProfileForm.currentPassword) !== adminCredentials.password) {
+        if (!await PasswordHasher.verify(adminProfileForm.currentPassword, adminCredentials.password)) {
             setProfileUpdateMessage('Current password is incorrect');
             showModal('Error', 'Current password is incorrect', 'error');
             return;
@@ -1217,7 +3730,7 @@ const App = () => {
                 showModal('Error', 'Password must be at least 6 characters', 'error');
                 return;
             }
-            updates.password = simpleHash(adminProfileForm.newPassword);
+            updates.password = await PasswordHasher.hash(adminProfileForm.newPassword);
         }
 
         if (Object.keys(updates).length === 0) {
@@ -1239,21 +3752,54 @@ const App = () => {
         }
         
         setAutoFillLoading(true);
-        
-        setTimeout(() => {
-            const marketplace = detectMarketplace(autoFillLink);
-            
-            setProductForm({
-                ...productForm,
-                category: marketplace.category,
-                affiliateLink: autoFillLink,
-                platform: marketplace.name.toLowerCase(),
-                marketplace: marketplace.name
-            });
-            
+        const marketplace = detectMarketplace(autoFillLink);
+        const baseFields = {
+            category: marketplace.category,
+            affiliateLink: autoFillLink,
+            platform: marketplace.name.toLowerCase(),
+            marketplace: marketplace.name
+        };
+
+        try {
+            const scraped = await ProductScraper.scrape(autoFillLink);
+
+            // Keep the scraped currency when the form supports it, otherwise convert into the selected one
+            const supported = ['USD', 'LKR', 'INR', 'EUR', 'GBP', 'AUD', 'CAD', 'SGD', 'JPY', 'CNY'];
+            const formCurrency = supported.includes(scraped.currency) ? scraped.currency : inputCurrency;
+            const toFormCurrency = (amount) => {
+                if (amount === null) return '';
+                if (formCurrency === scraped.currency) return String(amount);
+                return String(CurrencyConverter.fromUSD(CurrencyConverter.toUSD(amount, scraped.currency), formCurrency));
+            };
+
+            setInputCurrency(formCurrency);
+            setProductForm(prev => ({
+                ...prev,
+                ...baseFields,
+                title: scraped.title || prev.title,
+                description: scraped.description || prev.description,
+                images: scraped.images.length > 0 ? scraped.images : prev.images,
+                price: scraped.price !== null ? toFormCurrency(scraped.price) : prev.price,
+                originalPrice: scraped.originalPrice !== null ? toFormCurrency(scraped.originalPrice) : prev.originalPrice,
+                rating: scraped.rating !== null ? String(scraped.rating) : prev.rating,
+                sold: scraped.sold !== null ? String(scraped.sold) : prev.sold
+            }));
+
+            const missing = [
+                !scraped.title && 'title',
+                scraped.images.length === 0 && 'images',
+                scraped.price === null && 'price'
+            ].filter(Boolean);
+            showModal('Auto-fill Complete', missing.length
+                ? `Imported what we could from ${marketplace.name}. Please enter the ${missing.join(', ')} manually.`
+                : `Product details imported from ${marketplace.name}. Please review them before saving.`, missing.length ? 'info' : 'success');
+        } catch (error) {
+            console.error('Auto-fill failed:', error);
+            setProductForm(prev => ({ ...prev, ...baseFields }));
+            showModal('Auto-fill Unavailable', `Could not read the product page. Category set to ${marketplace.category}; please enter the title, description and pricing manually.`, 'error');
+        } finally {
             setAutoFillLoading(false);
-            showModal('Auto-fill Complete', `Category set to ${marketplace.category}. Please manually enter product title, description, and pricing.`, 'success');
-        }, 1500);
+        }
     };
 
     const fileToBase64 = (file) => {
@@ -1312,37 +3858,67 @@ const App = () => {
     };
 
     const validatePrice = (price) => {
-        const num = parseInt(price);
+        const num = parseFloat(price);
         return !isNaN(num) && num > 0;
     };
 
-    const handleAffiliateProductAdd = () => {
+    // Affiliate products are listed only once a moderator approves them; status is 'draft' or 'pending'
+    const handleAffiliateProductAdd = (status) => {
         if (!productForm.title || !validatePrice(productForm.price)) {
             showModal('Error', 'Please fill required fields with valid prices', 'error');
             return;
         }
+        if (editingProduct && !ownsAffiliateProduct(editingProduct.id)) {
+            showModal('Access Denied', 'You can only edit your own products.', 'error');
+            return;
+        }
 
         const marketplace = detectMarketplace(productForm.affiliateLink);
         
         // Convert to USD for storage
         const priceUSD = convertToUSD(productForm.price, inputCurrency);
         const originalPriceUSD = productForm.originalPrice ? convertToUSD(productForm.originalPrice, inputCurrency) : priceUSD;
-        
+        const discount = Math.max(0, Math.round(((originalPriceUSD - priceUSD) / originalPriceUSD) * 100)) || 0;
+
+        if (editingProduct) {
+            setProducts(prev => prev.map(p => p.id === editingProduct.id ? {
+                ...p,
+                ...productForm,
+                priceUSD: priceUSD,
+                originalPriceUSD: originalPriceUSD,
+                discount,
+                priceHistory: PriceMonitor.recordPrice(PriceMonitor.historyOf(p), priceUSD, originalPriceUSD),
+                sold: parseInt(productForm.sold) || p.sold || 0,
+                marketplace: marketplace.name || p.marketplace,
+                platform: marketplace.name.toLowerCase() || p.platform,
+                desc: productForm.description,
+                images: productForm.images.length > 0 ? productForm.images : p.images,
+                originalCurrency: inputCurrency,
+                ...moderationFields(status)
+            } : p));
+            resetAffiliateProductForm();
+            showModal('Success', status === 'pending' ? 'Product updated and sent for review.' : 'Product saved as a draft.', 'success');
+            return;
+        }
+
         const newProduct = {
             id: Date.now(),
             ...productForm,
             priceUSD: priceUSD,
             originalPriceUSD: originalPriceUSD,
-            discount: Math.round(((originalPriceUSD - priceUSD) / originalPriceUSD) * 100) || 0,
-            sold: 0,
+            discount,
+            priceHistory: PriceMonitor.recordPrice([], priceUSD, originalPriceUSD),
+            sold: parseInt(productForm.sold) || 0,
             rating: productForm.rating || '4.5',
             addedBy: 'affiliate',
             affiliateId: currentUser?.id,
             addedDate: new Date().toISOString().split('T')[0],
             marketplace: marketplace.name,
             platform: marketplace.name.toLowerCase(),
+            desc: productForm.description,
             images: productForm.images.length > 0 ? productForm.images : ['https://via.placeholder.com/400'],
-            originalCurrency: inputCurrency
+            originalCurrency: inputCurrency,
+            ...moderationFields(status)
         };
 
         setProducts(prev => [newProduct, ...prev]);
@@ -1352,14 +3928,85 @@ const App = () => {
             [currentUser.id]: [...(prev[currentUser.id] || []), newProduct.id]
         }));
 
+        resetAffiliateProductForm();
+        showModal('Success', status === 'pending' ? 'Product submitted! It will appear in the store once approved.' : 'Product saved as a draft.', 'success');
+    };
+
+    const moderationFields = (status) => ({
+        moderation: status,
+        moderationNote: '',
+        submittedAt: status === 'pending' ? new Date().toISOString() : null
+    });
+
+    // Affiliate product management: affiliates may only touch products listed under their id
+    const ownsAffiliateProduct = (id) => can('products.manage_own') && (affiliateProductIds[currentUser?.id] || []).includes(id);
+
+    const resetAffiliateProductForm = () => {
+        setEditingProduct(null);
         setProductForm({ title: '', price: '', originalPrice: '', description: '', images: [], affiliateLink: '', category: '', rating: '4.5' });
         setImageUrlInput('');
         setAutoFillLink('');
-        showModal('Success', 'Product added successfully!', 'success');
+    };
+
+    const duplicateAffiliateProduct = (product) => {
+        if (!ownsAffiliateProduct(product.id)) return;
+        const copy = {
+            ...product,
+            id: Date.now(),
+            title: `${product.title} (Copy)`,
+            clicks: 0,
+            // Copies start as drafts so the affiliate can adjust them before review
+            ...moderationFields('draft'),
+            hidden: false,
+            paused: false,
+            autoHidden: false,
+            refreshFailures: 0,
+            priceHistory: PriceMonitor.recordPrice([], product.priceUSD, product.originalPriceUSD),
+            addedDate: new Date().toISOString().split('T')[0]
+        };
+        setProducts(prev => [copy, ...prev]);
+        setAffiliateProductIds(prev => ({
+            ...prev,
+            [currentUser.id]: [...(prev[currentUser.id] || []), copy.id]
+        }));
+        showModal('Product Duplicated', 'The copy is saved as a draft. Edit it and submit it for review when ready.', 'success');
+    };
+
+    const submitProductsForReview = (ids) => {
+        const ready = ids.filter(id => ownsAffiliateProduct(id) && ['draft', 'rejected'].includes(Moderation.statusOf(products.find(p => p.id === id))));
+        if (ready.length === 0) return;
+        setProducts(prev => prev.map(p => ready.includes(p.id) ? { ...p, ...moderationFields('pending') } : p));
+        setSelectedProductIds([]);
+        showModal('Submitted', `${ready.length} product${ready.length === 1 ? '' : 's'} sent for review.`, 'success');
+    };
+
+    const setAffiliateProductsPaused = (ids, paused) => {
+        const owned = ids.filter(ownsAffiliateProduct);
+        if (owned.length === 0) return;
+        setProducts(prev => prev.map(p => owned.includes(p.id) ? { ...p, hidden: paused, paused, autoHidden: false } : p));
+        setSelectedProductIds([]);
+    };
+
+    const deleteAffiliateProducts = (ids) => {
+        const owned = ids.filter(ownsAffiliateProduct);
+        if (owned.length === 0) return;
+        if (!confirm(owned.length === 1 ? 'Delete this product?' : `Delete ${owned.length} selected products?`)) return;
+        setProducts(prev => prev.filter(p => !owned.includes(p.id)));
+        setAffiliateProductIds(prev => ({
+            ...prev,
+            [currentUser.id]: (prev[currentUser.id] || []).filter(pid => !owned.includes(pid))
+        }));
+        if (editingProduct && owned.includes(editingProduct.id)) resetAffiliateProductForm();
+        setSelectedProductIds([]);
+    };
+
+    const toggleSelectedProduct = (id) => {
+        setSelectedProductIds(prev => prev.includes(id) ? prev.filter(pid => pid !== id) : [...prev, id]);
     };
 
     // CMS Product Handlers with USD conversion
     const saveProduct = () => {
+        if (!requirePermission('products.manage')) return;
         if (!productForm.title || !validatePrice(productForm.price)) {
             showModal('Error', 'Please fill required fields with valid prices', 'error');
             return;
@@ -1372,18 +4019,21 @@ const App = () => {
         const originalPriceUSD = productForm.originalPrice ? convertToUSD(productForm.originalPrice, inputCurrency) : priceUSD;
 
         if (editingProduct) {
-            setProducts(products.map(p => p.id === editingProduct.id ? {
+            const updated = products.map(p => p.id === editingProduct.id ? {
                 ...p,
                 ...productForm,
                 priceUSD: priceUSD,
                 originalPriceUSD: originalPriceUSD,
                 discount: Math.max(0, Math.round(((originalPriceUSD - priceUSD) / originalPriceUSD) * 100)) || 0,
+                priceHistory: PriceMonitor.recordPrice(PriceMonitor.historyOf(p), priceUSD, originalPriceUSD),
                 marketplace: marketplace.name || p.marketplace,
                 platform: marketplace.name.toLowerCase() || p.platform,
                 desc: productForm.description || productForm.desc,
                 images: productForm.images || (productForm.image ? [productForm.image] : p.images || ['https://via.placeholder.com/400']),
                 originalCurrency: inputCurrency
-            } : p));
+            } : p);
+            setProducts(updated);
+            notifyPriceWatches(updated.filter(p => p.id === editingProduct.id));
             setEditingProduct(null);
             showModal('Success', 'Product updated successfully!', 'success');
         } else {
@@ -1393,7 +4043,8 @@ const App = () => {
                 priceUSD: priceUSD,
                 originalPriceUSD: originalPriceUSD,
                 discount: Math.max(0, Math.round(((originalPriceUSD - priceUSD) / originalPriceUSD) * 100)) || 0,
-                sold: 0,
+                priceHistory: PriceMonitor.recordPrice([], priceUSD, originalPriceUSD),
+                sold: parseInt(productForm.sold) || 0,
                 rating: productForm.rating || '4.5',
                 addedBy: 'admin',
                 marketplace: marketplace.name,
@@ -1411,6 +4062,7 @@ const App = () => {
     };
 
     const handleBulkImport = () => {
+        if (!requirePermission('products.manage')) return;
         try {
             const data = JSON.parse(bulkImportData);
             if (!Array.isArray(data)) {
@@ -1452,13 +4104,13 @@ const App = () => {
     };
 
     const deleteProduct = (id) => {
-        if (!isAdmin && !isAffiliate) {
+        if (!can('products.manage') && !can('products.manage_own')) {
             showModal('Access Denied', 'You do not have permission to delete products.', 'error');
             return;
         }
         
         const product = products.find(p => p.id === id);
-        if (isAffiliate && product.affiliateId !== currentUser?.id) {
+        if (!can('products.manage') && product.affiliateId !== currentUser?.id) {
             showModal('Access Denied', 'You can only delete your own products.', 'error');
             return;
         }
@@ -1477,11 +4129,79 @@ const App = () => {
         }
     };
 
+    // Price & availability refresh
+    const MAX_REFRESH_REPORTS = 30;
+
+    const runPriceRefresh = async (productsToCheck) => {
+        if (refreshingPrices || productsToCheck.length === 0) return;
+        setRefreshingPrices(true);
+        const startedAt = new Date().toISOString();
+        const patches = {};
+        const changes = [];
+        let failed = 0;
+        let unreachable = 0;
+
+        for (const product of productsToCheck) {
+            let outcome;
+            try {
+                outcome = PriceMonitor.applyResult(product, await ProductScraper.scrape(product.affiliateLink));
+            } catch (error) {
+                // Network/CORS errors say nothing about the listing itself, so they don't count against it
+                if (!error.status) {
+                    unreachable++;
+                    continue;
+                }
+                outcome = PriceMonitor.applyFailure(product, error);
+            }
+            if (outcome.updates.refreshFailures > 0) failed++;
+            patches[product.id] = outcome.updates;
+            changes.push(...outcome.changes.map(change => ({ ...change, productId: product.id, title: product.title })));
+        }
+
+        setProducts(prev => prev.map(p => patches[p.id] ? { ...p, ...patches[p.id] } : p));
+        notifyPriceWatches(productsToCheck.map(p => patches[p.id] ? { ...p, ...patches[p.id] } : p));
+        setPriceRefreshLog(prev => [{
+            id: Date.now(),
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            checked: productsToCheck.length,
+            failed,
+            unreachable,
+            changes
+        }, ...prev].slice(0, MAX_REFRESH_REPORTS));
+        setRefreshingPrices(false);
+    };
+
+    const handleRefreshAllPrices = () => {
+        if (!requirePermission('products.manage')) return;
+        runPriceRefresh(products.filter(p => p.affiliateLink));
+    };
+
+    const restoreProduct = (id) => {
+        if (!requirePermission('products.manage')) return;
+        setProducts(products.map(p => p.id === id ? { ...p, hidden: false, paused: false, autoHidden: false, refreshFailures: 0 } : p));
+    };
+
+    // Admin-session refresh: the site is static and has no server to schedule jobs on, so due products are
+    // checked a few per minute only while a signed-in product manager has it open and a scraper proxy is set
+    const sessionRefreshTickRef = useRef(() => {});
+    sessionRefreshTickRef.current = () => {
+        const due = products.filter(p => PriceMonitor.isDue(p, siteSettings.priceRefreshHours || 12));
+        runPriceRefresh(due.slice(0, PriceMonitor.BATCH_SIZE));
+    };
+    const sessionRefreshActive = storageReady && can('products.manage') && ProductScraper.hasProxy();
+
+    useEffect(() => {
+        if (!sessionRefreshActive) return;
+        const timer = setInterval(() => sessionRefreshTickRef.current(), 60 * 1000);
+        return () => clearInterval(timer);
+    }, [sessionRefreshActive]);
+
     const editProduct = (product) => {
         setEditingProduct(product);
         // Convert USD back to input currency for editing
-        const displayPrice = Math.round(product.priceUSD * (CurrencyConverter.getRates()[inputCurrency] || 1));
-        const displayOriginalPrice = Math.round(product.originalPriceUSD * (CurrencyConverter.getRates()[inputCurrency] || 1));
+        const displayPrice = CurrencyConverter.fromUSD(product.priceUSD, inputCurrency);
+        const displayOriginalPrice = CurrencyConverter.fromUSD(product.originalPriceUSD, inputCurrency);
         
         setProductForm({
             title: product.title || '',
@@ -1499,43 +4219,264 @@ const App = () => {
         setAutoFillLink(product.affiliateLink || '');
     };
 
+    const clearSearchMisses = () => {
+        if (!requirePermission('products.manage')) return;
+        if (confirm('Clear the search log?')) {
+            setSearchMisses([]);
+            loggedMissesRef.current.clear();
+        }
+    };
+
     const saveCategory = () => {
+        if (!requirePermission('categories.manage')) return;
         if (!categoryForm.name) return;
+        if (categories.some(c => c.name.toLowerCase() === categoryForm.name.trim().toLowerCase() && c.id !== editingCategory?.id)) {
+            showModal('Duplicate Category', 'A category with this name already exists.', 'error');
+            return;
+        }
+
+        const data = {
+            ...categoryForm,
+            name: categoryForm.name.trim(),
+            parentId: categoryForm.parentId ? parseInt(categoryForm.parentId) : null
+        };
+        if (!Categories.canNestUnder(categories, editingCategory?.id ?? null, data.parentId)) {
+            showModal('Invalid Parent', 'A category cannot be placed under itself or one of its own subcategories.', 'error');
+            return;
+        }
         
         if (editingCategory) {
-            setCategories(categories.map(c => c.id === editingCategory.id ? { ...c, ...categoryForm } : c));
+            setCategories(categories.map(c => c.id === editingCategory.id ? { ...c, ...data } : c));
+            // Products reference categories by name
+            if (data.name !== editingCategory.name) {
+                setProducts(products.map(p => p.category === editingCategory.name ? { ...p, category: data.name } : p));
+            }
             setEditingCategory(null);
         } else {
-            setCategories([...categories, { id: Date.now(), ...categoryForm, active: true }]);
+            setCategories([...categories, { id: Date.now(), ...data, active: true }]);
+        }
+        setCategoryForm({ name: '', icon: '', parentId: '', banner: '' });
+    };
+
+    const deleteCategory = (id) => {
+        if (!requirePermission('categories.manage')) return;
+        if (confirm('Delete this category?')) {
+            const removed = categories.find(c => c.id === id);
+            // Subcategories move up to the deleted category's parent
+            setCategories(categories
+                .filter(c => c.id !== id)
+                .map(c => c.parentId === id ? { ...c, parentId: removed?.parentId || null } : c));
+        }
+    };
+
+    const editCategory = (category) => {
+        setEditingCategory(category);
+        setCategoryForm({ name: category.name || '', icon: category.icon || '', parentId: category.parentId ? String(category.parentId) : '', banner: category.banner || '' });
+    };
+
+    const toggleCategory = (id) => {
+        if (!requirePermission('categories.manage')) return;
+        setCategories(categories.map(c => c.id === id ? { ...c, active: !c.active } : c));
+    };
+
+    const emptyBannerForm = { image: '', title: '', subtitle: '', linkType: 'none', linkValue: '', startDate: '', endDate: '', countries: [] };
+
+    const saveBanner = () => {
+        if (!requirePermission('banners.manage')) return;
+        if (!bannerForm.image || !bannerForm.title) return;
+        if (bannerForm.linkType !== 'none' && !bannerForm.linkValue.trim()) {
+            showModal('Missing Destination', 'Choose where the banner should link to.', 'error');
+            return;
+        }
+        if (bannerForm.linkType === 'url' && !/^https?:\/\//i.test(bannerForm.linkValue.trim())) {
+            showModal('Invalid Link', 'External links must start with http:// or https://', 'error');
+            return;
+        }
+        if (bannerForm.startDate && bannerForm.endDate && bannerForm.endDate < bannerForm.startDate) {
+            showModal('Invalid Schedule', 'The end date must be on or after the start date.', 'error');
+            return;
+        }
+
+        const data = { ...bannerForm, linkValue: bannerForm.linkType === 'none' ? '' : bannerForm.linkValue.trim() };
+        
+        if (editingBanner) {
+            setBanners(banners.map(b => b.id === editingBanner.id ? { ...b, ...data } : b));
+            setEditingBanner(null);
+        } else {
+            setBanners([...banners, { id: Date.now(), ...data, active: true }]);
+        }
+        setBannerForm(emptyBannerForm);
+    };
+
+    const deleteBanner = (id) => {
+        if (!requirePermission('banners.manage')) return;
+        if (confirm('Delete this banner?')) {
+            setBanners(banners.filter(b => b.id !== id));
+        }
+    };
+
+    const editBanner = (banner) => {
+        setEditingBanner(banner);
+        setBannerForm({
+            image: banner.image || '',
+            title: banner.title || '',
+            subtitle: banner.subtitle || '',
+            linkType: banner.linkType || 'none',
+            linkValue: banner.linkValue ? String(banner.linkValue) : '',
+            startDate: banner.startDate || '',
+            endDate: banner.endDate || '',
+            countries: banner.countries || []
+        });
+    };
+
+    const toggleBannerCountry = (code) => {
+        const countries = bannerForm.countries.includes(code)
+            ? bannerForm.countries.filter(c => c !== code)
+            : [...bannerForm.countries, code];
+        setBannerForm({ ...bannerForm, countries });
+    };
+
+    // Banners shown to this visitor: active, inside their date window and targeted at their country
+    const visibleBanners = useMemo(() => {
+        const today = new Date().toISOString().split('T')[0];
+        return banners.filter(b => b.active &&
+            (!b.startDate || b.startDate <= today) &&
+            (!b.endDate || b.endDate >= today) &&
+            (!b.countries?.length || b.countries.includes(userCountry.code)));
+    }, [banners, userCountry.code]);
+
+    const countBannerEvent = (id, field) => {
+        setBannerStats(prev => ({ ...prev, [id]: { ...prev[id], [field]: (prev[id]?.[field] || 0) + 1 } }));
+    };
+
+    // One impression per banner per visit, however often the slider comes back round
+    const recordBannerImpression = (banner) => {
+        if (seenBannersRef.current.has(banner.id)) return;
+        seenBannersRef.current.add(banner.id);
+        countBannerEvent(banner.id, 'impressions');
+    };
+
+    const handleBannerClick = (banner) => {
+        if (!banner.linkType || banner.linkType === 'none') return;
+        countBannerEvent(banner.id, 'clicks');
+
+        switch (banner.linkType) {
+            case 'product': {
+                const product = products.find(p => p.id === parseInt(banner.linkValue) && Moderation.isListed(p));
+                if (product) setSelectedProduct(product);
+                break;
+            }
+            case 'category':
+                openCategory(banner.linkValue);
+                break;
+            case 'search':
+                setSearchQuery(banner.linkValue);
+                break;
+            case 'url':
+                window.open(banner.linkValue, '_blank', 'noopener,noreferrer');
+                break;
+            default:
+                break;
+        }
+    };
+
+    const toggleBanner = (id) => {
+        if (!requirePermission('banners.manage')) return;
+        setBanners(banners.map(b => b.id === id ? { ...b, active: !b.active } : b));
+    };
+
+    // datetime-local inputs work in local time without a zone
+    const toLocalDateTimeInput = (iso) => {
+        if (!iso) return '';
+        const date = new Date(iso);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+
+    const emptyFlashSaleForm = { title: '', subtitle: '', startsAt: '', endsAt: '', items: [] };
+
+    const saveFlashSale = () => {
+        if (!requirePermission('promotions.manage')) return;
+        const { title, subtitle, startsAt, endsAt, items } = flashSaleForm;
+        if (!title || !startsAt || !endsAt) {
+            showModal('Missing Details', 'Please enter a title, start time and end time.', 'error');
+            return;
+        }
+        if (new Date(endsAt) <= new Date(startsAt)) {
+            showModal('Invalid Schedule', 'The sale must end after it starts.', 'error');
+            return;
+        }
+        if (items.length === 0) {
+            showModal('No Products', 'Choose at least one product for the sale.', 'error');
+            return;
+        }
+        const invalid = items.find(item => {
+            const product = products.find(p => p.id === item.productId);
+            return item.salePrice !== '' && (!(parseFloat(item.salePrice) > 0) || parseFloat(item.salePrice) >= product?.priceUSD);
+        });
+        if (invalid) {
+            showModal('Invalid Sale Price', 'Sale prices must be above zero and below the product\'s current price.', 'error');
+            return;
+        }
+
+        const data = {
+            title,
+            subtitle,
+            startsAt: new Date(startsAt).toISOString(),
+            endsAt: new Date(endsAt).toISOString(),
+            items: items.map(item => ({ productId: item.productId, salePriceUSD: item.salePrice === '' ? null : parseFloat(item.salePrice) }))
+        };
+
+        if (editingFlashSale) {
+            setFlashSales(flashSales.map(c => c.id === editingFlashSale.id ? { ...c, ...data } : c));
+            setEditingFlashSale(null);
+        } else {
+            setFlashSales([...flashSales, { id: Date.now(), ...data, active: true, createdAt: new Date().toISOString() }]);
         }
-        setCategoryForm({ name: '', icon: '' });
+        setFlashSaleForm(emptyFlashSaleForm);
+        setClockNow(Date.now());
+        showModal('Success', 'Flash sale saved!', 'success');
+    };
+
+    const editFlashSale = (campaign) => {
+        setEditingFlashSale(campaign);
+        setFlashSaleForm({
+            title: campaign.title || '',
+            subtitle: campaign.subtitle || '',
+            startsAt: toLocalDateTimeInput(campaign.startsAt),
+            endsAt: toLocalDateTimeInput(campaign.endsAt),
+            items: campaign.items.map(item => ({ productId: item.productId, salePrice: item.salePriceUSD ? String(item.salePriceUSD) : '' }))
+        });
     };
 
-    const deleteCategory = (id) => {
-        if (confirm('Delete this category?')) {
-            setCategories(categories.filter(c => c.id !== id));
+    const deleteFlashSale = (id) => {
+        if (!requirePermission('promotions.manage')) return;
+        if (confirm('Delete this flash sale?')) {
+            setFlashSales(flashSales.filter(c => c.id !== id));
         }
     };
 
-    const saveBanner = () => {
-        if (!bannerForm.image || !bannerForm.title) return;
-        
-        if (editingBanner) {
-            setBanners(banners.map(b => b.id === editingBanner.id ? { ...b, ...bannerForm } : b));
-            setEditingBanner(null);
-        } else {
-            setBanners([...banners, { id: Date.now(), ...bannerForm, active: true }]);
-        }
-        setBannerForm({ image: '', title: '', subtitle: '' });
+    const toggleFlashSale = (id) => {
+        if (!requirePermission('promotions.manage')) return;
+        setFlashSales(flashSales.map(c => c.id === id ? { ...c, active: !c.active } : c));
+        setClockNow(Date.now());
     };
 
-    const deleteBanner = (id) => {
-        if (confirm('Delete this banner?')) {
-            setBanners(banners.filter(b => b.id !== id));
-        }
+    const toggleFlashSaleProduct = (productId) => {
+        const selected = flashSaleForm.items.some(i => i.productId === productId);
+        setFlashSaleForm({
+            ...flashSaleForm,
+            items: selected
+                ? flashSaleForm.items.filter(i => i.productId !== productId)
+                : [...flashSaleForm.items, { productId, salePrice: '' }]
+        });
+    };
+
+    const setFlashSalePrice = (productId, salePrice) => {
+        setFlashSaleForm({ ...flashSaleForm, items: flashSaleForm.items.map(i => i.productId === productId ? { ...i, salePrice } : i) });
     };
 
     const savePost = () => {
+        if (!requirePermission('posts.manage')) return;
         if (!postForm.title) return;
         
         if (editingPost) {
@@ -1548,21 +4489,100 @@ const App = () => {
     };
 
     const deletePost = (id) => {
+        if (!requirePermission('posts.manage')) return;
         if (confirm('Delete this post?')) {
             setPosts(posts.filter(p => p.id !== id));
         }
     };
 
+    const editPost = (post) => {
+        setEditingPost(post);
+        setPostForm({ title: post.title || '', content: post.content || '' });
+    };
+
+    const togglePost = (id) => {
+        if (!requirePermission('posts.manage')) return;
+        setPosts(posts.map(p => p.id === id ? { ...p, active: !p.active } : p));
+    };
+
     const updateOrderStatus = (orderId, status) => {
+        if (!requirePermission('orders.manage')) return;
         setOrders(orders.map(o => o.id === orderId ? { ...o, status } : o));
     };
 
-    const updateAd = (id, field, value) => {
-        let sanitizedValue = value;
-        if (field === 'code') {
-            sanitizedValue = DOMPurify.sanitize(value);
+    const deleteOrder = (orderId) => {
+        if (!requirePermission('orders.manage')) return;
+        if (confirm('Delete this order?')) {
+            setOrders(orders.filter(o => o.id !== orderId));
+        }
+    };
+
+    const toggleUserActive = (id) => {
+        if (!requirePermission('users.manage')) return;
+        setRegisteredUsers(registeredUsers.map(u => u.id === id ? { ...u, active: u.active === false } : u));
+    };
+
+    const assignUserRole = (id, role) => {
+        if (!requirePermission('users.assign_roles')) return;
+        setRegisteredUsers(registeredUsers.map(u => u.id === id ? { ...u, role } : u));
+        showModal('Role Updated', `The new role applies from the user's next login.`, 'success');
+    };
+
+    const deleteUser = (id) => {
+        if (!requirePermission('users.manage')) return;
+        if (confirm('Delete this user account?')) {
+            setRegisteredUsers(registeredUsers.filter(u => u.id !== id));
+        }
+    };
+
+    const updateLeadStatus = (id, status) => {
+        if (!requirePermission('leads.manage')) return;
+        setMicroJobsLeads(microJobsLeads.map(l => l.id === id ? { ...l, status } : l));
+    };
+
+    const deleteLead = (id) => {
+        if (!requirePermission('leads.manage')) return;
+        if (confirm('Delete this lead?')) {
+            setMicroJobsLeads(microJobsLeads.filter(l => l.id !== id));
+        }
+    };
+
+    const updateAdvertiserStatus = (id, status) => {
+        if (!requirePermission('advertisers.manage')) return;
+        setAdvertiserContacts(advertiserContacts.map(a => a.id === id ? { ...a, status } : a));
+    };
+
+    const deleteAdvertiserContact = (id) => {
+        if (!requirePermission('advertisers.manage')) return;
+        if (confirm('Delete this inquiry?')) {
+            setAdvertiserContacts(advertiserContacts.filter(a => a.id !== id));
+        }
+    };
+
+    const addAd = () => {
+        if (!requirePermission('ads.manage')) return;
+        setAdvertisements([...advertisements, { id: Date.now(), name: 'New Advertisement', code: '', position: 'home_top', weight: 1, frequencyCap: 0, active: false }]);
+    };
+
+    const recordAdImpression = (ad) => {
+        setAdStats(prev => ({ ...prev, [ad.id]: { ...prev[ad.id], impressions: (prev[ad.id]?.impressions || 0) + 1, lastShownAt: new Date().toISOString() } }));
+    };
+
+    const recordAdClick = (ad) => {
+        setAdStats(prev => ({ ...prev, [ad.id]: { ...prev[ad.id], clicks: (prev[ad.id]?.clicks || 0) + 1 } }));
+    };
+
+    const deleteAd = (id) => {
+        if (!requirePermission('ads.manage')) return;
+        if (confirm('Delete this advertisement?')) {
+            setAdvertisements(advertisements.filter(ad => ad.id !== id));
         }
-        setAdvertisements(advertisements.map(ad => ad.id === id ? { ...ad, [field]: sanitizedValue } : ad));
+    };
+
+    const updateAd = (id, field, value) => {
+        if (!requirePermission('ads.manage')) return;
+        // Ad code is stored as pasted; AdSlot isolates it in a sandboxed frame
+        setAdvertisements(advertisements.map(ad => ad.id === id ? { ...ad, [field]: value } : ad));
     };
 
     const handleAdvertiserSubmit = (e) => {
@@ -1591,18 +4611,239 @@ const App = () => {
         setTimeout(() => setAdvertiserMessage(''), 5000);
     };
 
+    // Advertiser accounts are registered users with the 'advertiser' role
+    const handleAdvertiserSignup = async (e) => {
+        e.preventDefault();
+        const form = advertiserSignupForm;
+        if (!form.name || !form.email || !form.password) {
+            showModal('Error', 'Please fill all required fields', 'error');
+            return;
+        }
+        if (!validateEmail(form.email)) {
+            showModal('Error', 'Please enter a valid email', 'error');
+            return;
+        }
+        if (form.password.length < 6) {
+            showModal('Error', 'Password must be at least 6 characters', 'error');
+            return;
+        }
+        if (form.password !== form.confirmPassword) {
+            showModal('Error', 'Passwords do not match', 'error');
+            return;
+        }
+        if (isEmailTaken(form.email)) {
+            showModal('Error', 'Email already registered. Please login from the Account tab.', 'error');
+            return;
+        }
+
+        const newUser = {
+            id: Date.now(),
+            name: form.name,
+            company: form.company,
+            email: form.email,
+            password: await PasswordHasher.hash(form.password),
+            role: 'advertiser',
+            joined: new Date().toISOString().split('T')[0],
+            isHashed: true
+        };
+        setRegisteredUsers([...registeredUsers, newUser]);
+        setAdvertiserSignupForm({ name: '', company: '', email: '', password: '', confirmPassword: '' });
+        if (await startSession(newUser, 'advertiser')) {
+            showModal('Welcome!', 'Your advertiser account is ready. Pick a slot and dates to get a quote.', 'success');
+        } else {
+            showModal('Account Created', 'Your advertiser account is ready. Please log in to continue.', 'success');
+        }
+    };
+
+    // Shoppers can turn their existing account into an advertiser account
+    const becomeAdvertiser = async () => {
+        const user = registeredUsers.find(u => u.id === currentUser?.id);
+        if (!user || AccessControl.normalizeRole(user.role) !== 'shopper') return;
+        const updated = { ...user, role: 'advertiser' };
+        setRegisteredUsers(registeredUsers.map(u => u.id === user.id ? updated : u));
+        const signedIn = await startSession(updated, 'advertiser');
+        showModal('Advertiser Account', signedIn ? 'Your account can now book ad slots.' : 'Your account can now book ad slots. Please log in again to continue.', 'success');
+    };
+
+    const bookingQuoteUSD = AdBookings.quoteUSD(bookingForm.position, bookingForm.startDate, bookingForm.endDate, siteSettings.adDailyRates);
+
+    const handleCreativeUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            showModal('Invalid File', 'Please upload an image (JPG, PNG, GIF or WebP).', 'error');
+            return;
+        }
+        if (file.size > AdBookings.MAX_CREATIVE_BYTES) {
+            showModal('File Too Large', `Creatives must be under ${Math.round(AdBookings.MAX_CREATIVE_BYTES / 1024)} KB.`, 'error');
+            return;
+        }
+        const image = await fileToBase64(file);
+        setBookingForm(prev => ({ ...prev, image }));
+    };
+
+    const submitBooking = (e) => {
+        e.preventDefault();
+        if (!requirePermission('campaigns.manage_own')) return;
+        const today = new Date().toISOString().split('T')[0];
+        const { position, startDate, endDate, image, linkUrl, alt } = bookingForm;
+
+        if (!startDate || !endDate) {
+            showModal('Missing Dates', 'Please choose a start and end date.', 'error');
+            return;
+        }
+        if (startDate < today || endDate < startDate) {
+            showModal('Invalid Dates', 'Campaigns must start today or later and end on or after the start date.', 'error');
+            return;
+        }
+        if (!image || !/^(https:\/\/|data:image\/)/i.test(image)) {
+            showModal('Missing Creative', 'Please upload an image or enter an https:// image URL.', 'error');
+            return;
+        }
+        if (!/^https?:\/\/.+/i.test(linkUrl.trim())) {
+            showModal('Invalid Link', 'The click-through link must start with http:// or https://', 'error');
+            return;
+        }
+
+        const booking = {
+            id: Date.now(),
+            advertiserId: currentUser.id,
+            advertiserName: currentUser.name,
+            advertiserEmail: currentUser.email,
+            company: currentUser.company || '',
+            position,
+            startDate,
+            endDate,
+            creative: { image, linkUrl: linkUrl.trim(), alt: alt.trim() || currentUser.company || currentUser.name },
+            quoteUSD: bookingQuoteUSD,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+        setAdBookings([booking, ...adBookings]);
+        setBookingForm({ position, startDate: '', endDate: '', image: '', linkUrl: '', alt: '' });
+        showModal('Booking Submitted', `Your quote is ${formatMoney(booking.quoteUSD)}. We will review the creative and let you know by email.`, 'success');
+    };
+
+    const cancelBooking = (id) => {
+        if (!requirePermission('campaigns.manage_own')) return;
+        if (confirm('Cancel this booking?')) {
+            setAdBookings(adBookings.map(b => b.id === id && b.advertiserId === currentUser?.id && b.status === 'pending' ? { ...b, status: 'cancelled' } : b));
+        }
+    };
+
+    const notifyBookingReviewed = (booking, approved, reason) => {
+        Mailer.send(booking.advertiserEmail, 'bookingReviewed', {
+            name: booking.advertiserName,
+            position: AD_POSITIONS.find(p => p.id === booking.position)?.label || booking.position,
+            startDate: booking.startDate,
+            endDate: booking.endDate,
+            approved,
+            reason
+        }).catch(error => console.error('Booking email failed:', error));
+    };
+
+    const approveBooking = (booking) => {
+        if (!requirePermission('ads.manage')) return;
+        const ad = AdBookings.toAdvertisement(booking, Date.now());
+        setAdvertisements([...advertisements, ad]);
+        setAdBookings(adBookings.map(b => b.id === booking.id ? { ...b, status: 'approved', adId: ad.id, reviewedAt: new Date().toISOString(), reviewedBy: currentUser?.email } : b));
+        notifyBookingReviewed(booking, true);
+        showModal('Booking Approved', `"${ad.name}" was added to Advertisements and will run from ${booking.startDate} to ${booking.endDate}.`, 'success');
+    };
+
+    const rejectBooking = () => {
+        if (!requirePermission('ads.manage')) return;
+        const reason = rejectingBooking?.reason.trim();
+        if (!reason) {
+            showModal('Reason Required', 'Please tell the advertiser why the booking was rejected.', 'error');
+            return;
+        }
+        const booking = adBookings.find(b => b.id === rejectingBooking.id);
+        setAdBookings(adBookings.map(b => b.id === booking.id ? { ...b, status: 'rejected', rejectReason: reason, reviewedAt: new Date().toISOString(), reviewedBy: currentUser?.email } : b));
+        notifyBookingReviewed(booking, false, reason);
+        setRejectingBooking(null);
+    };
+
+    const notifyProductReviewed = (product, approved, reason) => {
+        const affiliate = affiliateUsers.find(u => u.id === product.affiliateId);
+        if (!affiliate) return;
+        Mailer.send(affiliate.email, 'productReviewed', {
+            name: affiliate.name,
+            title: product.title,
+            approved,
+            reason
+        }).catch(error => console.error('Product review email failed:', error));
+    };
+
+    const approveProduct = (product) => {
+        if (!requirePermission('products.manage')) return;
+        const approved = { ...product, moderation: 'approved', moderationNote: '', reviewedAt: new Date().toISOString(), reviewedBy: currentUser?.email };
+        setProducts(products.map(p => p.id === product.id ? approved : p));
+        notifyProductReviewed(product, true);
+        notifyPriceWatches([approved]);
+    };
+
+    const rejectProduct = () => {
+        if (!requirePermission('products.manage')) return;
+        const reason = rejectingProduct?.reason.trim();
+        if (!reason) {
+            showModal('Reason Required', 'Please tell the affiliate why the product was rejected.', 'error');
+            return;
+        }
+        const product = products.find(p => p.id === rejectingProduct.id);
+        setProducts(products.map(p => p.id === product.id ? { ...p, moderation: 'rejected', moderationNote: reason, reviewedAt: new Date().toISOString(), reviewedBy: currentUser?.email } : p));
+        notifyProductReviewed(product, false, reason);
+        setRejectingProduct(null);
+    };
+
+    const toggleAllowedMarketplace = (name) => {
+        if (!requirePermission('products.manage')) return;
+        const allowed = siteSettings.allowedMarketplaces ?? Moderation.DEFAULT_MARKETPLACES;
+        setSiteSettings({
+            ...siteSettings,
+            allowedMarketplaces: allowed.includes(name) ? allowed.filter(m => m !== name) : [...allowed, name]
+        });
+    };
+
+    const setAdDailyRate = (position, value) => {
+        if (!requirePermission('ads.manage')) return;
+        const rate = Math.max(0, parseFloat(value) || 0);
+        setSiteSettings({ ...siteSettings, adDailyRates: { ...siteSettings.adDailyRates, [position]: rate } });
+    };
+
     const handleLogout = () => {
+        AuthService.logout();
         setIsLoggedIn(false);
-        setIsAdmin(false);
         setIsAffiliate(false);
         setCurrentUser(null);
         setShowCMS(false);
         setActiveTab('home');
         setAffiliateActiveTab('home');
-        setNavStack([{ type: 'home' }]);
         showModal('Logged Out', 'You have been successfully logged out.', 'info');
     };
 
+    // The affiliate role needs its own session, opened with that account's password.
+    // Returns an error message for the password prompt, or nothing once it is done.
+    const switchToAffiliate = async (affiliate, password) => {
+        if (!await PasswordHasher.verify(password, affiliate.password)) return 'Incorrect password';
+        setSwitchingAffiliate(null);
+        if (affiliate.status !== 'active') {
+            showModal('Account Suspended', 'Your affiliate account is suspended. Please contact support.', 'error');
+            return;
+        }
+        await startSession(affiliate, 'affiliate');
+    };
+
+    const openAffiliateDashboard = () => {
+        if (AuthService.isRemote()) {
+            requireLogin();
+            showModal('Login Required', 'Please log in with your affiliate account.', 'info');
+            return;
+        }
+        setSwitchingAffiliate(affiliateUsers.find(u => u.email === currentUser?.email));
+    };
+
     const checkExistingAffiliate = useCallback(() => {
         if (!currentUser) return false;
         return affiliateUsers.some(u => u.email === currentUser.email);
@@ -1618,7 +4859,7 @@ const App = () => {
     const handleExitCancel = () => {
         exitConfirmationShownRef.current = false;
         setShowExitConfirmation(false);
-        window.history.pushState(null, '', window.location.href);
+        Router.stay(window.history, window.location.href);
     };
 
     const handleShare = (product) => {
@@ -1626,13 +4867,120 @@ const App = () => {
         setShowShareModal(true);
     };
 
-    const getProductShareUrl = (product) => {
-        const baseUrl = window.location.href.split('#')[0];
-        return `${baseUrl}#product-${product.id}`;
+    const getShareBaseUrl = () => window.location.href.split('#')[0].split('?')[0];
+
+    const getProductShareUrl = (product, channel) => Referrals.buildUrl(getShareBaseUrl(), Router.build('product', { id: product.id }), null, channel);
+
+    // Affiliate tracking links for the whole store, a category or a product
+    const getTrackingUrl = (path) => Referrals.buildUrl(getShareBaseUrl(), path, currentUser?.id);
+
+    const copyTrackingLink = (url) => {
+        navigator.clipboard.writeText(url);
+        showModal('Copied!', 'Tracking link copied to clipboard!', 'success');
+    };
+
+    // Outbound click tracking - logs the click, bumps counters, then redirects
+    const MAX_CLICK_LOG = 5000;
+
+    const handleBuyNow = (product) => {
+        if (!product?.affiliateLink) {
+            showModal('Unavailable', 'This product does not have a store link yet.', 'error');
+            return;
+        }
+
+        // Visitors who arrived through an active affiliate's tracking link are credited to that affiliate too.
+        // Visitors on a shared backend cannot see the affiliate list, so there the server checks the referrer.
+        const current = Referrals.current();
+        const referral = Referrals.creditable(current, { productAffiliateId: product.affiliateId, selfId: isAffiliate ? currentUser?.id : null }) ? current : null;
+        const referrer = referral && (restrictedKeysRef.current.has('affiliates')
+            ? { id: referral.affiliateId }
+            : affiliateUsers.find(u => u.id === referral.affiliateId && u.status === 'active'));
+
+        const click = {
+            id: Date.now(),
+            timestamp: new Date().toISOString(),
+            productId: product.id,
+            affiliateId: product.affiliateId || null,
+            referrerId: referrer ? referrer.id : null,
+            referredAt: referrer ? referral.landedAt : null,
+            marketplace: product.marketplace || detectMarketplace(product.affiliateLink).name,
+            country: userCountry.code,
+            channel: referrer ? referral.channel : referralChannelRef.current
+        };
+
+        setClickLog(prev => [click, ...prev].slice(0, MAX_CLICK_LOG));
+        Persistence.append('clicks', click).catch(error => console.error('Click logging failed:', error));
+        setProducts(prev => prev.map(p => p.id === product.id ? { ...p, clicks: (p.clicks || 0) + 1 } : p));
+        const creditedIds = [...new Set([click.affiliateId, click.referrerId].filter(Boolean))];
+        if (creditedIds.length > 0) {
+            setAffiliateUsers(prev => prev.map(u => creditedIds.includes(u.id) ? { ...u, clicks: (u.clicks || 0) + 1 } : u));
+        }
+
+        window.open(product.affiliateLink, '_blank', 'noopener');
+    };
+
+    // Price-drop watches
+    const getWatch = (productId) => priceWatches.find(w => w.productId === productId && w.email === currentUser?.email);
+
+    const handleWatchProduct = (product) => {
+        if (!isLoggedIn) {
+            setSelectedProduct(null);
+            setActiveTab('account');
+            showModal('Login Required', 'Please login to watch prices and get alerts.', 'info');
+            return;
+        }
+
+        const target = parseFloat(watchTarget);
+        if (isNaN(target) || target <= 0) {
+            showModal('Error', 'Please enter a valid target price', 'error');
+            return;
+        }
+        const targetUSD = CurrencyConverter.toUSD(target, userCountry.currency);
+        if (targetUSD >= product.priceUSD) {
+            showModal('Error', `Your target must be below the current price of ${formatPrice(product.priceUSD)}`, 'error');
+            return;
+        }
+
+        const watch = {
+            id: Date.now(),
+            productId: product.id,
+            userId: currentUser.id || null,
+            email: currentUser.email,
+            targetUSD,
+            currency: userCountry.currency,
+            createdAt: new Date().toISOString(),
+            notifiedAt: null
+        };
+        setPriceWatches(prev => [...prev.filter(w => !(w.productId === product.id && w.email === watch.email)), watch]);
+        setWatchTarget('');
+        showModal('Watching Price', `We'll email you when ${product.title} drops below ${formatMoney(targetUSD)}.`, 'success');
+    };
+
+    const unwatchProduct = (productId) => {
+        setPriceWatches(prev => prev.filter(w => !(w.productId === productId && w.email === currentUser?.email)));
+    };
+
+    // Runs where prices change (the admin-session refresh, product edits and approvals), never in every visitor's browser.
+    // On a shared backend only product managers are served the other accounts' watches.
+    const notifyPriceWatches = (changedProducts) => {
+        const formatIn = (usd, currency) => CurrencyConverter.formatFromUSD(usd, currency, { rounding: siteSettings.priceRounding?.[currency] });
+        const { alerts, updates } = PriceMonitor.checkWatches(priceWatches, changedProducts);
+
+        alerts.forEach(({ watch, product }) => {
+            Mailer.send(watch.email, 'priceDrop', {
+                title: product.title,
+                price: formatIn(product.priceUSD, watch.currency),
+                target: CurrencyConverter.formatFromUSD(watch.targetUSD, watch.currency),
+                link: getProductShareUrl(product, 'alert')
+            }).catch(error => console.error('Price alert email failed:', error));
+        });
+        if (Object.keys(updates).length > 0) {
+            setPriceWatches(prev => prev.map(w => updates[w.id] ? { ...w, ...updates[w.id] } : w));
+        }
     };
 
     const shareViaWhatsApp = () => {
-        const url = getProductShareUrl(shareProduct);
+        const url = getProductShareUrl(shareProduct, 'whatsapp');
         const price = formatPrice(shareProduct.priceUSD);
         const text = `Check out this amazing product: ${shareProduct.title} - Only ${price}!`;
         window.open(`https://wa.me/?text=${encodeURIComponent(text + ' ' + url)}`, '_blank');
@@ -1640,13 +4988,13 @@ const App = () => {
     };
 
     const shareViaFacebook = () => {
-        const url = getProductShareUrl(shareProduct);
+        const url = getProductShareUrl(shareProduct, 'facebook');
         window.open(`https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`, '_blank');
         setShowShareModal(false);
     };
 
     const shareViaTwitter = () => {
-        const url = getProductShareUrl(shareProduct);
+        const url = getProductShareUrl(shareProduct, 'twitter');
         const price = formatPrice(shareProduct.priceUSD);
         const text = `Check out this amazing product: ${shareProduct.title} - Only ${price}!`;
         window.open(`https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`, '_blank');
@@ -1654,64 +5002,341 @@ const App = () => {
     };
 
     const copyLink = () => {
-        const url = getProductShareUrl(shareProduct);
+        const url = getProductShareUrl(shareProduct, 'link');
         navigator.clipboard.writeText(url);
         showModal('Copied!', 'Product link copied to clipboard!', 'success');
         setShowShareModal(false);
     };
 
-    const handleCheckout = () => {
-        if (cart.length === 0) {
-            showModal('Error', 'Your cart is empty!', 'error');
+    // Saved lists
+    const myLists = isLoggedIn ? savedLists.filter(l => l.owner === currentUser?.email) : guestLists;
+    const savedProductIds = [...new Set(myLists.flatMap(l => l.productIds))];
+
+    const updateMyLists = (update) => {
+        if (!isLoggedIn) {
+            setGuestLists(update);
+            return;
+        }
+        const owner = currentUser.email;
+        setSavedLists(prev => [
+            ...prev.filter(l => l.owner !== owner),
+            ...update(prev.filter(l => l.owner === owner)).map(l => ({ ...l, owner }))
+        ]);
+    };
+
+    const createList = (name, productIds = []) => {
+        const list = { id: Date.now(), name, productIds, createdAt: new Date().toISOString().split('T')[0] };
+        updateMyLists(lists => [...lists, list]);
+        setActiveListId(list.id);
+        return list;
+    };
+
+    const handleCreateList = (productId) => {
+        const name = newListName.trim() || (myLists.length === 0 ? 'My Saved Items' : `List ${myLists.length + 1}`);
+        createList(name, productId ? [productId] : []);
+        setNewListName('');
+    };
+
+    const toggleSavedProduct = (listId, productId) => {
+        updateMyLists(lists => lists.map(l => l.id !== listId ? l : {
+            ...l,
+            productIds: l.productIds.includes(productId) ? l.productIds.filter(id => id !== productId) : [...l.productIds, productId]
+        }));
+    };
+
+    const renameList = (e) => {
+        e.preventDefault();
+        if (!renamingList?.name.trim()) return;
+        updateMyLists(lists => lists.map(l => l.id === renamingList.id ? { ...l, name: renamingList.name.trim() } : l));
+        setRenamingList(null);
+    };
+
+    const deleteList = (id) => {
+        if (!confirm('Delete this list?')) return;
+        updateMyLists(lists => lists.filter(l => l.id !== id));
+        setActiveListId(null);
+    };
+
+    const shareList = (list) => {
+        if (!isLoggedIn) {
+            showModal('Login Required', 'Login to share your lists. Your saved items will move to your account.', 'info');
+            return;
+        }
+        const url = `${window.location.href.split('#')[0].split('?')[0]}${Router.toHash(Router.build('list', { id: list.id }))}`;
+        navigator.clipboard.writeText(url);
+        showModal('Copied!', 'List link copied to clipboard!', 'success');
+    };
+
+    const copySharedList = (list) => {
+        createList(list.name, list.productIds);
+        setSharedListId(null);
+        showModal('Saved', `"${list.name}" has been added to your saved lists.`, 'success');
+    };
+
+    // Guest lists move into the account on login; lists with the same name are merged
+    useEffect(() => {
+        if (!storageReady || !isLoggedIn || !currentUser?.email || guestLists.length === 0) return;
+        const owner = currentUser.email;
+        setSavedLists(prev => {
+            const merged = [...prev];
+            guestLists.forEach(guest => {
+                const idx = merged.findIndex(l => l.owner === owner && l.name === guest.name);
+                if (idx > -1) {
+                    merged[idx] = { ...merged[idx], productIds: [...new Set([...merged[idx].productIds, ...guest.productIds])] };
+                } else {
+                    merged.push({ ...guest, owner });
+                }
+            });
+            return merged;
+        });
+        setGuestLists([]);
+    }, [storageReady, isLoggedIn, currentUser?.email, guestLists]);
+
+    const handleMicroJobsNotify = (e) => {
+        e.preventDefault();
+        const email = e.target.email.value;
+        
+        if (!email) {
+            showModal('Error', 'Please enter your email address', 'error');
+            return;
+        }
+
+        if (!validateEmail(email)) {
+            showModal('Error', 'Please enter a valid email address', 'error');
+            return;
+        }
+
+        const newLead = {
+            id: Date.now(),
+            email: email,
+            date: new Date().toISOString().split('T')[0],
+            status: 'New'
+        };
+
+        setMicroJobsLeads([newLead, ...microJobsLeads]);
+        e.target.reset();
+        showModal('Success!', 'Thank you for your interest! We will notify you when Micro Jobs launch.', 'success');
+    };
+
+    // Commissions
+    const payoutMinimumUSD = siteSettings.payoutMinimumUSD ?? Commissions.DEFAULT_MIN_PAYOUT_USD;
+
+    const getCommissionContext = (product, affiliateId) => ({
+        affiliateId,
+        categories: getCategoryPath(getCategory(product?.category)).map(c => c.name).reverse(),
+        marketplace: product ? (product.marketplace || detectMarketplace(product.affiliateLink).name) : null
+    });
+
+    const describeCommissionRule = (rule) => {
+        const rate = rule.type === 'flat' ? `${formatMoney(rule.rate)} per sale` : `${rule.rate}% of sale`;
+        if (rule.scope === 'default') return `All sales: ${rate}`;
+        if (rule.scope === 'affiliate') return `Affiliate ${affiliateUsers.find(u => String(u.id) === String(rule.target))?.name || rule.target}: ${rate}`;
+        return `${rule.scope === 'category' ? 'Category' : 'Marketplace'} ${rule.target}: ${rate}`;
+    };
+
+    const saveCommissionRule = (e) => {
+        e.preventDefault();
+        if (!requirePermission('affiliates.manage')) return;
+        const { scope, target, type } = commissionRuleForm;
+        const rate = parseFloat(commissionRuleForm.rate);
+        if (scope !== 'default' && !target) {
+            showModal('Missing Target', `Please choose the ${scope} this rule applies to.`, 'error');
+            return;
+        }
+        if (!(rate > 0) || (type === 'percent' && rate > 100)) {
+            showModal('Invalid Rate', 'Enter a percentage between 0 and 100, or a flat amount above 0.', 'error');
+            return;
+        }
+
+        // One rule per scope and target; saving again updates it
+        const ruleTarget = scope === 'default' ? '' : target;
+        const existing = commissionRules.find(r => r.scope === scope && String(r.target) === String(ruleTarget));
+        if (existing) {
+            setCommissionRules(commissionRules.map(r => r.id === existing.id ? { ...r, type, rate, active: true } : r));
+        } else {
+            setCommissionRules([...commissionRules, { id: Date.now(), scope, target: ruleTarget, type, rate, active: true }]);
+        }
+        setCommissionRuleForm({ ...commissionRuleForm, target: '', rate: '' });
+    };
+
+    const toggleCommissionRule = (id) => {
+        if (!requirePermission('affiliates.manage')) return;
+        setCommissionRules(commissionRules.map(r => r.id === id ? { ...r, active: !r.active } : r));
+    };
+
+    const deleteCommissionRule = (id) => {
+        if (!requirePermission('affiliates.manage')) return;
+        if (confirm('Delete this commission rule?')) {
+            setCommissionRules(commissionRules.filter(r => r.id !== id));
+        }
+    };
+
+    // Conversions are reported by the marketplaces' affiliate networks and entered here
+    const recordConversion = (e) => {
+        e.preventDefault();
+        if (!requirePermission('affiliates.manage')) return;
+        const affiliateId = parseInt(conversionForm.affiliateId);
+        const product = products.find(p => p.id === parseInt(conversionForm.productId));
+        const saleUSD = parseFloat(conversionForm.saleUSD);
+        if (!affiliateUsers.some(u => u.id === affiliateId)) {
+            showModal('Missing Affiliate', 'Please choose the affiliate who made the sale.', 'error');
+            return;
+        }
+        if (!(saleUSD > 0)) {
+            showModal('Invalid Amount', 'Please enter the sale amount in USD.', 'error');
+            return;
+        }
+        const rule = Commissions.ruleFor(commissionRules, getCommissionContext(product, affiliateId));
+        if (!rule) {
+            showModal('No Commission Rule', 'No active rule matches this sale. Add a default rule first.', 'error');
+            return;
+        }
+
+        const entry = Commissions.newEntry(rule, {
+            affiliateId,
+            productId: product?.id || null,
+            orderRef: conversionForm.orderRef.trim(),
+            saleUSD,
+            recordedBy: currentUser?.email
+        });
+        setCommissionLedger([entry, ...commissionLedger]);
+        setConversionForm({ affiliateId: conversionForm.affiliateId, productId: '', saleUSD: '', orderRef: '' });
+        showModal('Conversion Recorded', `${formatMoney(entry.commissionUSD)} commission is pending approval.`, 'success');
+    };
+
+    const setLedgerStatus = (ids, status) => {
+        if (!requirePermission('affiliates.manage')) return;
+        const now = new Date().toISOString();
+        // An entry whose amount doesn't follow from its rule can only be rejected
+        setCommissionLedger(commissionLedger.map(e => ids.includes(e.id) && e.status === 'pending' && (status === 'rejected' || Commissions.verify(e))
+            ? { ...e, status, reviewedAt: now, reviewedBy: currentUser?.email }
+            : e));
+    };
+
+    const requestPayout = () => {
+        if (!requirePermission('payouts.request')) return;
+        const entries = commissionLedger.filter(e => e.affiliateId === currentUser?.id && e.status === 'approved' && !e.payoutId && Commissions.verify(e));
+        const amountUSD = Commissions.round(entries.reduce((sum, e) => sum + e.commissionUSD, 0));
+        if (amountUSD < payoutMinimumUSD) {
+            showModal('Below Minimum', `You can request a payout once your approved balance reaches ${formatMoney(payoutMinimumUSD)}.`, 'error');
             return;
         }
 
-        const totalUSD = cart.reduce((sum, item) => sum + (item.priceUSD || 0), 0);
-
-        const newOrder = {
-            id: 'ORD' + Date.now().toString().slice(-6),
-            customer: currentUser?.name || 'Guest',
-            email: currentUser?.email || 'guest@example.com',
-            totalUSD: totalUSD,
-            status: 'Pending',
-            date: new Date().toISOString().split('T')[0],
-            items: cart.length,
-            products: cart
+        const payout = {
+            id: Date.now(),
+            affiliateId: currentUser.id,
+            amountUSD,
+            entryIds: entries.map(e => e.id),
+            status: 'requested',
+            requestedAt: new Date().toISOString()
         };
+        setPayouts([payout, ...payouts]);
+        setCommissionLedger(commissionLedger.map(e => payout.entryIds.includes(e.id) ? { ...e, payoutId: payout.id } : e));
+        showModal('Payout Requested', `Your payout of ${formatMoney(amountUSD)} has been requested.`, 'success');
+    };
 
-        setOrders([newOrder, ...orders]);
-        setCart([]);
-        localStorage.removeItem('nextordersl_cart');
-        
-        const displayTotal = formatPrice(totalUSD);
-        showModal('Order Placed!', `Your order ${newOrder.id} has been placed successfully. Total: ${displayTotal}`, 'success');
-        setActiveTab('account');
+    const markPayoutPaid = (payout) => {
+        if (!requirePermission('affiliates.manage')) return;
+        const problem = Commissions.checkPayout(payout, commissionLedger);
+        if (problem) {
+            showModal('Payout Does Not Match', problem, 'error');
+            return;
+        }
+        if (!confirm(`Mark ${formatMoney(payout.amountUSD)} as paid?`)) return;
+        const now = new Date().toISOString();
+        setPayouts(payouts.map(p => p.id === payout.id ? { ...p, status: 'paid', paidAt: now, paidBy: currentUser?.email } : p));
+        setCommissionLedger(commissionLedger.map(e => payout.entryIds.includes(e.id) ? { ...e, status: 'paid', paidAt: now } : e));
     };
 
-    const handleMicroJobsNotify = (e) => {
-        e.preventDefault();
-        const email = e.target.email.value;
-        
-        if (!email) {
-            showModal('Error', 'Please enter your email address', 'error');
+    const setPayoutMinimum = (value) => {
+        if (!requirePermission('affiliates.manage')) return;
+        setSiteSettings({ ...siteSettings, payoutMinimumUSD: Math.max(0, parseFloat(value) || 0) });
+    };
+
+    const logAffiliateChange = (affiliate, action, reason, details = '') => {
+        setAffiliateAuditLog(prev => [{
+            id: Date.now(),
+            affiliateId: affiliate.id,
+            affiliateName: affiliate.name,
+            affiliateEmail: affiliate.email,
+            action,
+            fromStatus: affiliate.status,
+            reason,
+            details,
+            actor: currentUser?.email || 'unknown',
+            createdAt: new Date().toISOString()
+        }, ...prev]);
+    };
+
+    const applyAffiliateAction = () => {
+        if (!requirePermission('affiliates.manage')) return;
+        const affiliate = affiliateUsers.find(u => u.id === affiliateAction?.affiliateId);
+        if (!affiliate) return;
+        const reason = affiliateAction.reason.trim();
+        if (!reason) {
+            showModal('Reason Required', 'Please give a reason for this change. It is kept in the account history.', 'error');
             return;
         }
 
-        if (!validateEmail(email)) {
-            showModal('Error', 'Please enter a valid email address', 'error');
+        if (affiliateAction.action === 'suspend' || affiliateAction.action === 'reactivate') {
+            const status = affiliateAction.action === 'suspend' ? 'suspended' : 'active';
+            setAffiliateUsers(affiliateUsers.map(u => u.id === affiliate.id ? { ...u, status } : u));
+            logAffiliateChange(affiliate, affiliateAction.action === 'suspend' ? 'suspended' : 'reactivated', reason);
+            setAffiliateAction(null);
             return;
         }
 
-        const newLead = {
-            id: Date.now(),
-            email: email,
-            date: new Date().toISOString().split('T')[0],
-            status: 'New'
-        };
+        // Money already requested has to be paid out first; anything else still owed is voided only when confirmed
+        const balance = Commissions.outstanding(commissionLedger, payouts, affiliate.id);
+        if (balance.openPayouts.length > 0) {
+            showModal('Payout Still Open', `${affiliate.name} has an open payout request. Mark it paid before removing the account.`, 'error');
+            return;
+        }
+        if (balance.owed.length > 0 && !affiliateAction.voidOwed) {
+            showModal('Commissions Owed', `${affiliate.name} is owed ${formatMoney(balance.owedUSD)} in approved commissions. Pay it out, or tick the box to void it.`, 'error');
+            return;
+        }
 
-        setMicroJobsLeads([newLead, ...microJobsLeads]);
-        e.target.reset();
-        showModal('Success!', 'Thank you for your interest! We will notify you when Micro Jobs launch.', 'success');
+        const productIds = affiliateProductIds[affiliate.id] || [];
+        const target = affiliateUsers.find(u => u.id === parseInt(affiliateAction.reassignTo));
+        if (affiliateAction.productMode === 'reassign' && productIds.length > 0 && !target) {
+            showModal('Choose an Affiliate', 'Please pick the affiliate who should take over these products.', 'error');
+            return;
+        }
+        if (!confirm(`Permanently remove ${affiliate.name}? This cannot be undone.`)) return;
+
+        let details = 'No products';
+        if (productIds.length > 0 && affiliateAction.productMode === 'reassign') {
+            setProducts(products.map(p => productIds.includes(p.id) ? { ...p, affiliateId: target.id } : p));
+            details = `${productIds.length} product${productIds.length === 1 ? '' : 's'} reassigned to ${target.name}`;
+        } else if (productIds.length > 0) {
+            setProducts(products.map(p => productIds.includes(p.id) ? { ...p, hidden: true, autoHidden: false } : p));
+            details = `${productIds.length} product${productIds.length === 1 ? '' : 's'} unpublished`;
+        }
+        setAffiliateProductIds(prev => {
+            const next = { ...prev };
+            delete next[affiliate.id];
+            if (affiliateAction.productMode === 'reassign' && target) next[target.id] = [...(next[target.id] || []), ...productIds];
+            return next;
+        });
+        const voided = [...balance.pending, ...balance.owed].map(e => e.id);
+        if (voided.length > 0) {
+            const now = new Date().toISOString();
+            setCommissionLedger(commissionLedger.map(e => voided.includes(e.id)
+                ? { ...e, status: 'rejected', reviewedAt: now, reviewedBy: currentUser?.email, voidReason: 'Affiliate removed' }
+                : e));
+            if (balance.pending.length > 0) details += `; ${balance.pending.length} pending commission${balance.pending.length === 1 ? '' : 's'} (${formatMoney(balance.pendingUSD)}) voided`;
+            if (balance.owed.length > 0) details += `; ${formatMoney(balance.owedUSD)} in approved commissions voided`;
+        }
+        setAffiliateUsers(affiliateUsers.filter(u => u.id !== affiliate.id));
+        logAffiliateChange(affiliate, 'removed', reason, details);
+        setAffiliateAction(null);
+        showModal('Affiliate Removed', `${affiliate.name} was removed. ${details}.`, 'success');
+    };
+
+    const setReferralWindow = (value) => {
+        if (!requirePermission('affiliates.manage')) return;
+        setSiteSettings({ ...siteSettings, referralWindowDays: Math.max(0, parseInt(value) || 0) });
     };
 
     const calculateStats = () => {
@@ -1721,17 +5346,22 @@ const App = () => {
         
         const totalSales = orders.filter(o => o.status === 'Completed').length;
         
-        const totalClicks = affiliateUsers.reduce((sum, u) => sum + (u.clicks || 0), 0);
-        const totalConversions = affiliateUsers.reduce((sum, u) => sum + (u.conversions || 0), 0);
-        const totalAffiliateEarnings = affiliateUsers.reduce((sum, u) => sum + (u.earnings || 0), 0);
+        const totalClicks = products.reduce((sum, p) => sum + (p.clicks || 0), 0);
+        const affiliateClicks = affiliateUsers.reduce((sum, u) => sum + (u.clicks || 0), 0);
+        const earningEntries = commissionLedger.filter(e => e.status !== 'rejected' && Commissions.verify(e));
+        const totalConversions = earningEntries.length;
+        const totalAffiliateEarnings = Commissions.round(earningEntries.reduce((sum, e) => sum + e.commissionUSD, 0));
+        const commissionsOwedUSD = Commissions.round(earningEntries.filter(e => e.status !== 'paid').reduce((sum, e) => sum + e.commissionUSD, 0));
 
         return {
             totalRevenueUSD,
             totalSales,
             totalClicks,
+            affiliateClicks,
             totalConversions,
             totalAffiliateEarnings,
-            conversionRate: totalClicks > 0 ? ((totalConversions / totalClicks) * 100).toFixed(1) : 0
+            commissionsOwedUSD,
+            conversionRate: affiliateClicks > 0 ? ((totalConversions / affiliateClicks) * 100).toFixed(1) : 0
         };
     };
 
@@ -1743,13 +5373,27 @@ const App = () => {
         if (!isAffiliate) return null;
 
         const myProducts = getAffiliateProducts(currentUser?.id) || [];
+        // Counters live on the stored record; currentUser is only a login snapshot
+        const affiliateRecord = affiliateUsers.find(u => u.id === currentUser?.id) || currentUser;
 
+        const earnings = Commissions.summarize(commissionLedger, currentUser?.id);
         const affiliateStats = {
             totalProducts: myProducts.length,
-            totalClicks: currentUser?.clicks || 0,
-            totalEarnings: currentUser?.earnings || 0,
-            conversions: currentUser?.conversions || 0
+            totalClicks: affiliateRecord?.clicks || 0,
+            totalEarnings: earnings.total,
+            conversions: earnings.conversions
         };
+        const myClicks = clickLog.filter(c => c.affiliateId === currentUser?.id || c.referrerId === currentUser?.id);
+        const referredClicks = myClicks.filter(c => c.referrerId === currentUser?.id).length;
+        const myLedger = commissionLedger.filter(e => e.affiliateId === currentUser?.id);
+        const myPayouts = payouts.filter(p => p.affiliateId === currentUser?.id);
+        const selectedIds = selectedProductIds.filter(id => myProducts.some(p => p.id === id));
+        const productStats = {};
+        myLedger.filter(e => e.productId && e.status !== 'rejected').forEach(e => {
+            const stats = productStats[e.productId] || (productStats[e.productId] = { conversions: 0, earnedUSD: 0 });
+            stats.conversions++;
+            stats.earnedUSD += e.commissionUSD;
+        });
 
         return (
             <div className="min-h-screen bg-gray-50 pb-20">
@@ -1786,10 +5430,7 @@ const App = () => {
                             return (
                                 <button
                                     key={tab.id}
-                                    onClick={() => {
-                                        setAffiliateActiveTab(tab.id);
-                                        pushNavState({ type: 'affiliate-tab', tab: tab.id });
-                                    }}
+                                    onClick={() => setAffiliateActiveTab(tab.id)}
                                     className={`flex flex-col items-center gap-1 p-3 rounded-xl transition-all ${isActive ? 'bg-indigo-600 text-white shadow-lg' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
                                 >
                                     <Icon active={isActive} />
@@ -1816,14 +5457,128 @@ const App = () => {
                                 </div>
                                 <div className="bg-white p-4 rounded-xl shadow-sm">
                                     <div className="text-gray-500 text-sm">Earnings</div>
-                                    <div className="text-2xl font-bold text-yellow-600">{formatPrice(affiliateStats.totalEarnings)}</div>
+                                    <div className="text-2xl font-bold text-yellow-600">{formatMoney(affiliateStats.totalEarnings)}</div>
                                 </div>
                             </div>
+
+                            <div className="bg-white rounded-xl p-6 shadow-sm">
+                                <h3 className="font-bold text-lg mb-1 flex items-center gap-2"><Icons.Link /> Tracking Links</h3>
+                                <p className="text-sm text-gray-500 mb-4">Share any page of the store. Clicks from visitors who arrive through your links are credited to you for {referralWindowDays} days.</p>
+                                {[
+                                    { label: 'Whole store', path: Router.build('tab'), control: null },
+                                    {
+                                        label: 'Category',
+                                        path: trackingLinkForm.category ? Router.build('category', { name: trackingLinkForm.category }) : null,
+                                        control: (
+                                            <select value={trackingLinkForm.category} onChange={(e) => setTrackingLinkForm({...trackingLinkForm, category: e.target.value})} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                <option value="">Choose a category</option>
+                                                {categoryTree.filter(({ category }) => category.active).map(({ category }) => <option key={category.id} value={category.name}>{getCategoryLabel(category)}</option>)}
+                                            </select>
+                                        )
+                                    },
+                                    {
+                                        label: 'Product',
+                                        path: trackingLinkForm.productId ? Router.build('product', { id: trackingLinkForm.productId }) : null,
+                                        control: (
+                                            <select value={trackingLinkForm.productId} onChange={(e) => setTrackingLinkForm({...trackingLinkForm, productId: e.target.value})} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                <option value="">Choose any product</option>
+                                                {products.filter(Moderation.isListed).map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                                            </select>
+                                        )
+                                    }
+                                ].map(link => (
+                                    <div key={link.label} className="mb-4 last:mb-0">
+                                        <div className="text-sm font-medium text-gray-700 mb-1">{link.label}</div>
+                                        {link.control && <div className="mb-2">{link.control}</div>}
+                                        {link.path && (
+                                            <div className="flex gap-2">
+                                                <input type="text" readOnly value={getTrackingUrl(link.path)} onFocus={(e) => e.target.select()} className="flex-1 min-w-0 px-3 py-2 bg-gray-50 border rounded-lg text-xs text-gray-600" />
+                                                <button onClick={() => copyTrackingLink(getTrackingUrl(link.path))} className="px-3 py-2 bg-indigo-600 text-white rounded-lg"><Icons.Copy /></button>
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
                         </div>
                     )}
 
                     {affiliateActiveTab === 'products' && (
                         <div className="space-y-6 animate-fade-in">
+                            <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+                                <div className="p-4 border-b flex flex-wrap justify-between items-center gap-2">
+                                    <h3 className="font-bold text-lg">My Products ({myProducts.length})</h3>
+                                    {selectedIds.length > 0 && (
+                                        <div className="flex gap-2 text-sm">
+                                            <span className="self-center text-gray-500">{selectedIds.length} selected</span>
+                                            <button onClick={() => submitProductsForReview(selectedIds)} className="px-3 py-1 bg-indigo-50 text-indigo-600 rounded-lg font-bold">Submit</button>
+                                            <button onClick={() => setAffiliateProductsPaused(selectedIds, true)} className="px-3 py-1 bg-gray-100 rounded-lg font-bold">Pause</button>
+                                            <button onClick={() => setAffiliateProductsPaused(selectedIds, false)} className="px-3 py-1 bg-green-50 text-green-700 rounded-lg font-bold">Resume</button>
+                                            <button onClick={() => deleteAffiliateProducts(selectedIds)} className="px-3 py-1 bg-red-50 text-red-600 rounded-lg font-bold">Delete</button>
+                                        </div>
+                                    )}
+                                </div>
+                                {myProducts.length === 0 ? (
+                                    <p className="p-6 text-center text-gray-500">You haven't added any products yet.</p>
+                                ) : (
+                                    <div className="overflow-x-auto">
+                                        <table className="w-full text-sm">
+                                            <thead className="bg-gray-50 border-b">
+                                                <tr>
+                                                    <th className="p-3 w-8">
+                                                        <input type="checkbox" checked={selectedIds.length === myProducts.length} onChange={() => setSelectedProductIds(selectedIds.length === myProducts.length ? [] : myProducts.map(p => p.id))} className="w-4 h-4" />
+                                                    </th>
+                                                    <th className="text-left p-3 font-bold">Product</th>
+                                                    <th className="text-left p-3 font-bold">Price</th>
+                                                    <th className="text-left p-3 font-bold">Clicks</th>
+                                                    <th className="text-left p-3 font-bold">Conversions</th>
+                                                    <th className="text-left p-3 font-bold">Earned</th>
+                                                    <th className="text-left p-3 font-bold">Status</th>
+                                                    <th className="text-left p-3 font-bold">Actions</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {myProducts.map(product => {
+                                                    const stats = productStats[product.id] || { conversions: 0, earnedUSD: 0 };
+                                                    return (
+                                                        <tr key={product.id} className={`border-b hover:bg-gray-50 ${editingProduct?.id === product.id ? 'bg-indigo-50' : ''}`}>
+                                                            <td className="p-3">
+                                                                <input type="checkbox" checked={selectedIds.includes(product.id)} onChange={() => toggleSelectedProduct(product.id)} className="w-4 h-4" />
+                                                            </td>
+                                                            <td className="p-3">
+                                                                <div className="flex items-center gap-2">
+                                                                    <img src={(product.images || [])[0]} className="w-10 h-10 object-cover rounded-lg" alt="" onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
+                                                                    <div>
+                                                                        <div className="font-bold line-clamp-1">{product.title}</div>
+                                                                        <div className="text-xs text-gray-500">{product.marketplace} · {product.category || 'Uncategorized'}</div>
+                                                                        {Moderation.statusOf(product) === 'rejected' && product.moderationNote && <div className="text-xs text-red-600">Reason: {product.moderationNote}</div>}
+                                                                    </div>
+                                                                </div>
+                                                            </td>
+                                                            <td className="p-3 font-bold text-rose-600 whitespace-nowrap">{formatPrice(product.priceUSD)}</td>
+                                                            <td className="p-3 text-gray-600">{product.clicks || 0}</td>
+                                                            <td className="p-3 text-gray-600">{stats.conversions}</td>
+                                                            <td className="p-3 text-green-600 font-bold whitespace-nowrap">{formatMoney(stats.earnedUSD)}</td>
+                                                            <td className="p-3">{renderStockBadge(product)}</td>
+                                                            <td className="p-3">
+                                                                <div className="flex gap-1">
+                                                                    <button onClick={() => { editProduct(product); window.scrollTo(0,0); }} title="Edit" className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                                                    {['draft', 'rejected'].includes(Moderation.statusOf(product)) && (
+                                                                        <button onClick={() => submitProductsForReview([product.id])} className="px-2 py-1 text-xs font-bold text-indigo-600 hover:bg-indigo-50 rounded-lg">Submit</button>
+                                                                    )}
+                                                                    <button onClick={() => duplicateAffiliateProduct(product)} title="Duplicate" className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"><Icons.Copy /></button>
+                                                                    <button onClick={() => setAffiliateProductsPaused([product.id], !product.paused)} className="px-2 py-1 text-xs font-bold text-gray-700 hover:bg-gray-100 rounded-lg">{product.paused ? 'Resume' : 'Pause'}</button>
+                                                                    <button onClick={() => deleteAffiliateProducts([product.id])} title="Delete" className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                                </div>
+                                                            </td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </div>
+
                             <div className="bg-white rounded-xl p-6 shadow-sm border-2 border-indigo-100">
                                 <h3 className="font-bold text-lg mb-4 flex items-center gap-2">
                                     <Icons.Link /> Auto Import Product
@@ -1932,8 +5687,8 @@ const App = () => {
                                         className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
                                     >
                                         <option value="">Select Category *</option>
-                                        {categories.filter(c => c.active).map(c => (
-                                            <option key={c.id} value={c.name}>{c.name}</option>
+                                        {categoryTree.filter(({ category }) => category.active).map(({ category }) => (
+                                            <option key={category.id} value={category.name}>{getCategoryLabel(category)}</option>
                                         ))}
                                     </select>
                                     <input 
@@ -1952,6 +5707,24 @@ const App = () => {
                                         min="0"
                                         className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
                                     />
+                                    <input 
+                                        type="number" 
+                                        placeholder="Rating (0-5)" 
+                                        value={productForm.rating}
+                                        onChange={(e) => setProductForm({...productForm, rating: e.target.value})}
+                                        min="0"
+                                        max="5"
+                                        step="0.1"
+                                        className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                                    />
+                                    <input 
+                                        type="number" 
+                                        placeholder="Sold Count" 
+                                        value={productForm.sold || ''}
+                                        onChange={(e) => setProductForm({...productForm, sold: e.target.value})}
+                                        min="0"
+                                        className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                                    />
                                     <input 
                                         type="text" 
                                         placeholder="Your Affiliate Link" 
@@ -1967,12 +5740,24 @@ const App = () => {
                                     className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none mb-4 h-24"
                                 ></textarea>
                                 
-                                <button 
-                                    onClick={handleAffiliateProductAdd}
-                                    className="w-full py-3 bg-green-600 text-white rounded-lg font-bold hover:bg-green-700 transition-colors"
-                                >
-                                    {editingProduct ? 'Update Product' : 'Save Product'}
-                                </button>
+                                <p className="text-xs text-gray-500 mb-3">Products appear in the store after an admin approves them. Edits to a live product are reviewed again.</p>
+                                <div className="flex gap-2">
+                                    <button 
+                                        onClick={() => handleAffiliateProductAdd('pending')}
+                                        className="flex-1 py-3 bg-green-600 text-white rounded-lg font-bold hover:bg-green-700 transition-colors"
+                                    >
+                                        {editingProduct ? 'Update & Submit for Review' : 'Submit for Review'}
+                                    </button>
+                                    <button
+                                        onClick={() => handleAffiliateProductAdd('draft')}
+                                        className="px-6 py-3 bg-gray-100 text-gray-700 rounded-lg font-bold hover:bg-gray-200 transition-colors"
+                                    >
+                                        Save as Draft
+                                    </button>
+                                </div>
+                                {editingProduct && (
+                                    <button onClick={resetAffiliateProductForm} className="w-full py-3 mt-2 bg-gray-200 rounded-lg font-bold">Cancel Editing</button>
+                                )}
                             </div>
                         </div>
                     )}
@@ -1986,6 +5771,10 @@ const App = () => {
                                         <span>Total Clicks</span>
                                         <span className="font-bold">{affiliateStats.totalClicks}</span>
                                     </div>
+                                    <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                                        <span>Clicks via Your Tracking Links</span>
+                                        <span className="font-bold">{referredClicks}</span>
+                                    </div>
                                     <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
                                         <span>Conversions</span>
                                         <span className="font-bold text-green-600">{affiliateStats.conversions}</span>
@@ -1996,10 +5785,91 @@ const App = () => {
                                     </div>
                                     <div className="flex justify-between items-center p-3 bg-indigo-50 rounded-lg border border-indigo-100">
                                         <span>Total Earnings</span>
-                                        <span className="font-bold text-indigo-600 text-lg">{formatPrice(affiliateStats.totalEarnings)}</span>
+                                        <span className="font-bold text-indigo-600 text-lg">{formatMoney(affiliateStats.totalEarnings)}</span>
                                     </div>
                                 </div>
                             </div>
+
+                            <div className="bg-white rounded-xl p-6 shadow-sm">
+                                <h3 className="font-bold text-lg mb-4">Earnings & Payouts</h3>
+                                <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+                                    <div className="p-3 bg-yellow-50 rounded-lg"><div className="font-bold text-yellow-700">{formatMoney(earnings.pending)}</div><div className="text-xs text-gray-500">Pending</div></div>
+                                    <div className="p-3 bg-green-50 rounded-lg"><div className="font-bold text-green-700">{formatMoney(earnings.approved)}</div><div className="text-xs text-gray-500">Approved</div></div>
+                                    <div className="p-3 bg-gray-50 rounded-lg"><div className="font-bold">{formatMoney(earnings.paid)}</div><div className="text-xs text-gray-500">Paid</div></div>
+                                </div>
+                                <button
+                                    onClick={requestPayout}
+                                    disabled={earnings.available < payoutMinimumUSD}
+                                    className="w-full py-3 bg-indigo-600 text-white rounded-lg font-bold hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    Request Payout ({formatMoney(earnings.available)})
+                                </button>
+                                <p className="text-xs text-gray-500 mt-2 text-center">Minimum payout is {formatMoney(payoutMinimumUSD)}. Commissions become available once approved.</p>
+                                {myPayouts.length > 0 && (
+                                    <div className="space-y-2 mt-4">
+                                        {myPayouts.map(payout => (
+                                            <div key={payout.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg text-sm">
+                                                <span>{payout.requestedAt.split('T')[0]} · {formatMoney(payout.amountUSD)}</span>
+                                                <span className={`px-2 py-0.5 rounded-full text-xs font-bold ${payout.status === 'paid' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'}`}>{payout.status === 'paid' ? `Paid ${payout.paidAt.split('T')[0]}` : 'Requested'}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="bg-white rounded-xl p-6 shadow-sm">
+                                <h3 className="font-bold text-lg mb-4">Commission History</h3>
+                                {myLedger.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No commissions yet. They appear here once a sale you referred is confirmed.</p>
+                                ) : (
+                                    <div className="space-y-2">
+                                        {myLedger.slice(0, 50).map(entry => (
+                                            <div key={entry.id} className="flex justify-between items-center gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                                                <div className="min-w-0">
+                                                    <div className="line-clamp-1">{products.find(p => p.id === entry.productId)?.title || entry.orderRef || 'Sale'}</div>
+                                                    <div className="text-xs text-gray-500">{entry.createdAt.split('T')[0]} · sale {formatMoney(entry.saleUSD)} · {describeCommissionRule(entry.rule)}</div>
+                                                </div>
+                                                <div className="text-right whitespace-nowrap">
+                                                    <div className="font-bold">{formatMoney(entry.commissionUSD)}</div>
+                                                    <div className="text-xs capitalize text-gray-500">{entry.status}</div>
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="bg-white rounded-xl p-6 shadow-sm">
+                                <h3 className="font-bold text-lg mb-4">Clicks by Product</h3>
+                                {myProducts.length === 0 ? (
+                                    <p className="text-sm text-gray-500">Add products to start tracking clicks.</p>
+                                ) : (
+                                    <div className="space-y-2">
+                                        {[...myProducts].sort((a, b) => (b.clicks || 0) - (a.clicks || 0)).map(p => (
+                                            <div key={p.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                                                <span className="text-sm line-clamp-1 mr-4">{p.title}</span>
+                                                <span className="font-bold">{p.clicks || 0}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="bg-white rounded-xl p-6 shadow-sm">
+                                <h3 className="font-bold text-lg mb-4">Recent Clicks</h3>
+                                {myClicks.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No clicks recorded yet.</p>
+                                ) : (
+                                    <div className="space-y-2">
+                                        {myClicks.slice(0, 20).map(c => (
+                                            <div key={c.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg text-sm">
+                                                <span className="line-clamp-1 mr-4">{products.find(p => p.id === c.productId)?.title || `#${c.productId}`}</span>
+                                                <span className="text-gray-500 whitespace-nowrap">{c.referrerId === currentUser?.id && 'via link • '}{c.marketplace} • {c.country} • {c.channel}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
                         </div>
                     )}
 
@@ -2030,6 +5900,16 @@ const App = () => {
                                     </div>
                                 </div>
                             </div>
+
+                            {!AuthService.isRemote() && (
+                                <form onSubmit={handleAffiliatePasswordChange} className="bg-white rounded-xl p-6 shadow-sm space-y-4">
+                                    <h3 className="font-bold text-lg">Change Password</h3>
+                                    <input type="password" value={changePasswordForm.currentPassword} onChange={(e) => setChangePasswordForm({...changePasswordForm, currentPassword: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Current password" required />
+                                    <input type="password" value={changePasswordForm.newPassword} onChange={(e) => setChangePasswordForm({...changePasswordForm, newPassword: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="New password (min 6 chars)" required />
+                                    <input type="password" value={changePasswordForm.confirmPassword} onChange={(e) => setChangePasswordForm({...changePasswordForm, confirmPassword: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Confirm new password" required />
+                                    <button type="submit" className="w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors">Update Password</button>
+                                </form>
+                            )}
                             
                             <button onClick={handleLogout} className="w-full py-3 border-2 border-red-200 text-red-600 rounded-xl font-bold hover:bg-red-50 transition-colors">
                                 Logout
@@ -2076,6 +5956,7 @@ const App = () => {
                                 </div>
                                 
                                 {affiliateRegError && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">{affiliateRegError}</div>}
+                                {!canSendCodes && <div className="bg-yellow-50 text-yellow-800 p-3 rounded-lg text-sm">{NO_MAIL_MESSAGE}</div>}
                                 
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-1">Full Name *</label>
@@ -2111,7 +5992,7 @@ const App = () => {
                                     </div>
                                 </div>
                                 
-                                <button type="submit" className="w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors">
+                                <button type="submit" disabled={!canSendCodes} className="w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors disabled:opacity-50">
                                     Send Verification Code
                                 </button>
                             </form>
@@ -2155,7 +6036,7 @@ const App = () => {
                         )}
 
                         {affiliateRegStep === 3 && (
-                            <div className="text-center space-y-6 py-4">
+                            <form onSubmit={completeAffiliateRegistration} className="text-center space-y-6 py-4">
                                 <div className="w-20 h-20 bg-green-100 rounded-full flex items-center justify-center mx-auto text-3xl">
                                     <Icons.Check />
                                 </div>
@@ -2173,14 +6054,34 @@ const App = () => {
                                         <li>✓ Share products and earn commissions</li>
                                     </ul>
                                 </div>
+
+                                {affiliateRegError && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm">{affiliateRegError}</div>}
+
+                                <div className="space-y-3 text-left">
+                                    <label className="block text-sm font-medium text-gray-700">Choose a Password *</label>
+                                    <input 
+                                        type="password" 
+                                        value={affiliatePasswordForm.password}
+                                        onChange={(e) => setAffiliatePasswordForm({...affiliatePasswordForm, password: e.target.value})}
+                                        className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                                        placeholder="Min 6 characters"
+                                    />
+                                    <input 
+                                        type="password" 
+                                        value={affiliatePasswordForm.confirmPassword}
+                                        onChange={(e) => setAffiliatePasswordForm({...affiliatePasswordForm, confirmPassword: e.target.value})}
+                                        className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                                        placeholder="Confirm password"
+                                    />
+                                </div>
                                 
                                 <button 
-                                    onClick={completeAffiliateRegistration}
+                                    type="submit"
                                     className="w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors"
                                 >
                                     Go to Dashboard
                                 </button>
-                            </div>
+                            </form>
                         )}
                     </div>
                 </div>
@@ -2236,45 +6137,167 @@ const App = () => {
         );
     };
 
-    const handleCartProductClick = (product) => {
+    const handleSavedProductClick = (product) => {
         const fullProduct = products.find(p => p.id === product.id);
         if (fullProduct) {
             setSelectedProduct(fullProduct);
-            pushNavState({ type: 'product', id: fullProduct.id });
             setActiveTab('home');
         }
     };
 
-    const renderHome = () => (
-        <div className={getAnimationClass()}>
-            {advertisements.find(a => a.position === 'home_top' && a.active)?.code && (
-                <div className="max-w-4xl mx-auto px-4 mt-2">
-                    <div 
-                        className="ad-slot" 
-                        dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(advertisements.find(a => a.position === 'home_top').code) }} 
-                    />
-                    <span className="ad-label">Ad</span>
+    const renderListingControls = (onCategoryPage) => {
+        const chipClass = (active) => `px-3 py-1.5 rounded-full text-xs font-bold whitespace-nowrap ${active ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 border border-gray-200 hover:bg-gray-50'}`;
+        const updateFilters = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+
+        return (
+            <div className="mb-4">
+                <div className="flex items-center justify-between gap-2 px-1">
+                    <button 
+                        onClick={() => setShowFilters(!showFilters)} 
+                        className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-bold border ${activeFilterCount > 0 ? 'border-indigo-600 text-indigo-600 bg-indigo-50' : 'border-gray-200 text-gray-600 bg-white'}`}
+                    >
+                        <Icons.Filter /> Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+                    </button>
+                    <select 
+                        value={sortBy} 
+                        onChange={(e) => setSortBy(e.target.value)} 
+                        className="px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                    >
+                        {PRODUCT_SORTS.map(sort => <option key={sort.id} value={sort.id}>{sort.label}</option>)}
+                    </select>
                 </div>
-            )}
 
-            <div className={`relative w-full overflow-hidden bg-gray-200 aspect-[16/9] md:aspect-[21/9] md:rounded-2xl md:my-4 md:mx-4 md:w-[calc(100%-2rem)]`}>
-                <div className="banner-track flex h-full">
-                    {[...banners.filter(b => b.active), ...banners.filter(b => b.active)].map((slide, idx) => (
-                        <div key={`${slide.id}-${idx}`} className="min-w-full h-full relative">
-                            <img src={slide.image} className="w-full h-full object-cover" alt={slide.title} onError={(e) => {e.target.src='https://via.placeholder.com/800x400?text=Banner'}} />
-                            <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent flex flex-col justify-end p-6 text-white">
-                                <h2 className="text-2xl font-bold mb-1">{slide.title}</h2>
-                                <p className="text-sm opacity-90">{slide.subtitle}</p>
+                {showFilters && (
+                    <div className="mt-3 bg-white rounded-2xl shadow-sm border border-gray-200 p-4 space-y-4">
+                        <div>
+                            <div className="text-xs font-bold text-gray-500 uppercase mb-2">Price ({CurrencyConverter.getSymbol(userCountry.currency)})</div>
+                            <div className="flex items-center gap-2">
+                                <input type="number" min="0" placeholder="Min" value={filters.minPrice} onChange={(e) => updateFilters({ minPrice: e.target.value })} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                <span className="text-gray-400">–</span>
+                                <input type="number" min="0" placeholder="Max" value={filters.maxPrice} onChange={(e) => updateFilters({ maxPrice: e.target.value })} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                            </div>
+                        </div>
+
+                        <div>
+                            <div className="text-xs font-bold text-gray-500 uppercase mb-2">Discount</div>
+                            <div className="flex gap-2 flex-wrap">
+                                <button onClick={() => updateFilters({ minDiscount: 0 })} className={chipClass(!filters.minDiscount)}>Any</button>
+                                {DISCOUNT_STEPS.map(step => (
+                                    <button key={step} onClick={() => updateFilters({ minDiscount: step })} className={chipClass(filters.minDiscount === step)}>{step}%+ off</button>
+                                ))}
                             </div>
                         </div>
-                    ))}
-                </div>
+
+                        <div>
+                            <div className="text-xs font-bold text-gray-500 uppercase mb-2">Rating</div>
+                            <div className="flex gap-2 flex-wrap">
+                                <button onClick={() => updateFilters({ minRating: 0 })} className={chipClass(!filters.minRating)}>Any</button>
+                                {RATING_STEPS.map(step => (
+                                    <button key={step} onClick={() => updateFilters({ minRating: step })} className={chipClass(filters.minRating === step)}>{step}★ & up</button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {onCategoryPage ? (
+                            <div>
+                                <div className="text-xs font-bold text-gray-500 uppercase mb-2">Marketplace</div>
+                                <div className="flex gap-2 flex-wrap">
+                                    <button onClick={() => setSelectedPlatform(null)} className={chipClass(!selectedPlatform)}>All</button>
+                                    {PLATFORM_FILTERS.map(platform => (
+                                        <button key={platform.id} onClick={() => setSelectedPlatform(platform.id)} className={chipClass(selectedPlatform === platform.id)}>{platform.name}</button>
+                                    ))}
+                                </div>
+                            </div>
+                        ) : (
+                            <div>
+                                <div className="text-xs font-bold text-gray-500 uppercase mb-2">Category</div>
+                                <select value={filters.category} onChange={(e) => updateFilters({ category: e.target.value })} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                    <option value="">All categories</option>
+                                    {categoryTree.filter(({ category }) => category.active).map(({ category }) => (
+                                        <option key={category.id} value={category.name}>{getCategoryLabel(category)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {activeFilterCount > 0 && (
+                            <button onClick={clearFilters} className="text-sm text-indigo-600 font-bold">Clear all filters</button>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const renderProductGrid = () => (
+        <>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-4">
+                {displayedProducts.map((product) => (
+                    <div key={product.id} onClick={() => setSelectedProduct(product)} className="bg-white rounded-xl shadow-sm overflow-hidden hover:shadow-md transition-shadow cursor-pointer active:scale-95 duration-200 relative group">
+                        {can('products.manage') && (
+                            <button 
+                                onClick={(e) => { e.stopPropagation(); deleteProduct(product.id); }}
+                                className="absolute top-2 left-2 z-10 w-8 h-8 bg-red-500 text-white rounded-full flex items-center justify-center shadow-lg opacity-0 group-hover:opacity-100 transition-opacity hover:bg-red-600"
+                                title="Delete product"
+                            >
+                                <Icons.Trash />
+                            </button>
+                        )}
+                        <div className="relative aspect-square overflow-hidden bg-gray-100">
+                            <img src={product.images?.[0] || product.image} className="w-full h-full object-cover" loading="lazy" alt={product.title} onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
+                            <div className={`absolute top-2 right-2 bg-rose-500 text-white text-xs font-bold px-2 py-1 rounded-full`}>-{getSalePriceUSD(product) !== null ? getDiscount(product, getSalePriceUSD(product)) : product.discount}%</div>
+                            {product.marketplace && (
+                                <div className={`absolute top-2 left-2 text-xs font-bold px-2 py-1 rounded ${detectMarketplace(product.affiliateLink).class}`}>
+                                    {product.marketplace}
+                                </div>
+                            )}
+                            {product.images?.length > 1 && (
+                                <div className="absolute bottom-2 right-2 bg-black/50 text-white text-xs px-2 py-1 rounded-full">
+                                    +{product.images.length - 1}
+                                </div>
+                            )}
+                        </div>
+                        <div className="p-3">
+                            <h3 className="text-sm font-medium text-gray-800 line-clamp-2 mb-1">{product.title}</h3>
+                            <div className="flex items-center gap-1 mb-1">
+                                <span className="text-yellow-400 text-xs">★</span>
+                                <span className="text-xs text-gray-500">{product.rating} | {product.sold} sold</span>
+                            </div>
+                            <div className="flex items-baseline gap-2">
+                                <span className={`text-rose-600 font-bold text-lg`}>{formatPrice(getSalePriceUSD(product) ?? product.priceUSD)}</span>
+                                <span className="text-gray-400 text-xs line-through">{formatPrice(product.originalPriceUSD)}</span>
+                            </div>
+                        </div>
+                    </div>
+                ))}
             </div>
+                
+            {hasMore && (
+                <div ref={loadingRef} className="py-8 flex justify-center">
+                    <div className="flex gap-2">
+                        <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce"></div>
+                        <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce" style={{animationDelay: '0.1s'}}></div>
+                        <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce" style={{animationDelay: '0.2s'}}></div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+
+    const renderHome = () => (
+        <div className={getAnimationClass()}>
+            <AdSlot position="home_top" ads={advertisements} onImpression={recordAdImpression} onAdClick={recordAdClick} className="max-w-4xl mx-auto px-4 mt-2" />
+
+            {visibleBanners.length > 0 && (
+                <div className={`relative w-full overflow-hidden bg-gray-200 aspect-[16/9] md:aspect-[21/9] md:rounded-2xl md:my-4 md:mx-4 md:w-[calc(100%-2rem)]`}>
+                    <BannerCarousel banners={visibleBanners} onImpression={recordBannerImpression} onSelect={handleBannerClick} />
+                </div>
+            )}
 
             <div className="px-4 py-2 max-w-4xl mx-auto">
                 <div className="flex gap-4 overflow-x-auto hide-scrollbar pb-2">
-                    {categories.filter(c => c.active).map((cat) => (
-                        <button key={cat.id} className="flex flex-col items-center gap-2 min-w-[70px]">
+                    {categories.filter(c => c.active && !c.parentId).map((cat) => (
+                        <button key={cat.id} onClick={() => openCategory(cat.name)} className="flex flex-col items-center gap-2 min-w-[70px]">
                             <div className={`w-14 h-14 bg-indigo-100 text-indigo-600 rounded-2xl flex items-center justify-center text-2xl shadow-sm`}>
                                 {cat.icon}
                             </div>
@@ -2284,28 +6307,28 @@ const App = () => {
                 </div>
             </div>
 
-            {siteSettings.flashSaleEnabled && (
+            {liveFlashSale && flashSaleProducts.length > 0 && (
                 <div className={`bg-gradient-to-r from-rose-500 to-pink-600 text-white mx-4 max-w-4xl md:mx-auto rounded-2xl p-4 mb-6 shadow-lg`}>
                     <div className="flex items-center justify-between mb-3">
-                        <div className="flex items-center gap-2">
+                        <div className="flex items-center gap-2 min-w-0">
                             <Icons.Sparkles />
-                            <h3 className="font-bold text-lg">{siteSettings.flashSaleTitle}</h3>
+                            <div className="min-w-0">
+                                <h3 className="font-bold text-lg truncate">{liveFlashSale.title}</h3>
+                                {liveFlashSale.subtitle && <p className="text-xs opacity-90 truncate">{liveFlashSale.subtitle}</p>}
+                            </div>
                         </div>
                         <div className="flex items-center gap-2 text-sm bg-white/20 px-3 py-1 rounded-full">
                             <Icons.Clock />
-                            <span className="font-mono font-bold">
-                                {String(flashSaleTimeLeft.hours).padStart(2, '0')}:
-                                {String(flashSaleTimeLeft.minutes).padStart(2, '0')}:
-                                {String(flashSaleTimeLeft.seconds).padStart(2, '0')}
-                            </span>
+                            <span className="font-mono font-bold">{FlashSales.formatTimeLeft(liveFlashSale.endsAt, clockNow)}</span>
                         </div>
                     </div>
                     <div className="flex gap-3 overflow-x-auto hide-scrollbar pb-1">
-                        {[60, 55, 50, 45].map((discount, i) => (
-                            <div key={i} className="bg-white rounded-xl p-2 min-w-[100px] text-center">
-                                <div className={`text-rose-500 font-bold text-lg`}>-{discount}%</div>
-                                <div className="text-gray-900 font-bold">{formatPrice(8.14 - i * 0.68)}</div>
-                            </div>
+                        {flashSaleProducts.map(({ product, salePriceUSD }) => (
+                            <button key={product.id} onClick={() => setSelectedProduct(product)} className="bg-white rounded-xl p-2 min-w-[100px] max-w-[120px] text-center">
+                                <img src={product.images?.[0] || product.image} className="w-full aspect-square object-cover rounded-lg mb-1" alt={product.title} onError={(e) => {e.target.src='https://via.placeholder.com/100'}} />
+                                <div className={`text-rose-500 font-bold text-lg`}>-{getDiscount(product, salePriceUSD)}%</div>
+                                <div className="text-gray-900 font-bold">{formatPrice(salePriceUSD)}</div>
+                            </button>
                         ))}
                     </div>
                 </div>
@@ -2336,13 +6359,7 @@ const App = () => {
                         >
                             All
                         </button>
-                        {[
-                            { id: 'daraz', name: 'Daraz', color: 'bg-orange-500', text: 'text-white' },
-                            { id: 'ebay', name: 'eBay', color: 'bg-red-500', text: 'text-white' },
-                            { id: 'aliexpress', name: 'AliExpress', color: 'bg-orange-400', text: 'text-white' },
-                            { id: 'amazon', name: 'Amazon', color: 'bg-yellow-500', text: 'text-gray-900' },
-                            { id: 'alibaba', name: 'Alibaba', color: 'bg-orange-600', text: 'text-white' }
-                        ].map((platform) => (
+                        {PLATFORM_FILTERS.map((platform) => (
                             <button 
                                 key={platform.id}
                                 onClick={() => setSelectedPlatform(platform.id)}
@@ -2353,71 +6370,107 @@ const App = () => {
                         ))}
                     </div>
                 </div>
+
+                {renderListingControls(false)}
                 
-                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-4">
-                    {displayedProducts.map((product) => (
-                        <div key={product.id} onClick={() => {
-                            setSelectedProduct(product);
-                            pushNavState({ type: 'product', id: product.id });
-                        }} className="bg-white rounded-xl shadow-sm overflow-hidden hover:shadow-md transition-shadow cursor-pointer active:scale-95 duration-200 relative group">
-                            {isAdmin && (
-                                <button 
-                                    onClick={(e) => { e.stopPropagation(); deleteProduct(product.id); }}
-                                    className="absolute top-2 left-2 z-10 w-8 h-8 bg-red-500 text-white rounded-full flex items-center justify-center shadow-lg opacity-0 group-hover:opacity-100 transition-opacity hover:bg-red-600"
-                                    title="Delete product"
-                                >
-                                    <Icons.Trash />
-                                </button>
-                            )}
-                            <div className="relative aspect-square overflow-hidden bg-gray-100">
-                                <img src={product.images?.[0] || product.image} className="w-full h-full object-cover" loading="lazy" alt={product.title} onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
-                                <div className={`absolute top-2 right-2 bg-rose-500 text-white text-xs font-bold px-2 py-1 rounded-full`}>-{product.discount}%</div>
-                                {product.marketplace && (
-                                    <div className={`absolute top-2 left-2 text-xs font-bold px-2 py-1 rounded ${detectMarketplace(product.affiliateLink).class}`}>
-                                        {product.marketplace}
-                                    </div>
-                                )}
-                                {product.images?.length > 1 && (
-                                    <div className="absolute bottom-2 right-2 bg-black/50 text-white text-xs px-2 py-1 rounded-full">
-                                        +{product.images.length - 1}
-                                    </div>
-                                )}
+                {searchScores && filteredProducts.length === 0 ? (
+                    <div className="text-center py-16 text-gray-500">
+                        <p className="font-bold mb-2">No products found for "{debouncedQuery}"</p>
+                        <p className="text-sm">Try fewer or different words.</p>
+                    </div>
+                ) : filteredProducts.length === 0 && activeFilterCount > 0 ? (
+                    <div className="text-center py-16 text-gray-500">
+                        <p className="font-bold mb-2">No products match these filters</p>
+                        <button onClick={clearFilters} className="text-indigo-600 font-bold">Clear all filters</button>
+                    </div>
+                ) : renderProductGrid()}
+            </div>
+        </div>
+    );
+
+    const renderCategoryPage = () => {
+        const category = getCategory(selectedCategory);
+        const path = category ? getCategoryPath(category) : [];
+        const subcategories = category ? getSubcategories(category.id) : [];
+        const parent = path.length > 1 ? path[path.length - 2] : null;
+
+        return (
+            <div className={getAnimationClass()}>
+                <div className="sticky top-0 z-50 bg-white/90 backdrop-blur-md border-b px-4 py-3 flex items-center gap-4">
+                    <button onClick={() => goBack(() => parent ? openCategory(parent.name) : setSelectedCategory(null))} className="p-2 hover:bg-gray-100 rounded-full"><Icons.ArrowLeft /></button>
+                    <div className="min-w-0">
+                        {path.length > 1 && (
+                            <div className="text-xs text-gray-400 truncate">
+                                {path.slice(0, -1).map(c => (
+                                    <button key={c.id} onClick={() => openCategory(c.name)} className="hover:text-indigo-600 mr-1">{c.name} ›</button>
+                                ))}
                             </div>
-                            <div className="p-3">
-                                <h3 className="text-sm font-medium text-gray-800 line-clamp-2 mb-1">{product.title}</h3>
-                                <div className="flex items-center gap-1 mb-1">
-                                    <span className="text-yellow-400 text-xs">★</span>
-                                    <span className="text-xs text-gray-500">{product.rating} | {product.sold} sold</span>
-                                </div>
-                                <div className="flex items-baseline gap-2">
-                                    <span className={`text-rose-600 font-bold text-lg`}>{formatPrice(product.priceUSD)}</span>
-                                    <span className="text-gray-400 text-xs line-through">{formatPrice(product.originalPriceUSD)}</span>
-                                </div>
+                        )}
+                        <h1 className="font-bold text-lg truncate">{selectedCategory}</h1>
+                    </div>
+                    <div className="ml-auto">
+                        {!isCountryLoading && (
+                            <CountrySelector 
+                                currentCountry={userCountry}
+                                onChange={handleCountryChange}
+                                availableCountries={CountryDetector.getAvailableCountries()}
+                            />
+                        )}
+                    </div>
+                </div>
+
+                <div className={`relative w-full overflow-hidden aspect-[16/6] md:rounded-2xl md:my-4 md:mx-4 md:w-[calc(100%-2rem)] ${category?.banner ? 'bg-gray-200' : 'bg-gradient-to-r from-indigo-600 to-purple-600'}`}>
+                    {category?.banner && (
+                        <img src={category.banner} className="w-full h-full object-cover" alt={selectedCategory} onError={(e) => {e.target.style.display='none'}} />
+                    )}
+                    <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent flex flex-col justify-end p-6 text-white">
+                        <h2 className="text-2xl font-bold mb-1"><span className="mr-2">{category?.icon}</span>{selectedCategory}</h2>
+                        <p className="text-sm opacity-90">{filteredProducts.length} {filteredProducts.length === 1 ? 'product' : 'products'}</p>
+                    </div>
+                </div>
+
+                <div className="px-4 py-4 max-w-4xl mx-auto">
+                    <AdSlot position="category_top" ads={advertisements} onImpression={recordAdImpression} onAdClick={recordAdClick} />
+
+                    {subcategories.length > 0 && (
+                        <div className="mb-4 overflow-x-auto hide-scrollbar pb-2">
+                            <div className="flex gap-2">
+                                {subcategories.map(sub => (
+                                    <button 
+                                        key={sub.id}
+                                        onClick={() => openCategory(sub.name)}
+                                        className="px-4 py-2 rounded-full text-sm font-bold whitespace-nowrap bg-white text-gray-600 border border-gray-200 hover:bg-gray-50"
+                                    >
+                                        {sub.icon} {sub.name}
+                                    </button>
+                                ))}
                             </div>
                         </div>
-                    ))}
-                </div>
-                
-                {hasMore && (
-                    <div ref={loadingRef} className="py-8 flex justify-center">
-                        <div className="flex gap-2">
-                            <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce"></div>
-                            <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce" style={{animationDelay: '0.1s'}}></div>
-                            <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce" style={{animationDelay: '0.2s'}}></div>
+                    )}
+
+                    {renderListingControls(true)}
+
+                    {filteredProducts.length === 0 ? (
+                        <div className="text-center py-16 text-gray-500">
+                            <p className="font-bold mb-2">{activeFilterCount > 0 ? 'No products match these filters' : 'No products in this category yet'}</p>
+                            <button onClick={() => setSelectedCategory(null)} className="text-indigo-600 font-bold">Browse all products</button>
                         </div>
-                    </div>
-                )}
+                    ) : renderProductGrid()}
+                </div>
             </div>
-        </div>
-    );
+        );
+    };
 
     const renderProductDetail = () => {
         const images = selectedProduct.images || (selectedProduct.image ? [selectedProduct.image] : []);
+        const liveProduct = products.find(p => p.id === selectedProduct.id) || selectedProduct;
+        const watch = getWatch(selectedProduct.id);
+        const salePriceUSD = getSalePriceUSD(liveProduct);
         
         return (
             <div className={getAnimationClass()}>
                 <div className="sticky top-0 z-50 bg-white/90 backdrop-blur-md border-b px-4 py-3 flex items-center gap-4">
-                    <button onClick={() => { window.history.back(); }} className="p-2 hover:bg-gray-100 rounded-full"><Icons.ArrowLeft /></button>
+                    <button onClick={() => goBack(() => setSelectedProduct(null))} className="p-2 hover:bg-gray-100 rounded-full"><Icons.ArrowLeft /></button>
                     <h1 className="font-bold text-lg truncate">Product Details</h1>
                     <div className="ml-auto">
                         {!isCountryLoading && (
@@ -2492,10 +6545,44 @@ const App = () => {
                                 )}
                             </div>
                         </div>
+                        {salePriceUSD !== null && (
+                            <div className="flex items-center justify-between bg-gradient-to-r from-rose-500 to-pink-600 text-white rounded-xl px-4 py-2">
+                                <span className="flex items-center gap-2 font-bold"><Icons.Sparkles /> {liveFlashSale.title}</span>
+                                <span className="flex items-center gap-1 text-sm font-mono font-bold"><Icons.Clock /> {FlashSales.formatTimeLeft(liveFlashSale.endsAt, clockNow)}</span>
+                            </div>
+                        )}
                         <div className="flex items-baseline gap-3">
-                            <span className={`text-3xl font-bold text-rose-600`}>{formatPrice(selectedProduct.priceUSD)}</span>
+                            <span className={`text-3xl font-bold text-rose-600`}>{formatPrice(salePriceUSD ?? selectedProduct.priceUSD)}</span>
                             <span className="text-lg text-gray-400 line-through">{formatPrice(selectedProduct.originalPriceUSD)}</span>
-                            <span className={`bg-rose-100 text-rose-600 px-2 py-1 rounded text-sm font-bold`}>-{selectedProduct.discount}%</span>
+                            <span className={`bg-rose-100 text-rose-600 px-2 py-1 rounded text-sm font-bold`}>-{salePriceUSD !== null ? getDiscount(selectedProduct, salePriceUSD) : selectedProduct.discount}%</span>
+                        </div>
+                        <AdSlot position="product_detail" ads={advertisements} onImpression={recordAdImpression} onAdClick={recordAdClick} />
+                        <div className="border-t pt-4">
+                            <h3 className="font-bold mb-2">Price History</h3>
+                            <PriceHistoryChart history={PriceMonitor.historyOf(liveProduct)} formatPrice={formatPrice} />
+                        </div>
+                        <div className="bg-indigo-50 rounded-xl p-4">
+                            <h3 className="font-bold mb-2 flex items-center gap-2"><Icons.Clock /> Price Alert</h3>
+                            {watch ? (
+                                <div className="flex items-center justify-between gap-3">
+                                    <p className="text-sm text-gray-700">
+                                        {watch.notifiedAt ? 'Price dropped below' : "You're watching for a drop below"} <span className="font-bold">{formatMoney(watch.targetUSD)}</span>
+                                    </p>
+                                    <button onClick={() => unwatchProduct(selectedProduct.id)} className="px-4 py-2 bg-white text-gray-700 rounded-lg text-sm font-bold border">Stop Watching</button>
+                                </div>
+                            ) : (
+                                <div className="flex gap-2">
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={watchTarget}
+                                        onChange={(e) => setWatchTarget(e.target.value)}
+                                        placeholder={`Target price (${userCountry.currency})`}
+                                        className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                                    />
+                                    <button onClick={() => handleWatchProduct(liveProduct)} className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-bold">Watch Price</button>
+                                </div>
+                            )}
                         </div>
                         <div className="border-t border-b py-4">
                             <h3 className="font-bold mb-2">Description</h3>
@@ -2510,75 +6597,149 @@ const App = () => {
                         </button>
                         
                         <div className="space-y-3">
-                            <a href={selectedProduct.affiliateLink} target="_blank" className={`block w-full py-3 bg-indigo-600 text-white text-center rounded-xl font-bold`}>Buy Now</a>
-                            <button onClick={() => { 
-                                setCart([...cart, {...selectedProduct, cartId: Date.now()}]); 
-                                showModal('Added to Cart', `${selectedProduct.title} has been added to your cart.`, 'success');
-                            }} className="block w-full py-3 bg-gray-100 text-gray-900 text-center rounded-xl font-bold">Add to Cart</button>
+                            <button onClick={() => handleBuyNow(selectedProduct)} className={`block w-full py-3 bg-indigo-600 text-white text-center rounded-xl font-bold`}>Buy Now</button>
+                            <button onClick={() => setShowSavePicker(!showSavePicker)} className="w-full py-3 bg-gray-100 text-gray-900 rounded-xl font-bold flex items-center justify-center gap-2">
+                                <Icons.Heart active={savedProductIds.includes(selectedProduct.id)} /> {savedProductIds.includes(selectedProduct.id) ? 'Saved' : 'Save'}
+                            </button>
+                            {showSavePicker && (
+                                <div className="bg-white border rounded-xl p-4 space-y-2 animate-fade-in">
+                                    {myLists.map(list => (
+                                        <label key={list.id} className="flex items-center gap-3 py-1 cursor-pointer">
+                                            <input type="checkbox" checked={list.productIds.includes(selectedProduct.id)} onChange={() => toggleSavedProduct(list.id, selectedProduct.id)} className="w-4 h-4" />
+                                            <span className="flex-1">{list.name}</span>
+                                            <span className="text-xs text-gray-400">{list.productIds.length}</span>
+                                        </label>
+                                    ))}
+                                    <div className="flex gap-2 pt-2">
+                                        <input type="text" value={newListName} onChange={(e) => setNewListName(e.target.value)} placeholder="New list name" className="flex-1 px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        <button onClick={() => handleCreateList(selectedProduct.id)} className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-bold">Create</button>
+                                    </div>
+                                </div>
+                            )}
                         </div>
+                        <AdSlot position="sidebar" ads={advertisements} onImpression={recordAdImpression} onAdClick={recordAdClick} />
                     </div>
                 </div>
             </div>
         );
     };
 
-    const renderCart = () => (
-        <div className={`${getAnimationClass()} px-4 pt-4 pb-24 max-w-4xl mx-auto min-h-screen`}>
-            <h2 className="font-bold text-2xl mb-6">Shopping Cart ({cart.length})</h2>
-            {cart.length === 0 ? (
-                <div className="text-center py-20 text-gray-400">
-                    <div className="text-6xl mb-4">🛒</div>
-                    <p className="text-lg">Your cart is empty</p>
-                    <button onClick={() => navigateTo('home')} className={`mt-4 px-6 py-2 bg-indigo-600 text-white rounded-full`}>Start Shopping</button>
-                </div>
-            ) : (
-                <div className="space-y-4">
-                    {cart.map((item) => (
-                        <div key={item.cartId} className="bg-white rounded-xl shadow-sm p-4 flex gap-4 cursor-pointer hover:bg-gray-50 transition-colors" onClick={() => handleCartProductClick(item)}>
-                            <img src={item.images?.[0] || item.image} className="w-24 h-24 object-cover rounded-lg bg-gray-100" alt={item.title} onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
-                            <div className="flex-1">
-                                <h3 className="font-bold text-gray-900 line-clamp-2 hover:text-indigo-600 transition-colors">{item.title}</h3>
-                                <p className={`text-rose-600 font-bold mt-1`}>{formatPrice(item.priceUSD)}</p>
-                                <button onClick={(e) => { 
-                                    e.stopPropagation(); 
-                                    setCart(cart.filter(c => c.cartId !== item.cartId)); 
-                                    showModal('Removed', 'Item removed from cart', 'info');
-                                }} className="mt-2 text-red-500 text-sm flex items-center gap-1 hover:text-red-700"><Icons.Trash /> Remove</button>
+    const renderSavedProducts = (productIds, onRemove) => {
+        const items = productIds.map(id => products.find(p => p.id === id && Moderation.isListed(p))).filter(Boolean);
+        if (items.length === 0) {
+            return <p className="text-center py-10 text-gray-400">No products in this list yet.</p>;
+        }
+        return (
+            <div className="space-y-4">
+                {items.map(item => (
+                    <div key={item.id} className="bg-white rounded-xl shadow-sm p-4 flex gap-4 cursor-pointer hover:bg-gray-50 transition-colors" onClick={() => handleSavedProductClick(item)}>
+                        <img src={item.images?.[0] || item.image} className="w-24 h-24 object-cover rounded-lg bg-gray-100" alt={item.title} onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
+                        <div className="flex-1">
+                            <h3 className="font-bold text-gray-900 line-clamp-2 hover:text-indigo-600 transition-colors">{item.title}</h3>
+                            <p className={`text-rose-600 font-bold mt-1`}>{formatPrice(item.priceUSD)}</p>
+                            {onRemove && (
+                                <button onClick={(e) => { e.stopPropagation(); onRemove(item.id); }} className="mt-2 text-red-500 text-sm flex items-center gap-1 hover:text-red-700"><Icons.Trash /> Remove</button>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    const renderSaved = () => {
+        const sharedList = sharedListId && savedLists.find(l => l.id === sharedListId);
+        if (sharedListId && sharedList?.owner !== currentUser?.email) {
+            return (
+                <div className={`${getAnimationClass()} px-4 pt-4 pb-24 max-w-4xl mx-auto min-h-screen`}>
+                    <button onClick={() => setSharedListId(null)} className="text-sm text-indigo-600 font-bold mb-4 flex items-center gap-1">← My saved items</button>
+                    {sharedList ? (
+                        <>
+                            <div className="flex justify-between items-center mb-6">
+                                <div>
+                                    <h2 className="font-bold text-2xl">{sharedList.name}</h2>
+                                    <p className="text-sm text-gray-500">Shared list · {sharedList.productIds.length} items</p>
+                                </div>
+                                <button onClick={() => copySharedList(sharedList)} className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-bold">Save a Copy</button>
                             </div>
+                            {renderSavedProducts(sharedList.productIds)}
+                        </>
+                    ) : <p className="text-center py-20 text-gray-400">This list is no longer available.</p>}
+                </div>
+            );
+        }
+
+        const activeList = myLists.find(l => l.id === activeListId) || myLists[0];
+        return (
+            <div className={`${getAnimationClass()} px-4 pt-4 pb-24 max-w-4xl mx-auto min-h-screen`}>
+                <h2 className="font-bold text-2xl mb-6">Saved Items ({savedProductIds.length})</h2>
+                {myLists.length === 0 ? (
+                    <div className="text-center py-20 text-gray-400">
+                        <div className="text-6xl mb-4">❤️</div>
+                        <p className="text-lg">You haven't saved anything yet</p>
+                        <button onClick={() => navigateTo('home')} className={`mt-4 px-6 py-2 bg-indigo-600 text-white rounded-full`}>Start Shopping</button>
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="flex gap-2 overflow-x-auto pb-1">
+                            {myLists.map(list => (
+                                <button key={list.id} onClick={() => setActiveListId(list.id)} className={`px-4 py-2 rounded-full text-sm font-bold whitespace-nowrap ${list.id === activeList.id ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 border'}`}>
+                                    {list.name} ({list.productIds.length})
+                                </button>
+                            ))}
                         </div>
-                    ))}
-                    <div className="bg-white rounded-xl shadow-sm p-4 sticky bottom-20">
-                        <div className="flex justify-between items-center mb-4">
-                            <span className="text-gray-600">Total ({cart.length} items)</span>
-                            <span className={`text-2xl font-bold text-rose-600`}>{formatPrice(cart.reduce((sum, item) => sum + (item.priceUSD || 0), 0))}</span>
+
+                        <div className="bg-white rounded-xl shadow-sm p-4 flex flex-wrap gap-2 items-center">
+                            {renamingList?.id === activeList.id ? (
+                                <form onSubmit={renameList} className="flex-1 flex gap-2">
+                                    <input type="text" value={renamingList.name} onChange={(e) => setRenamingList({ ...renamingList, name: e.target.value })} className="flex-1 px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-bold">Save</button>
+                                </form>
+                            ) : (
+                                <>
+                                    <span className="flex-1 font-bold">{activeList.name}</span>
+                                    <button onClick={() => setRenamingList({ id: activeList.id, name: activeList.name })} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                    <button onClick={() => shareList(activeList)} className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg"><Icons.Share /></button>
+                                    <button onClick={() => deleteList(activeList.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                </>
+                            )}
                         </div>
-                        
-                        <button onClick={handleCheckout} className="checkout-btn-hidden w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors">Checkout</button>
-                        
-                        <div className="p-4 bg-blue-50 border-2 border-blue-200 rounded-xl text-center">
-                            <div className="w-10 h-10 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center mx-auto mb-2 text-lg">ℹ️</div>
-                            <p className="text-blue-900 font-bold mb-1">Individual Ordering Only</p>
-                            <p className="text-sm text-blue-700">
-                                Products must be ordered individually.<br/>
-                                Clicking 'Buy Now' will redirect you to the official store.
-                            </p>
+
+                        {renderSavedProducts(activeList.productIds, (productId) => toggleSavedProduct(activeList.id, productId))}
+
+                        <div className="flex gap-2">
+                            <input type="text" value={newListName} onChange={(e) => setNewListName(e.target.value)} placeholder="New list name" className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                            <button onClick={() => handleCreateList()} className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-bold flex items-center gap-2"><Icons.Plus /> New List</button>
                         </div>
+
+                        {!isLoggedIn && (
+                            <p className="text-sm text-gray-500 text-center">Saved on this device only. <button onClick={() => navigateTo('account')} className="text-indigo-600 font-bold">Login</button> to keep your lists on every device and share them.</p>
+                        )}
                     </div>
-                </div>
-            )}
-        </div>
-    );
+                )}
+            </div>
+        );
+    };
+
+    const authHeadings = {
+        login: ['Welcome Back', 'Login to access your account'],
+        register: ['Create Account', 'Register to start shopping'],
+        verify: ['Verify Your Email', 'Enter the 6-digit code we sent to your email'],
+        forgot: ['Forgot Password', "Enter your email and we'll send you a reset code"],
+        reset: ['Reset Password', 'Enter the code from your email and choose a new password']
+    };
 
     const renderAccount = () => {
         if (!isLoggedIn) {
+            const [authTitle, authSubtitle] = authHeadings[authMode];
             return (
                 <div className={`${getAnimationClass()} px-4 pt-8 pb-24 max-w-md mx-auto min-h-screen`}>
                     <div className="text-center mb-8">
                         <div className={`w-20 h-20 bg-indigo-100 rounded-full flex items-center justify-center mx-auto mb-4`}>
                             <Icons.User active={true} />
                         </div>
-                        <h2 className="text-2xl font-bold text-gray-900">{authMode === 'login' ? 'Welcome Back' : 'Create Account'}</h2>
-                        <p className="text-gray-500 mt-2">{authMode === 'login' ? 'Login to access your account' : 'Register to start shopping'}</p>
+                        <h2 className="text-2xl font-bold text-gray-900">{authTitle}</h2>
+                        <p className="text-gray-500 mt-2">{authSubtitle}</p>
                     </div>
 
                     {authMode === 'login' ? (
@@ -2591,20 +6752,49 @@ const App = () => {
                             <div>
                                 <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
                                 <input type="password" value={loginForm.password} onChange={(e) => setLoginForm({...loginForm, password: e.target.value})} className={`w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500`} placeholder="Enter your password" />
+                                {canSendCodes && <div className="text-right mt-2"><button type="button" onClick={() => {setAuthMode('forgot'); setAuthError(''); setResetForm({...resetForm, email: loginForm.email});}} className="text-sm text-indigo-600 font-medium">Forgot password?</button></div>}
                             </div>
                             <button type="submit" className={`w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors`}>Login</button>
                             <p className="text-center text-sm text-gray-600 mt-4">Don't have an account? <button type="button" onClick={() => {setAuthMode('register'); setAuthError('');}} className={`text-indigo-600 font-bold`}>Register here</button></p>
                         </form>
-                    ) : (
+                    ) : authMode === 'register' ? (
                         <form onSubmit={handleRegister} className="space-y-4">
                             {authError && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm text-center">{authError}</div>}
+                            {!canSendCodes && <div className="bg-yellow-50 text-yellow-800 p-3 rounded-lg text-sm text-center">{NO_MAIL_MESSAGE}</div>}
                             <div><label className="block text-sm font-medium text-gray-700 mb-1">Full Name</label><input type="text" value={registerForm.name} onChange={(e) => setRegisterForm({...registerForm, name: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Enter your name" /></div>
                             <div><label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label><input type="email" value={registerForm.email} onChange={(e) => setRegisterForm({...registerForm, email: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Enter your email" /></div>
                             <div><label className="block text-sm font-medium text-gray-700 mb-1">Password</label><input type="password" value={registerForm.password} onChange={(e) => setRegisterForm({...registerForm, password: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Create password (min 6 chars)" /></div>
                             <div><label className="block text-sm font-medium text-gray-700 mb-1">Confirm Password</label><input type="password" value={registerForm.confirmPassword} onChange={(e) => setRegisterForm({...registerForm, confirmPassword: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Confirm your password" /></div>
-                            <button type="submit" className="w-full py-3 bg-green-600 text-white rounded-xl font-bold hover:bg-green-700 transition-colors">Register</button>
+                            <button type="submit" disabled={!canSendCodes} className="w-full py-3 bg-green-600 text-white rounded-xl font-bold hover:bg-green-700 transition-colors disabled:opacity-50">Register</button>
                             <p className="text-center text-sm text-gray-600 mt-4">Already have an account? <button type="button" onClick={() => {setAuthMode('login'); setAuthError('');}} className="text-indigo-600 font-bold">Login here</button></p>
                         </form>
+                    ) : authMode === 'verify' ? (
+                        <form onSubmit={handleRegisterVerify} className="space-y-4">
+                            {authError && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm text-center">{authError}</div>}
+                            <p className="text-center text-sm text-gray-600">Code sent to <span className="font-bold">{registerForm.email}</span></p>
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">Verification Code</label><input type="text" maxLength="6" value={registerForm.code} onChange={(e) => setRegisterForm({...registerForm, code: e.target.value.replace(/[^0-9]/g, '')})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 text-center tracking-widest" placeholder="000000" /></div>
+                            <button type="submit" className="w-full py-3 bg-green-600 text-white rounded-xl font-bold hover:bg-green-700 transition-colors">Verify & Create Account</button>
+                            <p className="text-center text-sm text-gray-600 mt-4">Didn't get a code? <button type="button" onClick={handleRegister} className="text-indigo-600 font-bold">Send again</button></p>
+                            <p className="text-center text-sm text-gray-600">Wrong email? <button type="button" onClick={() => {setAuthMode('register'); setAuthError('');}} className="text-indigo-600 font-bold">Go back</button></p>
+                        </form>
+                    ) : authMode === 'forgot' ? (
+                        <form onSubmit={handleForgotPassword} className="space-y-4">
+                            {authError && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm text-center">{authError}</div>}
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label><input type="email" value={resetForm.email} onChange={(e) => setResetForm({...resetForm, email: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Enter your email" /></div>
+                            <button type="submit" className="w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors">Send Reset Code</button>
+                            <p className="text-center text-sm text-gray-600 mt-4">Already have a code? <button type="button" onClick={() => {setAuthMode('reset'); setAuthError('');}} className="text-indigo-600 font-bold">Enter it here</button></p>
+                            <p className="text-center text-sm text-gray-600">Remembered it? <button type="button" onClick={() => {setAuthMode('login'); setAuthError('');}} className="text-indigo-600 font-bold">Back to login</button></p>
+                        </form>
+                    ) : (
+                        <form onSubmit={handleResetPassword} className="space-y-4">
+                            {authError && <div className="bg-red-50 text-red-600 p-3 rounded-lg text-sm text-center">{authError}</div>}
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label><input type="email" value={resetForm.email} onChange={(e) => setResetForm({...resetForm, email: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Enter your email" /></div>
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">Reset Code</label><input type="text" maxLength="6" value={resetForm.code} onChange={(e) => setResetForm({...resetForm, code: e.target.value.replace(/[^0-9]/g, '')})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 text-center tracking-widest" placeholder="000000" /></div>
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">New Password</label><input type="password" value={resetForm.password} onChange={(e) => setResetForm({...resetForm, password: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Create password (min 6 chars)" /></div>
+                            <div><label className="block text-sm font-medium text-gray-700 mb-1">Confirm Password</label><input type="password" value={resetForm.confirmPassword} onChange={(e) => setResetForm({...resetForm, confirmPassword: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder="Confirm your password" /></div>
+                            <button type="submit" className="w-full py-3 bg-green-600 text-white rounded-xl font-bold hover:bg-green-700 transition-colors">Reset Password</button>
+                            <p className="text-center text-sm text-gray-600 mt-4">Didn't get a code? <button type="button" onClick={() => {setAuthMode('forgot'); setAuthError('');}} className="text-indigo-600 font-bold">Send again</button></p>
+                        </form>
                     )}
 
                     <div className="mt-12 space-y-4">
@@ -2619,7 +6809,7 @@ const App = () => {
                                 </div>
                             </div>
                             <button onClick={() => navigateTo('advertise')} className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold hover:bg-yellow-600 transition-colors">
-                                Contact for Advertising
+                                Book an Ad Slot
                             </button>
                         </div>
 
@@ -2640,12 +6830,7 @@ const App = () => {
                                 }
                                 
                                 if (checkExistingAffiliate()) {
-                                    const existingAffiliate = affiliateUsers.find(u => u.email === currentUser.email);
-                                    showModal('Already Registered', 'You are already registered as an affiliate. Redirecting to dashboard...', 'info');
-                                    setTimeout(() => {
-                                        setIsAffiliate(true);
-                                        setCurrentUser({...existingAffiliate, role: 'affiliate'});
-                                    }, 1500);
+                                    openAffiliateDashboard();
                                 } else {
                                     setShowAffiliateReg(true);
                                 }
@@ -2662,7 +6847,7 @@ const App = () => {
             return renderAffiliateDashboard();
         }
 
-        if (showCMS && isAdmin) {
+        if (showCMS && can('cms.access')) {
             return renderCMS();
         }
 
@@ -2674,15 +6859,15 @@ const App = () => {
                         <div>
                             <h2 className="text-2xl font-bold">{currentUser?.name || 'User'}</h2>
                             <p className="opacity-90">{currentUser?.email}</p>
-                            {isAdmin && <span className="inline-block mt-2 bg-white/20 px-3 py-1 rounded-full text-xs font-bold">Admin Access</span>}
+                            {can('cms.access') && <span className="inline-block mt-2 bg-white/20 px-3 py-1 rounded-full text-xs font-bold">{AccessControl.getLabel(currentUser?.role)} Access</span>}
                         </div>
                     </div>
                 </div>
                 
                 <div className="grid grid-cols-2 gap-4 mb-6">
                     <div className="bg-white rounded-xl p-4 shadow-sm text-center">
-                        <div className={`text-2xl font-bold text-indigo-600`}>{cart.length}</div>
-                        <div className="text-sm text-gray-500">Cart Items</div>
+                        <div className={`text-2xl font-bold text-indigo-600`}>{savedProductIds.length}</div>
+                        <div className="text-sm text-gray-500">Saved Items</div>
                     </div>
                     <div className="bg-white rounded-xl p-4 shadow-sm text-center">
                         <div className="text-2xl font-bold text-purple-600">{orders.filter(o => o.email === currentUser?.email).length}</div>
@@ -2711,7 +6896,7 @@ const App = () => {
                             </div>
                         </div>
                         <button onClick={() => navigateTo('advertise')} className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold hover:bg-yellow-600 transition-colors">
-                            Contact for Advertising
+                            {currentUser?.role === 'advertiser' ? 'Open Advertiser Portal' : 'Book an Ad Slot'}
                         </button>
                     </div>
 
@@ -2727,13 +6912,7 @@ const App = () => {
                         </div>
                         <button onClick={() => {
                             if (checkExistingAffiliate()) {
-                                const existingAffiliate = affiliateUsers.find(u => u.email === currentUser?.email);
-                                showModal('Already an Affiliate', 'You are already registered as an affiliate. Redirecting to your dashboard...', 'info');
-                                setTimeout(() => {
-                                    setIsAffiliate(true);
-                                    setIsAdmin(false);
-                                    setCurrentUser({...existingAffiliate, role: 'affiliate'});
-                                }, 1500);
+                                openAffiliateDashboard();
                             } else {
                                 setShowAffiliateReg(true);
                             }
@@ -2743,12 +6922,9 @@ const App = () => {
                     </div>
                 </div>
 
-                {isAdmin && (
+                {can('cms.access') && (
                     <div className="mb-6">
-                        <button onClick={() => {
-                            setShowCMS(true);
-                            pushNavState({ type: 'cms' });
-                        }} className={`w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white p-4 rounded-xl flex items-center justify-between shadow-lg hover:shadow-xl transition-shadow`}>
+                        <button onClick={() => setShowCMS(true)} className={`w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white p-4 rounded-xl flex items-center justify-between shadow-lg hover:shadow-xl transition-shadow`}>
                             <div className="flex items-center gap-3">
                                 <div className="w-10 h-10 bg-white/20 rounded-lg flex items-center justify-center"><Icons.Settings /></div>
                                 <div className="text-left"><div className="font-bold">Admin CMS Panel</div><div className="text-sm opacity-90">Manage entire website</div></div>
@@ -2773,6 +6949,30 @@ const App = () => {
             totalMicroJobsLeads: microJobsLeads.length,
             totalAds: advertisements.length
         };
+        const pendingReviews = products.filter(p => Moderation.statusOf(p) === 'pending');
+        const allowedMarketplaces = siteSettings.allowedMarketplaces ?? Moderation.DEFAULT_MARKETPLACES;
+
+        const cmsNavItems = [ 
+            { id: 'dashboard', label: 'Dashboard', icon: Icons.Dashboard, permission: 'dashboard.view' },
+            { id: 'products', label: 'Products', icon: Icons.Package, permission: 'products.manage' },
+            { id: 'monitor', label: 'Price Monitor', icon: Icons.Chart, permission: 'products.manage' },
+            { id: 'moderation', label: 'Review Queue', icon: Icons.Filter, permission: 'products.manage' },
+            { id: 'search', label: 'Search Insights', icon: Icons.Search, permission: 'dashboard.view' },
+            { id: 'categories', label: 'Categories', icon: Icons.Tag, permission: 'categories.manage' },
+            { id: 'banners', label: 'Banners', icon: Icons.Image, permission: 'banners.manage' },
+            { id: 'flashsales', label: 'Flash Sales', icon: Icons.Clock, permission: 'promotions.manage' },
+            { id: 'posts', label: 'Posts/News', icon: Icons.Document, permission: 'posts.manage' },
+            { id: 'orders', label: 'Orders', icon: Icons.Cart, permission: 'orders.view' },
+            { id: 'users', label: 'Users', icon: Icons.Users, permission: 'users.manage' },
+            { id: 'affiliates', label: 'Affiliates', icon: Icons.Affiliate, permission: 'affiliates.manage' },
+            { id: 'microjobs', label: 'Micro Jobs Leads', icon: Icons.Users, permission: 'leads.manage' },
+            { id: 'ads', label: 'Advertisements', icon: Icons.Megaphone, permission: 'ads.manage' },
+            { id: 'bookings', label: 'Ad Bookings', icon: Icons.Check, permission: 'ads.manage' },
+            { id: 'advertisers', label: 'Ad Inquiries', icon: Icons.Mail, permission: 'advertisers.manage' },
+            { id: 'profile', label: 'Admin Profile', icon: Icons.Lock, permission: 'profile.manage' },
+            { id: 'settings', label: 'Site Settings', icon: Icons.Settings, permission: 'settings.manage' }
+        ].filter(item => can(item.permission));
+        const activeCmsTab = cmsNavItems.some(item => item.id === cmsActiveTab) ? cmsActiveTab : cmsNavItems[0]?.id;
 
         return (
             <div className="fixed inset-0 bg-gray-50 z-50 flex flex-col md:flex-row animate-fade-in">
@@ -2788,27 +6988,13 @@ const App = () => {
                     </div>
                     
                     <nav className="p-4 space-y-1">
-                        {[ 
-                            { id: 'dashboard', label: 'Dashboard', icon: Icons.Dashboard },
-                            { id: 'products', label: 'Products', icon: Icons.Package },
-                            { id: 'categories', label: 'Categories', icon: Icons.Tag },
-                            { id: 'banners', label: 'Banners', icon: Icons.Image },
-                            { id: 'posts', label: 'Posts/News', icon: Icons.Document },
-                            { id: 'orders', label: 'Orders', icon: Icons.Cart },
-                            { id: 'users', label: 'Users', icon: Icons.Users },
-                            { id: 'affiliates', label: 'Affiliates', icon: Icons.Affiliate },
-                            { id: 'microjobs', label: 'Micro Jobs Leads', icon: Icons.Users },
-                            { id: 'ads', label: 'Advertisements', icon: Icons.Megaphone },
-                            { id: 'advertisers', label: 'Ad Inquiries', icon: Icons.Mail },
-                            { id: 'profile', label: 'Admin Profile', icon: Icons.Lock },
-                            { id: 'settings', label: 'Site Settings', icon: Icons.Settings }
-                        ].map(item => {
+                        {cmsNavItems.map(item => {
                             const Icon = item.icon;
                             return (
                                 <button 
                                     key={item.id} 
-                                    onClick={() => { setCmsActiveTab(item.id); setCmsSidebarOpen(false); setEditingProduct(null); setEditingCategory(null); setEditingBanner(null); setEditingPost(null); }}
-                                    className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg text-left transition-all ${cmsActiveTab === item.id ? `bg-indigo-50 text-indigo-600 font-bold shadow-sm` : 'text-gray-600 hover:bg-gray-50'}`}
+                                    onClick={() => { setCmsActiveTab(item.id); setCmsSidebarOpen(false); setEditingProduct(null); setEditingCategory(null); setEditingBanner(null); setEditingPost(null); setEditingFlashSale(null); }}
+                                    className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg text-left transition-all ${activeCmsTab === item.id ? `bg-indigo-50 text-indigo-600 font-bold shadow-sm` : 'text-gray-600 hover:bg-gray-50'}`}
                                 >
                                     <Icon /> {item.label}
                                 </button>
@@ -2817,17 +7003,14 @@ const App = () => {
                     </nav>
 
                     <div className="p-4 mt-auto border-t">
-                        <button onClick={() => {
-                            setShowCMS(false);
-                            window.history.back();
-                        }} className="w-full flex items-center gap-3 px-4 py-3 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors">
+                        <button onClick={() => setShowCMS(false)} className="w-full flex items-center gap-3 px-4 py-3 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors">
                             <Icons.ArrowLeft /> Back to Site
                         </button>
                     </div>
                 </div>
 
                 <div className="flex-1 overflow-y-auto custom-scroll p-4 md:p-8">
-                    {cmsActiveTab === 'dashboard' && (
+                    {activeCmsTab === 'dashboard' && (
                         <div className="space-y-6">
                             <h2 className="text-3xl font-bold text-gray-800">Dashboard</h2>
                             <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
@@ -2855,11 +7038,24 @@ const App = () => {
                                     <div className="text-gray-500 text-sm mb-1">Micro Jobs Leads</div>
                                     <div className="text-3xl font-bold text-orange-600">{cmsStats.totalMicroJobsLeads}</div>
                                 </div>
+                                <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
+                                    <div className="text-gray-500 text-sm mb-1">Outbound Clicks</div>
+                                    <div className="text-3xl font-bold text-teal-600">{stats.totalClicks}</div>
+                                </div>
+                                <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
+                                    <div className="text-gray-500 text-sm mb-1">Affiliate Clicks</div>
+                                    <div className="text-3xl font-bold text-indigo-600">{stats.affiliateClicks}</div>
+                                </div>
+                                <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
+                                    <div className="text-gray-500 text-sm mb-1">Commissions Owed</div>
+                                    <div className="text-3xl font-bold text-yellow-600">{formatMoney(stats.commissionsOwedUSD)}</div>
+                                    <div className="text-xs text-gray-400 mt-1">{stats.totalConversions} conversions · {stats.conversionRate}% of affiliate clicks</div>
+                                </div>
                             </div>
                         </div>
                     )}
 
-                    {cmsActiveTab === 'products' && (
+                    {activeCmsTab === 'products' && (
                         <div className="space-y-6 max-w-5xl mx-auto">
                             <div className="flex justify-between items-center">
                                 <h2 className="text-3xl font-bold text-gray-800">Manage Products ({products.length})</h2>
@@ -2939,7 +7135,7 @@ const App = () => {
                                     <input type="text" placeholder="Title" value={productForm.title} onChange={(e) => setProductForm({...productForm, title: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
                                     <select value={productForm.category} onChange={(e) => setProductForm({...productForm, category: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
                                         <option value="">Select Category</option>
-                                        {categories.filter(c => c.active).map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
+                                        {categoryTree.filter(({ category }) => category.active).map(({ category }) => <option key={category.id} value={category.name}>{getCategoryLabel(category)}</option>)}
                                     </select>
                                     <input type="number" placeholder={`Price (${inputCurrency})`} value={productForm.price} min="0" onChange={(e) => setProductForm({...productForm, price: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
                                     <input type="number" placeholder={`Original Price (${inputCurrency})`} value={productForm.originalPrice} min="0" onChange={(e) => setProductForm({...productForm, originalPrice: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
@@ -2952,62 +7148,1186 @@ const App = () => {
                                 </div>
                             </div>
 
-                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Product</th>
+                                            <th className="text-left p-4 font-bold">Price (USD)</th>
+                                            <th className="text-left p-4 font-bold">Clicks</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                            <th className="text-left p-4 font-bold">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {products.map(product => {
+                                            const images = product.images || (product.image ? [product.image] : []);
+                                            return (
+                                                <tr key={product.id} className="border-b hover:bg-gray-50">
+                                                    <td className="p-4">
+                                                        <div className="flex items-center gap-3">
+                                                            <img src={images[0]} className="w-12 h-12 object-cover rounded-lg" alt="" onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
+                                                            <div>
+                                                                <div className="font-bold text-sm">{product.title}</div>
+                                                                {images.length > 1 && <div className="text-xs text-indigo-500">{images.length} images</div>}
+                                                            </div>
+                                                        </div>
+                                                    </td>
+                                                    <td className="p-4 font-bold text-rose-600">${product.priceUSD?.toFixed(2)}</td>
+                                                    <td className="p-4 text-gray-600">{product.clicks || 0}</td>
+                                                    <td className="p-4">{renderStockBadge(product)}</td>
+                                                    <td className="p-4">
+                                                        <div className="flex gap-2">
+                                                            <button onClick={() => { editProduct(product); window.scrollTo(0,0); }} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                                            <button onClick={() => deleteProduct(product.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'monitor' && renderPriceMonitor()}
+
+                    {activeCmsTab === 'moderation' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Review Queue ({pendingReviews.length} pending)</h2>
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold mb-1">Allowed Marketplaces</h3>
+                                <p className="text-sm text-gray-500 mb-3">Submissions linking anywhere else are flagged for review.</p>
+                                <div className="flex flex-wrap gap-4">
+                                    {[...Moderation.DEFAULT_MARKETPLACES, 'Other'].map(name => (
+                                        <label key={name} className="flex items-center gap-2 text-sm">
+                                            <input type="checkbox" checked={allowedMarketplaces.includes(name)} onChange={() => toggleAllowedMarketplace(name)} className="w-4 h-4" />
+                                            {name}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            {pendingReviews.length === 0 && (
+                                <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-200 text-center text-gray-400">No products waiting for review</div>
+                            )}
+                            {pendingReviews.map(product => {
+                                const affiliate = affiliateUsers.find(u => u.id === product.affiliateId);
+                                const issues = Moderation.checks(product, products, allowedMarketplaces);
+                                return (
+                                    <div key={product.id} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                        <div className="grid md:grid-cols-2 gap-6">
+                                            <div>
+                                                <div className="text-xs text-gray-400 mb-2">Storefront preview</div>
+                                                <div className="bg-white rounded-xl shadow-sm border overflow-hidden max-w-xs">
+                                                    <div className="relative aspect-square overflow-hidden bg-gray-100">
+                                                        <img src={product.images?.[0]} className="w-full h-full object-cover" alt={product.title} onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
+                                                        <div className="absolute top-2 right-2 bg-rose-500 text-white text-xs font-bold px-2 py-1 rounded-full">-{product.discount}%</div>
+                                                        <div className={`absolute top-2 left-2 text-xs font-bold px-2 py-1 rounded ${detectMarketplace(product.affiliateLink).class}`}>{product.marketplace}</div>
+                                                    </div>
+                                                    <div className="p-3">
+                                                        <h3 className="text-sm font-medium text-gray-800 line-clamp-2 mb-1">{product.title}</h3>
+                                                        <div className="text-xs text-gray-500 mb-1"><span className="text-yellow-400">★</span> {product.rating} | {product.sold} sold</div>
+                                                        <div className="flex items-baseline gap-2">
+                                                            <span className="text-rose-600 font-bold text-lg">{formatPrice(product.priceUSD)}</span>
+                                                            <span className="text-gray-400 text-xs line-through">{formatPrice(product.originalPriceUSD)}</span>
+                                                        </div>
+                                                    </div>
+                                                </div>
+                                                {product.images?.length > 1 && (
+                                                    <div className="flex gap-2 mt-2">
+                                                        {product.images.slice(1).map((img, idx) => <img key={idx} src={img} className="w-12 h-12 object-cover rounded-lg" alt="" />)}
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <div className="space-y-2 text-sm">
+                                                <div>
+                                                    <div className="font-bold text-base">{affiliate?.name || 'Unknown affiliate'}</div>
+                                                    {affiliate && <a href={`mailto:${affiliate.email}`} className="text-indigo-600">{affiliate.email}</a>}
+                                                </div>
+                                                <div><span className="text-gray-500">Category:</span> {product.category || 'None'}</div>
+                                                <div className="break-all"><span className="text-gray-500">Link:</span> <a href={product.affiliateLink} target="_blank" rel="noopener noreferrer" className="text-indigo-600">{product.affiliateLink || 'None'}</a></div>
+                                                {product.desc && <p className="text-gray-600 whitespace-pre-line line-clamp-4">{product.desc}</p>}
+                                                <div className="text-xs text-gray-400">Submitted {new Date(product.submittedAt).toLocaleString()}{product.reviewedBy && ` · previously reviewed by ${product.reviewedBy}`}</div>
+                                                {issues.length > 0 ? (
+                                                    <ul className="bg-yellow-50 text-yellow-800 rounded-lg p-3 space-y-1">
+                                                        {issues.map(issue => <li key={issue}>⚠ {issue}</li>)}
+                                                    </ul>
+                                                ) : (
+                                                    <div className="bg-green-50 text-green-700 rounded-lg p-3">All automatic checks passed</div>
+                                                )}
+                                                {rejectingProduct?.id === product.id ? (
+                                                    <div className="space-y-2 pt-2">
+                                                        <textarea placeholder="Reason sent to the affiliate" value={rejectingProduct.reason} onChange={(e) => setRejectingProduct({ ...rejectingProduct, reason: e.target.value })} className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none h-20"></textarea>
+                                                        <div className="flex gap-2">
+                                                            <button onClick={rejectProduct} className="flex-1 py-2 bg-red-600 text-white rounded-lg font-bold">Reject Product</button>
+                                                            <button onClick={() => setRejectingProduct(null)} className="flex-1 py-2 bg-gray-100 text-gray-700 rounded-lg font-bold">Cancel</button>
+                                                        </div>
+                                                    </div>
+                                                ) : (
+                                                    <div className="flex gap-2 pt-2">
+                                                        <button onClick={() => approveProduct(product)} className="flex-1 py-2 bg-green-600 text-white rounded-lg font-bold">Approve</button>
+                                                        <button onClick={() => setRejectingProduct({ id: product.id, reason: issues.join('. ') })} className="flex-1 py-2 bg-red-50 text-red-600 rounded-lg font-bold">Reject</button>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'search' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <div className="flex justify-between items-center">
+                                <h2 className="text-3xl font-bold text-gray-800">Searches With No Results ({searchMisses.length})</h2>
+                                {searchMisses.length > 0 && can('products.manage') && (
+                                    <button onClick={clearSearchMisses} className="px-4 py-2 bg-gray-200 rounded-lg font-bold">Clear</button>
+                                )}
+                            </div>
+                            <p className="text-gray-500 text-sm">What shoppers looked for but couldn't find. Frequent terms are good candidates for new products or categories.</p>
+
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Search Term</th>
+                                            <th className="text-left p-4 font-bold">Times Searched</th>
+                                            <th className="text-left p-4 font-bold">Last Searched</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {[...searchMisses].sort((a, b) => b.count - a.count).map(miss => (
+                                            <tr key={miss.query} className="border-b hover:bg-gray-50">
+                                                <td className="p-4 font-bold text-sm">{miss.query}</td>
+                                                <td className="p-4 text-gray-600">{miss.count}</td>
+                                                <td className="p-4 text-gray-600 text-sm">{new Date(miss.lastSearchedAt).toLocaleString()}</td>
+                                            </tr>
+                                        ))}
+                                        {searchMisses.length === 0 && (
+                                            <tr><td colSpan="3" className="p-8 text-center text-gray-500">No unmatched searches recorded yet</td></tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'categories' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Manage Categories ({categories.length})</h2>
+
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold text-lg mb-4">{editingCategory ? 'Edit Category' : 'Add Category'}</h3>
+                                <div className="grid md:grid-cols-2 gap-4 mb-4">
+                                    <input type="text" placeholder="Name" value={categoryForm.name} onChange={(e) => setCategoryForm({...categoryForm, name: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <input type="text" placeholder="Icon (emoji)" value={categoryForm.icon} onChange={(e) => setCategoryForm({...categoryForm, icon: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <select value={categoryForm.parentId} onChange={(e) => setCategoryForm({...categoryForm, parentId: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                        <option value="">No parent (top level)</option>
+                                        {categoryTree
+                                            .filter(({ category }) => !editingCategory || !getCategoryDescendantIds(editingCategory.id).has(category.id))
+                                            .map(({ category }) => <option key={category.id} value={category.id}>{getCategoryLabel(category)}</option>)}
+                                    </select>
+                                    <input type="text" placeholder="Banner image URL (category page)" value={categoryForm.banner} onChange={(e) => setCategoryForm({...categoryForm, banner: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                </div>
+                                <div className="flex gap-2">
+                                    <button onClick={saveCategory} className="px-6 py-2 bg-green-600 text-white rounded-lg font-bold">{editingCategory ? 'Update' : 'Save'}</button>
+                                    {editingCategory && <button onClick={() => { setEditingCategory(null); setCategoryForm({ name: '', icon: '', parentId: '', banner: '' }); }} className="px-6 py-2 bg-gray-200 rounded-lg">Cancel</button>}
+                                </div>
+                            </div>
+
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Category</th>
+                                            <th className="text-left p-4 font-bold">Products</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                            <th className="text-left p-4 font-bold">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {categoryTree.map(({ category, depth }) => (
+                                            <tr key={category.id} className="border-b hover:bg-gray-50">
+                                                <td className="p-4 font-bold text-sm" style={{ paddingLeft: `${1 + depth * 1.5}rem` }}>{depth > 0 && <span className="text-gray-300 mr-2">└</span>}<span className="text-xl mr-2">{category.icon}</span>{category.name}</td>
+                                                <td className="p-4 text-gray-600">{products.filter(p => p.category === category.name).length}</td>
+                                                <td className="p-4">
+                                                    <button onClick={() => toggleCategory(category.id)} className={`px-3 py-1 rounded-full text-xs font-bold ${category.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{category.active ? 'Active' : 'Hidden'}</button>
+                                                </td>
+                                                <td className="p-4">
+                                                    <div className="flex gap-2">
+                                                        <button onClick={() => editCategory(category)} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                                        <button onClick={() => deleteCategory(category.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'banners' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Manage Banners ({banners.length})</h2>
+
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold text-lg mb-4">{editingBanner ? 'Edit Banner' : 'Add Banner'}</h3>
+                                <div className="grid md:grid-cols-2 gap-4 mb-4">
+                                    <input type="text" placeholder="Image URL" value={bannerForm.image} onChange={(e) => setBannerForm({...bannerForm, image: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none md:col-span-2" />
+                                    <input type="text" placeholder="Title" value={bannerForm.title} onChange={(e) => setBannerForm({...bannerForm, title: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <input type="text" placeholder="Subtitle" value={bannerForm.subtitle} onChange={(e) => setBannerForm({...bannerForm, subtitle: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <select value={bannerForm.linkType} onChange={(e) => setBannerForm({...bannerForm, linkType: e.target.value, linkValue: ''})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                        <option value="none">No link</option>
+                                        <option value="product">Links to a product</option>
+                                        <option value="category">Links to a category</option>
+                                        <option value="search">Links to a search</option>
+                                        <option value="url">Links to an external URL</option>
+                                    </select>
+                                    {bannerForm.linkType === 'product' && (
+                                        <select value={bannerForm.linkValue} onChange={(e) => setBannerForm({...bannerForm, linkValue: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            <option value="">Select Product</option>
+                                            {products.filter(Moderation.isListed).map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                                        </select>
+                                    )}
+                                    {bannerForm.linkType === 'category' && (
+                                        <select value={bannerForm.linkValue} onChange={(e) => setBannerForm({...bannerForm, linkValue: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            <option value="">Select Category</option>
+                                            {categoryTree.map(({ category }) => <option key={category.id} value={category.name}>{getCategoryLabel(category)}</option>)}
+                                        </select>
+                                    )}
+                                    {(bannerForm.linkType === 'search' || bannerForm.linkType === 'url') && (
+                                        <input type="text" placeholder={bannerForm.linkType === 'url' ? 'https://...' : 'Search terms'} value={bannerForm.linkValue} onChange={(e) => setBannerForm({...bannerForm, linkValue: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    )}
+                                    {bannerForm.linkType === 'none' && <div className="hidden md:block" />}
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Start date (optional)</label>
+                                        <input type="date" value={bannerForm.startDate} onChange={(e) => setBannerForm({...bannerForm, startDate: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">End date (optional)</label>
+                                        <input type="date" value={bannerForm.endDate} onChange={(e) => setBannerForm({...bannerForm, endDate: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </div>
+                                    <div className="md:col-span-2">
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Show in countries (none selected = everywhere)</label>
+                                        <div className="flex flex-wrap gap-2">
+                                            {CountryDetector.getAvailableCountries().map(country => (
+                                                <button 
+                                                    key={country.code} 
+                                                    type="button"
+                                                    onClick={() => toggleBannerCountry(country.code)} 
+                                                    className={`px-3 py-1 rounded-full text-xs font-bold ${bannerForm.countries.includes(country.code) ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600'}`}
+                                                >
+                                                    {country.name}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button onClick={saveBanner} className="px-6 py-2 bg-green-600 text-white rounded-lg font-bold">{editingBanner ? 'Update' : 'Save'}</button>
+                                    {editingBanner && <button onClick={() => { setEditingBanner(null); setBannerForm(emptyBannerForm); }} className="px-6 py-2 bg-gray-200 rounded-lg">Cancel</button>}
+                                </div>
+                            </div>
+
+                            <div className="grid md:grid-cols-2 gap-4">
+                                {banners.map(banner => (
+                                    <div key={banner.id} className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                                        <img src={banner.image} className="w-full h-32 object-cover" alt={banner.title} onError={(e) => {e.target.src='https://via.placeholder.com/800x400?text=Banner'}} />
+                                        <div className="p-4 flex items-center justify-between gap-2">
+                                            <div className="min-w-0">
+                                                <div className="font-bold text-sm truncate">{banner.title}</div>
+                                                <div className="text-xs text-gray-500 truncate">{banner.subtitle}</div>
+                                                <div className="text-xs text-gray-500 truncate mt-1">
+                                                    {banner.linkType && banner.linkType !== 'none' ? `→ ${banner.linkType}: ${banner.linkType === 'product' ? (products.find(p => p.id === parseInt(banner.linkValue))?.title || 'missing product') : banner.linkValue}` : 'No link'}
+                                                </div>
+                                                <div className="text-xs text-gray-500 truncate">
+                                                    {banner.startDate || banner.endDate ? `${banner.startDate || '…'} to ${banner.endDate || '…'}` : 'Always'}
+                                                    {' · '}
+                                                    {banner.countries?.length ? banner.countries.join(', ') : 'All countries'}
+                                                </div>
+                                                <div className="text-xs font-bold text-gray-700 mt-1">
+                                                    {bannerStats[banner.id]?.impressions || 0} views · {bannerStats[banner.id]?.clicks || 0} clicks
+                                                    {bannerStats[banner.id]?.impressions > 0 && ` · ${((bannerStats[banner.id].clicks || 0) / bannerStats[banner.id].impressions * 100).toFixed(1)}% CTR`}
+                                                </div>
+                                            </div>
+                                            <div className="flex items-center gap-2 flex-shrink-0">
+                                                <button onClick={() => toggleBanner(banner.id)} className={`px-3 py-1 rounded-full text-xs font-bold ${banner.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{banner.active ? 'Active' : 'Hidden'}</button>
+                                                <button onClick={() => editBanner(banner)} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                                <button onClick={() => deleteBanner(banner.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'flashsales' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Flash Sales ({flashSales.length})</h2>
+
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold text-lg mb-4">{editingFlashSale ? 'Edit Flash Sale' : 'New Flash Sale'}</h3>
+                                <div className="grid md:grid-cols-2 gap-4 mb-4">
+                                    <input type="text" placeholder="Title" value={flashSaleForm.title} onChange={(e) => setFlashSaleForm({...flashSaleForm, title: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <input type="text" placeholder="Subtitle (optional)" value={flashSaleForm.subtitle} onChange={(e) => setFlashSaleForm({...flashSaleForm, subtitle: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                                        <input type="datetime-local" value={flashSaleForm.startsAt} onChange={(e) => setFlashSaleForm({...flashSaleForm, startsAt: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                                        <input type="datetime-local" value={flashSaleForm.endsAt} onChange={(e) => setFlashSaleForm({...flashSaleForm, endsAt: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </div>
+                                </div>
+
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Products ({flashSaleForm.items.length} selected) — leave the sale price empty to keep the regular price</label>
+                                <div className="border rounded-lg max-h-72 overflow-y-auto divide-y mb-4">
+                                    {products.filter(Moderation.isListed).map(product => {
+                                        const item = flashSaleForm.items.find(i => i.productId === product.id);
+                                        return (
+                                            <div key={product.id} className="flex items-center gap-3 p-3">
+                                                <input type="checkbox" checked={Boolean(item)} onChange={() => toggleFlashSaleProduct(product.id)} className="w-4 h-4" />
+                                                <img src={product.images?.[0] || product.image} className="w-10 h-10 rounded object-cover" alt="" />
+                                                <div className="flex-1 min-w-0">
+                                                    <div className="text-sm font-bold truncate">{product.title}</div>
+                                                    <div className="text-xs text-gray-500">Now ${product.priceUSD?.toFixed(2)}</div>
+                                                </div>
+                                                {item && (
+                                                    <input type="number" step="0.01" min="0" placeholder="Sale $" value={item.salePrice} onChange={(e) => setFlashSalePrice(product.id, e.target.value)} className="w-28 px-3 py-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+
+                                <div className="flex gap-2">
+                                    <button onClick={saveFlashSale} className="px-6 py-2 bg-green-600 text-white rounded-lg font-bold">{editingFlashSale ? 'Update' : 'Save'}</button>
+                                    {editingFlashSale && <button onClick={() => { setEditingFlashSale(null); setFlashSaleForm(emptyFlashSaleForm); }} className="px-6 py-2 bg-gray-200 rounded-lg">Cancel</button>}
+                                </div>
+                            </div>
+
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Campaign</th>
+                                            <th className="text-left p-4 font-bold">Schedule</th>
+                                            <th className="text-left p-4 font-bold">Products</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                            <th className="text-left p-4 font-bold">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {[...flashSales].sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt)).map(campaign => {
+                                            const status = FlashSales.statusOf(campaign, clockNow);
+                                            const statusStyles = { live: 'bg-green-100 text-green-700', scheduled: 'bg-blue-100 text-blue-700', ended: 'bg-gray-100 text-gray-500', disabled: 'bg-gray-100 text-gray-500' };
+                                            return (
+                                                <tr key={campaign.id} className="border-b hover:bg-gray-50">
+                                                    <td className="p-4 font-bold text-sm">{campaign.title}</td>
+                                                    <td className="p-4 text-gray-600 text-xs">{new Date(campaign.startsAt).toLocaleString()}<br />→ {new Date(campaign.endsAt).toLocaleString()}</td>
+                                                    <td className="p-4 text-gray-600">{campaign.items.length}</td>
+                                                    <td className="p-4">
+                                                        <span className={`px-3 py-1 rounded-full text-xs font-bold capitalize ${statusStyles[status]}`}>{status}</span>
+                                                        {status === 'live' && <div className="text-xs text-gray-500 mt-1 font-mono">{FlashSales.formatTimeLeft(campaign.endsAt, clockNow)} left</div>}
+                                                    </td>
+                                                    <td className="p-4">
+                                                        <div className="flex gap-2">
+                                                            <button onClick={() => toggleFlashSale(campaign.id)} className="px-3 py-1 bg-gray-100 rounded-lg text-xs font-bold">{campaign.active ? 'Disable' : 'Enable'}</button>
+                                                            <button onClick={() => editFlashSale(campaign)} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                                            <button onClick={() => deleteFlashSale(campaign.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                        {flashSales.length === 0 && (
+                                            <tr><td colSpan="5" className="p-8 text-center text-gray-500">No flash sales yet</td></tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'posts' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Posts/News ({posts.length})</h2>
+
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold text-lg mb-4">{editingPost ? 'Edit Post' : 'New Post'}</h3>
+                                <input type="text" placeholder="Title" value={postForm.title} onChange={(e) => setPostForm({...postForm, title: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none mb-4" />
+                                <textarea placeholder="Content (basic HTML such as <b>, <a> and <ul> is allowed)" value={postForm.content} onChange={(e) => setPostForm({...postForm, content: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none mb-4 h-24"></textarea>
+                                <div className="flex gap-2">
+                                    <button onClick={savePost} className="px-6 py-2 bg-green-600 text-white rounded-lg font-bold">{editingPost ? 'Update' : 'Publish'}</button>
+                                    {editingPost && <button onClick={() => { setEditingPost(null); setPostForm({ title: '', content: '' }); }} className="px-6 py-2 bg-gray-200 rounded-lg">Cancel</button>}
+                                </div>
+                            </div>
+
+                            <div className="space-y-3">
+                                {posts.map(post => (
+                                    <div key={post.id} className="bg-white p-4 rounded-2xl shadow-sm border border-gray-200 flex justify-between gap-4">
+                                        <div className="min-w-0">
+                                            <div className="flex items-center gap-2 mb-1">
+                                                <h3 className="font-bold">{post.title}</h3>
+                                                <span className="text-xs text-gray-400">{post.date}</span>
+                                            </div>
+                                            <p className="text-sm text-gray-600 line-clamp-2">{HtmlSanitizer.toText(post.content)}</p>
+                                        </div>
+                                        <div className="flex items-start gap-2 flex-shrink-0">
+                                            <button onClick={() => togglePost(post.id)} className={`px-3 py-1 rounded-full text-xs font-bold ${post.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{post.active ? 'Published' : 'Draft'}</button>
+                                            <button onClick={() => editPost(post)} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
+                                            <button onClick={() => deletePost(post.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'orders' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Orders ({orders.length})</h2>
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-x-auto">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Order</th>
+                                            <th className="text-left p-4 font-bold">Customer</th>
+                                            <th className="text-left p-4 font-bold">Total (USD)</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                            <th className="text-left p-4 font-bold">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {orders.map(order => (
+                                            <tr key={order.id} className="border-b hover:bg-gray-50">
+                                                <td className="p-4">
+                                                    <div className="font-bold text-sm">{order.id}</div>
+                                                    <div className="text-xs text-gray-500">{order.date} • {order.items} items</div>
+                                                </td>
+                                                <td className="p-4">
+                                                    <div className="text-sm font-medium">{order.customer}</div>
+                                                    <div className="text-xs text-gray-500">{order.email}</div>
+                                                </td>
+                                                <td className="p-4 font-bold text-rose-600">${(order.totalUSD || 0).toFixed(2)}</td>
+                                                <td className="p-4">
+                                                    <select value={order.status} disabled={!can('orders.manage')} onChange={(e) => updateOrderStatus(order.id, e.target.value)} className="px-3 py-1 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none disabled:bg-gray-50">
+                                                        {['Pending', 'Processing', 'Shipped', 'Completed', 'Cancelled'].map(status => <option key={status} value={status}>{status}</option>)}
+                                                    </select>
+                                                </td>
+                                                <td className="p-4">
+                                                    {can('orders.manage') && <button onClick={() => deleteOrder(order.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'users' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Users ({registeredUsers.length})</h2>
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-x-auto">
                                 <table className="w-full">
                                     <thead className="bg-gray-50 border-b">
                                         <tr>
-                                            <th className="text-left p-4 font-bold">Product</th>
-                                            <th className="text-left p-4 font-bold">Price (USD)</th>
+                                            <th className="text-left p-4 font-bold">User</th>
+                                            <th className="text-left p-4 font-bold">Joined</th>
+                                            <th className="text-left p-4 font-bold">Role</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
                                             <th className="text-left p-4 font-bold">Actions</th>
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        {products.map(product => {
-                                            const images = product.images || (product.image ? [product.image] : []);
+                                        {registeredUsers.length === 0 && (
+                                            <tr><td colSpan="5" className="p-8 text-center text-gray-400">No registered users yet</td></tr>
+                                        )}
+                                        {registeredUsers.map(user => (
+                                            <tr key={user.id} className="border-b hover:bg-gray-50">
+                                                <td className="p-4">
+                                                    <div className="font-bold text-sm">{user.name}</div>
+                                                    <div className="text-xs text-gray-500">{user.email}</div>
+                                                </td>
+                                                <td className="p-4 text-sm text-gray-600">{user.joined}</td>
+                                                <td className="p-4">
+                                                    <select value={AccessControl.normalizeRole(user.role)} disabled={!can('users.assign_roles')} onChange={(e) => assignUserRole(user.id, e.target.value)} className="px-3 py-1 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none disabled:bg-gray-50">
+                                                        {AccessControl.getAssignableRoles().map(role => <option key={role} value={role}>{AccessControl.getLabel(role)}</option>)}
+                                                    </select>
+                                                </td>
+                                                <td className="p-4">
+                                                    <button onClick={() => toggleUserActive(user.id)} className={`px-3 py-1 rounded-full text-xs font-bold ${user.active !== false ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{user.active !== false ? 'Active' : 'Disabled'}</button>
+                                                </td>
+                                                <td className="p-4">
+                                                    <button onClick={() => deleteUser(user.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'affiliates' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Affiliates ({affiliateUsers.length})</h2>
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-x-auto">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Affiliate</th>
+                                            <th className="text-left p-4 font-bold">Products</th>
+                                            <th className="text-left p-4 font-bold">Clicks</th>
+                                            <th className="text-left p-4 font-bold">Conversions</th>
+                                            <th className="text-left p-4 font-bold">Earnings</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                            <th className="text-left p-4 font-bold">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {affiliateUsers.length === 0 && (
+                                            <tr><td colSpan="7" className="p-8 text-center text-gray-400">No affiliates yet</td></tr>
+                                        )}
+                                        {affiliateUsers.map(affiliate => {
+                                            const earnings = Commissions.summarize(commissionLedger, affiliate.id);
+                                            const productCount = getAffiliateProducts(affiliate.id).length;
+                                            const balance = affiliateAction?.affiliateId === affiliate.id && affiliateAction.action === 'remove'
+                                                ? Commissions.outstanding(commissionLedger, payouts, affiliate.id) : null;
                                             return (
-                                                <tr key={product.id} className="border-b hover:bg-gray-50">
-                                                    <td className="p-4">
-                                                        <div className="flex items-center gap-3">
-                                                            <img src={images[0]} className="w-12 h-12 object-cover rounded-lg" alt="" onError={(e) => {e.target.src='https://via.placeholder.com/400'}} />
-                                                            <div>
-                                                                <div className="font-bold text-sm">{product.title}</div>
-                                                                {images.length > 1 && <div className="text-xs text-indigo-500">{images.length} images</div>}
+                                            <React.Fragment key={affiliate.id}>
+                                            <tr className="border-b hover:bg-gray-50">
+                                                <td className="p-4">
+                                                    <div className="font-bold text-sm">{affiliate.name}</div>
+                                                    <div className="text-xs text-gray-500">{affiliate.email} • {affiliate.phone}</div>
+                                                </td>
+                                                <td className="p-4 text-gray-600">{productCount}</td>
+                                                <td className="p-4 text-gray-600">{affiliate.clicks || 0}</td>
+                                                <td className="p-4 text-gray-600">{earnings.conversions}</td>
+                                                <td className="p-4">
+                                                    <div className="font-bold text-indigo-600">{formatMoney(earnings.total)}</div>
+                                                    <div className="text-xs text-gray-500">{formatMoney(earnings.pending)} pending · {formatMoney(earnings.paid)} paid</div>
+                                                </td>
+                                                <td className="p-4">
+                                                    <span className={`px-3 py-1 rounded-full text-xs font-bold ${affiliate.status === 'active' ? 'bg-green-100 text-green-700' : affiliate.status === 'suspended' ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-500'}`}>{affiliate.status}</span>
+                                                </td>
+                                                <td className="p-4">
+                                                    <div className="flex gap-1">
+                                                        {affiliate.status === 'active' ? (
+                                                            <button onClick={() => setAffiliateAction({ affiliateId: affiliate.id, action: 'suspend', reason: '' })} className="px-3 py-1 bg-yellow-50 text-yellow-700 rounded-lg text-xs font-bold">Suspend</button>
+                                                        ) : (
+                                                            <button onClick={() => setAffiliateAction({ affiliateId: affiliate.id, action: 'reactivate', reason: '' })} className="px-3 py-1 bg-green-50 text-green-700 rounded-lg text-xs font-bold">Reactivate</button>
+                                                        )}
+                                                        <button onClick={() => setAffiliateAction({ affiliateId: affiliate.id, action: 'remove', reason: '', productMode: 'unpublish', reassignTo: '' })} className="px-3 py-1 bg-red-50 text-red-600 rounded-lg text-xs font-bold">Remove</button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                            {affiliateAction?.affiliateId === affiliate.id && (
+                                                <tr className="border-b bg-gray-50">
+                                                    <td colSpan="7" className="p-4">
+                                                        <div className="space-y-2 text-sm">
+                                                            <div className="font-bold">
+                                                                {affiliateAction.action === 'suspend' && `Suspend ${affiliate.name}? They can't sign in or earn referral credit until reactivated.`}
+                                                                {affiliateAction.action === 'reactivate' && `Reactivate ${affiliate.name}?`}
+                                                                {affiliateAction.action === 'remove' && `Permanently remove ${affiliate.name}`}
+                                                            </div>
+                                                            {affiliateAction.action === 'remove' && productCount > 0 && (
+                                                                <div className="flex flex-wrap items-center gap-3">
+                                                                    <span className="text-gray-600">Their {productCount} product{productCount === 1 ? '' : 's'}:</span>
+                                                                    <label className="flex items-center gap-1">
+                                                                        <input type="radio" checked={affiliateAction.productMode === 'unpublish'} onChange={() => setAffiliateAction({ ...affiliateAction, productMode: 'unpublish' })} />
+                                                                        Unpublish
+                                                                    </label>
+                                                                    <label className="flex items-center gap-1">
+                                                                        <input type="radio" checked={affiliateAction.productMode === 'reassign'} onChange={() => setAffiliateAction({ ...affiliateAction, productMode: 'reassign' })} />
+                                                                        Reassign to
+                                                                    </label>
+                                                                    <select value={affiliateAction.reassignTo} disabled={affiliateAction.productMode !== 'reassign'} onChange={(e) => setAffiliateAction({ ...affiliateAction, reassignTo: e.target.value })} className="px-3 py-1 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none disabled:opacity-50">
+                                                                        <option value="">Select affiliate</option>
+                                                                        {affiliateUsers.filter(u => u.id !== affiliate.id && u.status === 'active').map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                                                                    </select>
+                                                                </div>
+                                                            )}
+                                                            {balance?.openPayouts.length > 0 && (
+                                                                <p className="text-red-600">They have an open payout request. Mark it paid before removing the account.</p>
+                                                            )}
+                                                            {balance?.pending.length > 0 && (
+                                                                <p className="text-gray-600">{balance.pending.length} pending commission{balance.pending.length === 1 ? '' : 's'} ({formatMoney(balance.pendingUSD)}) will be voided.</p>
+                                                            )}
+                                                            {balance?.owed.length > 0 && (
+                                                                <label className="flex items-center gap-2 text-red-600">
+                                                                    <input type="checkbox" checked={Boolean(affiliateAction.voidOwed)} onChange={(e) => setAffiliateAction({ ...affiliateAction, voidOwed: e.target.checked })} />
+                                                                    Void the {formatMoney(balance.owedUSD)} in approved commissions they are owed
+                                                                </label>
+                                                            )}
+                                                            <textarea placeholder="Reason (kept in the account history)" value={affiliateAction.reason} onChange={(e) => setAffiliateAction({ ...affiliateAction, reason: e.target.value })} className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none h-16"></textarea>
+                                                            <div className="flex gap-2">
+                                                                <button onClick={applyAffiliateAction} className={`px-4 py-2 text-white rounded-lg font-bold ${affiliateAction.action === 'reactivate' ? 'bg-green-600' : 'bg-red-600'}`}>
+                                                                    {affiliateAction.action === 'suspend' ? 'Suspend Affiliate' : affiliateAction.action === 'reactivate' ? 'Reactivate Affiliate' : 'Remove Affiliate'}
+                                                                </button>
+                                                                <button onClick={() => setAffiliateAction(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-bold">Cancel</button>
                                                             </div>
-                                                        </div>
-                                                    </td>
-                                                    <td className="p-4 font-bold text-rose-600">${product.priceUSD?.toFixed(2)}</td>
-                                                    <td className="p-4">
-                                                        <div className="flex gap-2">
-                                                            <button onClick={() => { editProduct(product); window.scrollTo(0,0); }} className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"><Icons.Edit /></button>
-                                                            <button onClick={() => deleteProduct(product.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
                                                         </div>
                                                     </td>
                                                 </tr>
+                                            )}
+                                            </React.Fragment>
                                             );
                                         })}
                                     </tbody>
                                 </table>
                             </div>
+
+                            <div className="grid md:grid-cols-2 gap-6">
+                                <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                    <h3 className="font-bold text-lg mb-4">Commission Rules</h3>
+                                    <div className="space-y-2 mb-4">
+                                        {commissionRules.length === 0 && <p className="text-sm text-gray-400">No rules yet. Sales without a matching rule can't be recorded.</p>}
+                                        {[...commissionRules].sort((a, b) => Commissions.PRECEDENCE.indexOf(a.scope) - Commissions.PRECEDENCE.indexOf(b.scope)).map(rule => (
+                                            <div key={rule.id} className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg text-sm">
+                                                <span className={rule.active ? '' : 'text-gray-400 line-through'}>{describeCommissionRule(rule)}</span>
+                                                <div className="flex items-center gap-1 flex-shrink-0">
+                                                    <button onClick={() => toggleCommissionRule(rule.id)} className={`px-3 py-1 rounded-full text-xs font-bold ${rule.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{rule.active ? 'Active' : 'Off'}</button>
+                                                    <button onClick={() => deleteCommissionRule(rule.id)} className="p-1 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <form onSubmit={saveCommissionRule} className="grid grid-cols-2 gap-2">
+                                        <select value={commissionRuleForm.scope} onChange={(e) => setCommissionRuleForm({...commissionRuleForm, scope: e.target.value, target: ''})} className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            <option value="default">All sales</option>
+                                            <option value="marketplace">Marketplace</option>
+                                            <option value="category">Category</option>
+                                            <option value="affiliate">Affiliate</option>
+                                        </select>
+                                        {commissionRuleForm.scope === 'marketplace' && (
+                                            <select value={commissionRuleForm.target} onChange={(e) => setCommissionRuleForm({...commissionRuleForm, target: e.target.value})} className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                <option value="">Select marketplace</option>
+                                                {[...PLATFORM_FILTERS.map(p => p.name), 'Other'].map(name => <option key={name} value={name}>{name}</option>)}
+                                            </select>
+                                        )}
+                                        {commissionRuleForm.scope === 'category' && (
+                                            <select value={commissionRuleForm.target} onChange={(e) => setCommissionRuleForm({...commissionRuleForm, target: e.target.value})} className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                <option value="">Select category</option>
+                                                {categoryTree.map(({ category }) => <option key={category.id} value={category.name}>{getCategoryLabel(category)}</option>)}
+                                            </select>
+                                        )}
+                                        {commissionRuleForm.scope === 'affiliate' && (
+                                            <select value={commissionRuleForm.target} onChange={(e) => setCommissionRuleForm({...commissionRuleForm, target: e.target.value})} className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                <option value="">Select affiliate</option>
+                                                {affiliateUsers.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                                            </select>
+                                        )}
+                                        {commissionRuleForm.scope === 'default' && <div />}
+                                        <select value={commissionRuleForm.type} onChange={(e) => setCommissionRuleForm({...commissionRuleForm, type: e.target.value})} className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            <option value="percent">Percentage of sale</option>
+                                            <option value="flat">Flat amount (USD)</option>
+                                        </select>
+                                        <input type="number" min="0" step="0.01" placeholder={commissionRuleForm.type === 'flat' ? 'USD per sale' : '% of sale'} value={commissionRuleForm.rate} onChange={(e) => setCommissionRuleForm({...commissionRuleForm, rate: e.target.value})} className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        <button type="submit" className="col-span-2 py-2 bg-indigo-600 text-white rounded-lg font-bold">Save Rule</button>
+                                    </form>
+                                    <p className="text-xs text-gray-500 mt-3">The most specific rule wins: affiliate, then category, then marketplace, then all sales.</p>
+                                </div>
+
+                                <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                    <h3 className="font-bold text-lg mb-4">Record Conversion</h3>
+                                    <form onSubmit={recordConversion} className="space-y-2">
+                                        <select value={conversionForm.affiliateId} onChange={(e) => setConversionForm({...conversionForm, affiliateId: e.target.value, productId: ''})} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            <option value="">Select affiliate</option>
+                                            {affiliateUsers.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                                        </select>
+                                        <select value={conversionForm.productId} onChange={(e) => setConversionForm({...conversionForm, productId: e.target.value})} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            <option value="">Product (optional)</option>
+                                            {products.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                                        </select>
+                                        <input type="number" min="0" step="0.01" placeholder="Sale amount (USD)" value={conversionForm.saleUSD} onChange={(e) => setConversionForm({...conversionForm, saleUSD: e.target.value})} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        <input type="text" placeholder="Marketplace order reference (optional)" value={conversionForm.orderRef} onChange={(e) => setConversionForm({...conversionForm, orderRef: e.target.value})} className="w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        <button type="submit" className="w-full py-2 bg-green-600 text-white rounded-lg font-bold">Record Sale</button>
+                                    </form>
+                                    <label className="flex items-center justify-between gap-2 text-sm text-gray-600 mt-6">
+                                        Minimum payout (USD)
+                                        <input type="number" min="0" step="0.01" value={payoutMinimumUSD} onChange={(e) => setPayoutMinimum(e.target.value)} className="w-28 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </label>
+                                    <label className="flex items-center justify-between gap-2 text-sm text-gray-600 mt-2">
+                                        Tracking link window (days)
+                                        <input type="number" min="0" value={referralWindowDays} onChange={(e) => setReferralWindow(e.target.value)} className="w-28 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </label>
+                                </div>
+                            </div>
+
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold text-lg mb-4">Payout Requests</h3>
+                                {payouts.length === 0 ? (
+                                    <p className="text-sm text-gray-400">No payout requests yet</p>
+                                ) : (
+                                    <div className="space-y-2">
+                                        {payouts.map(payout => (
+                                            <div key={payout.id} className="flex justify-between items-center gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                                                <div>
+                                                    <div className="font-bold">{affiliateUsers.find(u => u.id === payout.affiliateId)?.name || `Affiliate #${payout.affiliateId}`} · {formatMoney(payout.amountUSD)}</div>
+                                                    <div className="text-xs text-gray-500">Requested {payout.requestedAt.split('T')[0]} · {payout.entryIds.length} commissions{payout.paidAt && ` · paid ${payout.paidAt.split('T')[0]} by ${payout.paidBy}`}</div>
+                                                </div>
+                                                {payout.status === 'paid' ? (
+                                                    <span className="px-3 py-1 rounded-full text-xs font-bold bg-green-100 text-green-700">Paid</span>
+                                                ) : (
+                                                    <button onClick={() => markPayoutPaid(payout)} className="px-3 py-1 bg-indigo-600 text-white rounded-lg text-xs font-bold">Mark Paid</button>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-x-auto">
+                                <div className="flex justify-between items-center p-4 border-b">
+                                    <h3 className="font-bold text-lg">Commission Ledger</h3>
+                                    {commissionLedger.some(e => e.status === 'pending') && (
+                                        <button onClick={() => setLedgerStatus(commissionLedger.filter(e => e.status === 'pending').map(e => e.id), 'approved')} className="px-3 py-1 bg-green-600 text-white rounded-lg text-xs font-bold">Approve All Pending</button>
+                                    )}
+                                </div>
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Date</th>
+                                            <th className="text-left p-4 font-bold">Affiliate</th>
+                                            <th className="text-left p-4 font-bold">Sale</th>
+                                            <th className="text-left p-4 font-bold">Commission</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {commissionLedger.length === 0 && (
+                                            <tr><td colSpan="5" className="p-8 text-center text-gray-400">No commissions recorded yet</td></tr>
+                                        )}
+                                        {commissionLedger.map(entry => (
+                                            <tr key={entry.id} className="border-b hover:bg-gray-50 text-sm">
+                                                <td className="p-4 text-gray-600">{entry.createdAt.split('T')[0]}</td>
+                                                <td className="p-4">
+                                                    <div className="font-bold">{affiliateUsers.find(u => u.id === entry.affiliateId)?.name || affiliateAuditLog.find(a => a.affiliateId === entry.affiliateId)?.affiliateName || `#${entry.affiliateId}`}</div>
+                                                    <div className="text-xs text-gray-500 line-clamp-1">{products.find(p => p.id === entry.productId)?.title || entry.orderRef}</div>
+                                                </td>
+                                                <td className="p-4 text-gray-600">{formatMoney(entry.saleUSD)}</td>
+                                                <td className="p-4">
+                                                    <div className="font-bold text-indigo-600">{formatMoney(entry.commissionUSD)}</div>
+                                                    <div className="text-xs text-gray-500">{describeCommissionRule(entry.rule)}</div>
+                                                    {!Commissions.verify(entry) && <div className="text-xs font-bold text-red-600">Doesn't match its rule</div>}
+                                                </td>
+                                                <td className="p-4">
+                                                    {entry.status === 'pending' ? (
+                                                        <div className="flex gap-1">
+                                                            {Commissions.verify(entry) && <button onClick={() => setLedgerStatus([entry.id], 'approved')} className="px-3 py-1 bg-green-100 text-green-700 rounded-lg text-xs font-bold">Approve</button>}
+                                                            <button onClick={() => setLedgerStatus([entry.id], 'rejected')} className="px-3 py-1 bg-red-50 text-red-600 rounded-lg text-xs font-bold">Reject</button>
+                                                        </div>
+                                                    ) : (
+                                                        <span className={`px-3 py-1 rounded-full text-xs font-bold capitalize ${entry.status === 'paid' ? 'bg-green-100 text-green-700' : entry.status === 'approved' ? 'bg-blue-100 text-blue-700' : 'bg-red-100 text-red-700'}`}>{entry.status}{entry.status === 'approved' && entry.payoutId ? ' · payout requested' : ''}{entry.voidReason ? ` · ${entry.voidReason}` : ''}</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-x-auto">
+                                <h3 className="font-bold text-lg p-4 border-b">Account History</h3>
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Date</th>
+                                            <th className="text-left p-4 font-bold">Affiliate</th>
+                                            <th className="text-left p-4 font-bold">Change</th>
+                                            <th className="text-left p-4 font-bold">Reason</th>
+                                            <th className="text-left p-4 font-bold">By</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {affiliateAuditLog.length === 0 && (
+                                            <tr><td colSpan="5" className="p-8 text-center text-gray-400">No account changes yet</td></tr>
+                                        )}
+                                        {affiliateAuditLog.map(entry => (
+                                            <tr key={entry.id} className="border-b hover:bg-gray-50 text-sm">
+                                                <td className="p-4 text-gray-600 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                                                <td className="p-4">
+                                                    <div className="font-bold">{entry.affiliateName}</div>
+                                                    <div className="text-xs text-gray-500">{entry.affiliateEmail}</div>
+                                                </td>
+                                                <td className="p-4">
+                                                    <span className="capitalize font-bold">{entry.action}</span>
+                                                    <span className="text-gray-500"> (was {entry.fromStatus})</span>
+                                                    {entry.details && <div className="text-xs text-gray-500">{entry.details}</div>}
+                                                </td>
+                                                <td className="p-4 text-gray-600">{entry.reason}</td>
+                                                <td className="p-4 text-gray-600">{entry.actor}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'microjobs' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Micro Jobs Leads ({microJobsLeads.length})</h2>
+                            <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-x-auto">
+                                <table className="w-full">
+                                    <thead className="bg-gray-50 border-b">
+                                        <tr>
+                                            <th className="text-left p-4 font-bold">Email</th>
+                                            <th className="text-left p-4 font-bold">Date</th>
+                                            <th className="text-left p-4 font-bold">Status</th>
+                                            <th className="text-left p-4 font-bold">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {microJobsLeads.length === 0 && (
+                                            <tr><td colSpan="4" className="p-8 text-center text-gray-400">No leads yet</td></tr>
+                                        )}
+                                        {microJobsLeads.map(lead => (
+                                            <tr key={lead.id} className="border-b hover:bg-gray-50">
+                                                <td className="p-4 text-sm font-medium">{lead.email}</td>
+                                                <td className="p-4 text-sm text-gray-600">{lead.date}</td>
+                                                <td className="p-4">
+                                                    <select value={lead.status} onChange={(e) => updateLeadStatus(lead.id, e.target.value)} className="px-3 py-1 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                        {['New', 'Contacted', 'Closed'].map(status => <option key={status} value={status}>{status}</option>)}
+                                                    </select>
+                                                </td>
+                                                <td className="p-4">
+                                                    <button onClick={() => deleteLead(lead.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'ads' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <div className="flex justify-between items-center">
+                                <h2 className="text-3xl font-bold text-gray-800">Advertisements ({advertisements.length})</h2>
+                                <button onClick={addAd} className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-bold flex items-center gap-2"><Icons.Plus /> Add New</button>
+                            </div>
+                            {advertisements.map(ad => (
+                                <div key={ad.id} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-3">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <input type="text" value={ad.name} onChange={(e) => updateAd(ad.id, 'name', e.target.value)} className="flex-1 px-4 py-2 border rounded-lg font-bold focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        <button onClick={() => updateAd(ad.id, 'active', !ad.active)} className={`px-3 py-1 rounded-full text-xs font-bold ${ad.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{ad.active ? 'Active' : 'Inactive'}</button>
+                                        <button onClick={() => deleteAd(ad.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                    </div>
+                                    <div className="grid md:grid-cols-3 gap-3">
+                                        <select value={ad.position} onChange={(e) => updateAd(ad.id, 'position', e.target.value)} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                            {AD_POSITIONS.map(position => <option key={position.id} value={position.id}>{position.label}</option>)}
+                                        </select>
+                                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                                            Weight
+                                            <input type="number" min="1" max="100" value={ad.weight || 1} onChange={(e) => updateAd(ad.id, 'weight', Math.max(1, parseInt(e.target.value) || 1))} className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        </label>
+                                        <label className="flex items-center gap-2 text-sm text-gray-600 whitespace-nowrap">
+                                            Max views / visitor / day
+                                            <input type="number" min="0" value={ad.frequencyCap || 0} onChange={(e) => updateAd(ad.id, 'frequencyCap', Math.max(0, parseInt(e.target.value) || 0))} className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        </label>
+                                    </div>
+                                    <textarea placeholder="Ad code (HTML)" value={ad.code} onChange={(e) => updateAd(ad.id, 'code', e.target.value)} className="w-full px-4 py-2 border rounded-lg font-mono text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none h-24"></textarea>
+                                    <div className="text-xs text-gray-500">
+                                        {adStats[ad.id]?.impressions || 0} impressions · {adStats[ad.id]?.clicks || 0} clicks
+                                        {ad.bookingId && ` · booked ${ad.startDate} to ${ad.endDate}`}
+                                        {adStats[ad.id]?.lastShownAt && ` · last shown ${new Date(adStats[ad.id].lastShownAt).toLocaleString()}`}
+                                        {' · '}0 = no cap; a higher weight is shown more often when several ads share a position
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'bookings' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Ad Bookings ({adBookings.filter(b => b.status === 'pending').length} pending)</h2>
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold mb-3">Daily Rates (USD)</h3>
+                                <div className="grid md:grid-cols-5 gap-3">
+                                    {AD_POSITIONS.map(position => (
+                                        <label key={position.id} className="text-sm text-gray-600">
+                                            {position.label}
+                                            <input type="number" min="0" step="0.01" value={AdBookings.dailyRate(position.id, siteSettings.adDailyRates)} onChange={(e) => setAdDailyRate(position.id, e.target.value)} className="w-full mt-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            {adBookings.length === 0 && (
+                                <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-200 text-center text-gray-400">No bookings yet</div>
+                            )}
+                            {[...adBookings].sort((a, b) => (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1)).map(booking => {
+                                const phase = AdBookings.phase(booking);
+                                return (
+                                    <div key={booking.id} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                        <div className="grid md:grid-cols-2 gap-6">
+                                            <div>
+                                                <div className="text-xs text-gray-400 mb-2">Creative preview</div>
+                                                <div className="ad-slot">
+                                                    <img src={booking.creative.image} className="max-w-full max-h-48 object-contain" alt={booking.creative.alt} />
+                                                    <span className="ad-label">Ad</span>
+                                                </div>
+                                                <a href={booking.creative.linkUrl} target="_blank" rel="noopener noreferrer" className="text-xs text-indigo-600 break-all">{booking.creative.linkUrl}</a>
+                                            </div>
+                                            <div className="space-y-2 text-sm">
+                                                <div className="flex justify-between items-start gap-2">
+                                                    <div>
+                                                        <div className="font-bold text-base">{booking.advertiserName}{booking.company && <span className="text-gray-500 font-normal"> • {booking.company}</span>}</div>
+                                                        <a href={`mailto:${booking.advertiserEmail}`} className="text-indigo-600">{booking.advertiserEmail}</a>
+                                                    </div>
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold capitalize ${AdBookings.BADGES[phase]}`}>{phase}</span>
+                                                </div>
+                                                <div><span className="text-gray-500">Position:</span> {AD_POSITIONS.find(p => p.id === booking.position)?.label || booking.position}</div>
+                                                <div><span className="text-gray-500">Dates:</span> {booking.startDate} to {booking.endDate} ({AdBookings.days(booking.startDate, booking.endDate)} days)</div>
+                                                <div><span className="text-gray-500">Quote:</span> <span className="font-bold">{formatMoney(booking.quoteUSD)}</span></div>
+                                                <div className="text-xs text-gray-400">Submitted {new Date(booking.createdAt).toLocaleString()}{booking.reviewedBy && ` · reviewed by ${booking.reviewedBy}`}</div>
+                                                {booking.status === 'rejected' && <div className="bg-red-50 text-red-700 rounded-lg p-3">Reason: {booking.rejectReason}</div>}
+                                                {booking.status === 'approved' && renderBookingStats(booking)}
+                                                {booking.status === 'pending' && (rejectingBooking?.id === booking.id ? (
+                                                    <div className="space-y-2 pt-2">
+                                                        <textarea placeholder="Reason sent to the advertiser" value={rejectingBooking.reason} onChange={(e) => setRejectingBooking({ ...rejectingBooking, reason: e.target.value })} className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none h-20"></textarea>
+                                                        <div className="flex gap-2">
+                                                            <button onClick={rejectBooking} className="flex-1 py-2 bg-red-600 text-white rounded-lg font-bold">Reject Booking</button>
+                                                            <button onClick={() => setRejectingBooking(null)} className="flex-1 py-2 bg-gray-100 text-gray-700 rounded-lg font-bold">Cancel</button>
+                                                        </div>
+                                                    </div>
+                                                ) : (
+                                                    <div className="flex gap-2 pt-2">
+                                                        <button onClick={() => approveBooking(booking)} className="flex-1 py-2 bg-green-600 text-white rounded-lg font-bold">Approve</button>
+                                                        <button onClick={() => setRejectingBooking({ id: booking.id, reason: '' })} className="flex-1 py-2 bg-red-50 text-red-600 rounded-lg font-bold">Reject</button>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'advertisers' && (
+                        <div className="space-y-6 max-w-5xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Ad Inquiries ({advertiserContacts.length})</h2>
+                            {advertiserContacts.length === 0 && (
+                                <div className="bg-white p-8 rounded-2xl shadow-sm border border-gray-200 text-center text-gray-400">No inquiries yet</div>
+                            )}
+                            {advertiserContacts.map(contact => (
+                                <div key={contact.id} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                    <div className="flex justify-between items-start gap-4 mb-3">
+                                        <div>
+                                            <div className="font-bold">{contact.name}{contact.company && <span className="text-gray-500 font-normal"> • {contact.company}</span>}</div>
+                                            <a href={`mailto:${contact.email}`} className="text-sm text-indigo-600">{contact.email}</a>
+                                            <div className="text-xs text-gray-400 mt-1">{contact.date}</div>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            <select value={contact.status} onChange={(e) => updateAdvertiserStatus(contact.id, e.target.value)} className="px-3 py-1 border rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                {['New', 'Contacted', 'Closed'].map(status => <option key={status} value={status}>{status}</option>)}
+                                            </select>
+                                            <button onClick={() => deleteAdvertiserContact(contact.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg"><Icons.Trash /></button>
+                                        </div>
+                                    </div>
+                                    <p className="text-sm text-gray-600 whitespace-pre-line">{contact.message}</p>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {activeCmsTab === 'profile' && (
+                        <div className="space-y-6 max-w-2xl mx-auto">
+                            <h2 className="text-3xl font-bold text-gray-800">Admin Profile</h2>
+                            <form onSubmit={handleAdminProfileUpdate} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-4">
+                                <div className="text-sm text-gray-600">Signed in as <span className="font-bold">{adminCredentials.email}</span></div>
+                                {profileUpdateMessage && <div className="bg-indigo-50 text-indigo-700 p-3 rounded-lg text-sm">{profileUpdateMessage}</div>}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Current Password *</label>
+                                    <input type="password" value={adminProfileForm.currentPassword} onChange={(e) => setAdminProfileForm({...adminProfileForm, currentPassword: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" required />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">New Email</label>
+                                    <input type="email" placeholder={adminCredentials.email} value={adminProfileForm.newEmail} onChange={(e) => setAdminProfileForm({...adminProfileForm, newEmail: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                </div>
+                                <div className="grid md:grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">New Password</label>
+                                        <input type="password" value={adminProfileForm.newPassword} onChange={(e) => setAdminProfileForm({...adminProfileForm, newPassword: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Confirm New Password</label>
+                                        <input type="password" value={adminProfileForm.confirmNewPassword} onChange={(e) => setAdminProfileForm({...adminProfileForm, confirmNewPassword: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    </div>
+                                </div>
+                                <button type="submit" className="w-full py-3 bg-indigo-600 text-white rounded-lg font-bold">Update Profile</button>
+                            </form>
                         </div>
                     )}
 
-                    {cmsActiveTab === 'settings' && (
+                    {activeCmsTab === 'settings' && (
                         <div className="space-y-6 max-w-2xl mx-auto">
                             <h2 className="text-3xl font-bold text-gray-800">Site Settings</h2>
                             <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-1">Site Name</label>
-                                    <input type="text" value={siteSettings.siteName} onChange={(e) => setSiteSettings({...siteSettings, siteName: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <input type="text" value={siteSettings.siteName} disabled={!can('settings.manage')} onChange={(e) => setSiteSettings({...siteSettings, siteName: e.target.value})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                </div>
+                                <label className="mt-4 flex items-center gap-2 text-sm font-medium text-gray-700">
+                                    <input type="checkbox" checked={siteSettings.flashSaleEnabled} disabled={!can('settings.manage')} onChange={(e) => setSiteSettings({...siteSettings, flashSaleEnabled: e.target.checked})} className="w-4 h-4" />
+                                    Show live flash sales on the home page
+                                </label>
+                                <div className="mt-4">
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Price Refresh Interval (hours)</label>
+                                    <input type="number" min="1" value={siteSettings.priceRefreshHours || 12} disabled={!can('settings.manage')} onChange={(e) => setSiteSettings({...siteSettings, priceRefreshHours: Math.max(1, parseInt(e.target.value) || 1)})} className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                                    <p className="text-xs text-gray-500 mt-1">Refreshes run in the browser of a signed-in product manager (admin-session refresh), not on a server schedule.</p>
                                 </div>
                                 <button onClick={() => showModal('Success', 'Settings saved!', 'success')} className="mt-4 w-full py-3 bg-indigo-600 text-white rounded-lg font-bold">Save</button>
                             </div>
+                            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                                <h3 className="font-bold mb-1">Price Display</h3>
+                                <p className="text-sm text-gray-500 mb-4">Rounding applies to catalogue prices shown to shoppers in each currency. Stored prices are not changed, and commissions, payouts, quotes and price-watch targets always show the exact amount.</p>
+                                <div className="space-y-2">
+                                    {CurrencyConverter.getCurrencies().map(code => {
+                                        const locale = CountryDetector.getAvailableCountries().find(c => c.currency === code)?.locale;
+                                        const rounding = siteSettings.priceRounding?.[code] || 'none';
+                                        return (
+                                            <div key={code} className="grid grid-cols-3 gap-3 items-center text-sm">
+                                                <span className="font-bold">{code}</span>
+                                                <select value={rounding} disabled={!can('settings.manage')} onChange={(e) => setSiteSettings({...siteSettings, priceRounding: {...siteSettings.priceRounding, [code]: e.target.value}})} className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                                                    {Object.entries(CurrencyConverter.ROUNDING_RULES)
+                                                        .filter(([id, rule]) => id === 'none' || CurrencyConverter.roundingApplies(rule, code))
+                                                        .map(([id, rule]) => <option key={id} value={id}>{rule.label}</option>)}
+                                                </select>
+                                                <span className="text-gray-500">{CurrencyConverter.formatFromUSD(12.34, code, { locale, rounding })}</span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    const renderPriceMonitor = () => {
+        const tracked = products.filter(p => p.affiliateLink);
+        const dueCount = tracked.filter(p => PriceMonitor.isDue(p, siteSettings.priceRefreshHours || 12)).length;
+        const attention = products.filter(p => p.hidden || p.stockStatus === 'out_of_stock' || p.stockStatus === 'dead');
+        const recentChanges = priceRefreshLog.flatMap(run => run.changes.map((change, idx) => ({ ...change, key: `${run.id}-${idx}`, at: run.finishedAt }))).slice(0, 50);
+        const stockLabels = { in_stock: 'in stock', out_of_stock: 'out of stock', dead: 'dead link' };
+        const describeChange = (change) => {
+            if (change.type === 'price') return `Price $${change.from?.toFixed(2)} → $${change.to.toFixed(2)}`;
+            if (change.type === 'stock') return `Stock ${stockLabels[change.from]} → ${stockLabels[change.to]}`;
+            if (change.type === 'hidden') return `Auto-hidden after ${PriceMonitor.MAX_FAILURES} failed checks (${change.reason})`;
+            return 'Back online, shown again';
+        };
+        return (
+            <div className="space-y-6 max-w-5xl mx-auto">
+                <div className="flex justify-between items-center">
+                    <h2 className="text-3xl font-bold text-gray-800">Price Monitor</h2>
+                    <button onClick={handleRefreshAllPrices} disabled={refreshingPrices} className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-bold flex items-center gap-2 disabled:opacity-50">
+                        {refreshingPrices ? <Icons.Loader /> : 'Refresh Now'}
+                    </button>
+                </div>
+
+                {sessionRefreshActive ? (
+                    <div className="bg-green-50 border border-green-200 text-green-800 p-4 rounded-xl text-sm">
+                        <span className="font-bold">Admin-session refresh is running in this browser.</span> {dueCount} product{dueCount === 1 ? ' is' : 's are'} due; up to {PriceMonitor.BATCH_SIZE} are checked every minute while you keep the site open. There is no server-side schedule: prices are not refreshed while no product manager has the site open.
+                    </div>
+                ) : (
+                    <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 p-4 rounded-xl text-sm">
+                        <span className="font-bold">Admin-session refresh is off.</span> No scraper proxy is configured, so only manual checks run, and most marketplaces will block them.
+                    </div>
+                )}
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {[
+                        { label: 'Tracked', value: tracked.length, color: 'text-indigo-600' },
+                        { label: 'Out of Stock', value: products.filter(p => p.stockStatus === 'out_of_stock').length, color: 'text-yellow-600' },
+                        { label: 'Dead Links', value: products.filter(p => p.stockStatus === 'dead').length, color: 'text-red-600' },
+                        { label: 'Auto-hidden', value: products.filter(p => p.autoHidden).length, color: 'text-gray-600' }
+                    ].map(card => (
+                        <div key={card.label} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                            <div className="text-sm text-gray-500">{card.label}</div>
+                            <div className={`text-3xl font-bold ${card.color}`}>{card.value}</div>
                         </div>
+                    ))}
+                </div>
+
+                <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                    <h3 className="font-bold text-lg mb-2">Last Run</h3>
+                    {priceRefreshLog[0] ? (
+                        <p className="text-sm text-gray-600">
+                            {new Date(priceRefreshLog[0].finishedAt).toLocaleString()} · {priceRefreshLog[0].checked} checked · {priceRefreshLog[0].changes.length} changes · {priceRefreshLog[0].failed} failed{priceRefreshLog[0].unreachable > 0 ? ` · ${priceRefreshLog[0].unreachable} unreachable` : ''}
+                        </p>
+                    ) : <p className="text-sm text-gray-500">No refresh has run yet. While a product manager has the site open, each product is checked again after {siteSettings.priceRefreshHours || 12} hours.</p>}
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                    <h3 className="font-bold text-lg p-6 pb-2">Recent Changes</h3>
+                    {recentChanges.length === 0 ? <p className="text-sm text-gray-500 px-6 pb-6">Nothing has changed yet.</p> : (
+                        <table className="w-full">
+                            <thead className="bg-gray-50 border-b">
+                                <tr>
+                                    <th className="text-left p-4 font-bold">When</th>
+                                    <th className="text-left p-4 font-bold">Product</th>
+                                    <th className="text-left p-4 font-bold">Change</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {recentChanges.map(change => (
+                                    <tr key={change.key} className="border-b hover:bg-gray-50">
+                                        <td className="p-4 text-sm text-gray-500">{new Date(change.at).toLocaleString()}</td>
+                                        <td className="p-4 font-bold text-sm">{change.title}</td>
+                                        <td className="p-4 text-sm">{describeChange(change)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                    <h3 className="font-bold text-lg p-6 pb-2">Needs Attention ({attention.length})</h3>
+                    {attention.length === 0 ? <p className="text-sm text-gray-500 px-6 pb-6">All listings are live.</p> : (
+                        <table className="w-full">
+                            <tbody>
+                                {attention.map(product => (
+                                    <tr key={product.id} className="border-b hover:bg-gray-50">
+                                        <td className="p-4">
+                                            <div className="font-bold text-sm">{product.title}</div>
+                                            {product.lastRefreshError && <div className="text-xs text-red-500">{product.lastRefreshError}</div>}
+                                        </td>
+                                        <td className="p-4">{renderStockBadge(product)}</td>
+                                        <td className="p-4 text-right">
+                                            {product.hidden && <button onClick={() => restoreProduct(product.id)} className="px-3 py-1 bg-indigo-50 text-indigo-600 rounded-lg text-sm font-bold">Show Again</button>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     )}
                 </div>
             </div>
         );
     };
 
+    const renderStockBadge = (product) => {
+        const status = Moderation.statusOf(product);
+        if (status !== 'approved') return <span className={`px-3 py-1 rounded-full text-xs font-bold ${Moderation.BADGES[status]}`}>{Moderation.LABELS[status]}</span>;
+        if (product.paused) return <span className="px-3 py-1 rounded-full text-xs font-bold bg-gray-100 text-gray-500">Paused</span>;
+        if (product.hidden) return <span className="px-3 py-1 rounded-full text-xs font-bold bg-gray-100 text-gray-500">Hidden</span>;
+        if (product.stockStatus === 'dead') return <span className="px-3 py-1 rounded-full text-xs font-bold bg-red-100 text-red-700">Dead Link</span>;
+        if (product.stockStatus === 'out_of_stock') return <span className="px-3 py-1 rounded-full text-xs font-bold bg-yellow-100 text-yellow-700">Out of Stock</span>;
+        return <span className="px-3 py-1 rounded-full text-xs font-bold bg-green-100 text-green-700">Live</span>;
+    };
+
     const renderMicroJobs = () => (
         <div className="micro-jobs-container animate-fade-in">
             <div className="micro-jobs-card">
@@ -3029,12 +8349,25 @@ const App = () => {
         <div className={`${getAnimationClass()} px-4 pt-4 pb-24 max-w-4xl mx-auto min-h-screen`}>
             <h2 className="font-bold text-2xl mb-6">Messages</h2>
             <div className="space-y-4">
+                {priceWatches.filter(w => w.notifiedAt && w.email === currentUser?.email).map(watch => {
+                    const product = products.find(p => p.id === watch.productId);
+                    if (!product) return null;
+                    return (
+                        <button key={watch.id} onClick={() => { setSelectedProduct(product); setActiveTab('home'); }} className="w-full text-left bg-white rounded-xl p-4 shadow-sm flex gap-3 border border-green-200">
+                            <div className="w-12 h-12 bg-green-100 rounded-full flex items-center justify-center text-xl">📉</div>
+                            <div className="flex-1">
+                                <div className="flex justify-between items-center mb-1"><h3 className="font-bold">Price drop: {product.title}</h3><span className="text-xs text-gray-400">{watch.notifiedAt.split('T')[0]}</span></div>
+                                <p className="text-sm text-gray-600">Now {formatPrice(product.priceUSD)}, below your target of {formatMoney(watch.targetUSD)}.</p>
+                            </div>
+                        </button>
+                    );
+                })}
                 {posts.filter(p => p.active).map((post) => (
                     <div key={post.id} className="bg-white rounded-xl p-4 shadow-sm flex gap-3">
                         <div className={`w-12 h-12 bg-indigo-100 rounded-full flex items-center justify-center text-xl`}>📢</div>
                         <div className="flex-1">
                             <div className="flex justify-between items-center mb-1"><h3 className="font-bold">{post.title}</h3><span className="text-xs text-gray-400">{post.date}</span></div>
-                            <p className="text-sm text-gray-600">{post.content}</p>
+                            <div className="text-sm text-gray-600 whitespace-pre-line post-content" dangerouslySetInnerHTML={{ __html: HtmlSanitizer.sanitize(post.content) }} />
                         </div>
                     </div>
                 ))}
@@ -3042,48 +8375,219 @@ const App = () => {
         </div>
     );
 
-    const renderAdvertiserPage = () => (
-        <div className={`${getAnimationClass()} px-4 pt-8 pb-24 max-w-2xl mx-auto min-h-screen`}>
-            <button onClick={() => navigateTo('account')} className="mb-6 flex items-center gap-2 text-gray-600 hover:text-gray-900">
-                <Icons.ArrowLeft /> Back
-            </button>
-            <h2 className="text-3xl font-bold text-gray-900 mb-6">Advertise With Us</h2>
-            <form onSubmit={handleAdvertiserSubmit} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4">
-                <input 
-                    type="text" 
-                    placeholder="Your Name"
-                    value={advertiserForm.name}
-                    onChange={(e) => setAdvertiserForm({...advertiserForm, name: e.target.value})}
-                    className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none"
-                    required
-                />
-                <input 
-                    type="email" 
-                    placeholder="Email"
-                    value={advertiserForm.email}
-                    onChange={(e) => setAdvertiserForm({...advertiserForm, email: e.target.value})}
-                    className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none"
-                    required
-                />
-                <textarea 
-                    placeholder="Message"
-                    value={advertiserForm.message}
-                    onChange={(e) => setAdvertiserForm({...advertiserForm, message: e.target.value})}
-                    className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none h-32"
-                    required
-                ></textarea>
-                <button type="submit" className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold">Send</button>
+    const renderBookingStats = (booking) => {
+        const stats = adStats[booking.adId] || {};
+        const impressions = stats.impressions || 0;
+        const clicks = stats.clicks || 0;
+        return (
+            <div className="grid grid-cols-3 gap-2 text-center mt-3">
+                <div className="bg-gray-50 rounded-lg py-2"><div className="font-bold">{impressions}</div><div className="text-xs text-gray-500">Impressions</div></div>
+                <div className="bg-gray-50 rounded-lg py-2"><div className="font-bold">{clicks}</div><div className="text-xs text-gray-500">Clicks</div></div>
+                <div className="bg-gray-50 rounded-lg py-2"><div className="font-bold">{impressions ? `${((clicks / impressions) * 100).toFixed(1)}%` : '–'}</div><div className="text-xs text-gray-500">CTR</div></div>
+            </div>
+        );
+    };
+
+    const renderAdvertiserPortal = () => {
+        const today = new Date().toISOString().split('T')[0];
+        const myBookings = adBookings.filter(b => b.advertiserId === currentUser?.id);
+        const days = bookingQuoteUSD > 0 ? AdBookings.days(bookingForm.startDate, bookingForm.endDate) : 0;
+        return (
+            <div className="space-y-6">
+                <div className="bg-gradient-to-r from-yellow-400 to-orange-500 rounded-2xl p-6 text-white">
+                    <h3 className="text-xl font-bold">{currentUser?.company || currentUser?.name}</h3>
+                    <p className="opacity-90 text-sm">{currentUser?.email}</p>
+                    <div className="grid grid-cols-3 gap-3 mt-4 text-center">
+                        <div><div className="text-2xl font-bold">{myBookings.length}</div><div className="text-xs opacity-90">Bookings</div></div>
+                        <div><div className="text-2xl font-bold">{myBookings.reduce((sum, b) => sum + (adStats[b.adId]?.impressions || 0), 0)}</div><div className="text-xs opacity-90">Impressions</div></div>
+                        <div><div className="text-2xl font-bold">{myBookings.reduce((sum, b) => sum + (adStats[b.adId]?.clicks || 0), 0)}</div><div className="text-xs opacity-90">Clicks</div></div>
+                    </div>
+                </div>
+
+                <form onSubmit={submitBooking} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4">
+                    <h3 className="font-bold text-lg">Book an Ad Slot</h3>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Position</label>
+                        <select value={bookingForm.position} onChange={(e) => setBookingForm({...bookingForm, position: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none">
+                            {AD_POSITIONS.map(position => (
+                                <option key={position.id} value={position.id}>{position.label} · {formatMoney(AdBookings.dailyRate(position.id, siteSettings.adDailyRates))}/day</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Start date</label>
+                            <input type="date" min={today} value={bookingForm.startDate} onChange={(e) => setBookingForm({...bookingForm, startDate: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">End date</label>
+                            <input type="date" min={bookingForm.startDate || today} value={bookingForm.endDate} onChange={(e) => setBookingForm({...bookingForm, endDate: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Creative</label>
+                        {bookingForm.image && (
+                            <div className="relative mb-2">
+                                <img src={bookingForm.image} className="w-full max-h-48 object-contain bg-gray-50 rounded-xl border" alt="Creative preview" />
+                                <button type="button" onClick={() => setBookingForm({...bookingForm, image: ''})} className="absolute top-2 right-2 w-7 h-7 bg-red-500 text-white rounded-full text-sm flex items-center justify-center">×</button>
+                            </div>
+                        )}
+                        <label className="flex items-center justify-center gap-2 py-4 mb-2 border-2 border-dashed border-gray-300 rounded-xl cursor-pointer hover:bg-gray-50 text-gray-500 text-sm">
+                            <input type="file" accept="image/*" onChange={handleCreativeUpload} className="hidden" />
+                            <Icons.Upload /> Upload image (max {Math.round(AdBookings.MAX_CREATIVE_BYTES / 1024)} KB)
+                        </label>
+                        <input type="text" placeholder="Or enter an https:// image URL" value={bookingForm.image.startsWith('data:') ? '' : bookingForm.image} onChange={(e) => setBookingForm({...bookingForm, image: e.target.value.trim()})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                    </div>
+                    <input type="text" placeholder="Click-through link (https://...)" value={bookingForm.linkUrl} onChange={(e) => setBookingForm({...bookingForm, linkUrl: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                    <input type="text" placeholder="Alt text (optional)" value={bookingForm.alt} onChange={(e) => setBookingForm({...bookingForm, alt: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 flex justify-between items-center">
+                        <span className="text-sm text-gray-600">{days > 0 ? `${days} day${days === 1 ? '' : 's'} × ${formatMoney(AdBookings.dailyRate(bookingForm.position, siteSettings.adDailyRates))}` : 'Choose dates for a quote'}</span>
+                        <span className="text-xl font-bold text-gray-900">{formatMoney(bookingQuoteUSD)}</span>
+                    </div>
+                    <button type="submit" className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold hover:bg-yellow-600 transition-colors">Submit for Review</button>
+                </form>
+
+                <div className="space-y-3">
+                    <h3 className="font-bold text-lg">My Campaigns</h3>
+                    {myBookings.length === 0 && (
+                        <div className="bg-white rounded-2xl p-8 text-center text-gray-400 shadow-sm border border-gray-200">No bookings yet</div>
+                    )}
+                    {myBookings.map(booking => {
+                        const phase = AdBookings.phase(booking);
+                        return (
+                            <div key={booking.id} className="bg-white rounded-2xl p-4 shadow-sm border border-gray-200">
+                                <div className="flex gap-3">
+                                    <img src={booking.creative.image} className="w-20 h-14 object-cover rounded-lg bg-gray-100 flex-shrink-0" alt={booking.creative.alt} />
+                                    <div className="flex-1 min-w-0">
+                                        <div className="flex justify-between items-start gap-2">
+                                            <div className="font-bold text-sm">{AD_POSITIONS.find(p => p.id === booking.position)?.label || booking.position}</div>
+                                            <span className={`px-2 py-0.5 rounded-full text-xs font-bold capitalize ${AdBookings.BADGES[phase]}`}>{phase}</span>
+                                        </div>
+                                        <div className="text-xs text-gray-500">{booking.startDate} to {booking.endDate} · {formatMoney(booking.quoteUSD)}</div>
+                                        <div className="text-xs text-gray-400 truncate">{booking.creative.linkUrl}</div>
+                                    </div>
+                                </div>
+                                {booking.status === 'rejected' && booking.rejectReason && (
+                                    <div className="mt-3 bg-red-50 text-red-700 text-sm rounded-lg p-3">Reason: {booking.rejectReason}</div>
+                                )}
+                                {booking.status === 'approved' && renderBookingStats(booking)}
+                                {booking.status === 'pending' && (
+                                    <button onClick={() => cancelBooking(booking.id)} className="mt-3 text-sm text-red-600 font-medium">Cancel booking</button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        );
+    };
+
+    const renderAdvertiserSignup = () => {
+        if (isLoggedIn && AccessControl.normalizeRole(currentUser?.role) === 'shopper') {
+            return (
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 mb-8 text-center">
+                    <h3 className="font-bold text-lg mb-2">Book ads with your account</h3>
+                    <p className="text-sm text-gray-600 mb-4">Turn {currentUser?.email} into an advertiser account to book slots, get quotes and follow your campaigns.</p>
+                    <button onClick={becomeAdvertiser} className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold hover:bg-yellow-600 transition-colors">Become an Advertiser</button>
+                </div>
+            );
+        }
+        if (isLoggedIn) {
+            return (
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 mb-8 text-sm text-gray-600 text-center">
+                    You are signed in as {AccessControl.getLabel(currentUser?.role)}. Log out to create a separate advertiser account.
+                </div>
+            );
+        }
+        return (
+            <form onSubmit={handleAdvertiserSignup} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4 mb-8">
+                <h3 className="font-bold text-lg">Create an Advertiser Account</h3>
+                <p className="text-sm text-gray-600">Pick a slot and dates, upload your creative and get an instant quote.</p>
+                <input type="text" placeholder="Your Name" value={advertiserSignupForm.name} onChange={(e) => setAdvertiserSignupForm({...advertiserSignupForm, name: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                <input type="text" placeholder="Company (optional)" value={advertiserSignupForm.company} onChange={(e) => setAdvertiserSignupForm({...advertiserSignupForm, company: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                <input type="email" placeholder="Email" value={advertiserSignupForm.email} onChange={(e) => setAdvertiserSignupForm({...advertiserSignupForm, email: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                <input type="password" placeholder="Password (min 6 chars)" value={advertiserSignupForm.password} onChange={(e) => setAdvertiserSignupForm({...advertiserSignupForm, password: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                <input type="password" placeholder="Confirm Password" value={advertiserSignupForm.confirmPassword} onChange={(e) => setAdvertiserSignupForm({...advertiserSignupForm, confirmPassword: e.target.value})} className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none" />
+                <button type="submit" className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold hover:bg-yellow-600 transition-colors">Create Account</button>
+                <p className="text-center text-sm text-gray-600">Already have one? <button type="button" onClick={() => { setAuthMode('login'); navigateTo('account'); }} className="text-indigo-600 font-bold">Login here</button></p>
             </form>
-        </div>
-    );
+        );
+    };
+
+    const renderAdvertiserPage = () => {
+        const isAdvertiser = isLoggedIn && currentUser?.role === 'advertiser';
+        return (
+            <div className={`${getAnimationClass()} px-4 pt-8 pb-24 max-w-2xl mx-auto min-h-screen`}>
+                <button onClick={() => navigateTo('account')} className="mb-6 flex items-center gap-2 text-gray-600 hover:text-gray-900">
+                    <Icons.ArrowLeft /> Back
+                </button>
+                <h2 className="text-3xl font-bold text-gray-900 mb-6">Advertise With Us</h2>
+                {isAdvertiser ? renderAdvertiserPortal() : renderAdvertiserSignup()}
+                {!isAdvertiser && (
+                    <form onSubmit={handleAdvertiserSubmit} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 space-y-4">
+                        <h3 className="font-bold text-lg">Questions? Contact our ad team</h3>
+                        <input 
+                            type="text" 
+                            placeholder="Your Name"
+                            value={advertiserForm.name}
+                            onChange={(e) => setAdvertiserForm({...advertiserForm, name: e.target.value})}
+                            className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                            required
+                        />
+                        <input 
+                            type="email" 
+                            placeholder="Email"
+                            value={advertiserForm.email}
+                            onChange={(e) => setAdvertiserForm({...advertiserForm, email: e.target.value})}
+                            className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                            required
+                        />
+                        <textarea 
+                            placeholder="Message"
+                            value={advertiserForm.message}
+                            onChange={(e) => setAdvertiserForm({...advertiserForm, message: e.target.value})}
+                            className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-indigo-500 focus:outline-none h-32"
+                            required
+                        ></textarea>
+                        <button type="submit" className="w-full py-3 bg-yellow-500 text-white rounded-xl font-bold">Send</button>
+                    </form>
+                )}
+            </div>
+        );
+    };
 
     const renderHeader = () => (
         <header className="sticky top-0 z-40 bg-white/90 backdrop-blur-md shadow-sm px-4 py-3">
             <div className="max-w-4xl mx-auto relative flex items-center justify-center">
                 <div className={`absolute left-0 font-bold text-xl text-indigo-600 md:hidden`}>{siteSettings.siteName}</div>
                 <div className="relative w-full max-w-md">
-                    <input type="text" placeholder="Search products..." value={searchQuery} onChange={(e) => {setSearchQuery(e.target.value); setPage(0); setDisplayedProducts([]);}} className={`w-full pl-10 pr-4 py-2.5 bg-gray-100 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500`} />
+                    <input 
+                        type="text" 
+                        placeholder="Search products..." 
+                        value={searchQuery} 
+                        onChange={(e) => { setSearchQuery(e.target.value); setShowSuggestions(true); setHighlightedSuggestion(-1); }} 
+                        onFocus={() => setShowSuggestions(true)}
+                        onBlur={() => setShowSuggestions(false)}
+                        onKeyDown={handleSearchKeyDown}
+                        className={`w-full pl-10 pr-4 py-2.5 bg-gray-100 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500`} 
+                    />
                     <div className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400"><Icons.Search /></div>
+                    {searchSuggestions.length > 0 && (
+                        <ul className="absolute left-0 right-0 top-full mt-2 bg-white rounded-2xl shadow-lg border border-gray-100 overflow-hidden z-50">
+                            {searchSuggestions.map((suggestion, idx) => (
+                                <li key={`${suggestion.type}-${suggestion.id || suggestion.label}`}>
+                                    <button 
+                                        onMouseDown={(e) => { e.preventDefault(); applySuggestion(suggestion); }}
+                                        className={`w-full text-left px-4 py-2.5 text-sm flex items-center gap-3 ${idx === highlightedSuggestion ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                                    >
+                                        <span className="text-gray-400">{suggestion.type === 'category' ? <Icons.Tag /> : <Icons.Search />}</span>
+                                        <span className="truncate text-gray-800">{suggestion.label}</span>
+                                        {suggestion.type === 'category' && <span className="ml-auto text-xs text-gray-400">Category</span>}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
                 </div>
                 <div className="absolute right-0">
                     {!isCountryLoading && (
@@ -3104,7 +8608,7 @@ const App = () => {
                 {[ 
                     { id: 'home', label: 'Home', icon: Icons.Home },
                     { id: 'messages', label: 'News', icon: Icons.Message },
-                    { id: 'cart', label: 'Cart', icon: Icons.Cart, badge: cart.length },
+                    { id: 'saved', label: 'Saved', icon: Icons.Heart, badge: savedProductIds.length },
                     { id: 'jobs', label: 'Jobs', icon: Icons.Work },
                     { id: 'account', label: 'Acc', icon: Icons.User }
                 ].map((tab) => {
@@ -3128,15 +8632,38 @@ const App = () => {
         </nav>
     );
 
+    if (!storageReady || !sessionChecked) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="flex gap-2">
+                    <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce"></div>
+                    <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce" style={{animationDelay: '0.1s'}}></div>
+                    <div className="w-2 h-2 bg-indigo-600 rounded-full animate-bounce" style={{animationDelay: '0.2s'}}></div>
+                </div>
+                <CustomModal 
+                    isOpen={modal.isOpen} 
+                    onClose={closeModal} 
+                    title={modal.title} 
+                    message={modal.message} 
+                    type={modal.type} 
+                />
+            </div>
+        );
+    }
+
     return (
         <div className="min-h-screen bg-gray-50">
-            {!selectedProduct && activeTab !== 'jobs' && activeTab !== 'advertise' && !showCMS && !isAffiliate && renderHeader()}
+            {!selectedProduct && !(activeTab === 'home' && selectedCategory) && activeTab !== 'jobs' && activeTab !== 'advertise' && !showCMS && !isAffiliate && renderHeader()}
+            {!selectedProduct && activeTab === 'home' && !showCMS && !isAffiliate && (
+                <AdSlot position="header" ads={advertisements} onImpression={recordAdImpression} onAdClick={recordAdClick} className="max-w-4xl mx-auto px-4" />
+            )}
             
             <main className="max-w-4xl mx-auto">
                 {isAffiliate ? renderAffiliateDashboard() :
                  selectedProduct ? renderProductDetail() : 
+                 activeTab === 'home' && selectedCategory ? renderCategoryPage() :
                  activeTab === 'home' ? renderHome() :
-                 activeTab === 'cart' ? renderCart() :
+                 activeTab === 'saved' ? renderSaved() :
                  activeTab === 'messages' ? renderMessages() :
                  activeTab === 'jobs' ? renderMicroJobs() :
                  activeTab === 'advertise' ? renderAdvertiserPage() :
@@ -3157,6 +8684,14 @@ const App = () => {
                 }}
             />
             
+            {switchingAffiliate && (
+                <AffiliateSwitchModal
+                    affiliate={switchingAffiliate}
+                    onSubmit={(password) => switchToAffiliate(switchingAffiliate, password)}
+                    onCancel={() => setSwitchingAffiliate(null)}
+                />
+            )}
+
             <CustomModal 
                 isOpen={modal.isOpen} 
                 onClose={closeModal} 
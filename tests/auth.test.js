@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+test('local sessions name the account but carry no role', async () => {
+    const { AuthService, localStorage } = loadModules();
+    await AuthService.createSession({ id: 1, name: 'Ann', email: 'ann@example.com' }, 'admin');
+
+    const stored = JSON.parse(localStorage.getItem('nextordersl_session'));
+    assert.strictEqual(stored.email, 'ann@example.com');
+    assert.strictEqual(stored.role, undefined);
+
+    const restored = await AuthService.restoreSession();
+    assert.strictEqual(restored.user.email, 'ann@example.com');
+    assert.strictEqual(restored.role, null);
+});
+
+test('expired or old signed sessions are dropped', async () => {
+    const { AuthService, localStorage } = loadModules();
+    localStorage.setItem('nextordersl_session_secret', 'abc');
+    localStorage.setItem('nextordersl_session', 'eyJyb2xlIjoiYWRtaW4ifQ.c2ln');
+    assert.strictEqual(await AuthService.restoreSession(), null);
+    assert.strictEqual(localStorage.getItem('nextordersl_session'), null);
+    assert.strictEqual(localStorage.getItem('nextordersl_session_secret'), null);
+
+    localStorage.setItem('nextordersl_session', JSON.stringify({ email: 'ann@example.com', exp: Date.now() - 1 }));
+    assert.strictEqual(await AuthService.restoreSession(), null);
+});
+
+test('shared REST storage only accepts sessions from the auth server', async () => {
+    const calls = [];
+    const fetch = async (url, options) => {
+        calls.push(`${options.method || 'GET'} ${url}`);
+        return { ok: true, status: 200, json: async () => ({ user: { id: 1, email: 'ann@example.com', role: 'editor' } }) };
+    };
+    const { AuthService, localStorage } = loadModules({ config: { storage: { type: 'rest', baseUrl: '/data' } }, fetch });
+
+    assert.strictEqual(AuthService.isRemote(), true);
+    await assert.rejects(AuthService.createSession({ id: 1, email: 'ann@example.com' }, 'admin'), /authentication server/);
+
+    localStorage.setItem('nextordersl_session', 'server-token');
+    const session = await AuthService.restoreSession();
+    assert.strictEqual(session.role, 'editor');
+    assert.deepStrictEqual(calls, ['GET /data/auth/session']);
+});
+
+test('remote sign-up and password reset go through the auth server', async () => {
+    const calls = [];
+    const answers = { '/api/auth/register': { status: 'created' }, '/api/auth/password/reset': { status: 'locked' }, '/api/auth/codes': {} };
+    const fetch = async (url, options) => {
+        calls.push({ url, method: options.method, body: JSON.parse(options.body) });
+        return { ok: true, status: 200, json: async () => answers[url] };
+    };
+    const { AuthService } = loadModules({ config: { auth: { type: 'remote' } }, fetch });
+
+    await AuthService.requestCode('verify-email', 'ann@example.com');
+    const account = { role: 'shopper', name: 'Ann', email: 'ann@example.com', password: 'secret1', code: '123456' };
+    assert.strictEqual(await AuthService.register(account), 'created');
+    assert.strictEqual(await AuthService.resetPassword('ann@example.com', '654321', 'secret2'), 'locked');
+
+    assert.deepStrictEqual(calls.map(c => `${c.method} ${c.url}`), ['POST /api/auth/codes', 'POST /api/auth/register', 'POST /api/auth/password/reset']);
+    assert.deepStrictEqual(calls[1].body, account);
+    assert.deepStrictEqual(calls[2].body, { email: 'ann@example.com', code: '654321', password: 'secret2' });
+});
+
+test('a rejected remote code reads as invalid and server errors surface', async () => {
+    const { AuthService } = loadModules({
+        config: { auth: { type: 'remote' } },
+        fetch: async (url) => url.endsWith('/register')
+            ? { ok: false, status: 401, json: async () => ({}) }
+            : { ok: false, status: 500, json: async () => ({}) }
+    });
+    assert.strictEqual(await AuthService.register({ email: 'ann@example.com' }), 'invalid');
+    await assert.rejects(AuthService.resetPassword('ann@example.com', '1', 'x'), /Authentication server error \(500\)/);
+});
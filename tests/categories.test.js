@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const { Categories } = loadModules();
+
+// Electronics > Phones > Android, and Fashion on its own
+const CATEGORIES = [
+    { id: 1, name: 'Electronics', parentId: null },
+    { id: 2, name: 'Phones', parentId: 1 },
+    { id: 3, name: 'Android', parentId: 2 },
+    { id: 4, name: 'Fashion', parentId: null }
+];
+
+test('descendantIds covers the category and everything nested under it', () => {
+    assert.deepStrictEqual([...Categories.descendantIds(CATEGORIES, 1)].sort(), [1, 2, 3]);
+    assert.deepStrictEqual([...Categories.descendantIds(CATEGORIES, 3)], [3]);
+    assert.deepStrictEqual([...Categories.descendantIds([{ id: 1, parentId: 2 }, { id: 2, parentId: 1 }], 1)].sort(), [1, 2]);
+});
+
+test('a category cannot be nested under itself or one of its subcategories', () => {
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 1, 1), false);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 1, 2), false);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 1, 3), false);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 2, 3), false);
+});
+
+test('moves elsewhere in the tree, to the top level and new categories are allowed', () => {
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 3, 1), true);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 2, 4), true);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 4, 3), true);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, 2, null), true);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, null, 3), true);
+    assert.strictEqual(Categories.canNestUnder(CATEGORIES, null, 99), false);
+});
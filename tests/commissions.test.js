@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const { Commissions, StatePatches } = loadModules();
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const RULES = [
+    { id: 1, scope: 'default', type: 'percent', rate: 5, active: true },
+    { id: 2, scope: 'marketplace', target: 'Amazon', type: 'percent', rate: 4, active: true },
+    { id: 3, scope: 'category', target: 'Electronics', type: 'percent', rate: 6, active: true },
+    { id: 4, scope: 'category', target: 'Phones', type: 'flat', rate: 3, active: true },
+    { id: 5, scope: 'affiliate', target: '42', type: 'percent', rate: 10, active: true },
+    { id: 6, scope: 'marketplace', target: 'eBay', type: 'percent', rate: 8, active: false }
+];
+
+const MANAGER = { role: 'affiliate-manager', email: 'manager@shop.example' };
+const AFFILIATE = { role: 'affiliate', email: 'aff@shop.example', affiliateId: 7 };
+
+const entry = (id, fields = {}) => {
+    const rule = { id: 1, scope: 'default', type: 'percent', rate: 5 };
+    return { id, affiliateId: 7, productId: null, orderRef: `#${id}`, saleUSD: 100, commissionUSD: 5, rule, status: 'pending', payoutId: null, createdAt: '2026-01-01T00:00:00.000Z', recordedBy: MANAGER.email, ...fields };
+};
+const approved = (id, fields) => entry(id, { status: 'approved', reviewedBy: MANAGER.email, ...fields });
+
+// authorize() sees the same patch the REST adapter would send
+const check = (key, before, after, actor, ledger) => Commissions.authorize(key, plain(StatePatches.diff(key, before, after)), before, actor, ledger);
+
+test('ruleFor: affiliate beats category beats marketplace beats default', () => {
+    assert.strictEqual(Commissions.ruleFor(RULES, { affiliateId: 42, categories: ['Phones', 'Electronics'], marketplace: 'Amazon' }).id, 5);
+    assert.strictEqual(Commissions.ruleFor(RULES, { affiliateId: 7, categories: ['Phones', 'Electronics'], marketplace: 'Amazon' }).id, 4);
+    assert.strictEqual(Commissions.ruleFor(RULES, { affiliateId: 7, categories: ['Laptops', 'Electronics'], marketplace: 'Amazon' }).id, 3);
+    assert.strictEqual(Commissions.ruleFor(RULES, { affiliateId: 7, categories: ['Toys'], marketplace: 'Amazon' }).id, 2);
+    assert.strictEqual(Commissions.ruleFor(RULES, { affiliateId: 7, categories: [], marketplace: 'Daraz' }).id, 1);
+});
+
+test('ruleFor skips inactive rules and returns null without a match', () => {
+    assert.strictEqual(Commissions.ruleFor(RULES, { affiliateId: 7, marketplace: 'eBay' }).id, 1);
+    assert.strictEqual(Commissions.ruleFor(RULES.filter(r => r.scope !== 'default'), { affiliateId: 7, marketplace: 'Daraz' }), null);
+    assert.strictEqual(Commissions.ruleFor([], { affiliateId: 7 }), null);
+});
+
+test('amountFor rounds percentages to cents and pays flat rates as-is', () => {
+    assert.strictEqual(Commissions.amountFor(RULES[0], 19.99), 1);
+    assert.strictEqual(Commissions.amountFor(RULES[2], 33.33), 2);
+    assert.strictEqual(Commissions.amountFor(RULES[3], 999), 3);
+    assert.strictEqual(Commissions.amountFor(null, 100), 0);
+});
+
+test('newEntry rounds a half-cent sale before working out the commission', () => {
+    const rule = { id: 8, scope: 'default', type: 'percent', rate: 10, active: true };
+    const recorded = Commissions.newEntry(rule, { affiliateId: 7, saleUSD: 12.345, recordedBy: MANAGER.email }, new Date('2026-03-01T00:00:00.000Z'));
+    assert.strictEqual(recorded.saleUSD, 12.35);
+    assert.strictEqual(recorded.commissionUSD, Commissions.amountFor(rule, 12.35));
+    assert.strictEqual(Commissions.verify(recorded), true);
+    assert.strictEqual(check('commission_ledger', [], [recorded], MANAGER), null);
+    assert.deepStrictEqual(plain(recorded.rule), { id: 8, scope: 'default', type: 'percent', rate: 10 });
+    assert.strictEqual(recorded.createdAt, '2026-03-01T00:00:00.000Z');
+});
+
+test('summarize splits balances by status and leaves out rejected and tampered entries', () => {
+    const ledger = [
+        entry(1),
+        approved(2),
+        approved(3, { payoutId: 99 }),
+        approved(4, { status: 'paid' }),
+        entry(5, { status: 'rejected', reviewedBy: MANAGER.email }),
+        approved(6, { commissionUSD: 500 }),
+        entry(7, { status: 'approved' }),
+        approved(8, { affiliateId: 9 })
+    ];
+    assert.deepStrictEqual(plain(Commissions.summarize(ledger, 7)), { pending: 5, approved: 10, paid: 5, available: 5, total: 20, conversions: 4 });
+    assert.deepStrictEqual(plain(Commissions.summarize([], 7)), { pending: 0, approved: 0, paid: 0, available: 0, total: 0, conversions: 0 });
+});
+
+test('verify rejects amounts that do not follow from the rule and unreviewed approvals', () => {
+    assert.strictEqual(Commissions.verify(entry(1)), true);
+    assert.strictEqual(Commissions.verify(approved(1)), true);
+    assert.strictEqual(Commissions.verify(entry(1, { commissionUSD: 50 })), false);
+    assert.strictEqual(Commissions.verify(entry(1, { rule: { type: 'percent', rate: 90 } })), false);
+    assert.strictEqual(Commissions.verify(entry(1, { status: 'approved' })), false);
+    assert.strictEqual(Commissions.verify(entry(1, { status: 'void' })), false);
+    assert.strictEqual(Commissions.verify(entry(1, { rule: null })), false);
+});
+
+test('checkPayout requires approved, verified entries of the same affiliate that add up', () => {
+    const ledger = [approved(1, { payoutId: 50 }), approved(2, { payoutId: 50 }), approved(3, { payoutId: 51, affiliateId: 9 }), entry(4, { payoutId: 50 })];
+    const payout = { id: 50, affiliateId: 7, amountUSD: 10, entryIds: [1, 2], status: 'requested' };
+    assert.strictEqual(Commissions.checkPayout(payout, ledger), null);
+    assert.match(Commissions.checkPayout({ ...payout, amountUSD: 1000 }, ledger), /add up to 10 USD/);
+    assert.match(Commissions.checkPayout({ ...payout, entryIds: [1, 3] }, ledger), /another affiliate/);
+    assert.match(Commissions.checkPayout({ ...payout, entryIds: [1, 4] }, ledger), /never approved/);
+    assert.match(Commissions.checkPayout({ ...payout, entryIds: [1, 12] }, ledger), /no longer exist/);
+    assert.match(Commissions.checkPayout({ ...payout, entryIds: [] }, ledger), /no longer exist/);
+});
+
+test('authorize: an affiliate cannot approve or inflate its own commissions', () => {
+    const ledger = [entry(1), approved(2)];
+    assert.match(check('commission_ledger', ledger, [approved(1), approved(2)], AFFILIATE), /own approved commissions/);
+    assert.match(check('commission_ledger', ledger, [entry(1), approved(2, { commissionUSD: 500 })], AFFILIATE), /own approved commissions/);
+    assert.match(check('commission_ledger', ledger, [entry(9), ...ledger], AFFILIATE), /own approved commissions/);
+    assert.match(check('commission_ledger', ledger, [approved(2)], AFFILIATE), /cannot be deleted/);
+});
+
+test('authorize: an affiliate can request a payout of its own approved balance only', () => {
+    const ledger = [approved(1), approved(2), approved(3, { affiliateId: 9 })];
+    const requested = [approved(1, { payoutId: 50 }), approved(2, { payoutId: 50 }), approved(3, { affiliateId: 9 })];
+    assert.strictEqual(check('commission_ledger', ledger, requested, AFFILIATE), null);
+    assert.match(check('commission_ledger', ledger, [...requested.slice(0, 2), approved(3, { affiliateId: 9, payoutId: 50 })], AFFILIATE), /own approved/);
+
+    const payout = { id: 50, affiliateId: 7, amountUSD: 10, entryIds: [1, 2], status: 'requested', requestedAt: '2026-02-01T00:00:00.000Z' };
+    assert.strictEqual(check('payouts', [], [payout], AFFILIATE, requested), null);
+    assert.match(check('payouts', [], [{ ...payout, amountUSD: 900 }], AFFILIATE, requested), /match approved commissions/);
+    assert.match(check('payouts', [], [{ ...payout, status: 'paid' }], AFFILIATE, requested), /match approved commissions/);
+    assert.match(check('payouts', [payout], [{ ...payout, status: 'paid', paidBy: AFFILIATE.email }], AFFILIATE, requested), /match approved commissions/);
+});
+
+test('authorize: managers record, review and pay out, signed with their own email', () => {
+    assert.strictEqual(check('commission_ledger', [], [entry(1)], MANAGER), null);
+    assert.match(check('commission_ledger', [], [entry(1, { commissionUSD: 80 })], MANAGER), /does not match/);
+    assert.match(check('commission_ledger', [], [approved(1)], MANAGER), /does not match/);
+    assert.strictEqual(check('commission_ledger', [entry(1)], [approved(1)], MANAGER), null);
+    assert.match(check('commission_ledger', [entry(1)], [approved(1, { reviewedBy: 'someone@else' })], MANAGER), /does not match/);
+
+    const ledger = [approved(1, { payoutId: 50, status: 'paid' }), approved(2, { payoutId: 50, status: 'paid' })];
+    const payout = { id: 50, affiliateId: 7, amountUSD: 10, entryIds: [1, 2], status: 'requested' };
+    assert.strictEqual(check('payouts', [payout], [{ ...payout, status: 'paid', paidBy: MANAGER.email }], MANAGER, ledger), null);
+    assert.match(check('payouts', [payout], [{ ...payout, status: 'paid', paidBy: MANAGER.email, amountUSD: 20 }], MANAGER, ledger), /cannot be marked paid/);
+});
+
+test('authorize: shoppers and advertisers cannot touch commissions', () => {
+    assert.match(check('commission_ledger', [], [entry(1)], { role: 'shopper', email: 'a@b.c' }), /Only affiliate managers/);
+    assert.match(check('payouts', [], [{ id: 1, affiliateId: 7, amountUSD: 0, entryIds: [], status: 'requested' }], { role: 'advertiser', email: 'a@b.c' }, []), /Only affiliate managers/);
+});
+
+test('authorize lets a manager reject an entry that no longer matches its rule', () => {
+    const tampered = entry(1, { commissionUSD: 50 });
+    assert.strictEqual(check('commission_ledger', [tampered], [{ ...tampered, status: 'rejected', reviewedBy: MANAGER.email }], MANAGER), null);
+    assert.match(check('commission_ledger', [tampered], [{ ...tampered, status: 'approved', reviewedBy: MANAGER.email }], MANAGER), /does not match/);
+});
+
+test('outstanding lists what removing an affiliate would leave unsettled', () => {
+    const ledger = [entry(1), approved(2), approved(3, { payoutId: 50 }), approved(4, { status: 'paid', payoutId: 49 }), entry(5, { affiliateId: 9 })];
+    const payouts = [{ id: 49, affiliateId: 7, status: 'paid' }, { id: 50, affiliateId: 7, status: 'requested' }, { id: 51, affiliateId: 9, status: 'requested' }];
+    const balance = plain(Commissions.outstanding(ledger, payouts, 7));
+    assert.deepStrictEqual(balance.openPayouts.map(p => p.id), [50]);
+    assert.deepStrictEqual(balance.pending.map(e => e.id), [1]);
+    assert.deepStrictEqual(balance.owed.map(e => e.id), [2]);
+    assert.strictEqual(balance.pendingUSD, 5);
+    assert.strictEqual(balance.owedUSD, 5);
+    assert.deepStrictEqual(plain(Commissions.outstanding(ledger, payouts, 12)), { openPayouts: [], pending: [], owed: [], pendingUSD: 0, owedUSD: 0 });
+});
+
+test('authorize lets a manager void unpaid commissions of a removed affiliate', () => {
+    const ledger = [entry(1), approved(2)];
+    const voided = ledger.map(e => ({ ...e, status: 'rejected', reviewedBy: MANAGER.email, voidReason: 'Affiliate removed' }));
+    assert.strictEqual(check('commission_ledger', ledger, voided, MANAGER), null);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const { CurrencyConverter } = loadModules();
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Each currency as shoppers in its home country see it
+const HOME_LOCALES = { USD: 'en-US', LKR: 'en-LK', INR: 'en-IN', EUR: 'de-DE', GBP: 'en-GB', AUD: 'en-AU', CAD: 'en-CA', SGD: 'en-SG', JPY: 'ja-JP', CNY: 'zh-CN' };
+const charm99 = (value) => Number(CurrencyConverter.ROUNDING_RULES.charm99.apply(value).toFixed(2));
+
+// Compare against what this runtime's ICU produces rather than fixed strings, which shift between ICU versions
+const intlPart = (type, code, locale) => new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay: 'symbol' })
+    .formatToParts(1.5).find(part => part.type === type)?.value;
+const digits = (text) => text.replace(/\D/g, '');
+const sign = (text) => text.replace(/[\d.,\s]/g, '');
+
+test('every currency formats in its home locale', () => {
+    CurrencyConverter.getCurrencies().forEach(code => {
+        const locale = HOME_LOCALES[code];
+        const shown = CurrencyConverter.format(1234.5, code, { locale });
+        const cents = CurrencyConverter.minorUnits(code) > 0;
+        assert.strictEqual(digits(shown), cents ? '123450' : '1235', shown);
+        if (cents) assert.ok(shown.includes(`${intlPart('decimal', code, locale)}50`), shown);
+        assert.strictEqual(sign(shown), code === 'LKR' ? 'Rs' : sign(intlPart('currency', code, locale)), shown);
+    });
+});
+
+test('LKR shows the local Rs. sign in any locale', () => {
+    ['en-LK', 'en-US', 'de-DE'].forEach(locale => {
+        const shown = CurrencyConverter.format(1234.5, 'LKR', { locale });
+        assert.ok(shown.includes('Rs.') && !shown.includes('LKR'), shown);
+    });
+});
+
+test('no two currencies share a sign within one locale', () => {
+    Object.values(HOME_LOCALES).forEach(locale => {
+        const shown = CurrencyConverter.getCurrencies().map(code => sign(CurrencyConverter.format(1, code, { locale })));
+        assert.strictEqual(new Set(shown).size, shown.length, `${locale}: ${shown.join(' ')}`);
+    });
+    // The locale's own dollar gets the bare sign, other dollars never do
+    assert.strictEqual(sign(CurrencyConverter.format(5, 'USD', { locale: 'en-US' })), '$');
+    assert.strictEqual(sign(CurrencyConverter.format(5, 'AUD', { locale: 'en-AU' })), '$');
+    ['AUD', 'CAD', 'SGD'].forEach(code => assert.notStrictEqual(sign(CurrencyConverter.format(5, code, { locale: 'en-US' })), '$', code));
+    assert.notStrictEqual(sign(CurrencyConverter.format(5, 'USD', { locale: 'en-AU' })), '$');
+});
+
+test('charm99 rounds up to the next price ending in .99', () => {
+    assert.strictEqual(charm99(12.34), 12.99);
+    assert.strictEqual(charm99(12.6), 12.99);
+    assert.strictEqual(charm99(12.99), 12.99);
+    assert.strictEqual(charm99(13), 13.99);
+    assert.strictEqual(charm99(13.01), 13.99);
+    assert.strictEqual(charm99(12.989999999), 12.99);
+    assert.strictEqual(charm99(1999.5), 1999.99);
+    assert.strictEqual(charm99(0.3), 0.99);
+    assert.strictEqual(charm99(0), 0);
+    for (let cents = 1; cents < 5000; cents += 7) {
+        const rounded = charm99(cents / 100);
+        assert.ok(rounded >= cents / 100 && rounded - cents / 100 < 1, `${cents / 100} -> ${rounded}`);
+        assert.strictEqual(Math.round(rounded * 100) % 100, 99, `${cents / 100} -> ${rounded}`);
+    }
+});
+
+test('rounding rules in every currency', () => {
+    const rows = CurrencyConverter.getCurrencies().map(code => [code, ...Object.keys(CurrencyConverter.ROUNDING_RULES)
+        .map(rounding => digits(CurrencyConverter.format(CurrencyConverter.fromUSD(12.34, code), code, { locale: HOME_LOCALES[code], rounding })))]);
+    assert.deepStrictEqual(plain(rows), [
+        ['USD', '1234', '12', '1299', '10', '12'],
+        ['LKR', '364647', '3646', '364699', '3650', '3600'],
+        ['INR', '102570', '1026', '102599', '1030', '1000'],
+        ['EUR', '1135', '11', '1199', '10', '11'],
+        ['GBP', '975', '10', '999', '10', '10'],
+        ['AUD', '1876', '19', '1899', '20', '19'],
+        ['CAD', '1678', '17', '1699', '20', '17'],
+        ['SGD', '1654', '17', '1699', '20', '17'],
+        ['JPY', '1832', '1832', '1832', '1830', '1800'],
+        ['CNY', '8872', '89', '8899', '90', '100']
+    ]);
+});
+
+test('.99 endings are not offered for currencies without cents', () => {
+    const { charm99: rule, whole } = CurrencyConverter.ROUNDING_RULES;
+    assert.strictEqual(CurrencyConverter.minorUnits('JPY'), 0);
+    assert.strictEqual(CurrencyConverter.roundingApplies(rule, 'JPY'), false);
+    assert.strictEqual(CurrencyConverter.roundingApplies(rule, 'USD'), true);
+    assert.strictEqual(CurrencyConverter.roundingApplies(whole, 'JPY'), true);
+});
+
+test('conversions round to the currency minor unit', () => {
+    assert.strictEqual(CurrencyConverter.fromUSD(1, 'JPY'), 149);
+    assert.strictEqual(CurrencyConverter.fromUSD(10, 'EUR'), 9.2);
+    assert.strictEqual(CurrencyConverter.toUSD(295.5, 'LKR'), 1);
+    assert.strictEqual(CurrencyConverter.fromUSD(0, 'GBP'), 0);
+    assert.strictEqual(CurrencyConverter.format(5, 'XXX1'), 'XXX1 5');
+});
@@ -0,0 +1,67 @@
+// Loads the plain-JS modules at the top of script.js (everything before the React components)
+// into a sandbox with just enough browser globals for them to run under node:test.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'script.js'), 'utf8');
+const MODULES = SOURCE.slice(0, SOURCE.indexOf('// ==================== ICON COMPONENTS'));
+const NAMES = [...MODULES.matchAll(/^const ([A-Za-z_][A-Za-z0-9_]*) =/gm)].map(match => match[1]);
+
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+        clear: () => items.clear()
+    };
+};
+
+// Keeps name=value pairs the way document.cookie reads them back
+const createCookieJar = () => {
+    const cookies = new Map();
+    return {
+        get cookie() {
+            return [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+        },
+        set cookie(header) {
+            const [pair, ...attributes] = header.split('; ');
+            const [name, ...value] = pair.split('=');
+            const maxAge = attributes.find(a => a.startsWith('max-age='));
+            if (maxAge && parseInt(maxAge.slice(8)) <= 0) cookies.delete(name);
+            else cookies.set(name, value.join('='));
+        }
+    };
+};
+
+const loadModules = ({ config = {}, fetch = globalThis.fetch, DOMParser } = {}) => {
+    const localStorage = createStorage();
+    const document = createCookieJar();
+    const window = { NEXTORDERSL_CONFIG: config, location: { search: '', hash: '' }, localStorage, document };
+    const context = vm.createContext({
+        React: {},
+        window,
+        document,
+        localStorage,
+        navigator: { language: 'en-US', languages: ['en-US'] },
+        fetch,
+        DOMParser,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        AbortController,
+        Intl,
+        atob,
+        btoa,
+        console,
+        setTimeout,
+        clearTimeout
+    });
+    const modules = vm.runInContext(`${MODULES}\n;({ ${NAMES.join(', ')} })`, context, { filename: 'script.js' });
+    return { ...modules, window, localStorage, document };
+};
+
+module.exports = { loadModules };
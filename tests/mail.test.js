@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const captureInfo = async (t, send) => {
+    const lines = [];
+    t.mock.method(console, 'info', (line) => lines.push(line));
+    await send();
+    return lines.join('\n');
+};
+
+test('the console transport keeps message bodies out of the log by default', async (t) => {
+    const { MailTransports } = loadModules();
+    const transport = MailTransports.console();
+    const output = await captureInfo(t, () => transport.send({ to: 'ann@example.com', subject: 'Reset your password', text: 'Code 123456' }));
+
+    assert.match(output, /To: ann@example.com/);
+    assert.match(output, /Subject: Reset your password/);
+    assert.doesNotMatch(output, /123456/);
+    assert.strictEqual(transport.delivers, false);
+});
+
+test('without a configured transport the mailer refuses to send', async (t) => {
+    const { Mailer } = loadModules();
+
+    assert.strictEqual(Mailer.canDeliver(), false);
+    const output = await captureInfo(t, () => assert.rejects(
+        Mailer.send('ann@example.com', 'passwordReset', { code: '123456', minutes: 30 }),
+        /No mail transport is configured/
+    ));
+    assert.strictEqual(output, '');
+});
+
+test('http and outbox transports deliver', async () => {
+    assert.strictEqual(loadModules({ config: { mail: { transport: 'http', endpoint: '/relay' } } }).Mailer.canDeliver(), true);
+    const { Mailer, localStorage } = loadModules({ config: { mail: { transport: 'outbox' } } });
+    assert.strictEqual(Mailer.canDeliver(), true);
+    await Mailer.send('ann@example.com', 'verification', { code: '111222', minutes: 15 });
+    assert.match(localStorage.getItem('nextordersl_outbox'), /111222/);
+});
+
+test('mail.debug prints the whole message for local development', async (t) => {
+    const { Mailer } = loadModules({ config: { mail: { debug: true } } });
+    const output = await captureInfo(t, () => Mailer.send('ann@example.com', 'verification', { code: '654321', minutes: 15 }));
+
+    assert.strictEqual(Mailer.canDeliver(), true);
+    assert.match(output, /654321/);
+});
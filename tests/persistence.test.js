@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { loadModules } = require('./helpers/loadModules');
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// In-memory stand-in for the state API; PATCH bodies are applied with StatePatches.apply like a real backend would
+const startServer = (StatePatches, { forbiddenKeys = [] } = {}) => {
+    const state = {};
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const key = decodeURIComponent(req.url.replace(/^\/api\/state\//, ''));
+            requests.push({ method: req.method, key, body: body ? JSON.parse(body) : null });
+            const send = (status, value) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(value === undefined ? '' : JSON.stringify(value));
+            };
+            if (forbiddenKeys.includes(key)) return send(403, { error: 'Forbidden' });
+            if (req.method === 'GET') return key in state ? send(200, state[key]) : send(404, { error: 'Not found' });
+            if (req.method === 'PUT') state[key] = JSON.parse(body);
+            if (req.method === 'PATCH') state[key] = StatePatches.apply(key, state[key], JSON.parse(body));
+            if (req.method === 'POST') state[key] = [JSON.parse(body), ...(state[key] || [])];
+            if (req.method === 'DELETE') delete state[key];
+            send(204);
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ state, requests, baseUrl: `http://127.0.0.1:${server.address().port}/api`, close: () => new Promise(done => server.close(done)) });
+    }));
+};
+
+test('StatePatches.diff sends counters as increments and rows by id', () => {
+    const { StatePatches } = loadModules();
+    const previous = [{ id: 1, title: 'Lamp', clicks: 4 }, { id: 2, title: 'Desk', clicks: 0 }];
+    const next = [{ id: 3, title: 'Chair', clicks: 1 }, { id: 1, title: 'Lamp', clicks: 5 }];
+
+    assert.deepStrictEqual(plain(StatePatches.diff('products', previous, next)), {
+        type: 'list',
+        upsert: { 3: { id: 3, title: 'Chair' } },
+        increment: { 1: { clicks: 1 }, 3: { clicks: 1 } },
+        remove: ['2'],
+        prepend: ['3']
+    });
+});
+
+test('StatePatches.diff falls back to a full replace for values that cannot be keyed', () => {
+    const { StatePatches } = loadModules();
+    assert.strictEqual(StatePatches.diff('tags', ['a'], ['a', 'b']), null);
+    assert.strictEqual(StatePatches.diff('products', null, []), null);
+    assert.strictEqual(StatePatches.diff('products', [{ title: 'no id' }], []), null);
+});
+
+test('StatePatches.apply keeps counters bumped by other browsers when a row is edited', () => {
+    const { StatePatches } = loadModules();
+    const server = [{ id: 1, title: 'Lamp', clicks: 9 }];
+    const patch = StatePatches.diff('products', [{ id: 1, title: 'Lamp', clicks: 4 }], [{ id: 1, title: 'Desk lamp', clicks: 5 }]);
+
+    assert.deepStrictEqual(plain(StatePatches.apply('products', server, patch)), [{ id: 1, title: 'Desk lamp', clicks: 10 }]);
+});
+
+test('two visitors recording clicks and counters against the REST backend both count', async (t) => {
+    const { StatePatches, StorageAdapters } = loadModules();
+    const server = await startServer(StatePatches);
+    t.after(server.close);
+    server.state.clicks = [{ id: 1, productId: 7 }];
+    server.state.ad_stats = { 5: { impressions: 10, clicks: 1 } };
+    server.state.search_misses = [{ query: 'kettle', count: 2, lastSearchedAt: 'a' }];
+
+    const first = StorageAdapters.rest(server.baseUrl);
+    const second = StorageAdapters.rest(server.baseUrl);
+    const [adsA, adsB] = [await first.load('ad_stats'), await second.load('ad_stats')];
+    const [missesA, missesB] = [await first.load('search_misses'), await second.load('search_misses')];
+
+    await first.append('clicks', { id: 2, productId: 7 });
+    await second.append('clicks', { id: 3, productId: 8 });
+    await first.save('ad_stats', { 5: { ...adsA[5], impressions: 11 } }, adsA);
+    await second.save('ad_stats', { 5: { ...adsB[5], impressions: 11, clicks: 2 } }, adsB);
+    await first.save('search_misses', [{ ...missesA[0], count: 3, lastSearchedAt: 'b' }], missesA);
+    await second.save('search_misses', [{ query: 'toaster', count: 1 }, { ...missesB[0], count: 3, lastSearchedAt: 'c' }], missesB);
+
+    assert.deepStrictEqual(plain(server.state.clicks).map(c => c.id), [3, 2, 1]);
+    assert.deepStrictEqual(plain(server.state.ad_stats), { 5: { impressions: 12, clicks: 2 } });
+    assert.deepStrictEqual(plain(server.state.search_misses), [{ query: 'toaster', count: 1 }, { query: 'kettle', count: 4, lastSearchedAt: 'c' }]);
+    assert.deepStrictEqual(server.requests.filter(r => r.method !== 'GET').map(r => r.method), ['POST', 'POST', 'PATCH', 'PATCH', 'PATCH', 'PATCH']);
+});
+
+test('clicks are only appended on a shared backend and stay private to read', async (t) => {
+    const { StatePatches, Persistence, StorageAdapters } = loadModules();
+    const server = await startServer(StatePatches);
+    t.after(server.close);
+    server.state.clicks = [{ id: 1, productId: 7 }];
+    Persistence.setAdapter(StorageAdapters.rest(server.baseUrl));
+
+    assert.strictEqual((await Persistence.loadAll(['clicks'])).clicks, Persistence.DENIED);
+    await Persistence.save('clicks', [{ id: 2, productId: 7 }], []);
+    await Persistence.append('clicks', { id: 2, productId: 7 });
+
+    assert.deepStrictEqual(server.requests.map(r => `${r.method} ${r.key}`), ['POST clicks']);
+    assert.deepStrictEqual(plain(server.state.clicks).map(c => c.id), [2, 1]);
+});
+
+test('clicks are saved with the rest of the state in the browser', async () => {
+    const { Persistence, localStorage } = loadModules();
+    await Persistence.append('clicks', { id: 2 });
+    assert.strictEqual(localStorage.getItem('nextordersl_clicks'), null);
+    await Persistence.save('clicks', [{ id: 2 }], []);
+    assert.deepStrictEqual(JSON.parse(localStorage.getItem('nextordersl_clicks')), [{ id: 2 }]);
+});
+
+test('unchanged collections are not sent and plain values are replaced with PUT', async (t) => {
+    const { StatePatches, StorageAdapters } = loadModules();
+    const server = await startServer(StatePatches);
+    t.after(server.close);
+    const adapter = StorageAdapters.rest(server.baseUrl);
+
+    await adapter.save('products', [{ id: 1, title: 'Lamp' }], [{ id: 1, title: 'Lamp' }]);
+    await adapter.save('tags', ['sale'], undefined);
+
+    assert.deepStrictEqual(server.requests.map(r => r.method), ['PUT']);
+    assert.deepStrictEqual(plain(server.state.tags), ['sale']);
+});
+
+test('private collections are not requested without a session and 403 answers mark them denied', async (t) => {
+    const { StatePatches, Persistence, StorageAdapters, localStorage } = loadModules();
+    const server = await startServer(StatePatches, { forbiddenKeys: ['price_watches'] });
+    t.after(server.close);
+    server.state.products = [{ id: 1 }];
+    server.state.users = [{ id: 1, email: 'a@example.com' }];
+    Persistence.setAdapter(StorageAdapters.rest(server.baseUrl));
+
+    const anonymous = await Persistence.loadAll(['products', 'users']);
+    assert.deepStrictEqual(plain(anonymous.products), [{ id: 1 }]);
+    assert.strictEqual(anonymous.users, Persistence.DENIED);
+    assert.deepStrictEqual(server.requests.map(r => r.key), ['products']);
+
+    localStorage.setItem('nextordersl_session', 'token');
+    const signedIn = await Persistence.loadAll(['users', 'price_watches']);
+    assert.deepStrictEqual(plain(signedIn.users), [{ id: 1, email: 'a@example.com' }]);
+    assert.strictEqual(signedIn.price_watches, Persistence.DENIED);
+});
+
+test('load errors other than access denials still reject', async (t) => {
+    const { Persistence, StorageAdapters } = loadModules();
+    Persistence.setAdapter(StorageAdapters.rest('http://127.0.0.1:9/api', {
+        fetchImpl: async () => ({ ok: false, status: 500 })
+    }));
+    await assert.rejects(Persistence.loadAll(['products']), /Server rejected "products" \(500\)/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const { PriceMonitor } = loadModules();
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const watch = (id, productId, targetUSD, extra = {}) => ({ id, productId, email: `w${id}@example.com`, targetUSD, notifiedAt: null, ...extra });
+
+test('checkWatches alerts each watch once when the price drops below target', () => {
+    const products = [{ id: 1, title: 'Lamp', priceUSD: 9 }];
+    const watches = [watch(1, 1, 10), watch(2, 1, 8), watch(3, 1, 12, { notifiedAt: '2024-01-01T00:00:00.000Z' })];
+
+    const { alerts, updates } = PriceMonitor.checkWatches(watches, products, '2024-02-01T00:00:00.000Z');
+    assert.deepStrictEqual(plain(alerts.map(a => a.watch.id)), [1]);
+    assert.deepStrictEqual(plain(updates), { 1: { notifiedAt: '2024-02-01T00:00:00.000Z', notifiedPriceUSD: 9 } });
+});
+
+test('checkWatches re-arms a notified watch once the price is back above target', () => {
+    const products = [{ id: 1, priceUSD: 15 }];
+    const { alerts, updates } = PriceMonitor.checkWatches([watch(1, 1, 10, { notifiedAt: '2024-01-01T00:00:00.000Z' })], products);
+    assert.strictEqual(alerts.length, 0);
+    assert.deepStrictEqual(plain(updates), { 1: { notifiedAt: null, notifiedPriceUSD: null } });
+});
+
+test('checkWatches only looks at the products it is given and skips unlisted ones', () => {
+    const products = [{ id: 2, priceUSD: 1, hidden: true }, { id: 3, priceUSD: 1, moderation: 'pending' }];
+    const { alerts, updates } = PriceMonitor.checkWatches([watch(1, 1, 10), watch(2, 2, 10), watch(3, 3, 10)], products);
+    assert.strictEqual(alerts.length, 0);
+    assert.deepStrictEqual(plain(updates), {});
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const DAY = 86400000;
+
+test('capture remembers the last tracking link for the attribution window', () => {
+    const { Referrals } = loadModules();
+    assert.strictEqual(Referrals.capture('', 30, NOW), null);
+
+    const first = Referrals.capture('?ref=7&ch=whatsapp', 30, NOW);
+    assert.strictEqual(first.affiliateId, 7);
+    assert.strictEqual(first.channel, 'whatsapp');
+    assert.strictEqual(Referrals.capture('?ref=9', 30, NOW + 1000).affiliateId, 9);
+    assert.strictEqual(Referrals.current(NOW + 29 * DAY).affiliateId, 9);
+    assert.strictEqual(Referrals.current(NOW + 31 * DAY), null);
+});
+
+test('an affiliate following its own tracking link keeps the existing referral', () => {
+    const { Referrals } = loadModules();
+    Referrals.capture('?ref=7', 30, NOW);
+    assert.strictEqual(Referrals.capture('?ref=9', 30, NOW + 1000, 9).affiliateId, 7);
+    assert.strictEqual(Referrals.current(NOW + 2000).affiliateId, 7);
+});
+
+test('creditable refuses self-referrals', () => {
+    const { Referrals } = loadModules();
+    const referral = { affiliateId: 7, channel: 'direct' };
+    assert.strictEqual(Referrals.creditable(referral, { productAffiliateId: 3 }), true);
+    assert.strictEqual(Referrals.creditable(referral), true);
+    assert.strictEqual(Referrals.creditable(referral, { productAffiliateId: 7 }), false);
+    assert.strictEqual(Referrals.creditable(referral, { productAffiliateId: 3, selfId: 7 }), false);
+    assert.strictEqual(Referrals.creditable(null, { productAffiliateId: 3 }), false);
+});
+
+test('buildUrl puts ref and channel in front of the hash route', () => {
+    const { Referrals } = loadModules();
+    assert.strictEqual(Referrals.buildUrl('https://shop.example/', '/product/2', 7, 'facebook'), 'https://shop.example/?ref=7&ch=facebook#/product/2');
+    assert.strictEqual(Referrals.buildUrl('https://shop.example/', '/', null, null), 'https://shop.example/#/');
+});
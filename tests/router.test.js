@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+const { Router } = loadModules();
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Session history with the window.history interface; Back past the first entry leaves the site
+class FakeHistory {
+    constructor(url, onPopState = () => {}) {
+        this.entries = [{ state: null, url }];
+        this.index = 0;
+        this.left = false;
+        this.onPopState = onPopState;
+    }
+
+    get state() { return this.entries[this.index].state; }
+    get hash() { return this.entries[this.index].url.replace(/^[^#]*/, ''); }
+
+    resolve(url) { return url.startsWith('#') ? this.entries[this.index].url.replace(/#.*$/, '') + url : url; }
+    pushState(state, title, url) {
+        this.entries = [...this.entries.slice(0, this.index + 1), { state, url: this.resolve(url) }];
+        this.index++;
+    }
+    replaceState(state, title, url) { this.entries[this.index] = { state, url: this.resolve(url) }; }
+    go(delta) {
+        const next = this.index + delta;
+        if (next < 0) {
+            this.left = true;
+            return;
+        }
+        if (next >= this.entries.length) return;
+        this.index = next;
+        this.onPopState({ state: this.state });
+    }
+    back() { this.go(-1); }
+    forward() { this.go(1); }
+}
+
+// Wires the Router helpers the way App does
+const openApp = (url) => {
+    const app = { shownPath: null, confirming: false, allowExit: false, popped: [] };
+    const history = new FakeHistory(url, (e) => {
+        const action = Router.popAction(e.state, app.allowExit);
+        app.allowExit = false;
+        app.popped.push(action);
+        app.confirming = action === 'confirm';
+        if (action === 'route') app.shownPath = Router.parse(history.hash).path;
+    });
+    Router.installGuard(history, url);
+    app.shownPath = Router.parse(history.hash).path;
+    app.history = history;
+    app.navigate = (path) => {
+        Router.sync(history, history.hash, path);
+        app.shownPath = path;
+    };
+    app.confirmExit = () => {
+        app.confirming = false;
+        app.allowExit = true;
+        history.back();
+    };
+    app.cancelExit = () => {
+        app.confirming = false;
+        Router.stay(history, history.entries[history.index].url);
+    };
+    return app;
+};
+
+test('parse decodes route params and falls back to home on malformed escapes', () => {
+    assert.deepStrictEqual(plain(Router.parse('#/category/Home%20%26%20Garden')).params, { name: 'Home & Garden' });
+    ['#/category/%E0', '#/product/%', '#/list/%zz', '#/cms/%C0%AF'].forEach(hash => {
+        const route = Router.parse(hash);
+        assert.strictEqual(route.name, 'tab', hash);
+        assert.strictEqual(route.path, '/', hash);
+    });
+});
+
+test('parse maps legacy hashes and unknown paths', () => {
+    assert.strictEqual(Router.parse('#product-12').path, '/product/12');
+    assert.strictEqual(Router.parse('#list-3').path, '/list/3');
+    assert.strictEqual(Router.parse('#/no/such/page').path, '/');
+    assert.strictEqual(Router.build('search', {}, { q: 'lamp', sort: '' }), '/search?q=lamp');
+});
+
+test('back and forward walk through the screens that were opened', () => {
+    const app = openApp('https://shop.example/#/');
+    app.navigate('/category/Beauty');
+    app.navigate('/product/2');
+    assert.strictEqual(app.history.entries.length, 4);
+
+    app.history.back();
+    assert.strictEqual(app.shownPath, '/category/Beauty');
+    app.history.back();
+    assert.strictEqual(app.shownPath, '/');
+    app.history.forward();
+    assert.strictEqual(app.shownPath, '/category/Beauty');
+    app.history.forward();
+    assert.strictEqual(app.shownPath, '/product/2');
+    assert.deepStrictEqual(app.popped, ['route', 'route', 'route', 'route']);
+    assert.strictEqual(app.history.state.depth, 3);
+});
+
+test('typing a search and re-sorting replace the current entry', () => {
+    const app = openApp('https://shop.example/#/');
+    app.navigate('/search?q=l');
+    app.navigate('/search?q=la');
+    app.navigate('/search?q=lamp&sort=price-asc');
+    assert.strictEqual(app.history.entries.length, 3);
+    assert.strictEqual(app.history.hash, '#/search?q=lamp&sort=price-asc');
+
+    // Clearing the search returns to home without leaving a search entry behind
+    app.navigate('/');
+    assert.strictEqual(app.history.entries.length, 3);
+    assert.strictEqual(app.history.hash, '#/');
+    assert.strictEqual(Router.sync(app.history, app.history.hash, '/'), null);
+});
+
+test('Back from the first screen asks before leaving, and staying keeps the visitor on the site', () => {
+    const app = openApp('https://shop.example/#/product/2');
+    app.history.back();
+    assert.strictEqual(app.confirming, true);
+    assert.strictEqual(app.shownPath, '/product/2');
+
+    app.cancelExit();
+    assert.strictEqual(app.history.state.depth, 1);
+    assert.strictEqual(app.history.left, false);
+
+    app.history.back();
+    assert.strictEqual(app.confirming, true);
+    app.confirmExit();
+    assert.strictEqual(app.history.left, true);
+    assert.deepStrictEqual(app.popped, ['confirm', 'confirm']);
+});
+
+test('confirming on the guard lets the next Back through without another prompt', () => {
+    const app = openApp('https://shop.example/#/');
+    app.navigate('/saved');
+    app.history.back();
+    app.history.back();
+    assert.strictEqual(app.confirming, true);
+
+    // A page that was opened from another site: the guard has an entry behind it
+    app.history.entries.unshift({ state: null, url: 'https://elsewhere.example/' });
+    app.history.index++;
+    app.confirmExit();
+    assert.deepStrictEqual(app.popped, ['route', 'confirm', 'exit']);
+    assert.strictEqual(app.allowExit, false);
+});
+
+test('a reload keeps the existing guard instead of stacking another', () => {
+    const app = openApp('https://shop.example/#/saved');
+    const entries = app.history.entries.length;
+    Router.installGuard(app.history, 'https://shop.example/#/saved');
+    assert.strictEqual(app.history.entries.length, entries);
+    assert.strictEqual(app.history.entries[0].state.guard, true);
+});
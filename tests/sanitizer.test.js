@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+// HtmlSanitizer needs a real HTML parser; jsdom is a devDependency, so run `npm install` first
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+const { HtmlSanitizer, AdSandbox } = loadModules({ DOMParser: window.DOMParser });
+
+const ALLOWED_TAGS = new Set([
+    'a', 'b', 'strong', 'i', 'em', 'u', 's', 'small', 'sub', 'sup', 'br', 'hr', 'p', 'div', 'span',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre', 'img',
+    'figure', 'figcaption', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+const ALLOWED_ATTRS = new Set(['title', 'class', 'href', 'target', 'rel', 'src', 'alt', 'width', 'height', 'colspan', 'rowspan']);
+const SAFE_URL = /^(?:https?:|mailto:|tel:|data:image\/(?:png|gif|jpe?g|webp);base64,|[^:]*$)/i;
+
+const CORPUS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<IMG SRC=x OnErRoR=alert(1)>',
+    '<svg onload=alert(1)><circle/></svg>',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<math><mi><mglyph><style><img src=x onerror=alert(1)>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href=" javascript:alert(1)">x</a>',
+    '<a href="java\tscript:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a href="&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)">x</a>',
+    '<a href="\u0001javascript:alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<a href="https://shop.example" onclick="alert(1)" formaction="javascript:alert(1)">x</a>',
+    '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+    '<img src="data:text/html;base64,PHNjcmlwdD4=">',
+    '<img srcset="javascript:alert(1)" src="https://cdn.example/a.png">',
+    '<img src="x" alt="&quot; onerror=alert(1)">',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="javascript:alert(1)">',
+    '<form action="javascript:alert(1)"><button>go</button></form>',
+    '<input autofocus onfocus=alert(1)>',
+    '<body onload=alert(1)>',
+    '<details open ontoggle=alert(1)>x</details>',
+    '<video><source onerror=alert(1)></video>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '<style>@import "javascript:alert(1)";</style>hi',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<base href="javascript:alert(1)//">',
+    '<link rel="stylesheet" href="javascript:alert(1)">',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<xmp><img src=x onerror=alert(1)></xmp>',
+    '<textarea><img src=x onerror=alert(1)></textarea>',
+    '<title><img src=x onerror=alert(1)></title>',
+    '<select><template><style><img src=x onerror=alert(1)></style></template></select>',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<!--><img src=x onerror=alert(1)>-->',
+    '<p id="x" style="color:red" data-x="1" class="note">kept</p>',
+    '<custom onclick="alert(1)"><b onmouseover="alert(1)">kept</b></custom>'
+];
+
+// Every element and attribute left in the output has to be on the allowlist, with a safe URL
+const assertSafe = (html, payload) => {
+    const body = new window.DOMParser().parseFromString(`<!DOCTYPE html><body>${html}`, 'text/html').body;
+    body.querySelectorAll('*').forEach(el => {
+        const tag = el.nodeName.toLowerCase();
+        assert.ok(ALLOWED_TAGS.has(tag), `<${tag}> survived ${payload}`);
+        Array.from(el.attributes).forEach(({ name, value }) => {
+            assert.ok(ALLOWED_ATTRS.has(name), `${name} on <${tag}> survived ${payload}`);
+            if (name === 'href' || name === 'src') {
+                assert.match(value.replace(/[\u0000- \u007f- ]/g, ''), SAFE_URL, `${name}="${value}" survived ${payload}`);
+            }
+        });
+    });
+};
+
+test('XSS corpus: nothing executable survives sanitizing', () => {
+    CORPUS.forEach(payload => {
+        const clean = HtmlSanitizer.sanitize(payload);
+        assertSafe(clean, payload);
+        assert.doesNotMatch(clean, /javascript:|vbscript:|<script|<svg|<math|<iframe|<style|srcdoc/i, payload);
+    });
+});
+
+test('XSS corpus: sanitized output is stable when parsed and sanitized again', () => {
+    CORPUS.forEach(payload => {
+        const clean = HtmlSanitizer.sanitize(payload);
+        assert.strictEqual(HtmlSanitizer.sanitize(clean), clean, payload);
+    });
+});
+
+test('safe formatting, links and images are kept', () => {
+    assert.strictEqual(HtmlSanitizer.sanitize('<p>Hello <b>world</b></p>'), '<p>Hello <b>world</b></p>');
+    assert.strictEqual(
+        HtmlSanitizer.sanitize('<a href="https://shop.example/p/1" target="_top">Deal</a>'),
+        '<a href="https://shop.example/p/1" target="_blank" rel="noopener noreferrer nofollow">Deal</a>'
+    );
+    assert.strictEqual(HtmlSanitizer.sanitize('<a href="mailto:help@shop.example">Mail</a>'),
+        '<a href="mailto:help@shop.example" rel="noopener noreferrer nofollow">Mail</a>');
+    assert.strictEqual(HtmlSanitizer.sanitize('<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot">'),
+        '<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot">');
+    assert.strictEqual(HtmlSanitizer.sanitize('<custom>kept <em>text</em></custom>'), 'kept <em>text</em>');
+    assert.strictEqual(HtmlSanitizer.sanitize('<style>p{}</style><script>x()</script>gone'), 'gone');
+    assert.strictEqual(HtmlSanitizer.sanitize(''), '');
+});
+
+test('toText drops markup and keeps words apart', () => {
+    assert.strictEqual(HtmlSanitizer.toText('<p>Free</p><p>shipping <i>today</i></p><script>alert(1)</script>'), 'Free shipping today');
+    assert.strictEqual(HtmlSanitizer.toText('<ul><li>One</li><li>Two</li></ul>'), 'One Two');
+});
+
+test('ad frames stay cross-origin and cannot navigate the store', () => {
+    const flags = AdSandbox.SANDBOX.split(' ');
+    assert.ok(!flags.includes('allow-same-origin'));
+    assert.ok(!flags.some(flag => flag.startsWith('allow-top-navigation')));
+    assert.ok(!flags.includes('allow-forms'));
+    assert.ok(!flags.includes('allow-modals'));
+    assert.ok(AdSandbox.document('<ins></ins>').includes(`content="${AdSandbox.policy()}"`));
+});
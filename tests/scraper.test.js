@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadModules } = require('./helpers/loadModules');
+
+const { ProductScraper } = loadModules();
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'scraper', `${name}.html`), 'utf8');
+const parse = (name, url) => JSON.parse(JSON.stringify(ProductScraper.parse(fixture(name), url)));
+
+test('Amazon: title, buy-box price, list price, hi-res images and stock', () => {
+    const product = parse('amazon', 'https://www.amazon.com/dp/B07NM3RSRQ');
+    assert.strictEqual(product.marketplace, 'Amazon');
+    assert.match(product.title, /^Anker Soundcore Life Q20 .* 40H Playtime & Hi-Res Audio$/);
+    assert.strictEqual(product.price, 49.99);
+    assert.strictEqual(product.originalPrice, 79.99);
+    assert.strictEqual(product.currency, 'USD');
+    assert.strictEqual(product.rating, 4.5);
+    assert.strictEqual(product.sold, 10000);
+    assert.strictEqual(product.availability, 'in_stock');
+    assert.strictEqual(product.images[0], 'https://m.media-amazon.com/images/I/61O7S27O+jL._AC_SL1500_.jpg');
+    assert.strictEqual(product.images.length, 3);
+});
+
+test('eBay: JSON-LD graph wins over page copy and broken blocks are skipped', () => {
+    const product = parse('ebay', 'https://www.ebay.co.uk/itm/1234');
+    assert.strictEqual(product.title, 'Silicone Phone Case for iPhone 15 Pro - Shockproof');
+    assert.strictEqual(product.price, 12.5);
+    assert.strictEqual(product.originalPrice, 20);
+    assert.strictEqual(product.currency, 'GBP');
+    assert.strictEqual(product.rating, 4.8);
+    assert.strictEqual(product.sold, 1234);
+    assert.strictEqual(product.availability, 'in_stock');
+    assert.deepStrictEqual(product.images.slice(0, 2), [
+        'https://i.ebayimg.com/images/g/abcAAOSw/s-l1600.jpg',
+        'https://i.ebayimg.com/images/g/defAAOSw/s-l1600.jpg'
+    ]);
+});
+
+test('Daraz: sale and original price from page data, in LKR', () => {
+    const product = parse('daraz', 'https://www.daraz.lk/products/kettle-i1.html');
+    assert.strictEqual(product.title, 'Electric Kettle 1.8L Stainless Steel');
+    assert.strictEqual(product.description, 'Auto shut-off, boil-dry protection, 1500W');
+    assert.strictEqual(product.price, 3490);
+    assert.strictEqual(product.originalPrice, 5000);
+    assert.strictEqual(product.currency, 'LKR');
+    assert.strictEqual(product.rating, 4.3);
+    assert.strictEqual(product.sold, 1200);
+});
+
+test('AliExpress: prices nested in amount objects', () => {
+    const product = parse('aliexpress', 'https://www.aliexpress.com/item/1005006.html');
+    assert.strictEqual(product.price, 8.99);
+    assert.strictEqual(product.originalPrice, 17.98);
+    assert.strictEqual(product.currency, 'USD');
+    assert.strictEqual(product.rating, 4.7);
+    assert.strictEqual(product.sold, 5000);
+    assert.deepStrictEqual(product.images, ['https://ae01.alicdn.com/kf/S1a2b3c4d5e6f.jpg']);
+});
+
+test('Alibaba: ladder price, rating and sold count', () => {
+    const product = parse('alibaba', 'https://www.alibaba.com/product-detail/board_1600.html');
+    assert.strictEqual(product.title, 'Wholesale Bamboo Cutting Board Set of 3');
+    assert.strictEqual(product.price, 3.2);
+    assert.strictEqual(product.currency, 'USD');
+    assert.strictEqual(product.rating, 4.9);
+    assert.strictEqual(product.sold, 2310);
+});
+
+test('other shops: schema.org microdata with European number format', () => {
+    const product = parse('microdata-shop', 'https://shop.example/nordlicht');
+    assert.strictEqual(product.marketplace, 'Other');
+    assert.strictEqual(product.title, 'Tischlampe "Nordlicht"');
+    assert.match(product.description, /^Messing, dimmbar\s?, 42 cm hoch$/);
+    assert.strictEqual(product.price, 1299.5);
+    assert.strictEqual(product.currency, 'EUR');
+    assert.strictEqual(product.rating, 4.4);
+    assert.strictEqual(product.availability, 'out_of_stock');
+});
+
+test('other shops: Open Graph product tags and sold-out page copy', () => {
+    const product = parse('opengraph-sold-out', 'https://crafts.example.lk/saree');
+    assert.strictEqual(product.title, 'Handloom Saree – Kandyan Weave');
+    assert.strictEqual(product.price, 12500);
+    assert.strictEqual(product.currency, 'LKR');
+    assert.strictEqual(product.availability, 'out_of_stock');
+    assert.deepStrictEqual(product.images, ['https://crafts.example.lk/images/saree.jpg']);
+});
+
+test('parseNumber handles marketplace price formats', () => {
+    const cases = { 'Rs. 1,299.00': 1299, 'US $12.50': 12.5, '1.299,00 €': 1299, '2.5K+': 2500, '12,5': 12.5, '1,234,567': 1234567, '': null, 'free': null };
+    Object.entries(cases).forEach(([input, expected]) => assert.strictEqual(ProductScraper.parseNumber(input), expected, input));
+});
+
+test('pages are fetched through the configured proxy', async () => {
+    const requested = [];
+    const { ProductScraper: scraper } = loadModules({
+        config: { scraper: { proxyUrl: 'https://proxy.example/fetch?url={url}' } },
+        fetch: async (url) => {
+            requested.push(url);
+            return { ok: true, status: 200, text: async () => fixture('daraz') };
+        }
+    });
+    const product = await scraper.scrape('https://www.daraz.lk/products/kettle-i1.html');
+    assert.deepStrictEqual(requested, ['https://proxy.example/fetch?url=https%3A%2F%2Fwww.daraz.lk%2Fproducts%2Fkettle-i1.html']);
+    assert.strictEqual(product.price, 3490);
+});
+
+test('blocked pages reject with the HTTP status', async () => {
+    const { ProductScraper: scraper } = loadModules({ fetch: async () => ({ ok: false, status: 403 }) });
+    await assert.rejects(scraper.scrape('https://www.amazon.com/dp/X'), (error) => error.status === 403);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./helpers/loadModules');
+
+test('one-time codes are stored as salted digests', async () => {
+    const { OneTimeTokens } = loadModules();
+    const code = OneTimeTokens.generate();
+    const [first, second] = [await OneTimeTokens.digest(code), await OneTimeTokens.digest(code)];
+
+    assert.match(code, /^\d{6}$/);
+    assert.match(first, /^pbkdf2\$/);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(await OneTimeTokens.matches(code, first), true);
+    assert.strictEqual(await OneTimeTokens.matches(code, second), true);
+    assert.strictEqual(await OneTimeTokens.matches(code === '123456' ? '654321' : '123456', first), false);
+});
+
+test('digests from before salting are no longer accepted', async () => {
+    const { OneTimeTokens } = loadModules();
+    const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('123456'));
+    const unsalted = Buffer.from(bytes).toString('hex');
+    assert.strictEqual(await OneTimeTokens.matches('123456', unsalted), false);
+});